@@ -4,6 +4,10 @@
  * 開発者ツールのコンソールや内部処理での使用を想定
  */
 import * as NumberUtil from './util/NumberUtil.js';
+import { createScaleMatrix, createRotationMatrix, createReflectionMatrix } from './util/AffineTransform.js';
+import { POINT_SHAPE_TYPES } from './graph/PointShapes.js';
+import { approximatorRegistry } from './approximator/ApproximatorRegistry.js';
+import { createExpressionEvaluator } from './util/ExpressionCurve.js';
 
 export class GraPen {
     // プライベートフィールド - 外部からアクセス不可
@@ -87,9 +91,10 @@ export class GraPen {
      * @param {number} options.size - 曲線の太さ (デフォルト: 現在のサイズ)
      * @param {boolean} options.useAdvancedMode - 高度な近似モードを使用 (デフォルト: false)
      * @param {string} options.type - 近似タイプ ('quadratic', 'linear', 'piecewiseLinear') (デフォルト: 'quadratic')
-     * @returns {Object} 追加結果 {success: boolean, curveId: number, message: string}
+     * @returns {Promise<Object>} 追加結果 {success: boolean, curveId: number, message: string}
+     * 近似はワーカーで実行される。待たずに続けて追加しても前の近似は中止されない（中止されるのはペンで描いた曲線だけ）
      */
-    addCurve(descriptor) {
+    async addCurve(descriptor) {
         if (!descriptor || typeof descriptor !== 'object') {
             return this.#createErrorResult('曲線の記述子オブジェクトが必要です');
         }
@@ -126,7 +131,7 @@ export class GraPen {
         const curveId = this.#settings.nextCurveId;
 
         try {
-            const result = this.#curveManager.addHandDrawnCurve({
+            const result = await this.#curveManager.addHandDrawnCurve({
                 id: curveId,
                 domainPath: domainPoints,
                 color,
@@ -138,7 +143,7 @@ export class GraPen {
             if (result.success) {
                 this.#settings.nextCurveId++;
                 return this.#createSuccessResult('曲線が正常に追加されました', {
-                    curveId: curveId,
+                    curveId: result.id,
                     curve: result.curve
                 });
             } else {
@@ -322,6 +327,45 @@ export class GraPen {
         return this.#createSuccessResult('近似設定を更新しました', response);
     }
 
+    /**
+     * 近似手法を登録する（定義の形式は ApproximatorRegistry.register を参照）
+     * 登録すると手書きの曲線の近似と近似設定パネルに加わる
+     * @param {Object} definition - 近似手法の定義
+     */
+    registerApproximator(definition) {
+        try {
+            const registered = approximatorRegistry.register(definition);
+            return this.#createSuccessResult(`近似手法 ${registered.id} を登録しました`, { id: registered.id });
+        } catch (error) {
+            return this.#createErrorResult(`エラー: ${error.message}`);
+        }
+    }
+
+    /**
+     * 近似手法の登録を解除する
+     * @param {string} id - 近似手法のID
+     */
+    unregisterApproximator(id) {
+        if (!approximatorRegistry.unregister(id)) {
+            return this.#createErrorResult(`近似手法 ${id} は登録されていません`);
+        }
+        return this.#createSuccessResult(`近似手法 ${id} の登録を解除しました`);
+    }
+
+    /**
+     * 登録されている近似手法の一覧を取得
+     */
+    getApproximators() {
+        const approximators = approximatorRegistry.list().map(definition => ({
+            id: definition.id,
+            types: [...definition.types],
+            settingsKey: definition.settingsKey,
+            tab: definition.tab ? definition.tab.id : null,
+            autoSelect: definition.autoSelect
+        }));
+        return this.#createSuccessResult('近似手法の一覧を取得しました', { approximators });
+    }
+
     /**
      * 選択を解除
      */
@@ -380,6 +424,134 @@ export class GraPen {
         }
     }
 
+    /**
+     * 曲線を拡大縮小
+     * @param {number} curveId - 曲線ID
+     * @param {number} scaleX - X方向の倍率（負の値で反転）
+     * @param {number} scaleY - Y方向の倍率（省略時は scaleX と同じ）
+     * @param {Array<number>|null} pivot - 基準点 [x, y]（省略時は曲線の中心）
+     * @returns {Object} 変形結果 {success: boolean, message: string}
+     */
+    scaleCurve(curveId, scaleX, scaleY = scaleX, pivot = null) {
+        if (typeof scaleX !== 'number' || typeof scaleY !== 'number' || !isFinite(scaleX) || !isFinite(scaleY)) {
+            return this.#createErrorResult('倍率は有限の数値で指定してください');
+        }
+        if (scaleX === 0 || scaleY === 0) {
+            return this.#createErrorResult('倍率に0は指定できません');
+        }
+        return this.#transformCurve(curveId, center => createScaleMatrix(scaleX, scaleY, center), pivot);
+    }
+
+    /**
+     * 曲線を回転
+     * @param {number} curveId - 曲線ID
+     * @param {number} angle - 回転角（度、反時計回りが正）
+     * @param {Array<number>|null} pivot - 回転の中心 [x, y]（省略時は曲線の中心）
+     * @returns {Object} 変形結果 {success: boolean, message: string}
+     */
+    rotateCurve(curveId, angle, pivot = null) {
+        if (typeof angle !== 'number' || !isFinite(angle)) {
+            return this.#createErrorResult('回転角は有限の数値で指定してください');
+        }
+        const radians = angle * Math.PI / 180;
+        return this.#transformCurve(curveId, center => createRotationMatrix(radians, center), pivot);
+    }
+
+    /**
+     * 曲線を反転
+     * @param {number} curveId - 曲線ID
+     * @param {string} axis - 'y'（左右反転）または 'x'（上下反転）
+     * @param {Array<number>|null} pivot - 対称軸が通る点 [x, y]（省略時は曲線の中心）
+     * @returns {Object} 変形結果 {success: boolean, message: string}
+     */
+    reflectCurve(curveId, axis = 'y', pivot = null) {
+        if (axis !== 'x' && axis !== 'y') {
+            return this.#createErrorResult("反転の軸は 'x' または 'y' で指定してください");
+        }
+        return this.#transformCurve(curveId, center => createReflectionMatrix(axis, center), pivot);
+    }
+
+    // 基準点を決めて変換行列を作成し、曲線に適用する
+    #transformCurve(curveId, createMatrix, pivot) {
+        const validation = this.#validateCurveId(curveId);
+        if (!validation.valid) {
+            return this.#createErrorResult(validation.message);
+        }
+
+        if (pivot !== null && (!Array.isArray(pivot) || pivot.length < 2 || !pivot.slice(0, 2).every(v => typeof v === 'number' && isFinite(v)))) {
+            return this.#createErrorResult('基準点は [x, y] の数値配列で指定してください');
+        }
+
+        try {
+            let center = pivot;
+            if (!center) {
+                const bounds = this.#curveManager.getCurvesBounds([curveId]);
+                if (!bounds) {
+                    return this.#createErrorResult('曲線の範囲を取得できません');
+                }
+                center = [(bounds.xMin + bounds.xMax) / 2, (bounds.yMin + bounds.yMax) / 2];
+            }
+
+            const result = this.#curveManager.transformCurves([curveId], createMatrix(center));
+            if (result.success) {
+                return this.#createSuccessResult('曲線が変形されました');
+            }
+            return this.#createErrorResult(result.message || '曲線の変形に失敗しました');
+        } catch (error) {
+            return this.#createErrorResult(`エラー: ${error.message}`);
+        }
+    }
+
+    /**
+     * 点オブジェクトを追加
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @param {Object} options - オプション設定 { color, size, shape }
+     * @returns {Object} 追加結果 {success: boolean, curveId: number, message: string}
+     */
+    addPoint(x, y, options = {}) {
+        if (typeof x !== 'number' || typeof y !== 'number' || !isFinite(x) || !isFinite(y)) {
+            return this.#createErrorResult('座標は有限の数値で指定してください');
+        }
+        if (options.shape !== undefined && !POINT_SHAPE_TYPES.includes(options.shape)) {
+            return this.#createErrorResult(`無効な形状です。有効な形状: ${POINT_SHAPE_TYPES.join(', ')}`);
+        }
+
+        try {
+            const result = this.#curveManager.addPointCurve({
+                x,
+                y,
+                color: options.color,
+                size: options.size,
+                shape: options.shape
+            });
+            if (result.success) {
+                return this.#createSuccessResult('点が追加されました', { curveId: result.id });
+            }
+            return this.#createErrorResult(result.message || '点の追加に失敗しました');
+        } catch (error) {
+            return this.#createErrorResult(`エラー: ${error.message}`);
+        }
+    }
+
+    /**
+     * 点オブジェクトの形状を変更
+     * @param {number} curveId - 曲線ID
+     * @param {string} shape - 形状 ('circle', 'hollowCircle', 'square', 'triangle', 'diamond', 'cross', 'plus')
+     * @returns {Object} 変更結果 {success: boolean, message: string}
+     */
+    setPointShape(curveId, shape) {
+        const validation = this.#validateCurveId(curveId);
+        if (!validation.valid) {
+            return this.#createErrorResult(validation.message);
+        }
+
+        const result = this.#curveManager.setPointShape(curveId, shape);
+        return result.success
+            ? this.#createSuccessResult(result.message)
+            : this.#createErrorResult(result.message);
+    }
+
     // ========== 情報取得 API ==========
 
     /**
@@ -820,6 +992,31 @@ export class GraPen {
         return commands.join(' ');
     }
 
+    generateSVGPathFromFormula_point(latexEquations = []) {
+        if (!Array.isArray(latexEquations) || latexEquations.length === 0) return '';
+        const point = latexEquations[0] && latexEquations[0].params ? latexEquations[0].params.point : null;
+        if (!Array.isArray(point) || point.length < 2) return '';
+        // 長さ0のパス（点オブジェクトの当たり判定と強調表示に使う）
+        return `M ${point[0]} ${point[1]} L ${point[0]} ${point[1]}`;
+    }
+
+    // 入力された式の曲線を現在の表示範囲・倍率で適応的に標本化した折れ線で描く（パン・ズームのたびに描き直す）
+    generateSVGPathFromFormula_expression(latexEquations = []) {
+        if (!Array.isArray(latexEquations) || !this.#graphCalculator) return '';
+        const commands = [];
+        latexEquations.forEach(eq => {
+            const evaluator = createExpressionEvaluator(eq, { viewport: this.#graphCalculator.getDomain() });
+            if (!evaluator) return;
+            this.#graphCalculator.sampleExpression(evaluator.evaluate, evaluator.range).forEach(line => {
+                commands.push(`M ${line[0][0]} ${line[0][1]}`);
+                for (let i = 1; i < line.length; i++) {
+                    commands.push(`L ${line[i][0]} ${line[i][1]}`);
+                }
+            });
+        });
+        return commands.join(' ');
+    }
+
     generateSVGPathFromApproximationData(approximationData = {}) {
         if (!approximationData) return '';
         if (typeof approximationData.svgPath === 'string' && approximationData.svgPath.length > 0) {
@@ -893,9 +1090,19 @@ export class GraPen {
         if (type === 'circle') return this.generateSVGPathFromFormula_circle(latexEquations, originalPoints, options);
         if (type === 'ellipse') return this.generateSVGPathFromFormula_ellipse(latexEquations, originalPoints, options);
         if (type === 'arc') return this.generateSVGPathFromFormula_arc(latexEquations, originalPoints, options);
+        if (type === 'point') return this.generateSVGPathFromFormula_point(latexEquations, originalPoints, options);
+        if (type === 'expression') return this.generateSVGPathFromFormula_expression(latexEquations, originalPoints, options);
         if (type === 'selectiveHybrid' && options && options.approximationData) {
             return this.generateSVGPathFromApproximationData(options.approximationData);
         }
+        // 近似手法の定義に従って数式からパスを作る
+        const definition = approximatorRegistry.getByType(type);
+        if (definition && definition.equations.buildPath) {
+            return definition.equations.buildPath(latexEquations, originalPoints, options) || '';
+        }
+        if (definition && definition.equations.pathType && definition.equations.pathType !== type) {
+            return this.generateSVGPathFromFormula(latexEquations, originalPoints, { ...options, type: definition.equations.pathType });
+        }
         return '';
     }
 
@@ -1167,8 +1374,8 @@ export class GraPen {
 🎨 GraPen API v${this.apiVersion} 使用方法:
 
 === 曲線操作 ===
-• addCurve(descriptor) - 曲線を追加（descriptor: { points, color, size, useAdvancedMode, type } ）
-    例: GraPen.addCurve({ points: [[0,0], [1,1], [2,0]], color: '#ff0000', size: 3 })
+• addCurve(descriptor) - 曲線を追加（descriptor: { points, color, size, useAdvancedMode, type } ）。結果は Promise で返る
+    例: await GraPen.addCurve({ points: [[0,0], [1,1], [2,0]], color: '#ff0000', size: 3 })
 
 • updateCurveStyle(curveId, style) - 曲線のスタイルを変更
   例: GraPen.updateCurveStyle(0, {color: '#00ff00', size: 5})
@@ -1181,6 +1388,21 @@ export class GraPen {
 • translateCurve(curveId, deltaX, deltaY) - 曲線を平行移動
   例: GraPen.translateCurve(0, 1, -0.5)
 
+• scaleCurve(curveId, scaleX, scaleY=scaleX, pivot=null) - 曲線を拡大縮小（pivot省略時は曲線の中心）
+  例: GraPen.scaleCurve(0, 2) / GraPen.scaleCurve(0, 1, 0.5, [0, 0])
+
+• rotateCurve(curveId, angle, pivot=null) - 曲線を回転（角度は度、反時計回り）
+  例: GraPen.rotateCurve(0, 90)
+
+• reflectCurve(curveId, axis='y', pivot=null) - 曲線を反転（'y': 左右, 'x': 上下）
+  例: GraPen.reflectCurve(0, 'x')
+
+• addPoint(x, y, options) - 点オブジェクトを追加（options: { color, size, shape }）
+  例: GraPen.addPoint(1, 2, { shape: 'cross' })
+
+• setPointShape(curveId, shape) - 点オブジェクトの形状を変更
+  例: GraPen.setPointShape(0, 'hollowCircle')
+
 === 情報取得 ===
 • getCurves() - 全曲線の情報を取得
 • getCurve(curveId) - 指定曲線の情報を取得
@@ -1189,6 +1411,9 @@ export class GraPen {
 === 近似設定 ===
 • getApproxSettings() - 現在の近似設定とモデル情報を取得
 • setApproxSettings(partial) - 近似設定を部分更新（バリデーション後に保存）
+• registerApproximator(definition) - 近似手法を登録（definition: { id, create, approximate, defaults, tab, settings, priority }）
+• unregisterApproximator(id) - 近似手法の登録を解除
+• getApproximators() - 登録されている近似手法の一覧を取得
 
 === 表示制御 ===
 • toggleCurveVisibility(curveId, visible) - 曲線の表示切り替え
@@ -4,10 +4,13 @@ import { HistoryManager } from './history/HistoryManager.js';
 import { UIManager } from './ui/UIManager.js';
 import { TutorialModal } from './modal/TutorialModal.js';
 import { CurveMovementHandler } from './curve/CurveMovementHandler.js';
+import { KnotEditHandler } from './curve/KnotEditHandler.js';
+import { CurveTransformHandler } from './curve/CurveTransformHandler.js';
 import { LanguageManager } from './i18n/LanguageManager.js';
 import { GraphStorageManager } from './storage/GraphStorageManager.js';
 import { NewFeatureModal } from './modal/NewFeatureModal.js';
 import { URLParamsUtil } from './util/URLParamsUtil.js';
+import { AutosaveManager } from './ui/AutosaveManager.js';
 import { GraPen } from './GraPen.js';
 
 // 初期化
@@ -20,6 +23,7 @@ document.addEventListener('DOMContentLoaded', async function () {
         prevSize: 6,
         currentTool: 'pen',
         selectCurveId: null,
+        selectedCurveIds: [],
         nextCurveId: 0,
         advancedMode: false
     };
@@ -50,6 +54,14 @@ document.addEventListener('DOMContentLoaded', async function () {
     // 曲線移動ハンドラの初期化
     const curveMovementHandler = new CurveMovementHandler(curveManager, settings, graphCalculator);
 
+    // 節点編集ハンドラの初期化
+    const knotEditHandler = new KnotEditHandler(curveManager, settings, graphCalculator);
+    curveManager.setKnotEditHandler(knotEditHandler);
+
+    // 曲線変形ハンドラ（拡大縮小・回転・反転）の初期化
+    const curveTransformHandler = new CurveTransformHandler(curveManager, settings, graphCalculator);
+    curveManager.setCurveTransformHandler(curveTransformHandler);
+
     // GraphStorageManagerの初期化
     const graphStorageManager = new GraphStorageManager();
 
@@ -130,7 +142,7 @@ document.addEventListener('DOMContentLoaded', async function () {
     }
 
     // グラフを読み込んだあと、初期表示を更新
-    await URLParamsUtil.loadGraphFromHashParameter(graphStorageManager, uiManager);
+    const loadedFromHash = await URLParamsUtil.loadGraphFromHashParameter(graphStorageManager, uiManager);
 
     // テーマに合わせて読み込まれた曲線の色を調整（黒/白の反転など）
     if (uiManager && typeof uiManager.setupTheme === 'function') {
@@ -139,6 +151,10 @@ document.addEventListener('DOMContentLoaded', async function () {
     }
     // 初期状態に応じてホームボタンを更新（読み込みでドメインが変わるため）
     try { updateHomeVisibility(); } catch (e) { /* ignore */ }
+
+    // 自動保存を開始（共有リンクから開いた場合は前回の作業の復元を提案しない）
+    const autosaveManager = new AutosaveManager(uiManager, historyManager, languageManager);
+    await autosaveManager.initialize({ offerRestore: !loadedFromHash });
 });
 
 // ビューポート高さとキャンバス領域を動的に計算して CSS 変数にセットする
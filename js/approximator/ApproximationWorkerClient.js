@@ -0,0 +1,120 @@
+import { CORE_APPROXIMATORS } from './coreApproximators.js';
+
+/**
+ * 近似ワーカーのクライアント
+ * 手書きの曲線の近似を Web Worker で実行し、描画中の UI を止めないようにする
+ * ワーカーは標準の近似手法だけを読み込むため、後から登録された近似手法はメインスレッドで近似する
+ */
+export class ApproximationWorkerClient {
+    /**
+     * Web Worker を使えるか
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    constructor() {
+        this.worker = null;
+        this.jobs = new Map(); // ジョブIDごとに { message, resolve, reject } を保持
+        this.nextJobId = 1;
+        this.failed = false; // ワーカーの読み込みに失敗したら以後はメインスレッドで近似する
+    }
+
+    /**
+     * 近似手法をワーカーで実行できるか
+     * @param {Object} definition - 近似手法の定義
+     * @returns {boolean}
+     */
+    canRun(definition) {
+        if (this.failed || !definition) return false;
+        return CORE_APPROXIMATORS.some(core => core.id === definition.id && core.create === definition.create);
+    }
+
+    /**
+     * 点列の近似をワーカーに依頼する
+     * @param {Object} request - { ids, points, domain, settings, constructorSettings }
+     * @returns {Object} { jobId, promise } promise は { cancelled, results } で解決する（results は近似手法のIDごとの近似結果）
+     */
+    approximate(request) {
+        const jobId = this.nextJobId++;
+        const message = { type: 'approximate', jobId, ...request };
+        const promise = new Promise((resolve, reject) => {
+            this.jobs.set(jobId, { message, resolve, reject });
+        });
+
+        try {
+            this._getWorker().postMessage(message);
+        } catch (error) {
+            this._handleError(error);
+        }
+        return { jobId, promise };
+    }
+
+    /**
+     * 近似を中止する
+     * 計算中の近似は止められないため、ワーカーを終了して残りのジョブを新しいワーカーで続ける
+     * @param {number} jobId - approximate で返したジョブID
+     * @returns {boolean} 中止したかどうか
+     */
+    cancel(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) return false;
+
+        this.jobs.delete(jobId);
+        job.resolve({ cancelled: true, results: null });
+
+        this._terminate();
+        if (this.jobs.size > 0) {
+            try {
+                const worker = this._getWorker();
+                this.jobs.forEach(other => worker.postMessage(other.message));
+            } catch (error) {
+                this._handleError(error);
+            }
+        }
+        return true;
+    }
+
+    // ワーカーを取得する（初めて使うとき、または中止で終了したあとに作る）
+    _getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./approximationWorker.js', import.meta.url), { type: 'module' });
+            this.worker.addEventListener('message', (event) => this._handleMessage(event.data));
+            this.worker.addEventListener('error', (event) => {
+                event.preventDefault();
+                this._handleError(new Error(event.message || '近似ワーカーを読み込めませんでした'));
+            });
+        }
+        return this.worker;
+    }
+
+    _handleMessage(message) {
+        if (!message) return;
+        const job = this.jobs.get(message.jobId);
+        if (!job) return; // 中止済みのジョブ
+
+        this.jobs.delete(message.jobId);
+        if (message.type === 'result') {
+            job.resolve({ cancelled: false, results: message.results || {} });
+        } else {
+            job.reject(new Error(message.message || '近似ワーカーでエラーが発生しました'));
+        }
+    }
+
+    // ワーカーが使えなくなったら、待っているジョブをすべて失敗させる（呼び出し側でメインスレッドの近似に切り替える）
+    _handleError(error) {
+        this.failed = true;
+        this._terminate();
+        const jobs = Array.from(this.jobs.values());
+        this.jobs.clear();
+        jobs.forEach(job => job.reject(error));
+    }
+
+    _terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
@@ -7,6 +7,51 @@ import {
     saveSettingsToStorage,
     cloneModel
 } from '../util/ApproximatorSettings.js';
+import { approximatorRegistry } from './ApproximatorRegistry.js';
+
+// 表示タブ（近似手法によらないパネル全体の設定）
+const DISPLAY_TAB = { id: 'display', labelKey: 'approximator.tab.display', fallback: '表示' };
+
+const DISPLAY_SETTINGS = {
+    showKnotsDefault: {
+        type: 'toggle',
+        tab: 'display',
+        icon: 'commit',
+        labelKey: 'approximator.settings.show_knots',
+        fallback: '節点表示'
+    },
+    snap: {
+        type: 'toggle',
+        tab: 'display',
+        icon: 'straighten',
+        labelKey: 'approximator.settings.snap',
+        fallback: 'スナップ'
+    },
+    prettyCoefficients: {
+        type: 'toggle',
+        tab: 'display',
+        icon: 'functions',
+        labelKey: 'approximator.settings.pretty_coefficients',
+        fallback: '係数を分数で表示'
+    },
+    endpointSnap: {
+        type: 'toggle',
+        tab: 'display',
+        icon: 'join',
+        labelKey: 'approximator.settings.endpoint_snap',
+        fallback: '端点スナップ'
+    },
+    snapRadius: {
+        type: 'range',
+        tab: 'display',
+        labelKey: 'approximator.settings.snap_radius',
+        fallback: 'スナップ半径 (px)',
+        min: 4,
+        max: 40,
+        step: 1,
+        dependsOn: ['endpointSnap']
+    }
+};
 
 export class ApproximatorManager {
     constructor(curveManager = null, languageManager = null) {
@@ -34,742 +79,14 @@ export class ApproximatorManager {
         this._saveTimer = null;
         this._ignoreNextEventSource = null;
 
-        this.tabConfig = [
-            { id: 'display', labelKey: 'approximator.tab.display', fallback: '表示' },
-            { id: 'linear-single', labelKey: 'approximator.tab.linear_single', fallback: '一次直線近似' },
-            { id: 'linear-piecewise', labelKey: 'approximator.tab.linear_piecewise', fallback: '折れ線近似' },
-            { id: 'quadratic-bspline', labelKey: 'approximator.tab.quadratic_bspline', fallback: '二次Bスプライン' },
-            { id: 'quadratic-single', labelKey: 'approximator.tab.quadratic_single', fallback: '単一二次ベジェ' },
-            { id: 'quadratic-chain', labelKey: 'approximator.tab.quadratic_chain', fallback: '二次ベジェチェーン' },
-            { id: 'circle-single', labelKey: 'approximator.tab.circle_single', fallback: '円・楕円近似' },
-            { id: 'selection-hybrid', labelKey: 'approximator.tab.selection_hybrid', fallback: '選択曲線近似' }
-        ];
-
-        this.settingConfig = {
-            showKnotsDefault: {
-                type: 'toggle',
-                tab: 'display',
-                icon: 'commit',
-                labelKey: 'approximator.settings.show_knots',
-                fallback: '節点表示'
-            },
-            snap: {
-                type: 'toggle',
-                tab: 'display',
-                icon: 'straighten',
-                labelKey: 'approximator.settings.snap',
-                fallback: 'スナップ'
-            },
-            linearQuantizeControlAxis: {
-                type: 'toggle',
-                tab: 'linear-single',
-                icon: 'straighten',
-                labelKey: 'approximator.settings.linear_quantize_axis',
-                fallback: '直線制御点を量子化',
-                path: ['linear', 'quantizeControlAxis'],
-                dependsOn: ['snap']
-            },
-            linearLinearityThreshold: {
-                type: 'range',
-                tab: 'linear-single',
-                labelKey: 'approximator.settings.linear.linearity_threshold',
-                fallback: '線形性閾値',
-                min: 0.5,
-                max: 1,
-                step: 0.01,
-                decimals: 2,
-                path: ['linear', 'linearityThreshold']
-            },
-            linearPercentTolerance: {
-                type: 'range',
-                tab: 'linear-single',
-                labelKey: 'approximator.settings.linear.percent_tolerance',
-                fallback: '許容比率',
-                min: 0,
-                max: 0.5,
-                step: 0.01,
-                decimals: 2,
-                path: ['linear', 'percentTolerance']
-            },
-            linearVerticalSlopeThreshold: {
-                type: 'range',
-                tab: 'linear-single',
-                labelKey: 'approximator.settings.linear.vertical_slope_threshold',
-                fallback: '垂直判定傾き',
-                min: 1,
-                max: 50,
-                step: 0.5,
-                decimals: 2,
-                path: ['linear', 'verticalSlopeThreshold']
-            },
-            linearHorizontalSlopeThreshold: {
-                type: 'range',
-                tab: 'linear-single',
-                labelKey: 'approximator.settings.linear.horizontal_slope_threshold',
-                fallback: '水平判定傾き',
-                min: 0.01,
-                max: 1,
-                step: 0.01,
-                decimals: 2,
-                path: ['linear', 'horizontalSlopeThreshold']
-            },
-            errorThreshold: {
-                type: 'range',
-                tab: 'linear-single',
-                labelKey: 'approximator.settings.error_threshold',
-                fallback: '許容誤差 (DP)',
-                min: 1,
-                max: 30,
-                step: 0.1,
-                decimals: 1
-            },
-            piecewiseQuantizeControlAxis: {
-                type: 'toggle',
-                tab: 'linear-piecewise',
-                icon: 'straighten',
-                labelKey: 'approximator.settings.piecewise_quantize_axis',
-                fallback: '折れ線制御点を量子化',
-                path: ['piecewiseLinear', 'quantizeControlAxis'],
-                dependsOn: ['snap']
-            },
-            piecewiseLinearityThreshold: {
-                type: 'range',
-                tab: 'linear-piecewise',
-                labelKey: 'approximator.settings.piecewise.linearity_threshold',
-                fallback: '全体線形性閾値',
-                min: 0.5,
-                max: 1,
-                step: 0.01,
-                decimals: 2,
-                path: ['piecewiseLinear', 'linearityThreshold']
-            },
-            piecewiseSegmentLinearityThreshold: {
-                type: 'range',
-                tab: 'linear-piecewise',
-                labelKey: 'approximator.settings.piecewise.segment_linearity_threshold',
-                fallback: 'セグメント線形性閾値',
-                min: 0.5,
-                max: 1,
-                step: 0.01,
-                decimals: 2,
-                path: ['piecewiseLinear', 'segmentLinearityThreshold']
-            },
-            piecewisePercentTolerance: {
-                type: 'range',
-                tab: 'linear-piecewise',
-                labelKey: 'approximator.settings.piecewise.percent_tolerance',
-                fallback: '許容比率',
-                min: 0,
-                max: 0.5,
-                step: 0.01,
-                decimals: 2,
-                path: ['piecewiseLinear', 'percentTolerance']
-            },
-            piecewiseVerticalSlopeThreshold: {
-                type: 'range',
-                tab: 'linear-piecewise',
-                labelKey: 'approximator.settings.piecewise.vertical_slope_threshold',
-                fallback: '垂直判定傾き',
-                min: 1,
-                max: 50,
-                step: 0.5,
-                decimals: 2,
-                path: ['piecewiseLinear', 'verticalSlopeThreshold']
-            },
-            piecewiseHorizontalSlopeThreshold: {
-                type: 'range',
-                tab: 'linear-piecewise',
-                labelKey: 'approximator.settings.piecewise.horizontal_slope_threshold',
-                fallback: '水平判定傾き',
-                min: 0.01,
-                max: 1,
-                step: 0.01,
-                decimals: 2,
-                path: ['piecewiseLinear', 'horizontalSlopeThreshold']
-            },
-            maxKnots: {
-                type: 'range',
-                tab: 'quadratic-bspline',
-                labelKey: 'approximator.settings.max_knots',
-                fallback: '最大節点数 (パネル)',
-                min: 2,
-                max: 10,
-                step: 1
-            },
-            bsplineMinKnots: {
-                type: 'range',
-                tab: 'quadratic-bspline',
-                labelKey: 'approximator.settings.bspline.min_knots',
-                fallback: '最小節点数',
-                min: 2,
-                max: 10,
-                step: 1,
-                path: ['quadraticBSpline', 'minKnots']
-            },
-            bsplineMaxKnots: {
-                type: 'range',
-                tab: 'quadratic-bspline',
-                labelKey: 'approximator.settings.bspline.max_knots',
-                fallback: '最大節点数',
-                min: 2,
-                max: 16,
-                step: 1,
-                path: ['quadraticBSpline', 'maxKnots']
-            },
-            bsplineMinKnotDistance: {
-                type: 'range',
-                tab: 'quadratic-bspline',
-                labelKey: 'approximator.settings.bspline.min_knot_distance',
-                fallback: '節点最小間隔',
-                min: 0.01,
-                max: 0.5,
-                step: 0.01,
-                decimals: 2,
-                path: ['quadraticBSpline', 'minKnotDistance']
-            },
-            singleQuadAllowSelfIntersection: {
-                type: 'toggle',
-                tab: 'quadratic-single',
-                icon: 'point_scan',
-                labelKey: 'approximator.settings.single_quad.allow_self_intersection',
-                fallback: '自己交差を許可',
-                path: ['singleQuadratic', 'allowSelfIntersection']
-            },
-            singleQuadClosed: {
-                type: 'toggle',
-                tab: 'quadratic-single',
-                icon: '360',
-                labelKey: 'approximator.settings.single_quad.closed',
-                fallback: '閉曲線として処理',
-                path: ['singleQuadratic', 'closed']
-            },
-            singleQuadSmoothWindow: {
-                type: 'range',
-                tab: 'quadratic-single',
-                labelKey: 'approximator.settings.single_quad.smooth_window',
-                fallback: 'スムージング窓',
-                min: 1,
-                max: 25,
-                step: 1,
-                path: ['singleQuadratic', 'smoothWindow']
-            },
-            singleQuadResampleCount: {
-                type: 'range',
-                tab: 'quadratic-single',
-                labelKey: 'approximator.settings.single_quad.resample_count',
-                fallback: 'リサンプル数',
-                min: 32,
-                max: 256,
-                step: 1,
-                path: ['singleQuadratic', 'resampleCount']
-            },
-            singleQuadPruneTolerance: {
-                type: 'range',
-                tab: 'quadratic-single',
-                labelKey: 'approximator.settings.single_quad.prune_tolerance',
-                fallback: '枝刈り許容',
-                min: 0,
-                max: 0.2,
-                step: 0.005,
-                decimals: 3,
-                path: ['singleQuadratic', 'pruneTolerance']
-            },
-            singleQuadExtremaProminence: {
-                type: 'range',
-                tab: 'quadratic-single',
-                labelKey: 'approximator.settings.single_quad.extrema_prominence',
-                fallback: '極値顕著度',
-                min: 0,
-                max: 0.2,
-                step: 0.005,
-                decimals: 3,
-                path: ['singleQuadratic', 'extremaProminenceRatio']
-            },
-            singleQuadExtremaPersistence: {
-                type: 'range',
-                tab: 'quadratic-single',
-                labelKey: 'approximator.settings.single_quad.extrema_persistence',
-                fallback: '極値距離',
-                min: 1,
-                max: 10,
-                step: 1,
-                path: ['singleQuadratic', 'extremaPersistence']
-            },
-            singleQuadCurvatureThreshold: {
-                type: 'range',
-                tab: 'quadratic-single',
-                labelKey: 'approximator.settings.single_quad.curvature_threshold',
-                fallback: '曲率閾値',
-                min: 0,
-                max: 1,
-                step: 0.01,
-                decimals: 2,
-                path: ['singleQuadratic', 'curvatureThreshold']
-            },
-            singleQuadCurvaturePersistence: {
-                type: 'range',
-                tab: 'quadratic-single',
-                labelKey: 'approximator.settings.single_quad.curvature_persistence',
-                fallback: '曲率維持距離',
-                min: 1,
-                max: 10,
-                step: 1,
-                path: ['singleQuadratic', 'curvaturePersistence']
-            },
-            singleQuadMonotonicTolerance: {
-                type: 'range',
-                tab: 'quadratic-single',
-                labelKey: 'approximator.settings.single_quad.monotonic_tolerance',
-                fallback: '単調許容比',
-                min: 0,
-                max: 0.2,
-                step: 0.005,
-                decimals: 3,
-                path: ['singleQuadratic', 'monotonicToleranceRatio']
-            },
-            singleQuadErrorTolerance: {
-                type: 'range',
-                tab: 'quadratic-single',
-                labelKey: 'approximator.settings.single_quad.error_tolerance',
-                fallback: '誤差許容比',
-                min: 0,
-                max: 0.2,
-                step: 0.005,
-                decimals: 3,
-                path: ['singleQuadratic', 'errorToleranceRatio']
-            },
-            singleQuadAllowedExtrema: {
-                type: 'range',
-                tab: 'quadratic-single',
-                labelKey: 'approximator.settings.single_quad.allowed_extrema',
-                fallback: '極値数上限',
-                min: 0,
-                max: 6,
-                step: 1,
-                path: ['singleQuadratic', 'allowedExtrema']
-            },
-            singleQuadAllowedCurvatureFlips: {
-                type: 'range',
-                tab: 'quadratic-single',
-                labelKey: 'approximator.settings.single_quad.allowed_curvature_flips',
-                fallback: '曲率反転上限',
-                min: 0,
-                max: 6,
-                step: 1,
-                path: ['singleQuadratic', 'allowedCurvatureFlips']
-            },
-            singleQuadMinStrokeLength: {
-                type: 'range',
-                tab: 'quadratic-single',
-                labelKey: 'approximator.settings.single_quad.min_stroke_length',
-                fallback: '最小ストローク長',
-                min: 0,
-                max: 10,
-                step: 0.05,
-                decimals: 2,
-                path: ['singleQuadratic', 'minStrokeLength']
-            },
-            singleQuadMinDiagonal: {
-                type: 'range',
-                tab: 'quadratic-single',
-                labelKey: 'approximator.settings.single_quad.min_diagonal',
-                fallback: '最小対角長',
-                min: 0,
-                max: 10,
-                step: 0.05,
-                decimals: 2,
-                path: ['singleQuadratic', 'minDiagonal']
-            },
-            singleQuadClosureRatio: {
-                type: 'range',
-                tab: 'quadratic-single',
-                labelKey: 'approximator.settings.single_quad.closure_ratio',
-                fallback: '閉じ比率閾値',
-                min: 0,
-                max: 0.2,
-                step: 0.005,
-                decimals: 3,
-                path: ['singleQuadratic', 'closureRatio']
-            },
-            chainEnforceC1: {
-                type: 'toggle',
-                tab: 'quadratic-chain',
-                icon: 'gesture',
-                labelKey: 'approximator.settings.chain.enforce_c1',
-                fallback: 'C¹連続を強制',
-                path: ['quadraticChain', 'enforceC1']
-            },
-            chainClosed: {
-                type: 'toggle',
-                tab: 'quadratic-chain',
-                icon: '360',
-                labelKey: 'approximator.settings.chain.closed',
-                fallback: '閉曲線として処理',
-                path: ['quadraticChain', 'closed']
-            },
-            chainMaxSegments: {
-                type: 'range',
-                tab: 'quadratic-chain',
-                labelKey: 'approximator.settings.chain.max_segments',
-                fallback: '最大セグメント数',
-                min: 1,
-                max: 12,
-                step: 1,
-                path: ['quadraticChain', 'maxSegments']
-            },
-            chainSmoothWindow: {
-                type: 'range',
-                tab: 'quadratic-chain',
-                labelKey: 'approximator.settings.chain.smooth_window',
-                fallback: 'スムージング窓',
-                min: 1,
-                max: 25,
-                step: 1,
-                path: ['quadraticChain', 'smoothWindow']
-            },
-            chainResampleCount: {
-                type: 'range',
-                tab: 'quadratic-chain',
-                labelKey: 'approximator.settings.chain.resample_count',
-                fallback: 'リサンプル数',
-                min: 32,
-                max: 256,
-                step: 1,
-                path: ['quadraticChain', 'resampleCount']
-            },
-            chainPruneTolerance: {
-                type: 'range',
-                tab: 'quadratic-chain',
-                labelKey: 'approximator.settings.chain.prune_tolerance',
-                fallback: '枝刈り許容',
-                min: 0,
-                max: 0.2,
-                step: 0.005,
-                decimals: 3,
-                path: ['quadraticChain', 'pruneTolerance']
-            },
-            circleEnableEllipse: {
-                type: 'toggle',
-                tab: 'circle-single',
-                icon: 'vignette',
-                labelKey: 'approximator.settings.circle.enable_ellipse',
-                fallback: '楕円を許可',
-                path: ['singleCircle', 'enableEllipse']
-            },
-            circlePreferEllipse: {
-                type: 'toggle',
-                tab: 'circle-single',
-                icon: 'business_chip',
-                labelKey: 'approximator.settings.circle.prefer_ellipse',
-                fallback: '楕円を優先',
-                path: ['singleCircle', 'preferEllipse']
-            },
-            circleClosed: {
-                type: 'toggle',
-                tab: 'circle-single',
-                icon: '360',
-                labelKey: 'approximator.settings.circle.closed',
-                fallback: '閉曲線として処理',
-                path: ['singleCircle', 'closed']
-            },
-            circleMaxEccentricity: {
-                type: 'range',
-                tab: 'circle-single',
-                labelKey: 'approximator.settings.circle.max_eccentricity',
-                fallback: '最大離心率',
-                min: 0,
-                max: 0.99,
-                step: 0.01,
-                decimals: 2,
-                path: ['singleCircle', 'maxEccentricity']
-            },
-            circleSnapRatio: {
-                type: 'range',
-                tab: 'circle-single',
-                labelKey: 'approximator.settings.circle.snap_ratio',
-                fallback: '円スナップ比',
-                min: 0,
-                max: 0.5,
-                step: 0.01,
-                decimals: 2,
-                path: ['singleCircle', 'circleSnapRatio']
-            },
-            circleSmoothWindow: {
-                type: 'range',
-                tab: 'circle-single',
-                labelKey: 'approximator.settings.circle.smooth_window',
-                fallback: 'スムージング窓',
-                min: 1,
-                max: 25,
-                step: 1,
-                path: ['singleCircle', 'smoothWindow']
-            },
-            circleResampleCount: {
-                type: 'range',
-                tab: 'circle-single',
-                labelKey: 'approximator.settings.circle.resample_count',
-                fallback: 'リサンプル数',
-                min: 32,
-                max: 256,
-                step: 1,
-                path: ['singleCircle', 'resampleCount']
-            },
-            circlePruneTolerance: {
-                type: 'range',
-                tab: 'circle-single',
-                labelKey: 'approximator.settings.circle.prune_tolerance',
-                fallback: '枝刈り許容',
-                min: 0,
-                max: 0.2,
-                step: 0.005,
-                decimals: 3,
-                path: ['singleCircle', 'pruneTolerance']
-            },
-            circleCircleRmsTolerance: {
-                type: 'range',
-                tab: 'circle-single',
-                labelKey: 'approximator.settings.circle.circle_rms_tolerance',
-                fallback: '円 RMS 許容',
-                min: 0,
-                max: 0.1,
-                step: 0.001,
-                decimals: 3,
-                path: ['singleCircle', 'circleRmsTolerance']
-            },
-            circleEllipseRmsTolerance: {
-                type: 'range',
-                tab: 'circle-single',
-                labelKey: 'approximator.settings.circle.ellipse_rms_tolerance',
-                fallback: '楕円 RMS 許容',
-                min: 0,
-                max: 0.2,
-                step: 0.001,
-                decimals: 3,
-                path: ['singleCircle', 'ellipseRmsTolerance']
-            },
-            circleMaxEndpointGapRatio: {
-                type: 'range',
-                tab: 'circle-single',
-                labelKey: 'approximator.settings.circle.max_endpoint_gap_ratio',
-                fallback: '始終点ギャップ比',
-                min: 0,
-                max: 1,
-                step: 0.01,
-                decimals: 2,
-                path: ['singleCircle', 'maxEndpointGapRatio']
-            },
-            circleMinCoverageRatio: {
-                type: 'range',
-                tab: 'circle-single',
-                labelKey: 'approximator.settings.circle.min_coverage_ratio',
-                fallback: '最小カバー率',
-                min: 0,
-                max: 1,
-                step: 0.01,
-                decimals: 2,
-                path: ['singleCircle', 'minCoverageRatio']
-            },
-            circleQuantizationEnabled: {
-                type: 'toggle',
-                tab: 'circle-single',
-                icon: 'straighten',
-                labelKey: 'approximator.settings.circle.quantization_enabled',
-                fallback: '量子化を有効化',
-                path: ['singleCircle', 'quantizationEnabled']
-            },
-            circleQuantizeCenter: {
-                type: 'toggle',
-                tab: 'circle-single',
-                icon: 'my_location',
-                labelKey: 'approximator.settings.circle.quantize_center',
-                fallback: '中心を量子化',
-                path: ['singleCircle', 'quantizeCenter'],
-                dependsOn: ['singleCircle.quantizationEnabled']
-            },
-            circleQuantizeAxes: {
-                type: 'toggle',
-                tab: 'circle-single',
-                icon: 'adjust',
-                labelKey: 'approximator.settings.circle.quantize_axes',
-                fallback: '半径/軸を量子化',
-                path: ['singleCircle', 'quantizeAxes'],
-                dependsOn: ['singleCircle.quantizationEnabled']
-            },
-            samplingRate: {
-                type: 'range',
-                tab: 'selection-hybrid',
-                labelKey: 'approximator.settings.sampling_rate',
-                fallback: 'サンプリングレート (パネル)',
-                min: 1,
-                max: 10,
-                step: 1
-            },
-            selectionSmoothingWindow: {
-                type: 'range',
-                tab: 'selection-hybrid',
-                labelKey: 'approximator.settings.selection.smoothing_window',
-                fallback: 'スムージング窓',
-                min: 0,
-                max: 25,
-                step: 1,
-                path: ['selective', 'smoothingWindow']
-            },
-            selectionResampleCount: {
-                type: 'range',
-                tab: 'selection-hybrid',
-                labelKey: 'approximator.settings.selection.resample_count',
-                fallback: 'リサンプル数',
-                min: 32,
-                max: 256,
-                step: 1,
-                path: ['selective', 'resampleCount']
-            },
-            selectionTolerance: {
-                type: 'range',
-                tab: 'selection-hybrid',
-                labelKey: 'approximator.settings.selection.tolerance',
-                fallback: '許容誤差',
-                min: 0,
-                max: 0.5,
-                step: 0.01,
-                decimals: 2,
-                path: ['selective', 'tolerance']
-            },
-            selectionMaxSpan: {
-                type: 'range',
-                tab: 'selection-hybrid',
-                labelKey: 'approximator.settings.selection.max_span',
-                fallback: '最大スパン',
-                min: 8,
-                max: 128,
-                step: 1,
-                path: ['selective', 'maxSpan']
-            },
-            selectionAutoSegments: {
-                type: 'toggle',
-                tab: 'selection-hybrid',
-                icon: 'motion_photos_auto',
-                labelKey: 'approximator.settings.selection.auto_segments',
-                fallback: '自動セグメント',
-                path: ['selective', 'autoSegments']
-            },
-            selectionSegmentCount: {
-                type: 'range',
-                tab: 'selection-hybrid',
-                labelKey: 'approximator.settings.selection.segment_count',
-                fallback: 'セグメント数',
-                min: 1,
-                max: 16,
-                step: 1,
-                path: ['selective', 'segmentCount']
-            },
-            selectionSimplicityGain: {
-                type: 'range',
-                tab: 'selection-hybrid',
-                labelKey: 'approximator.settings.selection.simplicity_gain',
-                fallback: '単純化バイアス',
-                min: 0,
-                max: 1,
-                step: 0.01,
-                decimals: 2,
-                path: ['selective', 'simplicityGain']
-            },
-            selectionSmoothBias: {
-                type: 'range',
-                tab: 'selection-hybrid',
-                labelKey: 'approximator.settings.selection.smooth_bias',
-                fallback: 'スムース重み',
-                min: 0,
-                max: 1,
-                step: 0.01,
-                decimals: 2,
-                path: ['selective', 'smoothBias']
-            },
-            selectionEnableLinear: {
-                type: 'toggle',
-                tab: 'selection-hybrid',
-                icon: 'timer_1',
-                labelKey: 'approximator.settings.selection.enable_linear',
-                fallback: '直線を許可',
-                path: ['selective', 'enableLinear']
-            },
-            selectionEnableQuadratic: {
-                type: 'toggle',
-                tab: 'selection-hybrid',
-                icon: 'timer_2',
-                labelKey: 'approximator.settings.selection.enable_quadratic',
-                fallback: '二次曲線を許可',
-                path: ['selective', 'enableQuadratic']
-            },
-            selectionEnableCubic: {
-                type: 'toggle',
-                tab: 'selection-hybrid',
-                icon: 'timer_3',
-                labelKey: 'approximator.settings.selection.enable_cubic',
-                fallback: '三次曲線を許可',
-                path: ['selective', 'enableCubic']
-            },
-            selectionEnableArc: {
-                type: 'toggle',
-                tab: 'selection-hybrid',
-                icon: 'line_curve',
-                labelKey: 'approximator.settings.selection.enable_arc',
-                fallback: '円弧を許可',
-                path: ['selective', 'enableArc']
-            },
-            selectionQuantizationEnabled: {
-                type: 'toggle',
-                tab: 'selection-hybrid',
-                icon: 'straighten',
-                labelKey: 'approximator.settings.selection.quantization_enabled',
-                fallback: '量子化を有効化',
-                path: ['selective', 'quantizationEnabled']
-            },
-            selectionQuantLevelOffset: {
-                type: 'range',
-                tab: 'selection-hybrid',
-                labelKey: 'approximator.settings.selection.quant_level_offset',
-                fallback: '量子化レベルオフセット',
-                min: -5,
-                max: 5,
-                step: 1,
-                path: ['selective', 'quantLevelOffset'],
-                dependsOn: ['selective.quantizationEnabled']
-            },
-            selectionAngleThreshold: {
-                type: 'range',
-                tab: 'selection-hybrid',
-                labelKey: 'approximator.settings.selection.angle_threshold',
-                fallback: '角度閾値 (度)',
-                min: 0,
-                max: 90,
-                step: 1,
-                path: ['selective', 'angleThresholdDegrees']
-            },
-            selectionDedupeTolerance: {
-                type: 'range',
-                tab: 'selection-hybrid',
-                labelKey: 'approximator.settings.selection.dedupe_tolerance',
-                fallback: '重複許容',
-                min: 0,
-                max: 0.01,
-                step: 0.0001,
-                decimals: 4,
-                path: ['selective', 'dedupeTolerance']
-            },
-            selectionClosed: {
-                type: 'toggle',
-                tab: 'selection-hybrid',
-                icon: 'all_inclusive',
-                labelKey: 'approximator.settings.selection.closed',
-                fallback: '閉曲線として処理',
-                path: ['selective', 'closed']
-            }
-        };
+        this.tabConfig = [];
+        this.settingConfig = {};
+        this.buildConfigFromRegistry();
 
         this.handleAdvancedModeChange = this.handleAdvancedModeChange.bind(this);
         this.handleLanguageStateChange = this.refreshLocalizedLabels.bind(this);
         this.handleExternalSettingsChange = this.handleExternalSettingsChange.bind(this);
+        this.handleRegistryChange = this.handleRegistryChange.bind(this);
         this._handleBeforeUnload = this.flushPendingSave.bind(this);
         this.initialize();
     }
@@ -787,6 +104,15 @@ export class ApproximatorManager {
         this.initialized = true;
     }
 
+    // 表示タブと、レジストリに登録された近似手法のタブ・設定項目から設定パネルの構成を作る
+    buildConfigFromRegistry() {
+        this.tabConfig = [DISPLAY_TAB, ...approximatorRegistry.getTabs()];
+        this.settingConfig = {
+            ...DISPLAY_SETTINGS,
+            ...approximatorRegistry.getSettingConfig()
+        };
+    }
+
     createRoot() {
         const canvas = document.getElementById('canvas-container');
         if (!canvas) return null;
@@ -1089,6 +415,7 @@ export class ApproximatorManager {
         document.addEventListener('advancedModeStateChanged', this.handleAdvancedModeChange);
         document.addEventListener('languageStateChanged', this.handleLanguageStateChange);
         document.addEventListener('approximatorSettingsChanged', this.handleExternalSettingsChange);
+        document.addEventListener('approximatorRegistryChanged', this.handleRegistryChange);
 
         if (typeof window !== 'undefined') {
             window.addEventListener('beforeunload', this._handleBeforeUnload);
@@ -1462,6 +789,31 @@ export class ApproximatorManager {
         }
     }
 
+    // 近似手法の登録が変わったら、タブと設定項目、近似設定のモデルを作り直す
+    handleRegistryChange() {
+        this.buildConfigFromRegistry();
+        this.defaultModel = createDefaultModel();
+        this.defaultSettings = resolveSettings(this.defaultModel);
+        this.settingsModel = cloneModel(this.settingsModel);
+        this.settings = resolveSettings(this.settingsModel);
+
+        if (this.tabsContainer && this.contentContainer) {
+            const previousTab = this.activeTab;
+            this.controlElements.clear();
+            this.tabsContainer.innerHTML = '';
+            this.contentContainer.innerHTML = '';
+            this.activeTab = DISPLAY_TAB.id;
+            this.renderTabsAndPanels();
+            if (this.tabConfig.some(tab => tab.id === previousTab)) {
+                this.setActiveTab(previousTab);
+            }
+            this.syncUIFromSettings();
+            this.refreshControlDependencies();
+        }
+
+        this.applySettings({ source: 'approximator-registry', queueSave: false });
+    }
+
     handleAdvancedModeChange(event) {
         const enabled = !!(event && event.detail && typeof event.detail.enabled === 'boolean'
             ? event.detail.enabled
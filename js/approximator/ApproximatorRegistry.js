@@ -0,0 +1,342 @@
+import { CORE_APPROXIMATORS } from './coreApproximators.js';
+
+// 近似手法の設定のキーに使えない名前（パネル全体の設定と重なるもの）
+const RESERVED_SETTINGS_KEYS = [
+    'panel',
+    'categories',
+    'showKnotsDefault',
+    'snap',
+    'endpointSnap',
+    'snapRadius',
+    'pinEndpoints',
+    'prettyCoefficients',
+    'errorThreshold',
+    'maxKnots',
+    'samplingRate'
+];
+// 設定パネルで近似手法より前に置かれるタブ
+const RESERVED_TAB_IDS = ['display'];
+// 優先度を指定しなかった近似手法は標準の近似手法より後に回す
+const DEFAULT_PRIORITY = 10;
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function deepClone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * 近似手法のレジストリ
+ * 手書きの曲線の近似、設定パネルのタブ、近似設定のモデル、保存データの扱いはすべてここに登録された定義から決まる
+ */
+export class ApproximatorRegistry {
+    constructor() {
+        this.definitions = new Map();
+    }
+
+    /**
+     * 近似手法を登録する
+     * 登録済みの近似設定は、アプリの初期化より前に登録した近似手法の分だけ保存データから復元される
+     * @param {Object} definition - 近似手法の定義
+     * @param {string} definition.id - 近似手法のID（曲線の selectedApproximator にも使う）
+     * @param {Function} definition.create - (settings) => 近似クラスのインスタンス
+     * @param {Array<string>} [definition.types] - 近似結果の type（省略時は [id]）
+     * @param {string} [definition.settingsKey] - 近似設定のモデルのキー（省略時は id）
+     * @param {Object} [definition.defaults] - 近似設定の初期値
+     * @param {Object} [definition.tab] - 設定パネルのタブ { id, labelKey, fallback }
+     * @param {Object} [definition.settings] - 設定パネルの項目（ApproximatorManager の settingConfig と同じ形式、tab は不要）
+     * @param {Object} [definition.names] - 近似の候補として表示する名前 { ラベル: { key, text } }
+     * @param {number|Function} [definition.priority] - 自動選択の優先度（小さいほど優先、関数なら近似結果から決める）
+     * @param {Function} [definition.label] - (result) => 近似の候補のラベル（省略時は id）
+     * @param {boolean} [definition.autoSelect] - 手書きの曲線の自動選択に使うか（省略時は true）
+     * @param {Function} [definition.options] - (categorySettings, resolvedSettings) => 近似クラスに渡す設定
+     * @param {Function} [definition.approximate] - (approximator, points, domain, resolvedSettings) => 近似結果
+     *   （resolvedSettings.pinEndpoints が true のときは、スナップした点列の始点と終点を通るように近似する。
+     *    標準の近似手法で端点を固定するのは2次・3次ベジェ曲線と選択的近似だけで、それ以外は無視する。
+     *    スナップ先を通らない近似結果は、近似の候補の並べ替えで後ろに回される）
+     * @param {Object} [definition.equations] - 数式の扱い { pathType, skipRPN, buildPath }
+     * @param {Function} [definition.icon] - (color) => 曲線のアイコンのSVG文字列
+     * @returns {Object} 登録した定義
+     */
+    register(definition) {
+        const normalized = this._normalizeDefinition(definition);
+        this._validateConflicts(normalized);
+        this.definitions.set(normalized.id, normalized);
+        this._notifyChange('register', normalized.id);
+        return normalized;
+    }
+
+    /**
+     * 近似手法の登録を解除する
+     * @param {string} id - 近似手法のID
+     * @returns {boolean} 解除したかどうか
+     */
+    unregister(id) {
+        if (!this.definitions.has(id)) return false;
+        this.definitions.delete(id);
+        this._notifyChange('unregister', id);
+        return true;
+    }
+
+    has(id) {
+        return this.definitions.has(id);
+    }
+
+    get(id) {
+        return this.definitions.get(id) || null;
+    }
+
+    /**
+     * 登録順の定義の一覧
+     * @returns {Array<Object>}
+     */
+    list() {
+        return Array.from(this.definitions.values());
+    }
+
+    /**
+     * 近似結果の type から定義を探す
+     * @param {string} type - 近似結果の type（'quadratic', 'cubicChain' など）
+     * @returns {Object|null}
+     */
+    getByType(type) {
+        if (!type) return null;
+        return this.list().find(definition => definition.types.includes(type)) || null;
+    }
+
+    /**
+     * 近似の候補のラベルから定義を探す
+     * @param {string} label - 近似の候補のラベル（'linearVertical' など）
+     * @returns {Object|null}
+     */
+    getByLabel(label) {
+        if (!label) return null;
+        return this.get(label) ||
+            this.list().find(definition => Object.prototype.hasOwnProperty.call(definition.names, label)) ||
+            null;
+    }
+
+    /**
+     * 近似の候補の表示名
+     * @param {string} label - 近似の候補のラベル
+     * @returns {Object|null} { key, text }
+     */
+    getName(label) {
+        const definition = this.getByLabel(label);
+        return definition ? (definition.names[label] || null) : null;
+    }
+
+    /**
+     * 手書きの曲線の自動選択に使う定義
+     * @returns {Array<Object>}
+     */
+    getAutoSelectDefinitions() {
+        return this.list().filter(definition => definition.autoSelect);
+    }
+
+    /**
+     * 近似結果から自動選択の優先度を求める
+     * @param {Object} definition
+     * @param {Object|null} result - 近似結果
+     * @returns {number}
+     */
+    resolvePriority(definition, result) {
+        const priority = typeof definition.priority === 'function'
+            ? definition.priority(result)
+            : definition.priority;
+        return Number.isFinite(priority) ? priority : DEFAULT_PRIORITY;
+    }
+
+    /**
+     * 近似結果から近似の候補のラベルを求める
+     * @param {Object} definition
+     * @param {Object|null} result - 近似結果
+     * @returns {string}
+     */
+    resolveLabel(definition, result) {
+        const label = typeof definition.label === 'function' ? definition.label(result) : null;
+        return typeof label === 'string' && label ? label : definition.id;
+    }
+
+    /**
+     * 近似設定を近似クラスのインスタンスに反映する
+     * @param {Object} definition
+     * @param {Object} approximator - 近似クラスのインスタンス
+     * @param {Object} resolvedSettings - resolveSettings で展開した近似設定
+     */
+    applyOptions(definition, approximator, resolvedSettings) {
+        if (!approximator || !resolvedSettings) return;
+        const categories = resolvedSettings.categories || {};
+        const categorySettings = categories[definition.settingsKey] || resolvedSettings[definition.settingsKey];
+        const nextOptions = typeof definition.options === 'function'
+            ? definition.options({ ...(categorySettings || {}) }, resolvedSettings)
+            : categorySettings;
+        if (!nextOptions) return;
+
+        // 係数の厳密表示はパネル全体の設定なので、近似クラスには式を作るときの options.pretty として渡す
+        const options = { ...nextOptions, pretty: resolvedSettings.prettyCoefficients === true };
+        if (typeof approximator.setOptions === 'function') {
+            approximator.setOptions(options);
+        } else if (approximator.options) {
+            approximator.options = {
+                ...approximator.options,
+                ...options
+            };
+        }
+    }
+
+    /**
+     * 近似設定のモデルのキー（パネル全体の設定を除く）
+     * @returns {Array<string>}
+     */
+    getSettingsKeys() {
+        return this.list().map(definition => definition.settingsKey);
+    }
+
+    /**
+     * 近似設定のモデルの初期値（パネル全体の設定を除く）
+     * @returns {Object}
+     */
+    getDefaultSettings() {
+        const defaults = {};
+        this.list().forEach(definition => {
+            defaults[definition.settingsKey] = deepClone(definition.defaults);
+        });
+        return defaults;
+    }
+
+    /**
+     * 設定パネルのタブ（登録順）
+     * @returns {Array<Object>} [{ id, labelKey, fallback }]
+     */
+    getTabs() {
+        return this.list()
+            .filter(definition => definition.tab)
+            .map(definition => ({ ...definition.tab }));
+    }
+
+    /**
+     * 設定パネルの項目（ApproximatorManager の settingConfig と同じ形式）
+     * @returns {Object}
+     */
+    getSettingConfig() {
+        const config = {};
+        this.list().forEach(definition => {
+            if (!definition.tab) return;
+            Object.entries(definition.settings).forEach(([settingKey, meta]) => {
+                config[settingKey] = { ...meta, tab: definition.tab.id };
+            });
+        });
+        return config;
+    }
+
+    /**
+     * RPN を生成しない数式の type
+     * @returns {Array<string>}
+     */
+    getSkipRPNTypes() {
+        const types = [];
+        this.list().forEach(definition => {
+            definition.equations.skipRPN.forEach(type => {
+                if (!types.includes(type)) types.push(type);
+            });
+        });
+        return types;
+    }
+
+    // 定義の既定値を補い、形式を確認する
+    _normalizeDefinition(definition) {
+        if (!isPlainObject(definition)) {
+            throw new Error('近似手法の定義はオブジェクトで指定してください');
+        }
+        const { id } = definition;
+        if (typeof id !== 'string' || !id) {
+            throw new Error('近似手法のIDは空でない文字列で指定してください');
+        }
+        if (typeof definition.create !== 'function') {
+            throw new Error(`近似手法 ${id} の create は関数で指定してください`);
+        }
+
+        const settingsKey = definition.settingsKey || id;
+        if (RESERVED_SETTINGS_KEYS.includes(settingsKey)) {
+            throw new Error(`近似手法 ${id} の設定のキー ${settingsKey} は使用できません`);
+        }
+
+        const types = Array.isArray(definition.types) && definition.types.length ? [...definition.types] : [id];
+        if (!types.every(type => typeof type === 'string' && type)) {
+            throw new Error(`近似手法 ${id} の types は文字列の配列で指定してください`);
+        }
+
+        let tab = null;
+        if (definition.tab) {
+            if (!isPlainObject(definition.tab) || typeof definition.tab.id !== 'string' || !definition.tab.id) {
+                throw new Error(`近似手法 ${id} の tab には id を指定してください`);
+            }
+            if (RESERVED_TAB_IDS.includes(definition.tab.id)) {
+                throw new Error(`近似手法 ${id} のタブ ${definition.tab.id} は使用できません`);
+            }
+            tab = {
+                id: definition.tab.id,
+                labelKey: definition.tab.labelKey || `approximator.tab.${definition.tab.id}`,
+                fallback: definition.tab.fallback || id
+            };
+        }
+
+        const equations = isPlainObject(definition.equations) ? definition.equations : {};
+
+        return {
+            ...definition,
+            id,
+            types,
+            settingsKey,
+            tab,
+            defaults: isPlainObject(definition.defaults) ? deepClone(definition.defaults) : {},
+            settings: isPlainObject(definition.settings) ? { ...definition.settings } : {},
+            names: isPlainObject(definition.names) ? { ...definition.names } : {},
+            priority: definition.priority ?? DEFAULT_PRIORITY,
+            autoSelect: definition.autoSelect !== false,
+            approximate: typeof definition.approximate === 'function'
+                ? definition.approximate
+                : (approximator, points, domain, settings) => approximator.approximate(points, domain, settings[settingsKey] || {}),
+            equations: {
+                pathType: typeof equations.pathType === 'string' ? equations.pathType : null,
+                skipRPN: Array.isArray(equations.skipRPN) ? [...equations.skipRPN] : [],
+                buildPath: typeof equations.buildPath === 'function' ? equations.buildPath : null
+            }
+        };
+    }
+
+    // 登録済みの近似手法とID、設定のキー、タブ、設定パネルの項目が重ならないか確認する
+    _validateConflicts(definition) {
+        if (this.definitions.has(definition.id)) {
+            throw new Error(`近似手法 ${definition.id} はすでに登録されています`);
+        }
+        const settingKeys = Object.keys(definition.settings);
+        this.list().forEach(other => {
+            if (other.settingsKey === definition.settingsKey) {
+                throw new Error(`設定のキー ${definition.settingsKey} は近似手法 ${other.id} が使用しています`);
+            }
+            if (definition.tab && other.tab && other.tab.id === definition.tab.id) {
+                throw new Error(`タブ ${definition.tab.id} は近似手法 ${other.id} が使用しています`);
+            }
+            const duplicated = settingKeys.find(key => Object.prototype.hasOwnProperty.call(other.settings, key));
+            if (duplicated) {
+                throw new Error(`設定項目 ${duplicated} は近似手法 ${other.id} が使用しています`);
+            }
+        });
+    }
+
+    // 登録内容の変更を通知（設定パネルと近似設定の作り直しに使う）
+    _notifyChange(action, id) {
+        if (typeof document === 'undefined' || typeof CustomEvent === 'undefined') return;
+        document.dispatchEvent(new CustomEvent('approximatorRegistryChanged', {
+            detail: { action, id }
+        }));
+    }
+}
+
+// アプリ全体で共有するレジストリ（標準の近似手法を登録済み）
+export const approximatorRegistry = new ApproximatorRegistry();
+CORE_APPROXIMATORS.forEach(definition => approximatorRegistry.register(definition));
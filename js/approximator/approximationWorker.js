@@ -0,0 +1,43 @@
+// 近似ワーカー（ApproximationWorkerClient から module worker として読み込まれる）
+// 標準の近似手法で点列を近似し、近似手法のIDごとの近似結果を返す
+import { approximatorRegistry } from './ApproximatorRegistry.js';
+
+// 近似クラスのインスタンス（近似手法のIDごとに保持）
+const approximators = new Map();
+
+function getApproximator(definition, constructorSettings) {
+    if (!approximators.has(definition.id)) {
+        approximators.set(definition.id, definition.create(constructorSettings || {}));
+    }
+    return approximators.get(definition.id);
+}
+
+function approximate(message) {
+    const { ids, points, domain, settings, constructorSettings } = message;
+
+    const results = {};
+    ids.forEach(id => {
+        const definition = approximatorRegistry.get(id);
+        results[id] = null;
+        if (!definition) return;
+        try {
+            const approximator = getApproximator(definition, constructorSettings);
+            approximatorRegistry.applyOptions(definition, approximator, settings);
+            results[id] = definition.approximate(approximator, points, domain, settings);
+        } catch (error) {
+            console.warn(`近似手法 ${id} での近似に失敗しました:`, error);
+        }
+    });
+    return results;
+}
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+    if (!message || message.type !== 'approximate') return;
+
+    try {
+        self.postMessage({ type: 'result', jobId: message.jobId, results: approximate(message) });
+    } catch (error) {
+        self.postMessage({ type: 'error', jobId: message.jobId, message: error.message });
+    }
+});
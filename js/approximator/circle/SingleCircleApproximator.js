@@ -696,7 +696,7 @@ export class SingleCircleApproximator {
                     gapRatio: chosen.gapRatio,
                     snappedFromEllipse: !!chosen.snappedFromEllipse
                 }
-            }, { decimals: 3 });
+            }, { decimals: 3, pretty: effectiveOptions.pretty });
             const knotTuples = generateCircleKnots(chosen.center, chosen.radius, 4);
             const exportData = {
                 type: SingleCircleApproximator.approximatorType,
@@ -715,6 +715,7 @@ export class SingleCircleApproximator {
                 type: SingleCircleApproximator.approximatorType,
                 svgPath,
                 latexEquations: [equation],
+                closed: true,
                 segments: [
                     {
                         type: "circle",
@@ -770,7 +771,7 @@ export class SingleCircleApproximator {
                 gapRatio: ellipseResult.gapRatio,
                 eccentricity: ellipseResult.eccentricity
             }
-        }, { decimals: 3 });
+        }, { decimals: 3, pretty: effectiveOptions.pretty });
         const knotTuples = generateEllipseKnots(ellipseResult.center, ellipseResult.radiusX, ellipseResult.radiusY, ellipseResult.rotation, 4);
         const exportData = {
             type: SingleCircleApproximator.approximatorType,
@@ -790,6 +791,7 @@ export class SingleCircleApproximator {
             type: SingleCircleApproximator.approximatorType,
             svgPath,
             latexEquations: [equation],
+            closed: true,
             segments: [
                 {
                     type: "ellipse",
@@ -0,0 +1,941 @@
+import { LinearFunctionApproximator } from './linear/LinearFunctionApproximator.js';
+import { PiecewiseLinearApproximator } from './linear/PiecewiseLinearApproximator.js';
+import { QuadraticBSplineCurveApproximator } from './quadratic/QuadraticBSplineCurveApproximator.js';
+import { SingleQuadraticBezierApproximator } from './quadratic/SingleQuadraticBezierApproximator.js';
+import { QuadraticBezierChainApproximator } from './quadratic/QuadraticBezierChainApproximator.js';
+import { CubicBezierChainApproximator } from './cubic/CubicBezierChainApproximator.js';
+import { SingleCircleApproximator } from './circle/SingleCircleApproximator.js';
+import { SelectiveCurveApproximator } from './selective/SelectiveCurveApproximator.js';
+
+// 直線系の近似はパネルのスナップ設定も使う
+function withPanelSnap(categorySettings, resolvedSettings) {
+    return {
+        ...categorySettings,
+        snap: typeof resolvedSettings.snap === 'boolean' ? resolvedSettings.snap : false
+    };
+}
+
+/**
+ * 標準の近似手法の定義（設定パネルのタブはこの順に並ぶ）
+ * 定義の形式は ApproximatorRegistry.register を参照
+ */
+export const CORE_APPROXIMATORS = [
+    {
+        id: 'linear',
+        types: ['linear', 'constant', 'vertical'],
+        settingsKey: 'linear',
+        names: {
+            linear: { key: 'curve.alternatives.label.linear', text: '一次関数' },
+            linearVertical: { key: 'curve.alternatives.label.linearVertical', text: '垂直な直線' }
+        },
+        tab: { id: 'linear-single', labelKey: 'approximator.tab.linear_single', fallback: '一次直線近似' },
+        defaults: {
+            linearityThreshold: 0.95,
+            percentTolerance: 0.1,
+            verticalSlopeThreshold: 10,
+            horizontalSlopeThreshold: 0.1,
+            quantizeControlAxis: false
+        },
+        settings: {
+            linearQuantizeControlAxis: {
+                type: 'toggle',
+                icon: 'straighten',
+                labelKey: 'approximator.settings.linear_quantize_axis',
+                fallback: '直線制御点を量子化',
+                path: ['linear', 'quantizeControlAxis'],
+                dependsOn: ['snap']
+            },
+            linearLinearityThreshold: {
+                type: 'range',
+                labelKey: 'approximator.settings.linear.linearity_threshold',
+                fallback: '線形性閾値',
+                min: 0.5,
+                max: 1,
+                step: 0.01,
+                decimals: 2,
+                path: ['linear', 'linearityThreshold']
+            },
+            linearPercentTolerance: {
+                type: 'range',
+                labelKey: 'approximator.settings.linear.percent_tolerance',
+                fallback: '許容比率',
+                min: 0,
+                max: 0.5,
+                step: 0.01,
+                decimals: 2,
+                path: ['linear', 'percentTolerance']
+            },
+            linearVerticalSlopeThreshold: {
+                type: 'range',
+                labelKey: 'approximator.settings.linear.vertical_slope_threshold',
+                fallback: '垂直判定傾き',
+                min: 1,
+                max: 50,
+                step: 0.5,
+                decimals: 2,
+                path: ['linear', 'verticalSlopeThreshold']
+            },
+            linearHorizontalSlopeThreshold: {
+                type: 'range',
+                labelKey: 'approximator.settings.linear.horizontal_slope_threshold',
+                fallback: '水平判定傾き',
+                min: 0.01,
+                max: 1,
+                step: 0.01,
+                decimals: 2,
+                path: ['linear', 'horizontalSlopeThreshold']
+            },
+            errorThreshold: {
+                type: 'range',
+                labelKey: 'approximator.settings.error_threshold',
+                fallback: '許容誤差 (DP)',
+                min: 1,
+                max: 30,
+                step: 0.1,
+                decimals: 1
+            }
+        },
+        // 定数関数は折れ線の次に優先する
+        priority: (result) => (result && result.success && result.type === 'constant') ? 1 : 2,
+        label: (result) => (result && result.success && result.type === 'vertical') ? 'linearVertical' : 'linear',
+        create: (settings) => new LinearFunctionApproximator(settings),
+        options: withPanelSnap,
+        // 始点と終点を結ぶが、グリッドへの丸めや水平・垂直への補正で端点がずれるため pinEndpoints は渡さない
+        approximate: (approximator, points, domain) => approximator.approximate(points, domain)
+    },
+    {
+        id: 'piecewiseLinear',
+        types: ['piecewiseLinear'],
+        settingsKey: 'piecewiseLinear',
+        names: {
+            piecewiseLinear: { key: 'curve.alternatives.label.piecewiseLinear', text: '折れ線' }
+        },
+        tab: { id: 'linear-piecewise', labelKey: 'approximator.tab.linear_piecewise', fallback: '折れ線近似' },
+        defaults: {
+            linearityThreshold: 0.98,
+            segmentLinearityThreshold: 0.95,
+            percentTolerance: 0.1,
+            verticalSlopeThreshold: 10,
+            horizontalSlopeThreshold: 0.1,
+            quantizeControlAxis: false
+        },
+        settings: {
+            piecewiseQuantizeControlAxis: {
+                type: 'toggle',
+                icon: 'straighten',
+                labelKey: 'approximator.settings.piecewise_quantize_axis',
+                fallback: '折れ線制御点を量子化',
+                path: ['piecewiseLinear', 'quantizeControlAxis'],
+                dependsOn: ['snap']
+            },
+            piecewiseLinearityThreshold: {
+                type: 'range',
+                labelKey: 'approximator.settings.piecewise.linearity_threshold',
+                fallback: '全体線形性閾値',
+                min: 0.5,
+                max: 1,
+                step: 0.01,
+                decimals: 2,
+                path: ['piecewiseLinear', 'linearityThreshold']
+            },
+            piecewiseSegmentLinearityThreshold: {
+                type: 'range',
+                labelKey: 'approximator.settings.piecewise.segment_linearity_threshold',
+                fallback: 'セグメント線形性閾値',
+                min: 0.5,
+                max: 1,
+                step: 0.01,
+                decimals: 2,
+                path: ['piecewiseLinear', 'segmentLinearityThreshold']
+            },
+            piecewisePercentTolerance: {
+                type: 'range',
+                labelKey: 'approximator.settings.piecewise.percent_tolerance',
+                fallback: '許容比率',
+                min: 0,
+                max: 0.5,
+                step: 0.01,
+                decimals: 2,
+                path: ['piecewiseLinear', 'percentTolerance']
+            },
+            piecewiseVerticalSlopeThreshold: {
+                type: 'range',
+                labelKey: 'approximator.settings.piecewise.vertical_slope_threshold',
+                fallback: '垂直判定傾き',
+                min: 1,
+                max: 50,
+                step: 0.5,
+                decimals: 2,
+                path: ['piecewiseLinear', 'verticalSlopeThreshold']
+            },
+            piecewiseHorizontalSlopeThreshold: {
+                type: 'range',
+                labelKey: 'approximator.settings.piecewise.horizontal_slope_threshold',
+                fallback: '水平判定傾き',
+                min: 0.01,
+                max: 1,
+                step: 0.01,
+                decimals: 2,
+                path: ['piecewiseLinear', 'horizontalSlopeThreshold']
+            }
+        },
+        priority: 0,
+        create: (settings) => new PiecewiseLinearApproximator(settings),
+        options: withPanelSnap,
+        // 直線と同じく、端点が丸めや補正でずれるため pinEndpoints は渡さない
+        approximate: (approximator, points, domain) => approximator.approximate(points, domain)
+    },
+    {
+        id: 'quadraticBSpline',
+        types: ['quadratic'],
+        settingsKey: 'quadraticBSpline',
+        names: {
+            quadraticBSpline: { key: 'curve.alternatives.label.quadraticBSpline', text: '二次関数（スプライン）' }
+        },
+        tab: { id: 'quadratic-bspline', labelKey: 'approximator.tab.quadratic_bspline', fallback: '二次Bスプライン' },
+        defaults: {
+            minKnots: 2,
+            maxKnots: 10,
+            minKnotDistance: 0.05
+        },
+        settings: {
+            maxKnots: {
+                type: 'range',
+                labelKey: 'approximator.settings.max_knots',
+                fallback: '最大節点数 (パネル)',
+                min: 2,
+                max: 10,
+                step: 1
+            },
+            bsplineMinKnots: {
+                type: 'range',
+                labelKey: 'approximator.settings.bspline.min_knots',
+                fallback: '最小節点数',
+                min: 2,
+                max: 10,
+                step: 1,
+                path: ['quadraticBSpline', 'minKnots']
+            },
+            bsplineMaxKnots: {
+                type: 'range',
+                labelKey: 'approximator.settings.bspline.max_knots',
+                fallback: '最大節点数',
+                min: 2,
+                max: 16,
+                step: 1,
+                path: ['quadraticBSpline', 'maxKnots']
+            },
+            bsplineMinKnotDistance: {
+                type: 'range',
+                labelKey: 'approximator.settings.bspline.min_knot_distance',
+                fallback: '節点最小間隔',
+                min: 0.01,
+                max: 0.5,
+                step: 0.01,
+                decimals: 2,
+                path: ['quadraticBSpline', 'minKnotDistance']
+            }
+        },
+        priority: 5,
+        create: (settings) => new QuadraticBSplineCurveApproximator(settings),
+        // Bスプラインの最小二乗近似は端点を固定できないため、settings.pinEndpoints は使われない
+        approximate: (approximator, points, domain, settings) => approximator.approximate(points, domain, settings)
+    },
+    {
+        id: 'singleQuadratic',
+        types: ['singleQuadratic'],
+        settingsKey: 'singleQuadratic',
+        names: {
+            singleQuadratic: { key: 'curve.alternatives.label.singleQuadratic', text: '2次ベジェ曲線' }
+        },
+        tab: { id: 'quadratic-single', labelKey: 'approximator.tab.quadratic_single', fallback: '単一二次ベジェ' },
+        defaults: {
+            quantization: 'auto',
+            allowSelfIntersection: false,
+            smoothWindow: 5,
+            resampleCount: 96,
+            pruneTolerance: 0,
+            closed: false,
+            extremaProminenceRatio: 0.04,
+            extremaPersistence: 3,
+            curvatureThreshold: 0.21,
+            curvaturePersistence: 2,
+            monotonicToleranceRatio: 0.05,
+            errorToleranceRatio: 0.075,
+            allowedExtrema: 2,
+            allowedCurvatureFlips: 1,
+            minStrokeLength: 0.5,
+            minDiagonal: 0.25,
+            closureRatio: 0.04
+        },
+        settings: {
+            singleQuadAllowSelfIntersection: {
+                type: 'toggle',
+                icon: 'point_scan',
+                labelKey: 'approximator.settings.single_quad.allow_self_intersection',
+                fallback: '自己交差を許可',
+                path: ['singleQuadratic', 'allowSelfIntersection']
+            },
+            singleQuadClosed: {
+                type: 'toggle',
+                icon: '360',
+                labelKey: 'approximator.settings.single_quad.closed',
+                fallback: '閉曲線として処理',
+                path: ['singleQuadratic', 'closed']
+            },
+            singleQuadSmoothWindow: {
+                type: 'range',
+                labelKey: 'approximator.settings.single_quad.smooth_window',
+                fallback: 'スムージング窓',
+                min: 1,
+                max: 25,
+                step: 1,
+                path: ['singleQuadratic', 'smoothWindow']
+            },
+            singleQuadResampleCount: {
+                type: 'range',
+                labelKey: 'approximator.settings.single_quad.resample_count',
+                fallback: 'リサンプル数',
+                min: 32,
+                max: 256,
+                step: 1,
+                path: ['singleQuadratic', 'resampleCount']
+            },
+            singleQuadPruneTolerance: {
+                type: 'range',
+                labelKey: 'approximator.settings.single_quad.prune_tolerance',
+                fallback: '枝刈り許容',
+                min: 0,
+                max: 0.2,
+                step: 0.005,
+                decimals: 3,
+                path: ['singleQuadratic', 'pruneTolerance']
+            },
+            singleQuadExtremaProminence: {
+                type: 'range',
+                labelKey: 'approximator.settings.single_quad.extrema_prominence',
+                fallback: '極値顕著度',
+                min: 0,
+                max: 0.2,
+                step: 0.005,
+                decimals: 3,
+                path: ['singleQuadratic', 'extremaProminenceRatio']
+            },
+            singleQuadExtremaPersistence: {
+                type: 'range',
+                labelKey: 'approximator.settings.single_quad.extrema_persistence',
+                fallback: '極値距離',
+                min: 1,
+                max: 10,
+                step: 1,
+                path: ['singleQuadratic', 'extremaPersistence']
+            },
+            singleQuadCurvatureThreshold: {
+                type: 'range',
+                labelKey: 'approximator.settings.single_quad.curvature_threshold',
+                fallback: '曲率閾値',
+                min: 0,
+                max: 1,
+                step: 0.01,
+                decimals: 2,
+                path: ['singleQuadratic', 'curvatureThreshold']
+            },
+            singleQuadCurvaturePersistence: {
+                type: 'range',
+                labelKey: 'approximator.settings.single_quad.curvature_persistence',
+                fallback: '曲率維持距離',
+                min: 1,
+                max: 10,
+                step: 1,
+                path: ['singleQuadratic', 'curvaturePersistence']
+            },
+            singleQuadMonotonicTolerance: {
+                type: 'range',
+                labelKey: 'approximator.settings.single_quad.monotonic_tolerance',
+                fallback: '単調許容比',
+                min: 0,
+                max: 0.2,
+                step: 0.005,
+                decimals: 3,
+                path: ['singleQuadratic', 'monotonicToleranceRatio']
+            },
+            singleQuadErrorTolerance: {
+                type: 'range',
+                labelKey: 'approximator.settings.single_quad.error_tolerance',
+                fallback: '誤差許容比',
+                min: 0,
+                max: 0.2,
+                step: 0.005,
+                decimals: 3,
+                path: ['singleQuadratic', 'errorToleranceRatio']
+            },
+            singleQuadAllowedExtrema: {
+                type: 'range',
+                labelKey: 'approximator.settings.single_quad.allowed_extrema',
+                fallback: '極値数上限',
+                min: 0,
+                max: 6,
+                step: 1,
+                path: ['singleQuadratic', 'allowedExtrema']
+            },
+            singleQuadAllowedCurvatureFlips: {
+                type: 'range',
+                labelKey: 'approximator.settings.single_quad.allowed_curvature_flips',
+                fallback: '曲率反転上限',
+                min: 0,
+                max: 6,
+                step: 1,
+                path: ['singleQuadratic', 'allowedCurvatureFlips']
+            },
+            singleQuadMinStrokeLength: {
+                type: 'range',
+                labelKey: 'approximator.settings.single_quad.min_stroke_length',
+                fallback: '最小ストローク長',
+                min: 0,
+                max: 10,
+                step: 0.05,
+                decimals: 2,
+                path: ['singleQuadratic', 'minStrokeLength']
+            },
+            singleQuadMinDiagonal: {
+                type: 'range',
+                labelKey: 'approximator.settings.single_quad.min_diagonal',
+                fallback: '最小対角長',
+                min: 0,
+                max: 10,
+                step: 0.05,
+                decimals: 2,
+                path: ['singleQuadratic', 'minDiagonal']
+            },
+            singleQuadClosureRatio: {
+                type: 'range',
+                labelKey: 'approximator.settings.single_quad.closure_ratio',
+                fallback: '閉じ比率閾値',
+                min: 0,
+                max: 0.2,
+                step: 0.005,
+                decimals: 3,
+                path: ['singleQuadratic', 'closureRatio']
+            }
+        },
+        priority: 3,
+        create: (settings) => new SingleQuadraticBezierApproximator(settings),
+        approximate: (approximator, points, domain, settings) => approximator.approximate(points, domain, settings),
+        equations: { pathType: 'quadraticBezier' }
+    },
+    {
+        id: 'quadraticChain',
+        types: ['quadraticChain'],
+        settingsKey: 'quadraticChain',
+        tab: { id: 'quadratic-chain', labelKey: 'approximator.tab.quadratic_chain', fallback: '二次ベジェチェーン' },
+        defaults: {
+            maxSegments: 8,
+            enforceC1: true,
+            smoothWindow: 5,
+            resampleCount: 128,
+            pruneTolerance: 0,
+            closed: false
+        },
+        settings: {
+            chainEnforceC1: {
+                type: 'toggle',
+                icon: 'gesture',
+                labelKey: 'approximator.settings.chain.enforce_c1',
+                fallback: 'C¹連続を強制',
+                path: ['quadraticChain', 'enforceC1']
+            },
+            chainClosed: {
+                type: 'toggle',
+                icon: '360',
+                labelKey: 'approximator.settings.chain.closed',
+                fallback: '閉曲線として処理',
+                path: ['quadraticChain', 'closed']
+            },
+            chainMaxSegments: {
+                type: 'range',
+                labelKey: 'approximator.settings.chain.max_segments',
+                fallback: '最大セグメント数',
+                min: 1,
+                max: 12,
+                step: 1,
+                path: ['quadraticChain', 'maxSegments']
+            },
+            chainSmoothWindow: {
+                type: 'range',
+                labelKey: 'approximator.settings.chain.smooth_window',
+                fallback: 'スムージング窓',
+                min: 1,
+                max: 25,
+                step: 1,
+                path: ['quadraticChain', 'smoothWindow']
+            },
+            chainResampleCount: {
+                type: 'range',
+                labelKey: 'approximator.settings.chain.resample_count',
+                fallback: 'リサンプル数',
+                min: 32,
+                max: 256,
+                step: 1,
+                path: ['quadraticChain', 'resampleCount']
+            },
+            chainPruneTolerance: {
+                type: 'range',
+                labelKey: 'approximator.settings.chain.prune_tolerance',
+                fallback: '枝刈り許容',
+                min: 0,
+                max: 0.2,
+                step: 0.005,
+                decimals: 3,
+                path: ['quadraticChain', 'pruneTolerance']
+            }
+        },
+        priority: 6,
+        // 手書きの曲線の自動選択には使わない
+        autoSelect: false,
+        create: (settings) => new QuadraticBezierChainApproximator(settings),
+        approximate: (approximator, points, domain, settings) => approximator.approximate(points, domain, settings)
+    },
+    {
+        id: 'cubicChain',
+        types: ['cubicChain'],
+        settingsKey: 'cubicChain',
+        names: {
+            cubicChain: { key: 'curve.alternatives.label.cubicChain', text: '3次ベジェチェーン' }
+        },
+        tab: { id: 'cubic-chain', labelKey: 'approximator.tab.cubic_chain', fallback: '三次ベジェチェーン' },
+        defaults: {
+            errorTolerance: 0.01,
+            maxSegments: 8,
+            maxIterations: 4,
+            smoothWindow: 5,
+            resampleCount: 128,
+            pruneTolerance: 0,
+            closed: false
+        },
+        settings: {
+            cubicChainClosed: {
+                type: 'toggle',
+                icon: '360',
+                labelKey: 'approximator.settings.cubic_chain.closed',
+                fallback: '閉曲線として処理',
+                path: ['cubicChain', 'closed']
+            },
+            cubicChainErrorTolerance: {
+                type: 'range',
+                labelKey: 'approximator.settings.cubic_chain.error_tolerance',
+                fallback: '誤差許容',
+                min: 0.002,
+                max: 0.05,
+                step: 0.001,
+                decimals: 3,
+                path: ['cubicChain', 'errorTolerance']
+            },
+            cubicChainMaxSegments: {
+                type: 'range',
+                labelKey: 'approximator.settings.cubic_chain.max_segments',
+                fallback: '最大セグメント数',
+                min: 1,
+                max: 16,
+                step: 1,
+                path: ['cubicChain', 'maxSegments']
+            },
+            cubicChainMaxIterations: {
+                type: 'range',
+                labelKey: 'approximator.settings.cubic_chain.max_iterations',
+                fallback: '再パラメータ化の回数',
+                min: 0,
+                max: 10,
+                step: 1,
+                path: ['cubicChain', 'maxIterations']
+            },
+            cubicChainSmoothWindow: {
+                type: 'range',
+                labelKey: 'approximator.settings.cubic_chain.smooth_window',
+                fallback: 'スムージング窓',
+                min: 1,
+                max: 25,
+                step: 1,
+                path: ['cubicChain', 'smoothWindow']
+            },
+            cubicChainResampleCount: {
+                type: 'range',
+                labelKey: 'approximator.settings.cubic_chain.resample_count',
+                fallback: 'リサンプル数',
+                min: 32,
+                max: 256,
+                step: 1,
+                path: ['cubicChain', 'resampleCount']
+            },
+            cubicChainPruneTolerance: {
+                type: 'range',
+                labelKey: 'approximator.settings.cubic_chain.prune_tolerance',
+                fallback: '枝刈り許容',
+                min: 0,
+                max: 0.2,
+                step: 0.005,
+                decimals: 3,
+                path: ['cubicChain', 'pruneTolerance']
+            }
+        },
+        priority: 6,
+        create: (settings) => new CubicBezierChainApproximator(settings),
+        approximate: (approximator, points, domain, settings) => approximator.approximate(points, domain, {
+            ...(settings.cubicChain || {}),
+            pinEndpoints: !!settings.pinEndpoints
+        }),
+        equations: { pathType: 'cubicBezier' }
+    },
+    {
+        id: 'singleCircle',
+        types: ['singleCircle'],
+        settingsKey: 'singleCircle',
+        names: {
+            singleCircle: { key: 'curve.alternatives.label.singleCircle', text: '円・楕円' }
+        },
+        tab: { id: 'circle-single', labelKey: 'approximator.tab.circle_single', fallback: '円・楕円近似' },
+        defaults: {
+            enableEllipse: true,
+            preferEllipse: false,
+            quantizationEnabled: false,
+            quantizeCenter: true,
+            quantizeAxes: true,
+            maxEccentricity: 0.8,
+            circleSnapRatio: 0.08,
+            smoothWindow: 5,
+            resampleCount: 128,
+            pruneTolerance: 0,
+            closed: true,
+            circleRmsTolerance: 0.015,
+            ellipseRmsTolerance: 0.02,
+            maxEndpointGapRatio: 0.4,
+            minCoverageRatio: 0.6
+        },
+        settings: {
+            circleEnableEllipse: {
+                type: 'toggle',
+                icon: 'vignette',
+                labelKey: 'approximator.settings.circle.enable_ellipse',
+                fallback: '楕円を許可',
+                path: ['singleCircle', 'enableEllipse']
+            },
+            circlePreferEllipse: {
+                type: 'toggle',
+                icon: 'business_chip',
+                labelKey: 'approximator.settings.circle.prefer_ellipse',
+                fallback: '楕円を優先',
+                path: ['singleCircle', 'preferEllipse']
+            },
+            circleClosed: {
+                type: 'toggle',
+                icon: '360',
+                labelKey: 'approximator.settings.circle.closed',
+                fallback: '閉曲線として処理',
+                path: ['singleCircle', 'closed']
+            },
+            circleMaxEccentricity: {
+                type: 'range',
+                labelKey: 'approximator.settings.circle.max_eccentricity',
+                fallback: '最大離心率',
+                min: 0,
+                max: 0.99,
+                step: 0.01,
+                decimals: 2,
+                path: ['singleCircle', 'maxEccentricity']
+            },
+            circleSnapRatio: {
+                type: 'range',
+                labelKey: 'approximator.settings.circle.snap_ratio',
+                fallback: '円スナップ比',
+                min: 0,
+                max: 0.5,
+                step: 0.01,
+                decimals: 2,
+                path: ['singleCircle', 'circleSnapRatio']
+            },
+            circleSmoothWindow: {
+                type: 'range',
+                labelKey: 'approximator.settings.circle.smooth_window',
+                fallback: 'スムージング窓',
+                min: 1,
+                max: 25,
+                step: 1,
+                path: ['singleCircle', 'smoothWindow']
+            },
+            circleResampleCount: {
+                type: 'range',
+                labelKey: 'approximator.settings.circle.resample_count',
+                fallback: 'リサンプル数',
+                min: 32,
+                max: 256,
+                step: 1,
+                path: ['singleCircle', 'resampleCount']
+            },
+            circlePruneTolerance: {
+                type: 'range',
+                labelKey: 'approximator.settings.circle.prune_tolerance',
+                fallback: '枝刈り許容',
+                min: 0,
+                max: 0.2,
+                step: 0.005,
+                decimals: 3,
+                path: ['singleCircle', 'pruneTolerance']
+            },
+            circleCircleRmsTolerance: {
+                type: 'range',
+                labelKey: 'approximator.settings.circle.circle_rms_tolerance',
+                fallback: '円 RMS 許容',
+                min: 0,
+                max: 0.1,
+                step: 0.001,
+                decimals: 3,
+                path: ['singleCircle', 'circleRmsTolerance']
+            },
+            circleEllipseRmsTolerance: {
+                type: 'range',
+                labelKey: 'approximator.settings.circle.ellipse_rms_tolerance',
+                fallback: '楕円 RMS 許容',
+                min: 0,
+                max: 0.2,
+                step: 0.001,
+                decimals: 3,
+                path: ['singleCircle', 'ellipseRmsTolerance']
+            },
+            circleMaxEndpointGapRatio: {
+                type: 'range',
+                labelKey: 'approximator.settings.circle.max_endpoint_gap_ratio',
+                fallback: '始終点ギャップ比',
+                min: 0,
+                max: 1,
+                step: 0.01,
+                decimals: 2,
+                path: ['singleCircle', 'maxEndpointGapRatio']
+            },
+            circleMinCoverageRatio: {
+                type: 'range',
+                labelKey: 'approximator.settings.circle.min_coverage_ratio',
+                fallback: '最小カバー率',
+                min: 0,
+                max: 1,
+                step: 0.01,
+                decimals: 2,
+                path: ['singleCircle', 'minCoverageRatio']
+            },
+            circleQuantizationEnabled: {
+                type: 'toggle',
+                icon: 'straighten',
+                labelKey: 'approximator.settings.circle.quantization_enabled',
+                fallback: '量子化を有効化',
+                path: ['singleCircle', 'quantizationEnabled']
+            },
+            circleQuantizeCenter: {
+                type: 'toggle',
+                icon: 'my_location',
+                labelKey: 'approximator.settings.circle.quantize_center',
+                fallback: '中心を量子化',
+                path: ['singleCircle', 'quantizeCenter'],
+                dependsOn: ['singleCircle.quantizationEnabled']
+            },
+            circleQuantizeAxes: {
+                type: 'toggle',
+                icon: 'adjust',
+                labelKey: 'approximator.settings.circle.quantize_axes',
+                fallback: '半径/軸を量子化',
+                path: ['singleCircle', 'quantizeAxes'],
+                dependsOn: ['singleCircle.quantizationEnabled']
+            }
+        },
+        priority: 4,
+        create: (settings) => new SingleCircleApproximator(settings),
+        // 円・楕円は閉じた曲線で端点を持たないため、settings.pinEndpoints は使われない
+        approximate: (approximator, points, domain, settings) => approximator.approximate(points, domain, settings)
+    },
+    {
+        id: 'selectiveHybrid',
+        types: ['selectiveHybrid'],
+        settingsKey: 'selective',
+        names: {
+            selectiveHybrid: { key: 'curve.alternatives.label.selectiveHybrid', text: '混合近似' }
+        },
+        tab: { id: 'selection-hybrid', labelKey: 'approximator.tab.selection_hybrid', fallback: '選択曲線近似' },
+        defaults: {
+            smoothingWindow: 0,
+            resampleCount: 160,
+            tolerance: 0.05,
+            maxSpan: 48,
+            autoSegments: true,
+            segmentCount: 6,
+            simplicityGain: 0.3,
+            smoothBias: 0.4,
+            enableLinear: true,
+            enableQuadratic: true,
+            enableCubic: true,
+            enableArc: true,
+            quantizationEnabled: true,
+            quantLevelOffset: 0,
+            angleThresholdDegrees: 35,
+            dedupeTolerance: 1e-4,
+            closed: false
+        },
+        settings: {
+            samplingRate: {
+                type: 'range',
+                labelKey: 'approximator.settings.sampling_rate',
+                fallback: 'サンプリングレート (パネル)',
+                min: 1,
+                max: 10,
+                step: 1
+            },
+            selectionSmoothingWindow: {
+                type: 'range',
+                labelKey: 'approximator.settings.selection.smoothing_window',
+                fallback: 'スムージング窓',
+                min: 0,
+                max: 25,
+                step: 1,
+                path: ['selective', 'smoothingWindow']
+            },
+            selectionResampleCount: {
+                type: 'range',
+                labelKey: 'approximator.settings.selection.resample_count',
+                fallback: 'リサンプル数',
+                min: 32,
+                max: 256,
+                step: 1,
+                path: ['selective', 'resampleCount']
+            },
+            selectionTolerance: {
+                type: 'range',
+                labelKey: 'approximator.settings.selection.tolerance',
+                fallback: '許容誤差',
+                min: 0,
+                max: 0.5,
+                step: 0.01,
+                decimals: 2,
+                path: ['selective', 'tolerance']
+            },
+            selectionMaxSpan: {
+                type: 'range',
+                labelKey: 'approximator.settings.selection.max_span',
+                fallback: '最大スパン',
+                min: 8,
+                max: 128,
+                step: 1,
+                path: ['selective', 'maxSpan']
+            },
+            selectionAutoSegments: {
+                type: 'toggle',
+                icon: 'motion_photos_auto',
+                labelKey: 'approximator.settings.selection.auto_segments',
+                fallback: '自動セグメント',
+                path: ['selective', 'autoSegments']
+            },
+            selectionSegmentCount: {
+                type: 'range',
+                labelKey: 'approximator.settings.selection.segment_count',
+                fallback: 'セグメント数',
+                min: 1,
+                max: 16,
+                step: 1,
+                path: ['selective', 'segmentCount']
+            },
+            selectionSimplicityGain: {
+                type: 'range',
+                labelKey: 'approximator.settings.selection.simplicity_gain',
+                fallback: '単純化バイアス',
+                min: 0,
+                max: 1,
+                step: 0.01,
+                decimals: 2,
+                path: ['selective', 'simplicityGain']
+            },
+            selectionSmoothBias: {
+                type: 'range',
+                labelKey: 'approximator.settings.selection.smooth_bias',
+                fallback: 'スムース重み',
+                min: 0,
+                max: 1,
+                step: 0.01,
+                decimals: 2,
+                path: ['selective', 'smoothBias']
+            },
+            selectionEnableLinear: {
+                type: 'toggle',
+                icon: 'timer_1',
+                labelKey: 'approximator.settings.selection.enable_linear',
+                fallback: '直線を許可',
+                path: ['selective', 'enableLinear']
+            },
+            selectionEnableQuadratic: {
+                type: 'toggle',
+                icon: 'timer_2',
+                labelKey: 'approximator.settings.selection.enable_quadratic',
+                fallback: '二次曲線を許可',
+                path: ['selective', 'enableQuadratic']
+            },
+            selectionEnableCubic: {
+                type: 'toggle',
+                icon: 'timer_3',
+                labelKey: 'approximator.settings.selection.enable_cubic',
+                fallback: '三次曲線を許可',
+                path: ['selective', 'enableCubic']
+            },
+            selectionEnableArc: {
+                type: 'toggle',
+                icon: 'line_curve',
+                labelKey: 'approximator.settings.selection.enable_arc',
+                fallback: '円弧を許可',
+                path: ['selective', 'enableArc']
+            },
+            selectionQuantizationEnabled: {
+                type: 'toggle',
+                icon: 'straighten',
+                labelKey: 'approximator.settings.selection.quantization_enabled',
+                fallback: '量子化を有効化',
+                path: ['selective', 'quantizationEnabled']
+            },
+            selectionQuantLevelOffset: {
+                type: 'range',
+                labelKey: 'approximator.settings.selection.quant_level_offset',
+                fallback: '量子化レベルオフセット',
+                min: -5,
+                max: 5,
+                step: 1,
+                path: ['selective', 'quantLevelOffset'],
+                dependsOn: ['selective.quantizationEnabled']
+            },
+            selectionAngleThreshold: {
+                type: 'range',
+                labelKey: 'approximator.settings.selection.angle_threshold',
+                fallback: '角度閾値 (度)',
+                min: 0,
+                max: 90,
+                step: 1,
+                path: ['selective', 'angleThresholdDegrees']
+            },
+            selectionDedupeTolerance: {
+                type: 'range',
+                labelKey: 'approximator.settings.selection.dedupe_tolerance',
+                fallback: '重複許容',
+                min: 0,
+                max: 0.01,
+                step: 0.0001,
+                decimals: 4,
+                path: ['selective', 'dedupeTolerance']
+            },
+            selectionClosed: {
+                type: 'toggle',
+                icon: 'all_inclusive',
+                labelKey: 'approximator.settings.selection.closed',
+                fallback: '閉曲線として処理',
+                path: ['selective', 'closed']
+            }
+        },
+        priority: 7,
+        create: (settings) => new SelectiveCurveApproximator(settings),
+        approximate: (approximator, points, domain, settings) => approximator.approximate(points, domain, {
+            ...(settings.selective || {}),
+            pinEndpoints: !!settings.pinEndpoints
+        }),
+        equations: { skipRPN: ['selectiveHybrid'] }
+    }
+];
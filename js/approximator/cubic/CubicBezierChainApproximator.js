@@ -0,0 +1,421 @@
+import { preprocessCurve, denormalizePoints, isClosedStroke } from "../../util/curvePreprocess.js";
+import { EquationBuilder } from "../../util/EquationBuilder.js";
+
+const DEFAULT_OPTIONS = {
+    errorTolerance: 0.01,
+    maxSegments: 8,
+    maxIterations: 4,
+    smoothWindow: 5,
+    resampleCount: 128,
+    pruneTolerance: 0,
+    closed: false
+};
+
+const EPSILON = 1e-9;
+
+function add(a, b) {
+    return [a[0] + b[0], a[1] + b[1]];
+}
+
+function sub(a, b) {
+    return [a[0] - b[0], a[1] - b[1]];
+}
+
+function scale(v, s) {
+    return [v[0] * s, v[1] * s];
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1];
+}
+
+function distance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+function normalize(v) {
+    const length = Math.hypot(v[0], v[1]);
+    return length < EPSILON ? [0, 0] : [v[0] / length, v[1] / length];
+}
+
+function evalCubic(ctrl, t) {
+    const mt = 1 - t;
+    const b0 = mt * mt * mt;
+    const b1 = 3 * mt * mt * t;
+    const b2 = 3 * mt * t * t;
+    const b3 = t * t * t;
+    return [
+        b0 * ctrl[0][0] + b1 * ctrl[1][0] + b2 * ctrl[2][0] + b3 * ctrl[3][0],
+        b0 * ctrl[0][1] + b1 * ctrl[1][1] + b2 * ctrl[2][1] + b3 * ctrl[3][1]
+    ];
+}
+
+function evalDerivative(ctrl, t) {
+    const mt = 1 - t;
+    const d0 = sub(ctrl[1], ctrl[0]);
+    const d1 = sub(ctrl[2], ctrl[1]);
+    const d2 = sub(ctrl[3], ctrl[2]);
+    return [
+        3 * (mt * mt * d0[0] + 2 * mt * t * d1[0] + t * t * d2[0]),
+        3 * (mt * mt * d0[1] + 2 * mt * t * d1[1] + t * t * d2[1])
+    ];
+}
+
+function evalSecondDerivative(ctrl, t) {
+    const mt = 1 - t;
+    const a = add(sub(ctrl[2], scale(ctrl[1], 2)), ctrl[0]);
+    const b = add(sub(ctrl[3], scale(ctrl[2], 2)), ctrl[1]);
+    return [
+        6 * (mt * a[0] + t * b[0]),
+        6 * (mt * a[1] + t * b[1])
+    ];
+}
+
+/**
+ * Chord-length parameterization of points[first..last].
+ */
+function chordLengthParameterize(points, first, last) {
+    const u = [0];
+    for (let i = first + 1; i <= last; i += 1) {
+        u.push(u[u.length - 1] + distance(points[i], points[i - 1]));
+    }
+    const total = u[u.length - 1];
+    return u.map(value => (total < EPSILON ? 0 : value / total));
+}
+
+/**
+ * Least-squares fit of the inner control points along fixed end tangents (Schneider 1990).
+ */
+function generateBezier(points, first, last, u, tHat1, tHat2) {
+    const p0 = points[first];
+    const p3 = points[last];
+    const c = [[0, 0], [0, 0]];
+    const x = [0, 0];
+
+    for (let i = 0; i < u.length; i += 1) {
+        const t = u[i];
+        const mt = 1 - t;
+        const b0 = mt * mt * mt;
+        const b1 = 3 * mt * mt * t;
+        const b2 = 3 * mt * t * t;
+        const b3 = t * t * t;
+        const a1 = scale(tHat1, b1);
+        const a2 = scale(tHat2, b2);
+
+        c[0][0] += dot(a1, a1);
+        c[0][1] += dot(a1, a2);
+        c[1][1] += dot(a2, a2);
+
+        const shortfall = sub(points[first + i], add(scale(p0, b0 + b1), scale(p3, b2 + b3)));
+        x[0] += dot(a1, shortfall);
+        x[1] += dot(a2, shortfall);
+    }
+    c[1][0] = c[0][1];
+
+    const detC0C1 = c[0][0] * c[1][1] - c[1][0] * c[0][1];
+    const detC0X = c[0][0] * x[1] - c[1][0] * x[0];
+    const detXC1 = x[0] * c[1][1] - x[1] * c[0][1];
+    let alphaL = Math.abs(detC0C1) < EPSILON ? 0 : detXC1 / detC0C1;
+    let alphaR = Math.abs(detC0C1) < EPSILON ? 0 : detC0X / detC0C1;
+
+    // 解が不安定な場合は Wu/Barsky のヒューリスティックで置き換える
+    const segLength = distance(p0, p3);
+    const minAlpha = EPSILON * segLength;
+    if (alphaL < minAlpha || alphaR < minAlpha) {
+        alphaL = segLength / 3;
+        alphaR = segLength / 3;
+    }
+
+    return [
+        p0.slice(),
+        add(p0, scale(tHat1, alphaL)),
+        add(p3, scale(tHat2, alphaR)),
+        p3.slice()
+    ];
+}
+
+/**
+ * One Newton-Raphson step per sample to improve the parameterization.
+ */
+function reparameterize(ctrl, points, first, u) {
+    return u.map((t, i) => {
+        const point = points[first + i];
+        const diff = sub(evalCubic(ctrl, t), point);
+        const d1 = evalDerivative(ctrl, t);
+        const d2 = evalSecondDerivative(ctrl, t);
+        const numerator = dot(diff, d1);
+        const denominator = dot(d1, d1) + dot(diff, d2);
+        if (Math.abs(denominator) < EPSILON) return t;
+        return Math.min(1, Math.max(0, t - numerator / denominator));
+    });
+}
+
+function computeMaxError(ctrl, points, first, last, u) {
+    let maxError = 0;
+    let splitPoint = Math.floor((first + last) / 2);
+    for (let i = first + 1; i < last; i += 1) {
+        const d = sub(evalCubic(ctrl, u[i - first]), points[i]);
+        const error = dot(d, d);
+        if (error >= maxError) {
+            maxError = error;
+            splitPoint = i;
+        }
+    }
+    return { maxError, splitPoint };
+}
+
+/**
+ * Tangent at an interior split point, pointing towards the earlier samples.
+ */
+function computeCenterTangent(points, center) {
+    const tangent = normalize(sub(points[center - 1], points[center + 1]));
+    if (tangent[0] === 0 && tangent[1] === 0) {
+        return normalize(sub(points[center - 1], points[center]));
+    }
+    return tangent;
+}
+
+/**
+ * Cubic Bézier chain approximator based on Schneider's algorithm.
+ * Segments are split adaptively where the fit error is largest, and neighbouring segments share
+ * the tangent direction at each join so the chain is G1 continuous.
+ */
+export class CubicBezierChainApproximator {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    static get approximatorType() {
+        return "cubicChain";
+    }
+
+    getDefaultOptions() {
+        return { ...DEFAULT_OPTIONS };
+    }
+
+    setOptions(options = {}) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * @param {Array<[number, number]>} points cleaned point sequence
+     * @param {{ xMin: number, xMax: number, yMin: number, yMax: number }} domain viewport info
+     * @param {Object} overrides runtime overrides coming from UI
+     * @returns {{ success: boolean, type: string, svgPath: string, latexEquations: Array<Object>, segments: Array<Object>, knots: Array<[number, number]>, domain: any, diagnostics: Object }}
+     */
+    approximate(points = [], domain = null, overrides = {}) {
+        const effectiveOptions = { ...this.options, ...overrides };
+        const reject = (diagnostics, fittedDomain = domain) => ({
+            success: false,
+            type: CubicBezierChainApproximator.approximatorType,
+            svgPath: "",
+            latexEquations: [],
+            segments: [],
+            knots: [],
+            domain: fittedDomain,
+            diagnostics
+        });
+
+        if (!Array.isArray(points) || points.length < 3) {
+            return reject({
+                reason: "Insufficient points",
+                required: 3,
+                received: Array.isArray(points) ? points.length : 0
+            });
+        }
+
+        const preprocess = preprocessCurve(points, {
+            smoothWindow: effectiveOptions.smoothWindow,
+            resampleCount: effectiveOptions.resampleCount,
+            pruneTolerance: effectiveOptions.pruneTolerance,
+            closed: effectiveOptions.closed,
+            pinEndpoints: effectiveOptions.pinEndpoints,
+            domain
+        });
+
+        // 重複点を除く（弦長パラメータ化が 0 除算にならないように）
+        const normalized = [];
+        const world = [];
+        preprocess.normalized.forEach((point, index) => {
+            if (normalized.length && distance(point, normalized[normalized.length - 1]) < EPSILON) return;
+            normalized.push(point);
+            world.push(preprocess.points[index]);
+        });
+        const fittedDomain = preprocess.domain;
+        const last = normalized.length - 1;
+        if (last < 2) {
+            return reject({ reason: "Degenerate stroke", pointCount: normalized.length }, fittedDomain);
+        }
+
+        let tHat1 = normalize(sub(normalized[1], normalized[0]));
+        let tHat2 = normalize(sub(normalized[last - 1], normalized[last]));
+        const isClosed = effectiveOptions.closed && distance(normalized[0], normalized[last]) < Math.sqrt(effectiveOptions.errorTolerance);
+        if (isClosed) {
+            // 閉曲線は始点と終点の接線をそろえる
+            const shared = normalize(sub(normalized[1], normalized[last - 1]));
+            if (shared[0] !== 0 || shared[1] !== 0) {
+                tHat1 = shared;
+                tHat2 = scale(shared, -1);
+            }
+        }
+
+        const tolerance = effectiveOptions.errorTolerance * effectiveOptions.errorTolerance;
+        const maxSegments = Math.max(1, Math.round(effectiveOptions.maxSegments));
+        const fits = [];
+        let overflow = false;
+
+        // 誤差が最大の点で分割しながら再帰的に当てはめる（分割点の接線は両側で共有する）
+        const fitCubic = (first, end, leftTangent, rightTangent) => {
+            if (overflow) return;
+            if (fits.length >= maxSegments) {
+                overflow = true;
+                return;
+            }
+
+            if (end - first === 1) {
+                const dist = distance(normalized[first], normalized[end]) / 3;
+                fits.push({
+                    ctrl: [
+                        normalized[first].slice(),
+                        add(normalized[first], scale(leftTangent, dist)),
+                        add(normalized[end], scale(rightTangent, dist)),
+                        normalized[end].slice()
+                    ],
+                    first,
+                    last: end,
+                    u: [0, 1]
+                });
+                return;
+            }
+
+            let u = chordLengthParameterize(normalized, first, end);
+            let ctrl = generateBezier(normalized, first, end, u, leftTangent, rightTangent);
+            let { maxError, splitPoint } = computeMaxError(ctrl, normalized, first, end, u);
+
+            if (maxError < tolerance) {
+                fits.push({ ctrl, first, last: end, u });
+                return;
+            }
+
+            // 誤差が下がる間はニュートン法でパラメータを改善してから当てはめ直す
+            for (let i = 0; i < effectiveOptions.maxIterations; i += 1) {
+                const nextU = reparameterize(ctrl, normalized, first, u);
+                const nextCtrl = generateBezier(normalized, first, end, nextU, leftTangent, rightTangent);
+                const next = computeMaxError(nextCtrl, normalized, first, end, nextU);
+                if (next.maxError >= maxError) break;
+                u = nextU;
+                ctrl = nextCtrl;
+                ({ maxError, splitPoint } = next);
+                if (maxError < tolerance) {
+                    fits.push({ ctrl, first, last: end, u });
+                    return;
+                }
+            }
+
+            splitPoint = Math.min(end - 1, Math.max(first + 1, splitPoint));
+            const centerTangent = computeCenterTangent(normalized, splitPoint);
+            fitCubic(first, splitPoint, leftTangent, centerTangent);
+            fitCubic(splitPoint, end, scale(centerTangent, -1), rightTangent);
+        };
+
+        fitCubic(0, last, tHat1, tHat2);
+
+        if (overflow) {
+            return reject({
+                reason: "Segment limit exceeded",
+                maxSegments,
+                errorTolerance: effectiveOptions.errorTolerance
+            }, fittedDomain);
+        }
+
+        // 閉じたストロークは最後の節点を最初の節点に合わせて閉曲線にする（塗りつぶしできるように）
+        const closed = isClosed || isClosedStroke(world);
+        const startPoint = denormalizePoints([fits[0].ctrl[0]], fittedDomain)[0];
+
+        const segments = [];
+        const knotPoints = [];
+        const latexEquations = [];
+        let svgPath = "";
+        let accumulatedError = 0;
+        let accumulatedSamples = 0;
+
+        fits.forEach((fit, index) => {
+            const controlPoints = denormalizePoints(fit.ctrl, fittedDomain);
+            if (closed && index === fits.length - 1) {
+                // 終点の接線を保つよう、終点側の制御点も同じだけ動かす
+                const dx = startPoint[0] - controlPoints[3][0];
+                const dy = startPoint[1] - controlPoints[3][1];
+                controlPoints[2] = [controlPoints[2][0] + dx, controlPoints[2][1] + dy];
+                controlPoints[3] = startPoint.slice();
+            }
+
+            // 当てはめ時のパラメータで元の点との誤差を測る（正規化前の座標系）
+            let squaredError = 0;
+            fit.u.forEach((t, i) => {
+                const [x, y] = evalCubic(controlPoints, t);
+                const point = world[fit.first + i];
+                squaredError += (point[0] - x) * (point[0] - x) + (point[1] - y) * (point[1] - y);
+            });
+            const rms = Math.sqrt(squaredError / fit.u.length);
+            accumulatedError += squaredError;
+            accumulatedSamples += fit.u.length;
+
+            const equation = EquationBuilder.cubicBezier({
+                p0: controlPoints[0],
+                p1: controlPoints[1],
+                p2: controlPoints[2],
+                p3: controlPoints[3],
+                meta: {
+                    segmentIndex: index,
+                    rms
+                }
+            }, { decimals: 3, pretty: effectiveOptions.pretty });
+            latexEquations.push(equation);
+
+            segments.push({
+                type: "cubic",
+                controlPoints,
+                rmsError: rms
+            });
+
+            if (index === 0) {
+                knotPoints.push(controlPoints[0].slice());
+                svgPath = `M ${controlPoints[0][0]} ${controlPoints[0][1]}`;
+            }
+            knotPoints.push(controlPoints[3].slice());
+            svgPath += ` C ${controlPoints[1][0]} ${controlPoints[1][1]} ${controlPoints[2][0]} ${controlPoints[2][1]} ${controlPoints[3][0]} ${controlPoints[3][1]}`;
+        });
+
+        const rmsGlobal = accumulatedSamples > 0 ? Math.sqrt(accumulatedError / accumulatedSamples) : 0;
+        const exportData = {
+            type: CubicBezierChainApproximator.approximatorType,
+            segments: segments.map(seg => ({
+                type: seg.type,
+                controlPoints: seg.controlPoints.map(point => point.slice()),
+                rmsError: seg.rmsError
+            })),
+            knots: knotPoints.map(knot => knot.slice()),
+            svgPath,
+            originalPoints: Array.isArray(preprocess.points) ? preprocess.points : null,
+            domain: fittedDomain
+        };
+
+        return {
+            success: true,
+            type: CubicBezierChainApproximator.approximatorType,
+            svgPath,
+            latexEquations,
+            segments,
+            knots: knotPoints,
+            domain: fittedDomain,
+            exportData,
+            closed,
+            diagnostics: {
+                rmsError: rmsGlobal,
+                segmentCount: segments.length,
+                closed,
+                options: effectiveOptions
+            }
+        };
+    }
+}
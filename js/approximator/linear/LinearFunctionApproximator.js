@@ -114,7 +114,7 @@ export class LinearFunctionApproximator {
                 x: xRounded,
                 yRange,
                 meta: { linearity }
-            });
+            }, { pretty: this.options.pretty });
             return {
                 success: true,
                 type: "vertical",
@@ -135,7 +135,7 @@ export class LinearFunctionApproximator {
                 y: yRounded,
                 xRange,
                 meta: { linearity }
-            });
+            }, { pretty: this.options.pretty });
             const knots = [
                 [startXRounded, yRounded],
                 [endXRounded, yRounded]
@@ -156,6 +156,7 @@ export class LinearFunctionApproximator {
         const svgPath = `M ${formattedStart[0]},${formattedStart[1]} L ${formattedEnd[0]},${formattedEnd[1]}`;
         const equation = EquationBuilder.linearThroughPoints(formattedStart, formattedEnd, {
             decimals: 3,
+            pretty: this.options.pretty,
             meta: { linearity }
         });
         const resultType = equation?.type || "linear";
@@ -186,12 +187,15 @@ export class LinearFunctionApproximator {
             .filter(Number.isFinite);
         if (!values.length) return 0;
 
-        const diff = Math.max(...values) - Math.min(...values);
+        // 長い点列でもスタックが溢れないよう、スプレッド構文を使わずに求める
+        const min = values.reduce((acc, value) => Math.min(acc, value), Infinity);
+        const max = values.reduce((acc, value) => Math.max(acc, value), -Infinity);
+        const diff = max - min;
         if (Number.isFinite(diff) && diff > 0) {
             return this._powerOfTenStep(diff);
         }
 
-        const magnitude = Math.max(...values.map(value => Math.abs(value)));
+        const magnitude = Math.max(Math.abs(min), Math.abs(max));
         if (!Number.isFinite(magnitude) || magnitude === 0) {
             return 0;
         }
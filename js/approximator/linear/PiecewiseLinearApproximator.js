@@ -1,5 +1,6 @@
 import { LinearFunctionApproximator } from './LinearFunctionApproximator.js';
 import { EquationBuilder } from "../../util/EquationBuilder.js";
+import { isClosedStroke } from "../../util/curvePreprocess.js";
 
 /**
  * 手書きの曲線をつなぎ合わせた直線（折れ線）で近似する
@@ -23,7 +24,8 @@ export class PiecewiseLinearApproximator {
             linearityThreshold: this.options.segmentLinearityThreshold,
             percentTolerance: this.options.percentTolerance,
             snap: this.options.snap,
-            quantizeControlAxis: this.options.quantizeControlAxis
+            quantizeControlAxis: this.options.quantizeControlAxis,
+            pretty: this.options.pretty
         });
         this.logPrefix = "[PiecewiseLinearApproximator]";
         this.currentDomain = null;
@@ -128,16 +130,19 @@ export class PiecewiseLinearApproximator {
             }
         }
 
+        // 閉じたストロークは多角形として扱う（3辺以上のときのみ）
+        const closed = segments.length >= 3 && isClosedStroke(points);
+
         // 最後のセグメントの終点を追加
         if (segments.length > 0) {
             const lastSegment = segments[segments.length - 1];
             let lastKnot = lastSegment.adjustedEndPoint || lastSegment.endPoint;
 
-            // 始点と終点が近い場合は一致させる
+            // 始点と終点が近い場合、または閉じたストロークの場合は一致させる
             const firstKnot = knots[0];
             const dist = Math.hypot(lastKnot[0] - firstKnot[0], lastKnot[1] - firstKnot[1]);
             const threshold = 1e-6; // 距離がこの値以下なら一致とみなす
-            if (dist < threshold) {
+            if (closed || dist < threshold) {
                 lastKnot = [...firstKnot];
             }
             knots.push(lastKnot);
@@ -172,7 +177,8 @@ export class PiecewiseLinearApproximator {
             knots,
             svgPath,
             latexEquations: updatedLatexEquations,
-            averageLinearity
+            averageLinearity,
+            closed
         };
 
         this.currentDomain = null;
@@ -352,7 +358,7 @@ export class PiecewiseLinearApproximator {
                 x: xRounded,
                 yRange: [yMin, yMax],
                 meta: { linearity }
-            });
+            }, { pretty: this.options.pretty });
         }
         // 水平線の判定（yがほぼ一定か、傾きが閾値より小さい）
         else if (ys.every(y => Math.abs(y - ys[0]) < yTol) || Math.abs(slope) < this.options.horizontalSlopeThreshold) {
@@ -376,7 +382,7 @@ export class PiecewiseLinearApproximator {
                 y: yRounded,
                 xRange: [xMin, xMax],
                 meta: { linearity }
-            });
+            }, { pretty: this.options.pretty });
         }
         // 一般の直線
         else {
@@ -402,6 +408,7 @@ export class PiecewiseLinearApproximator {
             ];
             latexEquation = EquationBuilder.linearThroughPoints(adjustedStartPoint, adjustedEndPoint, {
                 decimals: 3,
+                pretty: this.options.pretty,
                 meta: { linearity }
             });
             type = latexEquation.type;
@@ -462,7 +469,8 @@ export class PiecewiseLinearApproximator {
             linearityThreshold: this.options.segmentLinearityThreshold,
             percentTolerance: this.options.percentTolerance,
             snap: this.options.snap,
-            quantizeControlAxis: this.options.quantizeControlAxis
+            quantizeControlAxis: this.options.quantizeControlAxis,
+            pretty: this.options.pretty
         });
     }
 
@@ -665,6 +673,7 @@ export class PiecewiseLinearApproximator {
 
             const equation = EquationBuilder.linearThroughPoints(startPoint, endPoint, {
                 decimals: 3,
+                pretty: this.options.pretty,
                 meta: { linearity: segment.linearity }
             });
 
@@ -27,12 +27,17 @@ export class BSplineApproximator {
      * 点列を[0,1]区間に正規化し、viewport情報も保持
      */
     _normalizePoints() {
-        const xs = this.originalPoints.map(p => p[0]);
-        const ys = this.originalPoints.map(p => p[1]);
-        this.minX = Math.min(...xs);
-        this.maxX = Math.max(...xs);
-        this.minY = Math.min(...ys);
-        this.maxY = Math.max(...ys);
+        // 長い点列でスプレッド構文を使うと引数の数が多すぎてスタックが溢れるため、1点ずつ比較する
+        this.minX = Infinity;
+        this.maxX = -Infinity;
+        this.minY = Infinity;
+        this.maxY = -Infinity;
+        this.originalPoints.forEach(([x, y]) => {
+            if (x < this.minX) this.minX = x;
+            if (x > this.maxX) this.maxX = x;
+            if (y < this.minY) this.minY = y;
+            if (y > this.maxY) this.maxY = y;
+        });
         this.points = this.originalPoints.map(([x, y]) => [
             (x - this.minX) / (this.maxX - this.minX || 1),
             (y - this.minY) / (this.maxY - this.minY || 1)
@@ -720,7 +725,7 @@ export class BSplineApproximator {
                         x: seg.start[0],
                         yRange,
                         meta: { coefficients }
-                    }, { decimals: 3 });
+                    }, { decimals: 3, pretty: this.options.pretty });
                     vertical.domain = {
                         start: yRange[0].toFixed(2),
                         end: yRange[1].toFixed(2)
@@ -738,7 +743,7 @@ export class BSplineApproximator {
                     point: seg.start,
                     domain: domainRange,
                     meta: { coefficients }
-                }, { decimals: 3 });
+                }, { decimals: 3, pretty: this.options.pretty });
                 linear.domain = {
                     start: domainRange[0].toFixed(2),
                     end: domainRange[1].toFixed(2)
@@ -757,7 +762,7 @@ export class BSplineApproximator {
                 vertex: [vertexX, vertexY],
                 domain: domainRange,
                 meta: { coefficients }
-            }, { decimals: 3 });
+            }, { decimals: 3, pretty: this.options.pretty });
 
             equation.domain = {
                 start: domainRange[0].toFixed(2),
@@ -66,7 +66,7 @@ export class QuadraticBSplineCurveApproximator {
 
         try {
             // 近似本体
-            const approx = new BSplineApproximator(points, options);
+            const approx = new BSplineApproximator(points, { ...options, pretty: this.options.pretty });
 
             // 元座標系での近似結果を取得
             const result = approx.getApproximationResult(true);
@@ -174,7 +174,7 @@ export class QuadraticBSplineCurveApproximator {
         try {
 
             // 近似本体のインスタンス作成
-            const approx = new BSplineApproximator(points, options);
+            const approx = new BSplineApproximator(points, { ...options, pretty: this.options.pretty });
 
             // カスタムノットを設定
             approx.setCustomKnots(customKnots);
@@ -98,6 +98,7 @@ export class QuadraticBezierChainApproximator {
             resampleCount: effectiveOptions.resampleCount,
             pruneTolerance: effectiveOptions.pruneTolerance,
             closed: effectiveOptions.closed,
+            pinEndpoints: effectiveOptions.pinEndpoints,
             domain
         });
 
@@ -289,6 +289,7 @@ export class SingleQuadraticBezierApproximator {
             resampleCount: effectiveOptions.resampleCount,
             pruneTolerance: effectiveOptions.pruneTolerance,
             closed: effectiveOptions.closed,
+            pinEndpoints: effectiveOptions.pinEndpoints,
             domain
         });
 
@@ -397,7 +398,7 @@ export class SingleQuadraticBezierApproximator {
                 normalizedRms: metrics.normalizedRms,
                 maxError: metrics.maxError
             }
-        }, { decimals: 3 });
+        }, { decimals: 3, pretty: effectiveOptions.pretty });
         const latexEquations = [equation];
         const knotTuples = [
             p0World.slice(),
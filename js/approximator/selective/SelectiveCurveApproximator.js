@@ -732,6 +732,21 @@ function setSegmentStart(segment, point) {
     }
 }
 
+function setSegmentEnd(segment, point) {
+    if (segment.type === "linear") {
+        segment.end = clonePoint(point);
+    } else if (segment.type === "quadratic") {
+        segment.p2 = clonePoint(point);
+    } else if (segment.type === "cubic") {
+        segment.p3 = clonePoint(point);
+    } else if (segment.type === "arc") {
+        segment.end = clonePoint(point);
+        segment.endAngle = Math.atan2(point.y - segment.center.y, point.x - segment.center.x);
+        segment.sweepAngle = Math.abs(shortestAngleDiff(segment.startAngle, segment.endAngle));
+        segment.sweepDirection = shortestAngleDiff(segment.startAngle, segment.endAngle) >= 0 ? 1 : -1;
+    }
+}
+
 function enforceContinuity(segments, smoothBias = 0, quantizationEnabled = false) {
     if (!segments.length) {
         return;
@@ -1273,6 +1288,12 @@ export class SelectiveCurveApproximator {
             return quantized;
         });
 
+        // 端点スナップした点列は、量子化したあとも始点と終点を元の位置に保つ
+        if (effectiveOptions.pinEndpoints && worldSegmentsQuant.length) {
+            setSegmentStart(worldSegmentsQuant[0], inputPoints[0]);
+            setSegmentEnd(worldSegmentsQuant[worldSegmentsQuant.length - 1], inputPoints[inputPoints.length - 1]);
+        }
+
         const aggregateRaw = aggregateMetrics(worldSegmentsRaw.map((entry, index) => ({
             segment: entry.segment,
             startIndex: entry.startIndex,
@@ -1318,6 +1339,7 @@ export class SelectiveCurveApproximator {
             if (seg.type === "linear" && Array.isArray(seg.points) && seg.points.length >= 2) {
                 equation = EquationBuilder.linearThroughPoints(seg.points[0], seg.points[1], {
                     decimals: 3,
+                    pretty: effectiveOptions.pretty,
                     meta
                 });
             } else if (seg.type === "quadratic" && Array.isArray(seg.controlPoints) && seg.controlPoints.length === 3) {
@@ -1326,7 +1348,7 @@ export class SelectiveCurveApproximator {
                     p1: seg.controlPoints[1],
                     p2: seg.controlPoints[2],
                     meta
-                }, { decimals: 3 });
+                }, { decimals: 3, pretty: effectiveOptions.pretty });
             } else if (seg.type === "cubic" && Array.isArray(seg.controlPoints) && seg.controlPoints.length === 4) {
                 equation = EquationBuilder.cubicBezier({
                     p0: seg.controlPoints[0],
@@ -1334,7 +1356,7 @@ export class SelectiveCurveApproximator {
                     p2: seg.controlPoints[2],
                     p3: seg.controlPoints[3],
                     meta
-                }, { decimals: 3 });
+                }, { decimals: 3, pretty: effectiveOptions.pretty });
             } else if (seg.type === "arc" && seg.center && typeof seg.radius === "number") {
                 equation = EquationBuilder.arc({
                     center: seg.center,
@@ -1343,7 +1365,7 @@ export class SelectiveCurveApproximator {
                     endAngle: seg.endAngle,
                     direction: seg.sweepDirection,
                     meta
-                }, { decimals: 3 });
+                }, { decimals: 3, pretty: effectiveOptions.pretty });
             } else {
                 equation = EquationBuilder.label({
                     text: `Segment ${index + 1}: ${String(seg.type).toUpperCase()}`,
@@ -1,19 +1,109 @@
 // 必要なインポートを追加
 import { EquationHighlighter } from './EquationHighlighter.js';
+import { EndpointSnapper } from './EndpointSnapper.js';
 import { toRPN } from '../util/NumberUtil.js';
-import { QuadraticBSplineCurveApproximator } from '../approximator/quadratic/QuadraticBSplineCurveApproximator.js';
-import { LinearFunctionApproximator } from '../approximator/linear/LinearFunctionApproximator.js';
-import { PiecewiseLinearApproximator } from '../approximator/linear/PiecewiseLinearApproximator.js';
-import { SingleQuadraticBezierApproximator } from '../approximator/quadratic/SingleQuadraticBezierApproximator.js';
-import { QuadraticBezierChainApproximator } from '../approximator/quadratic/QuadraticBezierChainApproximator.js';
-import { SingleCircleApproximator } from '../approximator/circle/SingleCircleApproximator.js';
-import { SelectiveCurveApproximator } from '../approximator/selective/SelectiveCurveApproximator.js';
+import { EquationBuilder } from '../util/EquationBuilder.js';
+import { isEditableEquation, hasEditableDomain, getEquationEndpoints, parseEquationText } from '../util/EquationParser.js';
+import { parseExpressionLatex, createExpressionEvaluator } from '../util/ExpressionCurve.js';
+import { applyMatrixToPoint, isIdentityMatrix, createSymmetryMatrices, createSymmetryKey } from '../util/AffineTransform.js';
+import { POINT_SHAPE_TYPES, POINT_OBJECT_SIZE_RATIO } from '../graph/PointShapes.js';
+import { approximatorRegistry } from '../approximator/ApproximatorRegistry.js';
+import { ApproximationWorkerClient } from '../approximator/ApproximationWorkerClient.js';
+import { isClosedStroke } from '../util/curvePreprocess.js';
 import {
     createDefaultModel as createApproxSettingsModel,
     mergeModel as mergeApproxSettings,
     resolveSettings as resolveApproxSettings,
     cloneModel as cloneApproxSettingsModel
 } from '../util/ApproximatorSettings.js';
+
+// 点オブジェクトの形状ごとの切り替えボタンのアイコン
+const POINT_SHAPE_ICONS = {
+    circle: 'circle',
+    hollowCircle: 'radio_button_unchecked',
+    square: 'square',
+    triangle: 'change_history',
+    diamond: 'diamond',
+    cross: 'close',
+    plus: 'add'
+};
+
+// 常に閉じている（塗りつぶしできる）曲線のタイプ
+const CLOSED_CURVE_TYPES = ['singleCircle', 'circle', 'ellipse'];
+// 塗りつぶしを有効にしたときの不透明度の初期値
+const DEFAULT_FILL_OPACITY = 0.3;
+// 端点スナップした近似がスナップ先を通っているとみなす距離（スクリーン座標, px）
+const SNAP_FIT_TOLERANCE_PX = 1;
+// 曲線の種類ごとに、まとめて描ける数式の種類（ほかの種類の式を含む場合は式ごとに描く）
+const PATH_EQUATION_TYPES = {
+    linear: ['linear', 'constant', 'vertical'],
+    constant: ['linear', 'constant', 'vertical'],
+    vertical: ['linear', 'constant', 'vertical'],
+    piecewiseLinear: ['linear', 'constant', 'vertical'],
+    quadratic: ['quadratic', 'linear', 'constant', 'vertical']
+};
+// 1つの式で描く曲線のうち、数式の編集で式の種類に合わせて種類を変える曲線
+const SINGLE_FUNCTION_CURVE_TYPES = ['linear', 'constant', 'vertical', 'quadratic'];
+// 数式の編集で動かす節点を、編集前の式の端点から探す距離（ドメイン座標）
+const EDIT_KNOT_TOLERANCE = 0.01;
+// 入力した式の曲線が持つ元の点（範囲や移動に使う）の数
+const EXPRESSION_OUTLINE_POINTS = 128;
+
+// 塗りつぶしの指定を { color, opacity } にそろえる（null は塗りつぶしなし）
+function normalizeFill(fill, fallbackColor) {
+    if (!fill) return null;
+    const color = typeof fill === 'string' ? fill : (fill.color || fallbackColor);
+    if (!color) return null;
+    const opacity = Number(typeof fill === 'object' ? fill.opacity : undefined);
+    return {
+        color,
+        opacity: Number.isFinite(opacity) ? Math.min(1, Math.max(0, opacity)) : DEFAULT_FILL_OPACITY
+    };
+}
+
+// 色の入力欄（input[type=color]）に渡せる #rrggbb 形式にする
+function toHexColor(color) {
+    if (typeof color !== 'string') return '#000000';
+    if (/^#[0-9a-f]{6}$/i.test(color)) return color;
+    if (/^#[0-9a-f]{3}$/i.test(color)) {
+        return '#' + color.slice(1).split('').map(c => c + c).join('');
+    }
+    const rgb = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i.exec(color);
+    if (rgb) {
+        return '#' + rgb.slice(1, 4).map(v => Math.min(255, Number(v)).toString(16).padStart(2, '0')).join('');
+    }
+    return '#000000';
+}
+
+// フォルダを複製する（履歴の記録に使う）
+function cloneFolder(folder) {
+    return {
+        id: folder.id,
+        name: folder.name,
+        collapsed: !!folder.collapsed,
+        hidden: !!folder.hidden,
+        locked: !!folder.locked
+    };
+}
+
+// 2つの点列が同じ座標か
+function isSamePointList(a, b) {
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false;
+    return a.every((point, i) => point[0] === b[i][0] && point[1] === b[i][1]);
+}
+
+// SVGパスの始点と終点（最初と最後の座標）
+function getPathEndpoints(svgPath) {
+    if (typeof svgPath !== 'string') return null;
+    const numbers = svgPath.match(/-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi);
+    if (!numbers || numbers.length < 4) return null;
+    const values = numbers.map(Number);
+    return {
+        start: [values[0], values[1]],
+        end: [values[values.length - 2], values[values.length - 1]]
+    };
+}
+
 /**
  * カーブ管理クラス
  * 曲線の追加、更新、削除などの操作を担当
@@ -24,27 +114,43 @@ export class CurveManager {
         this.historyManager = historyManager;
         this.graphCalculator = graphCalculator; // GraphCalculator参照を保持
         this.curves = [];
+        // 曲線のフォルダ { id, name, collapsed, hidden, locked }（曲線は folderId で所属するフォルダを持ち、同じフォルダの曲線は連続して並ぶ）
+        this.folders = [];
         this.g = null;
         this.emphasisPath = null;
         this.emphasisGraphCurveId = null; // GraphCalculator内の強調表示用曲線ID
         this.emphasisTargetCurveId = null; // 強調表示中の元曲線ID
+        this.secondaryEmphasisIds = []; // 複数選択時の追加の強調表示用曲線ID
+        this.knotEditHandler = null; // 節点編集ハンドラ（後で設定される）
+        this.curveTransformHandler = null; // 曲線変形ハンドラ（後で設定される）
         this.uiManager = null;
         this.languageManager = languageManager;
+        // 近似の候補（元の点列の配列ごとに保持し、点列が置き換わると自動的に無効になる）
+        this._approximationAlternatives = new WeakMap();
+        this.approximationPreviewId = null; // 近似の候補のプレビュー用曲線ID
 
         // 数式ハイライト機能クラスを初期化
         this.equationHighlighter = graphCalculator ? new EquationHighlighter(graphCalculator) : null;
+        // 手書きの曲線の端点を既存の曲線の端点・節点・交点に吸着させる
+        this.endpointSnapper = graphCalculator ? new EndpointSnapper(this, graphCalculator) : null;
+        // 式の曲線はパン・ズームのたびに今の表示範囲・倍率で標本化し直す
+        if (graphCalculator) {
+            graphCalculator.setCurveResampler(graphCurve => this._resampleExpressionPath(graphCurve.id));
+        }
 
-        this.quadraticApproximator = new QuadraticBSplineCurveApproximator(this.settings);
-        this.linearApproximator = new LinearFunctionApproximator(this.settings);
-        this.piecewiseLinearApproximator = new PiecewiseLinearApproximator(this.settings);
-        this.singleQuadraticApproximator = new SingleQuadraticBezierApproximator(this.settings);
-        this.singleCircleApproximator = new SingleCircleApproximator(this.settings);
-        this.quadraticBezierChainApproximator = new QuadraticBezierChainApproximator(this.settings);
-        this.selectiveCurveApproximator = new SelectiveCurveApproximator(this.settings);
+        // 近似クラスのインスタンス（近似手法のIDごとに { definition, approximator } を保持）
+        this.approximators = new Map();
+        // 手書きの曲線の近似を実行するワーカー（使えない環境ではメインスレッドで近似する）
+        this.approximationWorker = ApproximationWorkerClient.isSupported() ? new ApproximationWorkerClient() : null;
+        this.pendingApproximation = null; // 実行中の近似 { jobId, promise }
+        this.pendingCurveItem = null; // 近似中に表示するサイドバーの項目
 
         this._approximatorSettingsModel = createApproxSettingsModel();
         this.approximatorSettings = resolveApproxSettings(this._approximatorSettingsModel);
         this._syncApproximatorOptions(this.approximatorSettings);
+
+        // 近似手法が追加・削除されたら近似設定を作り直す
+        document.addEventListener('approximatorRegistryChanged', () => this._handleApproximatorRegistryChange());
     }
 
     /**
@@ -74,21 +180,36 @@ export class CurveManager {
      * @param {boolean} suppressHistory - true の場合は履歴に追加しない
      */
     setKnotCount(curveId, knotCount, suppressHistory = false) {
+        this._refitQuadraticCurve(curveId, knotCount);
+    }
+
+    /**
+     * preKnots のうち優先度が節点数に収まるものを使って二次曲線近似をやり直す
+     * @private
+     * @param {number} curveId
+     * @param {number} knotCount
+     * @param {boolean} preview - true の場合は数式リストを更新しない（ドラッグ中のプレビュー用）
+     * @returns {boolean} 近似に成功したかどうか
+     */
+    _refitQuadraticCurve(curveId, knotCount, preview = false) {
         const curve = this.curves[curveId];
-        if (!curve || !curve.originalPoints || !this.graphCalculator) return;
+        if (!curve || !curve.originalPoints || !this.graphCalculator) return false;
 
         const domain = this.graphCalculator.getDomain();
         const customKnots = (curve.preKnots || [])
             .filter(k => k.priority < (knotCount - 2))
             .sort((a, b) => a.knot - b.knot);
 
-        const result = this.quadraticApproximator.approximateWithCustomKnots(
+        const approximator = this.getApproximator('quadraticBSpline');
+        if (!approximator) return false;
+
+        const result = approximator.approximateWithCustomKnots(
             curve.originalPoints,
             customKnots,
             domain
         );
 
-        if (!result.success) return;
+        if (!result.success || !result.svgPath || result.svgPath.includes('NaN')) return false;
 
         // 曲線を置換
         if (curve.graphCurve) {
@@ -104,10 +225,12 @@ export class CurveManager {
             });
 
             curve.latexEquations = result.latexEquations;
-            curve.knotPoints = result.knots;
+            curve.knotPoints = result.knots.map(knot => ({ x: knot[0], y: knot[1] }));
             curve.knotCount = knotCount;
 
-            this.updateCurveListById(curve.graphCurve.id);
+            if (!preview) {
+                this.updateCurveListById(curve.graphCurve.id);
+            }
 
             // UI スライダーと表示を更新（undo/redo などプログラムからの呼び出しを反映）
             try {
@@ -116,14 +239,101 @@ export class CurveManager {
                     const valueDisplay = curveItem.querySelector('.knot-count-value');
                     const slider = curveItem.querySelector('.knot-count-slider');
                     if (valueDisplay) valueDisplay.textContent = String(knotCount);
-                    if (slider) slider.value = String(knotCount);
+                    if (slider) {
+                        slider.max = String(Math.max(curve.maxKnots || 10, knotCount));
+                        slider.value = String(knotCount);
+                    }
                 }
             } catch (e) {
                 // ignore UI update errors
             }
 
             this.syncEmphasisCurvePath(curveId, curve.graphCurve.id, result.svgPath);
+            if (!preview) {
+                this.syncSymmetryCopies(curveId);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * 節点編集の対象となる状態（節点列・節点数）を取得
+     * @param {number} curveId
+     * @returns {Object|null} { preKnots, knotCount, maxKnots }
+     */
+    getKnotState(curveId) {
+        const curve = this.curves[curveId];
+        if (!curve) return null;
+        return {
+            preKnots: (curve.preKnots || []).map(k => ({ ...k })),
+            knotCount: curve.knotCount,
+            maxKnots: curve.maxKnots
+        };
+    }
+
+    /**
+     * 節点編集の状態を復元して近似をやり直す（undo/redo 用）
+     * @param {number} curveId
+     * @param {Object} state - getKnotState で取得した状態
+     */
+    restoreKnotState(curveId, state) {
+        const curve = this.curves[curveId];
+        if (!curve || !state) return;
+
+        curve.preKnots = (state.preKnots || []).map(k => ({ ...k }));
+        curve.maxKnots = state.maxKnots;
+        this._refitQuadraticCurve(curveId, state.knotCount);
+    }
+
+    /**
+     * 節点列を直接指定して二次曲線近似をやり直す（節点の削除・追加・移動用）
+     * 内側の節点（0 < knot < 1）は既存の優先度の順に振り直し、すべての節点を使用する
+     * @param {number} curveId
+     * @param {Array<{knot:number, priority:number}>} preKnots - 0-1正規化済みの節点列（外側の節点を含む）
+     * @param {Object} options - { preview: boolean, recordHistory: boolean, previousState: Object }
+     * @returns {Object} 結果 {success: boolean, message: string}
+     */
+    setCustomKnots(curveId, preKnots, options = {}) {
+        const curve = this.curves[curveId];
+        if (!curve || curve.type !== 'quadratic' || !Array.isArray(preKnots)) {
+            return { success: false, message: '節点を編集できない曲線です' };
+        }
+
+        const {
+            preview = false,
+            recordHistory = !preview,
+            previousState = this.getKnotState(curveId)
+        } = options;
+
+        const outerKnots = preKnots
+            .filter(k => !(k.knot > 0 && k.knot < 1))
+            .map(k => ({ knot: k.knot, priority: -1, diff: -9999 }));
+        const innerKnots = preKnots
+            .filter(k => k.knot > 0 && k.knot < 1)
+            .sort((a, b) => (a.priority ?? Infinity) - (b.priority ?? Infinity))
+            .map((k, index) => ({ knot: k.knot, priority: index, diff: k.diff ?? -9999 }));
+        const knotCount = innerKnots.length + 2;
+
+        const backup = { preKnots: curve.preKnots, maxKnots: curve.maxKnots };
+        curve.preKnots = [...outerKnots, ...innerKnots].sort((a, b) => a.knot - b.knot);
+        curve.maxKnots = Math.max(curve.maxKnots || 10, knotCount);
+
+        if (!this._refitQuadraticCurve(curveId, knotCount, preview)) {
+            curve.preKnots = backup.preKnots;
+            curve.maxKnots = backup.maxKnots;
+            return { success: false, message: '指定した節点では近似できませんでした' };
+        }
+
+        if (recordHistory && this.historyManager && previousState) {
+            this.historyManager.addAction({
+                type: 'knotEdit',
+                id: curveId,
+                oldState: previousState,
+                newState: this.getKnotState(curveId)
+            });
         }
+
+        return { success: true, message: '節点を更新しました' };
     }
 
     /**
@@ -137,6 +347,22 @@ export class CurveManager {
         this.uiManager = uiManager;
     }
 
+    /**
+     * 節点編集ハンドラを設定
+     * @param {KnotEditHandler} knotEditHandler
+     */
+    setKnotEditHandler(knotEditHandler) {
+        this.knotEditHandler = knotEditHandler;
+    }
+
+    /**
+     * 曲線変形ハンドラを設定
+     * @param {CurveTransformHandler} curveTransformHandler
+     */
+    setCurveTransformHandler(curveTransformHandler) {
+        this.curveTransformHandler = curveTransformHandler;
+    }
+
     setApproximatorSettings(options, meta = {}) {
         const previousSnapshot = JSON.stringify(this.approximatorSettings);
         const mergedModel = mergeApproxSettings(this._approximatorSettingsModel, options);
@@ -147,10 +373,16 @@ export class CurveManager {
             return this.approximatorSettings;
         }
 
+        const prettyChanged = !!resolved.prettyCoefficients !== !!this.approximatorSettings?.prettyCoefficients;
+
         this._approximatorSettingsModel = mergedModel;
         this.approximatorSettings = resolved;
         this._syncApproximatorOptions(resolved);
 
+        if (prettyChanged) {
+            this.refreshEquationLatex();
+        }
+
         if (this.settings) {
             this.settings.showKnotsDefault = resolved.showKnotsDefault;
             this.settings.snap = resolved.snap;
@@ -169,109 +401,45 @@ export class CurveManager {
         return this.approximatorSettings;
     }
 
-    _syncApproximatorOptions(resolvedSettings) {
-        if (!resolvedSettings) return;
-        const categories = resolvedSettings.categories || {};
-        const globalSnap = typeof resolvedSettings.snap === 'boolean' ? resolvedSettings.snap : false;
-
-        const linearOptions = categories.linear || resolvedSettings.linear;
-        if (this.linearApproximator) {
-            const nextLinearOptions = {
-                ...(linearOptions ? { ...linearOptions } : {}),
-                snap: globalSnap
-            };
-
-            if (typeof this.linearApproximator.setOptions === 'function') {
-                this.linearApproximator.setOptions(nextLinearOptions);
-            } else if (this.linearApproximator.options) {
-                this.linearApproximator.options = {
-                    ...this.linearApproximator.options,
-                    ...nextLinearOptions
-                };
-            }
-        }
-
-        const piecewiseOptions = categories.piecewiseLinear || resolvedSettings.piecewiseLinear;
-        if (this.piecewiseLinearApproximator) {
-            const nextPiecewiseOptions = {
-                ...(piecewiseOptions ? { ...piecewiseOptions } : {}),
-                snap: globalSnap
-            };
-
-            if (typeof this.piecewiseLinearApproximator.setOptions === 'function') {
-                this.piecewiseLinearApproximator.setOptions(nextPiecewiseOptions);
-            } else if (this.piecewiseLinearApproximator.options) {
-                this.piecewiseLinearApproximator.options = {
-                    ...this.piecewiseLinearApproximator.options,
-                    ...nextPiecewiseOptions
-                };
-            }
-        }
-
-        const quadraticOptions = categories.quadraticBSpline || resolvedSettings.quadraticBSpline;
-        if (quadraticOptions && this.quadraticApproximator) {
-            if (typeof this.quadraticApproximator.setOptions === 'function') {
-                this.quadraticApproximator.setOptions({ ...quadraticOptions });
-            } else if (this.quadraticApproximator.options) {
-                this.quadraticApproximator.options = {
-                    ...this.quadraticApproximator.options,
-                    ...quadraticOptions
-                };
-            }
-        }
+    /**
+     * 近似手法のインスタンスを取得する（初めて使うとき、または定義が登録し直されたときに作る）
+     * @param {string} id - 近似手法のID
+     * @returns {Object|null} 近似クラスのインスタンス
+     */
+    getApproximator(id) {
+        const definition = approximatorRegistry.get(id);
+        if (!definition) return null;
 
-        const singleQuadraticOptions = categories.singleQuadratic || resolvedSettings.singleQuadratic;
-        if (singleQuadraticOptions && this.singleQuadraticApproximator) {
-            if (typeof this.singleQuadraticApproximator.setOptions === 'function') {
-                this.singleQuadraticApproximator.setOptions({ ...singleQuadraticOptions });
-            } else if (this.singleQuadraticApproximator.options) {
-                this.singleQuadraticApproximator.options = {
-                    ...this.singleQuadraticApproximator.options,
-                    ...singleQuadraticOptions
-                };
-            }
+        const cached = this.approximators.get(id);
+        if (cached && cached.definition === definition) {
+            return cached.approximator;
         }
 
-        const singleCircleOptions = categories.singleCircle || resolvedSettings.singleCircle;
-        if (singleCircleOptions && this.singleCircleApproximator) {
-            if (typeof this.singleCircleApproximator.setOptions === 'function') {
-                this.singleCircleApproximator.setOptions({ ...singleCircleOptions });
-            } else if (this.singleCircleApproximator.options) {
-                this.singleCircleApproximator.options = {
-                    ...this.singleCircleApproximator.options,
-                    ...singleCircleOptions
-                };
-            }
-        }
+        const approximator = definition.create(this.settings);
+        this.approximators.set(id, { definition, approximator });
+        return approximator;
+    }
 
-        const quadraticChainOptions = categories.quadraticChain || resolvedSettings.quadraticChain;
-        if (quadraticChainOptions && this.quadraticBezierChainApproximator) {
-            if (typeof this.quadraticBezierChainApproximator.setOptions === 'function') {
-                this.quadraticBezierChainApproximator.setOptions({ ...quadraticChainOptions });
-            } else if (this.quadraticBezierChainApproximator.options) {
-                this.quadraticBezierChainApproximator.options = {
-                    ...this.quadraticBezierChainApproximator.options,
-                    ...quadraticChainOptions
-                };
-            }
-        }
+    _syncApproximatorOptions(resolvedSettings) {
+        if (!resolvedSettings) return;
+        approximatorRegistry.list().forEach(definition => {
+            approximatorRegistry.applyOptions(definition, this.getApproximator(definition.id), resolvedSettings);
+        });
+    }
 
-        const selectiveOptions = categories.selective || resolvedSettings.selective;
-        if (selectiveOptions && this.selectiveCurveApproximator) {
-            if (typeof this.selectiveCurveApproximator.setOptions === 'function') {
-                this.selectiveCurveApproximator.setOptions({ ...selectiveOptions });
-            } else if (this.selectiveCurveApproximator.options) {
-                this.selectiveCurveApproximator.options = {
-                    ...this.selectiveCurveApproximator.options,
-                    ...selectiveOptions
-                };
-            }
-        }
+    // 近似手法の登録が変わったとき、登録されている近似手法に合わせて近似設定とインスタンスを作り直す
+    _handleApproximatorRegistryChange() {
+        this.approximators.forEach((entry, id) => {
+            if (!approximatorRegistry.has(id)) this.approximators.delete(id);
+        });
+        this._approximatorSettingsModel = cloneApproxSettingsModel(this._approximatorSettingsModel);
+        this.approximatorSettings = resolveApproxSettings(this._approximatorSettingsModel);
+        this._syncApproximatorOptions(this.approximatorSettings);
     }
 
     /**
      * 曲線の追加
-     * @param {Object} descriptor - 曲線の属性を含むオブジェクト
+     * @param {Object} descriptor - 曲線の属性を含むオブジェクト（recordHistory: false の場合は履歴に追加しない）
      */
     addCurve(descriptor) {
         if (typeof descriptor !== 'object' || descriptor === null) {
@@ -287,6 +455,7 @@ export class CurveManager {
             size: descriptor.size,
             // 移動ロックフラグ（true の場合は個別移動が禁止される）
             locked: descriptor.locked || false,
+            folderId: descriptor.folderId || null, // 所属するフォルダのID
             isHidden: false,        // 曲線の表示・非表示状態
             isDetailShown: true,    // 詳細情報をデフォルトで開く
             graphCurve: descriptor.graphCurve || null,  // GraphCalculatorの曲線オブジェクトを保存
@@ -301,7 +470,20 @@ export class CurveManager {
             approximationDiagnostics: descriptor.approximationDiagnostics || null,
             selectedApproximator: descriptor.selectedApproximator || null,
             approximatorPriority: descriptor.approximatorPriority ?? null,
+            approximationDomain: descriptor.approximationDomain || null, // 近似したときの表示範囲（近似の候補の計算に使う）
+            // 閉じた曲線（多角形・円・楕円など）は内側を塗りつぶせる
+            closed: descriptor.closed !== undefined ? !!descriptor.closed : CLOSED_CURVE_TYPES.includes(descriptor.type),
+            fill: null, // 塗りつぶし { color, opacity }
+            // 対称描画の元の曲線は写しと結ぶキーを、写しは元の曲線 { key: 元の曲線の symmetryKey, matrix } を持ち、元の曲線の変更に追従する
+            // 元の曲線を削除すると同じキーの曲線がなくなって写しは追従しなくなり、削除を元に戻すと同じ曲線が戻ってつながりも戻る
+            symmetryKey: descriptor.symmetryKey || null,
+            symmetrySource: descriptor.symmetrySource || null,
         };
+        if (descriptor.type === 'point') {
+            curve.pointShape = POINT_SHAPE_TYPES.includes(descriptor.pointShape) ? descriptor.pointShape : 'circle';
+        } else if (curve.closed) {
+            curve.fill = normalizeFill(descriptor.fill, descriptor.color);
+        }
 
         const targetId = descriptor.id;
 
@@ -312,6 +494,12 @@ export class CurveManager {
             this.curves.push(curve);
         }
 
+        if (curve.type === 'point') {
+            this.renderPointMarker(targetId);
+        } else if (curve.fill) {
+            this.applyCurveFill(targetId);
+        }
+
         // UI リストは既に placeholder を追加済みの場合は差分更新のみ行う
         try {
             // Use descriptor values to avoid passing objects to DOM attrs
@@ -321,10 +509,12 @@ export class CurveManager {
         }
 
         // 履歴に追加（placeholder があっても実体曲線を渡す）
-        this.historyManager.addAction({
-            type: 'add',
-            curve: this.curves[targetId]
-        });
+        if (descriptor.recordHistory !== false) {
+            this.historyManager.addAction({
+                type: 'add',
+                curve: this.curves[targetId]
+            });
+        }
     }
 
     /**
@@ -343,11 +533,19 @@ export class CurveManager {
         if (curveItem && curveItem.node()) {
             curveItem.html('');
         } else {
-            curveItem = curveList.append('div')
+            // 曲線のないフォルダの見出しは一覧の末尾に置く
+            curveItem = curveList.insert('div', '.curve-folder-header.empty')
                 .attr('class', 'curve-item')
                 .attr('data-id', id);
         }
 
+        // フォルダに入っている曲線は字下げし、閉じたフォルダでは隠す
+        const folder = curve ? this.getFolder(curve.folderId) : null;
+        curveItem
+            .classed('folder-member', !!folder)
+            .classed('folder-collapsed', !!(folder && folder.collapsed))
+            .classed('folder-hidden', !!(folder && folder.hidden));
+
         curveItem.append('span')
             .attr('class', 'curve-id no-copy')
             .text(id);
@@ -384,21 +582,39 @@ export class CurveManager {
 
         // 初期表示状態は曲線個別のフラグを優先
         const initialShowKnots = (curve && typeof curve.showKnots !== 'undefined') ? curve.showKnots : this.approximatorSettings.showKnotsDefault;
-        this.createCurveOptionButton(curveOptions, id, {
-            iconName: 'commit',
-            initialActive: initialShowKnots,
-            title: 'Show knots',
-            onClick: (curveId, isActive, buttonElement) => {
-                // 節点表示フラグを更新して DOM を切り替える
-                const c = this.curves[curveId];
-                if (c) c.showKnots = isActive;
-
-                if (!this.graphCalculator) return;
-                const gc = this.graphCalculator.getCurve(c?.graphCurve?.id || c?.graphCurve || curveId);
-                if (!gc || !Array.isArray(gc.points)) return;
-                gc.points.forEach(p => { if (p && p.group && p.group.style) p.group.style.display = isActive ? '' : 'none'; });
-            }
-        });
+        // 点オブジェクトは節点を持たないため、代わりに点の形状の切り替えボタンを置く
+        if (curve && curve.type === 'point') {
+            this.createCurveOptionButton(curveOptions, id, {
+                iconName: POINT_SHAPE_ICONS[curve.pointShape] || POINT_SHAPE_ICONS.circle,
+                initialActive: false,
+                title: 'Point shape',
+                className: 'point-shape-toggle',
+                onClick: (curveId, isActive, buttonElement) => {
+                    // 押すたびに次の形状へ切り替える（トグル状態は使わない）
+                    buttonElement.classList.remove('active');
+                    const c = this.curves[curveId];
+                    if (!c) return;
+                    const index = POINT_SHAPE_TYPES.indexOf(c.pointShape);
+                    this.setPointShape(curveId, POINT_SHAPE_TYPES[(index + 1) % POINT_SHAPE_TYPES.length]);
+                }
+            });
+        } else {
+            this.createCurveOptionButton(curveOptions, id, {
+                iconName: 'commit',
+                initialActive: initialShowKnots,
+                title: 'Show knots',
+                onClick: (curveId, isActive, buttonElement) => {
+                    // 節点表示フラグを更新して DOM を切り替える
+                    const c = this.curves[curveId];
+                    if (c) c.showKnots = isActive;
+
+                    if (!this.graphCalculator) return;
+                    const gc = this.graphCalculator.getCurve(c?.graphCurve?.id || c?.graphCurve || curveId);
+                    if (!gc || !Array.isArray(gc.points)) return;
+                    gc.points.forEach(p => { if (p && p.group && p.group.style) p.group.style.display = isActive ? '' : 'none'; });
+                }
+            });
+        }
 
         // Lock toggle: UI にボタンが静的に挿入されているため、ここで初期状態の反映とクリック処理を結びつける
         try {
@@ -428,11 +644,94 @@ export class CurveManager {
             // ignore UI binding errors
         }
 
-        // 二次曲線近似（quadratic）の場合のみ、節点数の調整スライダーを追加
-        if (curve && curve.type === 'quadratic') {
+        // 二次曲線近似（quadratic）の場合のみ、節点の編集ボタンと節点数の調整スライダーを追加
+        // ベジェ曲線から書き換えた二次関数などは近似し直すための節点（preKnots）を持たないため出さない
+        if (curve && curve.type === 'quadratic' && Array.isArray(curve.preKnots) && curve.preKnots.length > 0) {
+            this.createCurveOptionButton(curveOptions, id, {
+                iconName: 'edit',
+                initialActive: !!(this.knotEditHandler && this.knotEditHandler.activeCurveId === id),
+                title: 'Edit knots',
+                className: 'knot-edit-toggle',
+                onClick: (curveId, isActive) => {
+                    if (!this.knotEditHandler) return;
+                    if (isActive) {
+                        this.knotEditHandler.start(curveId);
+                    } else {
+                        this.knotEditHandler.stop();
+                    }
+                    // 節点の編集中は変形ハンドルを出さないため、切り替えに合わせて描き直す
+                    if (this.curveTransformHandler) this.curveTransformHandler.scheduleUpdate();
+                }
+            });
             this.createKnotCountSlider(curveOptions, id);
         }
 
+        // 二次曲線は y = f(x) と2次ベジェ曲線の表し方を切り替えられる
+        const equationForm = this.getEquationForm(id);
+        if (equationForm) {
+            this.createCurveOptionButton(curveOptions, id, {
+                iconName: 'conversion_path',
+                initialActive: equationForm === 'bezier',
+                title: 'Bézier form',
+                className: 'equation-form-toggle',
+                onClick: (curveId, isActive, buttonElement) => {
+                    const result = this.setEquationForm(curveId, isActive ? 'bezier' : 'function');
+                    if (!result.success) {
+                        buttonElement.classList.toggle('active', !isActive);
+                        if (this.uiManager && this.uiManager.alertModal) {
+                            this.uiManager.alertModal.show(result.message, { type: 'warning', position: 'center-top' });
+                        }
+                    }
+                }
+            });
+        }
+
+        // 手書きの曲線は、他の近似の候補に切り替えられる
+        if (this.canReapproximate(id)) {
+            this.createCurveOptionButton(curveOptions, id, {
+                iconName: 'alt_route',
+                initialActive: !!curve.showAlternatives,
+                title: '近似の候補',
+                i18nKey: 'actions.approximation_alternatives',
+                className: 'approximation-alternatives-toggle',
+                onClick: (curveId, isActive) => {
+                    const c = this.curves[curveId];
+                    if (!c) return;
+                    c.showAlternatives = isActive;
+                    this.renderApproximationAlternatives(curveId);
+                }
+            });
+            curveDetails.append('div')
+                .attr('class', `approximation-alternatives ${curve.showAlternatives ? '' : 'hidden'}`);
+            if (curve.showAlternatives) {
+                this.renderApproximationAlternatives(id);
+            }
+        }
+
+        // 閉じた曲線は内側を塗りつぶせる
+        if (curve && curve.closed && curve.type !== 'point') {
+            this.createCurveOptionButton(curveOptions, id, {
+                iconName: 'format_color_fill',
+                initialActive: !!curve.fill,
+                title: 'Fill',
+                className: 'curve-fill-toggle',
+                onClick: (curveId, isActive, buttonElement) => {
+                    const c = this.curves[curveId];
+                    if (!c) return;
+                    const result = this.setCurveFill(curveId, isActive ? { color: c.color, opacity: DEFAULT_FILL_OPACITY } : null);
+                    if (!result.success) {
+                        buttonElement.classList.toggle('active', !isActive);
+                        if (this.uiManager && this.uiManager.alertModal) {
+                            this.uiManager.alertModal.show(result.message, { type: 'warning', position: 'center-top' });
+                        }
+                    }
+                }
+            });
+            curveDetails.append('div')
+                .attr('class', `curve-fill-controls ${curve.fill ? '' : 'hidden'}`);
+            this.renderCurveFillControls(id);
+        }
+
         const equationsContainer = curveDetails.append('div')
             .attr('class', 'equations-container');
 
@@ -448,7 +747,8 @@ export class CurveManager {
             }
 
             curve.latexEquations.forEach((eq, i) => {
-                if (typeof eq === 'object' && eq.formula && eq.domain) {
+                // 点オブジェクトの式と、制限のない式の曲線は定義域を持たない
+                if (typeof eq === 'object' && eq.formula && (eq.domain || eq.type === 'point' || eq.type === 'expression')) {
                     const equationItem = timeline.append('div')
                         .attr('class', 'equation-item')
                         .attr('data-section-index', i)
@@ -467,9 +767,11 @@ export class CurveManager {
                     const katexContainer = equationContent.append('div')
                         .attr('class', 'katex-display');
 
-                    timeline.append('div')
-                        .attr('class', 'domain-marker')
-                        .text(eq.domain.end.replace(/\.(00|0)$/, ''));
+                    if (eq.domain) {
+                        timeline.append('div')
+                            .attr('class', 'domain-marker')
+                            .text(eq.domain.end.replace(/\.(00|0)$/, ''));
+                    }
 
                     // Render equation with KaTeX (prefer structured latex, fall back to formula)
                     setTimeout(() => {
@@ -499,6 +801,8 @@ export class CurveManager {
                                 this.copyEquationToClipboard(eq, copyButton.node());
                             });
                         }
+
+                        this._bindEquationEditor(id, i, equationContent.node());
                     }, 0);
                 }
             });
@@ -640,7 +944,11 @@ export class CurveManager {
                 }
 
                 if (!moved) {
-                    this.selectCurve(d3.select(curveItemElem), id);
+                    if (event.shiftKey || event.ctrlKey || event.metaKey) {
+                        this.toggleCurveSelection(id);
+                    } else {
+                        this.selectCurve(d3.select(curveItemElem), id);
+                    }
                 } else {
                     this._onDragEnd(upEvent);
                 }
@@ -683,7 +991,13 @@ export class CurveManager {
             if (delBtn) {
                 event.stopPropagation();
                 const did = Number(delBtn.getAttribute('data-id'));
-                this.deleteCurve({ target: { dataset: { id: did } } });
+                // 複数選択中の曲線の削除ボタンは選択中の曲線をまとめて削除する
+                const selectedIds = this.getSelectedCurveIds();
+                if (selectedIds.length > 1 && selectedIds.includes(did)) {
+                    this.deleteCurves(selectedIds);
+                } else {
+                    this.deleteCurve({ target: { dataset: { id: did } } });
+                }
                 return;
             }
 
@@ -914,7 +1228,10 @@ export class CurveManager {
     _updateDragIndicator(pos) {
         if (!this._curveListElem) return;
 
-        const items = Array.from(this._curveListElem.querySelectorAll('.curve-item:not(.curve-drag-dummy)'));
+        // フォルダの見出しも並べ替えの目印にする（閉じたフォルダの曲線は除く）
+        const items = Array.from(this._curveListElem.querySelectorAll(
+            '.curve-item:not(.curve-drag-dummy):not(.pending):not(.folder-collapsed), .curve-folder-header'
+        ));
         let insertIndex = items.length;
 
         for (let i = 0; i < items.length; i++) {
@@ -927,6 +1244,55 @@ export class CurveManager {
 
         this._showDragIndicator(insertIndex, items);
         this._dragInsertIndex = insertIndex;
+        this._dropTarget = this._resolveDropTarget(items, insertIndex);
+    }
+
+    /**
+     * ドロップ位置の前後の行から、移動先（並べ替え前の曲線のインデックス）と入るフォルダを決める
+     * 開いたフォルダの見出しやフォルダ内の曲線の直後に落とした曲線はそのフォルダに入る
+     * フォルダを移動するときは他のフォルダの途中に入らないようにフォルダの後ろへ回す
+     * @param {Array<Element>} items - 一覧の行（曲線とフォルダの見出し）
+     * @param {number} insertIndex - ドロップ位置の行番号
+     * @returns {{beforeIndex: number, folderId: string|null}}
+     */
+    _resolveDropTarget(items, insertIndex) {
+        const prev = insertIndex > 0 ? items[insertIndex - 1] : null;
+        const next = insertIndex < items.length ? items[insertIndex] : null;
+        const draggedFolderId = this._draggedFolderId || null;
+        const folderStart = (folderId) => {
+            const ids = this.getFolderCurveIds(folderId);
+            return ids.length > 0 ? ids[0] : null;
+        };
+        const folderEnd = (folderId) => {
+            const ids = this.getFolderCurveIds(folderId);
+            return ids.length > 0 ? ids[ids.length - 1] + 1 : null;
+        };
+        const nextIndex = () => {
+            if (!next) return this.curves.length;
+            if (next.classList.contains('curve-folder-header')) {
+                return folderStart(next.dataset.folderId) ?? this.curves.length;
+            }
+            return Number(next.dataset.id);
+        };
+
+        if (!prev) {
+            return { beforeIndex: nextIndex(), folderId: null };
+        }
+
+        if (prev.classList.contains('curve-folder-header')) {
+            const folder = this.getFolder(prev.dataset.folderId);
+            if (!draggedFolderId && folder && !folder.collapsed) {
+                return { beforeIndex: folderStart(folder.id) ?? this.curves.length, folderId: folder.id };
+            }
+            return { beforeIndex: folderEnd(prev.dataset.folderId) ?? nextIndex(), folderId: null };
+        }
+
+        const prevId = Number(prev.dataset.id);
+        const prevFolder = this.getCurveFolder(prevId);
+        if (prevFolder && draggedFolderId && prevFolder.id !== draggedFolderId) {
+            return { beforeIndex: folderEnd(prevFolder.id), folderId: null };
+        }
+        return { beforeIndex: prevId + 1, folderId: prevFolder ? prevFolder.id : null };
     }
 
     _onDragEnd(event) {
@@ -949,20 +1315,12 @@ export class CurveManager {
             }
 
             // Note: dropping onto the former trash area no longer deletes the curve.
-            if (this._dragInsertIndex !== undefined && this._draggedCurveId !== null) {
-                // 順序変更処理
-                const fromId = this._draggedCurveId;
-                const toIndex = this._dragInsertIndex;
-
-                if (typeof fromId === 'number' && typeof toIndex === 'number') {
-                    if (fromId !== toIndex && fromId !== toIndex - 1) {
-                        if (fromId < toIndex) {
-                            this.reorderCurves(fromId, toIndex - 1);
-                        } else {
-                            this.reorderCurves(fromId, toIndex);
-                        }
-                    }
-                }
+            if (this._dropTarget && this._draggedFolderId) {
+                // フォルダごとの順序変更
+                this.moveFolder(this._draggedFolderId, this._dropTarget.beforeIndex);
+            } else if (this._dropTarget && typeof this._draggedCurveId === 'number') {
+                // 順序変更処理（フォルダへの出し入れを含む）
+                this.moveCurve(this._draggedCurveId, this._dropTarget.beforeIndex, this._dropTarget.folderId);
             }
         } catch (err) {
             console.error('ドラッグ終了エラー:', err);
@@ -971,8 +1329,10 @@ export class CurveManager {
             this._removeDragDummy();
             this._removeDragIndicator();
             this._draggedCurveId = null;
+            this._draggedFolderId = null;
             this._draggedCurveElem = null;
             this._dragInsertIndex = null;
+            this._dropTarget = null;
             this._lastDragPos = null;
         }
     }
@@ -1114,11 +1474,13 @@ export class CurveManager {
             this.settings.currentColor = curveColor;
             this.settings.currentSize = curveSize;
             this.settings.selectCurveId = id;
+            this.settings.selectedCurveIds = [id];
 
             // PenToolManagerに通知（存在する場合）
             if (this.uiManager && this.uiManager.penToolManager) {
                 this.uiManager.penToolManager.updateFromCurveSelection(curveColor, curveSize);
             }
+            this._dispatchSelectionChanged();
         }
     }
 
@@ -1135,106 +1497,1868 @@ export class CurveManager {
         this.settings.currentColor = this.settings.prevColor;
         this.settings.currentSize = this.settings.prevSize;
         this.settings.selectCurveId = null;
+        this.settings.selectedCurveIds = [];
+        this._dispatchSelectionChanged();
+    }
+
+    // 選択状態の変化を通知する（変形ハンドルの表示更新などに使用）
+    _dispatchSelectionChanged() {
+        document.dispatchEvent(new CustomEvent('curveSelectionChanged', {
+            detail: { ids: this.getSelectedCurveIds() }
+        }));
     }
 
     /**
-     * 詳細表示の切り替え
-     * @param {number} id - 曲線ID
+     * 選択中の曲線IDの一覧を取得
+     * 複数選択していない場合は selectCurveId のみを返す
+     * @returns {Array<number>} 曲線IDの配列
      */
-    toggleDetailVisibility(id) {
-        const curve = this.curves[id];
-        if (!curve) return;
-
-        // 現在の状態を取得
-        const isDetailShown = curve.isDetailShown;
-
-        // 表示/非表示状態を反転
-        const newDetailState = !isDetailShown;
-
-        // 履歴に追加
-        this.historyManager.addAction({
-            type: 'toggleDetails',
-            id: id,
-            oldDetailShown: isDetailShown,
-            newDetailShown: newDetailState
-        });
-
-        // 状態を更新
-        this.setCurveDetailState(id, newDetailState);
+    getSelectedCurveIds() {
+        const ids = Array.isArray(this.settings.selectedCurveIds) ? this.settings.selectedCurveIds : [];
+        const valid = ids.filter(id => this.curves[id]);
+        if (valid.length > 0) return valid;
+        const id = this.settings.selectCurveId;
+        return (id !== null && id !== undefined && this.curves[id]) ? [id] : [];
     }
 
     /**
-     * 詳細表示の切り替え (イベントハンドラ用)
-     * @deprecated 直接toggleDetailVisibilityを使ってください
+     * 曲線を選択に追加、または選択から外す（Shift / Ctrl + クリック）
+     * @param {number} id - 曲線ID
      */
-    showDetails(event) {
-        const id = parseInt(event.target.dataset.id);
-        this.toggleDetailVisibility(id);
+    toggleCurveSelection(id) {
+        if (!this.curves[id]) return;
+
+        const ids = this.getSelectedCurveIds();
+        if (ids.includes(id)) {
+            this.setCurveSelection(ids.filter(selectedId => selectedId !== id));
+        } else {
+            this.setCurveSelection([...ids, id], id);
+        }
     }
 
     /**
-     * 曲線の削除
-     * @param {Event} event - イベントオブジェクト
+     * 複数の曲線を選択状態にする
+     * @param {Array<number>} ids - 曲線IDの配列
+     * @param {number|null} primaryId - ペンツールに色と太さを反映する曲線ID（省略時は最後の曲線）
      */
-    deleteCurve(event) {
-        const id = parseInt(event.target.dataset.id);
+    setCurveSelection(ids, primaryId = null) {
+        const validIds = [...new Set(ids)].filter(id => this.curves[id]);
+        if (validIds.length === 0) {
+            this.deselectCurve();
+            return;
+        }
 
-        // Guard against missing curve (could be placeholder removed)
-        if (!this.curves[id]) return;
+        const primary = validIds.includes(primaryId) ? primaryId : validIds[validIds.length - 1];
 
-        this.historyManager.addAction({
-            type: 'delete',
-            curve: this.curves[id],
-            index: id,
-            nextCurveId: this.settings.nextCurveId
-        });
+        // 未選択の状態から選択した場合のみ、選択解除時に戻す色とサイズを保存
+        if (this.settings.selectCurveId === null) {
+            this.settings.prevColor = this.settings.currentColor;
+            this.settings.prevSize = this.settings.currentSize;
+        }
 
-        // D3パスの削除
-        this.curves[id].path.remove();
+        this.settings.selectCurveId = primary;
+        this.settings.selectedCurveIds = validIds;
+        this.emphasisSelection();
 
-        // GraphCalculatorからも曲線を削除
-        if (this.graphCalculator && this.curves[id].graphCurve) {
-            const graphCalcCurve = this.curves[id].graphCurve;
-            this.graphCalculator.removeCurve(graphCalcCurve.id);
+        const curveColor = this.curves[primary].color;
+        const curveSize = this.curves[primary].size;
+        d3.select("#size").property('value', curveSize);
+        this.settings.currentColor = curveColor;
+        this.settings.currentSize = curveSize;
+
+        if (this.uiManager && this.uiManager.penToolManager) {
+            this.uiManager.penToolManager.updateColorDisplayMini(curveColor);
+            this.uiManager.penToolManager.updateSizeDisplayMini(curveSize);
+            this.uiManager.penToolManager.updateFromCurveSelection(curveColor, curveSize);
         }
+        this._dispatchSelectionChanged();
+    }
 
-        // 配列から削除
-        this.curves.splice(id, 1);
+    /**
+     * 選択中のすべての曲線を強調表示し、リスト項目に選択状態を反映する
+     */
+    emphasisSelection() {
+        const ids = this.getSelectedCurveIds();
+        const primary = this.settings.selectCurveId;
 
-        // IDを再割り当て
-        this.curves.forEach((curve, index) => {
-            if (curve) {
-                curve.id = index;
-            }
+        d3.selectAll('.curve-item').classed('selected', false);
+        ids.forEach(id => {
+            d3.select(`.curve-item[data-id='${id}']`).classed('selected', true);
         });
 
-        this.settings.nextCurveId = this.curves.length;
-        this.updateCurveList();
-        this.redrawCurves();
-        this.deselectCurve();
+        this.delEmphasisCurve();
+        if (primary !== null && this.curves[primary]) {
+            this.emphasisCurve(primary);
+        }
+        ids.filter(id => id !== primary).forEach(id => this._addSecondaryEmphasis(id));
     }
 
     /**
-     * 曲線リストをID指定で更新
-     * @param {number} id - 曲線ID
+     * 複数選択時の追加の強調表示（GraphCalculator上のみ）
+     * @private
      */
-    updateCurveListById(id) {
+    _addSecondaryEmphasis(id) {
         const curve = this.curves[id];
-        if (!curve) return;
-        this.updateEquationsContainer(id, curve.latexEquations)
+        if (!this.graphCalculator || !curve || !curve.graphCurve) return;
+
+        const originalCurve = this.graphCalculator.getCurve(curve.graphCurve.id);
+        if (!originalCurve || !originalCurve.path) return;
+
+        const emphasisId = `emphasis-${curve.graphCurve.id}`;
+        if (this.graphCalculator.getCurve(emphasisId)) {
+            this.graphCalculator.removeCurve(emphasisId);
+        }
+        this.graphCalculator.addCurve(this.graphCalculator.getCurvePathData(curve.graphCurve.id), {
+            id: emphasisId,
+            color: curve.color,
+            width: curve.size + 8,
+            opacity: 0.4
+        });
+        this.secondaryEmphasisIds.push(emphasisId);
     }
 
     /**
-     * 曲線リストの更新
+     * 複数の操作を1つの履歴として記録する
+     * @param {Array<Object>} actions - 履歴アクションの配列
      */
-    updateCurveList() {
-        const curveList = document.getElementById('curve-list');
-        curveList.innerHTML = '';
-        this.curves.forEach((curve, index) => {
-            if (curve) {
-                this.addCurveToList(index, curve.color, curve.size, curve.hidden, this.approximatorSettings, curve.type);
+    recordBatchAction(actions) {
+        if (!this.historyManager || !Array.isArray(actions) || actions.length === 0) return;
+        this.historyManager.addAction(actions.length === 1 ? actions[0] : { type: 'batch', actions });
+    }
+
+    /**
+     * 曲線の点列から範囲（ドメイン座標）を取得
+     * @param {Array<number>} ids - 曲線IDの配列
+     * @returns {{xMin:number, xMax:number, yMin:number, yMax:number}|null}
+     */
+    getCurvesBounds(ids) {
+        let bounds = null;
+        ids.forEach(id => {
+            const curve = this.curves[id];
+            if (!curve) return;
+            const points = (Array.isArray(curve.originalPoints) && curve.originalPoints.length > 0)
+                ? curve.originalPoints
+                : (curve.knotPoints || []).map(k => [k.x, k.y]);
+            points.forEach(([x, y]) => {
+                if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+                if (!bounds) {
+                    bounds = { xMin: x, xMax: x, yMin: y, yMax: y };
+                    return;
+                }
+                bounds.xMin = Math.min(bounds.xMin, x);
+                bounds.xMax = Math.max(bounds.xMax, x);
+                bounds.yMin = Math.min(bounds.yMin, y);
+                bounds.yMax = Math.max(bounds.yMax, y);
+            });
+        });
+        return bounds;
+    }
+
+    /**
+     * 曲線の形状に関わる状態（数式・点列・節点）を取得（変形の undo/redo 用）
+     * @param {number} curveId
+     * @returns {Object|null} { type, approximationType, latexEquations, originalPoints, knotPoints, preKnots, approximationData }
+     */
+    getShapeState(curveId) {
+        const curve = this.curves[curveId];
+        if (!curve) return null;
+        return {
+            type: curve.type,
+            approximationType: curve.approximationType,
+            latexEquations: JSON.parse(JSON.stringify(curve.latexEquations || [])),
+            originalPoints: (curve.originalPoints || []).map(p => [p[0], p[1]]),
+            knotPoints: (curve.knotPoints || []).map(k => ({ x: k.x, y: k.y })),
+            preKnots: (curve.preKnots || []).map(k => ({ ...k })),
+            knotCount: curve.knotCount,
+            approximationData: curve.approximationData || null,
+            selectedApproximator: curve.selectedApproximator || null,
+            approximatorPriority: curve.approximatorPriority ?? null,
+            closed: !!curve.closed
+        };
+    }
+
+    /**
+     * 曲線の形状を復元し、数式から描き直す（対称描画の写しも元の曲線に合わせて描き直す）
+     * @param {number} curveId
+     * @param {Object} state - getShapeState で取得した状態
+     */
+    restoreShapeState(curveId, state) {
+        const curve = this.curves[curveId];
+        if (!curve || !state) return;
+
+        const previousPoints = curve.originalPoints;
+        curve.type = state.type;
+        curve.approximationType = state.approximationType;
+        curve.latexEquations = JSON.parse(JSON.stringify(state.latexEquations || []));
+        curve.originalPoints = (state.originalPoints || []).map(p => [p[0], p[1]]);
+        // 点列が変わらない場合（近似の切り替えなど）は計算済みの近似の候補を引き継ぐ
+        const alternatives = previousPoints ? this._approximationAlternatives.get(previousPoints) : null;
+        if (alternatives && isSamePointList(previousPoints, curve.originalPoints)) {
+            this._approximationAlternatives.set(curve.originalPoints, alternatives);
+        }
+        curve.knotPoints = (state.knotPoints || []).map(k => ({ x: k.x, y: k.y }));
+        curve.preKnots = (state.preKnots || []).map(k => ({ ...k }));
+        curve.approximationData = state.approximationData || null;
+        if (state.knotCount !== undefined) curve.knotCount = state.knotCount;
+        if (state.selectedApproximator !== undefined) {
+            curve.selectedApproximator = state.selectedApproximator;
+            curve.approximatorPriority = state.approximatorPriority ?? null;
+        }
+        if (state.closed !== undefined) curve.closed = !!state.closed;
+
+        const pathData = this._generateCurvePath(curve);
+        if (this.graphCalculator && curve.graphCurve && pathData) {
+            const graphCurveId = curve.graphCurve.id;
+            this.graphCalculator.updateCurve(graphCurveId, { path: pathData });
+
+            // 移動の取り消しなどで残っている表示用の transform を外す（形状は数式から描き直すため）
+            const group = this.graphCalculator.svg
+                ? this.graphCalculator.svg.querySelector(`g[data-curve-base-id="${graphCurveId}"]`)
+                : null;
+            if (group) {
+                group.removeAttribute('transform');
+            }
+            if (curve.path && typeof curve.path.attr === 'function') {
+                curve.path.attr('d', pathData);
+            }
+
+            // 強調表示（単一選択・複数選択のどちらも）のパスを合わせる
+            const emphasisId = `emphasis-${graphCurveId}`;
+            if (this.graphCalculator.getCurve(emphasisId)) {
+                this.graphCalculator.updateCurve(emphasisId, { path: pathData });
+            }
+            this.syncEmphasisCurvePath(curveId, graphCurveId, pathData);
+
+            // 閉じていない形状になった場合は塗りつぶしを外す（設定は残し、閉じた形状に戻したら再び塗る）
+            this.applyCurveFill(curveId);
+
+            // 点オブジェクトは印を、それ以外は節点を描き直す
+            if (curve.type === 'point') {
+                this.renderPointMarker(curveId);
+            } else {
+                this.graphCalculator.removeAllPoints(graphCurveId);
+                curve.knotPoints.forEach(knot => {
+                    const p = this.graphCalculator.addPoint(graphCurveId, knot.x, knot.y, {
+                        color: curve.color,
+                        size: 10,
+                        shape: 'hollowCircle',
+                    });
+                    if (p && curve.showKnots === false && p.group && p.group.style) p.group.style.display = 'none';
+                });
+            }
+        }
+
+        this.updateEquationsContainer(curveId, curve.latexEquations);
+        this.syncSymmetryCopies(curveId);
+    }
+
+    /**
+     * 曲線の数式からSVGパスを生成する
+     * 曲線の種類で描けない場合（種類の混在した式など）は式ごとに生成してつなげる
+     * @private
+     * @param {Object} curve
+     * @returns {string} SVGパスデータ
+     */
+    _generateCurvePath(curve) {
+        const graPenAPI = (typeof window !== 'undefined' && window.GraPen &&
+            typeof window.GraPen.generateSVGPathFromFormula === 'function')
+            ? window.GraPen
+            : null;
+        const equations = curve.latexEquations || [];
+        if (!graPenAPI || equations.length === 0) return '';
+
+        const drawableTypes = PATH_EQUATION_TYPES[curve.type];
+        const isMixed = drawableTypes && equations.some(eq => !eq || !drawableTypes.includes(eq.type));
+        const pathData = isMixed ? '' : graPenAPI.generateSVGPathFromFormula(equations, curve.originalPoints, { type: curve.type });
+        if (pathData) return pathData;
+        return equations
+            .map(eq => graPenAPI.generateSVGPathFromFormula([eq], curve.originalPoints, { type: eq.type }))
+            .filter(Boolean)
+            .join(' ');
+    }
+
+    /**
+     * 表示範囲が変わったときに式の曲線のパスを作り直す（強調表示の曲線も元の曲線と同じパスにする）
+     * @private
+     * @param {string} graphCurveId - GraphCalculatorの曲線ID
+     * @returns {string|null} 新しいパスデータ（式の曲線でなければ null）
+     */
+    _resampleExpressionPath(graphCurveId) {
+        const baseId = String(graphCurveId).replace(/^emphasis-/, '');
+        const curveId = this.getCurveIdByGraphCurveId(baseId);
+        const curve = curveId !== null ? this.curves[curveId] : null;
+        if (!curve || curve.type !== 'expression') return null;
+        return this._generateCurvePath(curve);
+    }
+
+    /**
+     * アフィン変換後の曲線の形状を計算する（曲線自体は変更しない）
+     * @private
+     * @param {number} curveId
+     * @param {Array<number>} matrix - 変換行列 [a, b, c, d, e, f]
+     * @returns {Object|null} getShapeState と同じ形式の状態（数式を変換できない場合は null）
+     */
+    _createTransformedState(curveId, matrix) {
+        const state = this.getShapeState(curveId);
+        if (!state || state.latexEquations.length === 0) return null;
+
+        let equations = EquationBuilder.transformEquations(state.latexEquations, matrix);
+        if (!equations) return null;
+
+        // 二次関数の一部の区間だけがベジェ曲線になった場合は、すべての区間をベジェ曲線にそろえる
+        const isBezier = eq => eq.type === 'quadraticBezier';
+        if (state.type === 'quadratic' && equations.some(isBezier) && !equations.every(isBezier)) {
+            equations = EquationBuilder.transformEquations(state.latexEquations, matrix, { parametric: true });
+            if (!equations) return null;
+        }
+
+        // 数式1種類で描く曲線は、変換後の式の種類に合わせる（円 → 楕円、二次関数 → ベジェ曲線など）
+        let type = state.type;
+        const types = [...new Set(equations.map(eq => eq.type))];
+        const singleFormTypes = ['quadratic', 'circle', 'ellipse', 'arc', 'quadraticBezier', 'cubicBezier'];
+        const linearTypes = ['linear', 'constant', 'vertical'];
+        if (singleFormTypes.includes(state.type) && types.length === 1 && !linearTypes.includes(types[0])) {
+            type = types[0];
+        }
+
+        // preKnots は点列のx座標の範囲で0-1正規化されているため、左右が入れ替わる場合は反転する
+        const preKnots = (type === 'quadratic' && matrix[0] < 0)
+            ? state.preKnots.map(k => ({ ...k, knot: 1 - k.knot })).sort((a, b) => a.knot - b.knot)
+            : state.preKnots;
+
+        return {
+            type,
+            approximationType: type !== state.type ? type : state.approximationType,
+            latexEquations: equations,
+            originalPoints: state.originalPoints.map(p => applyMatrixToPoint(matrix, p)),
+            knotPoints: state.knotPoints.map(k => {
+                const [x, y] = applyMatrixToPoint(matrix, [k.x, k.y]);
+                return { x, y };
+            }),
+            preKnots,
+            // 近似時の描画データは変形前の形状のため破棄し、数式から描き直す
+            approximationData: null
+        };
+    }
+
+    /**
+     * 曲線にアフィン変換（拡大縮小・回転・反転）を適用する
+     * 数式は形を保てる場合は同じ種類の式に書き換え、保てない場合は媒介変数表示の式にする
+     * ロックされた曲線は変形しない
+     * @param {Array<number>} ids - 曲線IDの配列
+     * @param {Array<number>} matrix - 変換行列 [a, b, c, d, e, f]
+     * @param {Object} options - { recordHistory: boolean }
+     * @returns {Object} 変形結果 {success: boolean, message: string}
+     */
+    transformCurves(ids, matrix, options = {}) {
+        const { recordHistory = true } = options;
+        // 対称描画の写しは元の曲線から描き直されるため、元の曲線と一緒に選んだ場合は変形しない
+        const targetIds = this.excludeSymmetryCopies(
+            [...new Set(ids)].filter(id => this.curves[id] && !this.isCurveLocked(id))
+        );
+        if (targetIds.length === 0) {
+            return { success: false, message: '変形できる曲線がありません' };
+        }
+        if (!Array.isArray(matrix) || matrix.length < 6 || !matrix.every(Number.isFinite)) {
+            return { success: false, message: '変換行列が不正です' };
+        }
+        if (isIdentityMatrix(matrix)) {
+            return { success: true, message: '曲線は変形されませんでした' };
+        }
+
+        // 1本でも変形できない曲線があれば何も変更しない
+        const changes = [];
+        for (const id of targetIds) {
+            const newState = this._createTransformedState(id, matrix);
+            if (!newState) {
+                return { success: false, message: `曲線 ${id} の数式は変形できません` };
+            }
+            changes.push({ id, oldState: this.getShapeState(id), newState });
+        }
+
+        if (this.knotEditHandler && this.knotEditHandler.isActive()) {
+            this.knotEditHandler.stop();
+        }
+
+        changes.forEach(change => this.restoreShapeState(change.id, change.newState));
+
+        // 曲線の種類が変わった場合はアイコンやスライダーが変わるため曲線リストを作り直す
+        if (changes.some(change => change.oldState.type !== change.newState.type)) {
+            this.updateCurveList();
+            if (this.getSelectedCurveIds().length > 0) {
+                this.emphasisSelection();
+            }
+        }
+
+        if (recordHistory) {
+            this.recordBatchAction(changes.map(change => ({
+                type: 'transformCurve',
+                id: change.id,
+                oldState: change.oldState,
+                newState: change.newState
+            })));
+        }
+
+        return { success: true, message: `${changes.length}本の曲線を変形しました` };
+    }
+
+    /**
+     * 対称描画の写しを追加し、元の曲線と合わせて1つの操作として履歴に記録する
+     * 写しは元の曲線の数式をそのまま変換行列で写す（y = f(x) の左右の鏡映は x → 2a − x、ベジェ曲線は制御点を写す）
+     * @private
+     * @param {number} sourceId - 元の曲線ID（追加済みで履歴には未記録の、末尾の曲線）
+     * @param {Array<Array<number>>} matrices - createSymmetryMatrices で作った変換行列
+     * @returns {Array<number>} 追加した写しの曲線ID
+     */
+    _addSymmetryCopies(sourceId, matrices) {
+        const source = this.curves[sourceId];
+        const actions = [{ type: 'add', curve: source }];
+        const copyIds = [];
+
+        if (!source.symmetryKey) {
+            source.symmetryKey = createSymmetryKey();
+        }
+
+        // 写しは元の曲線の後ろに並べる
+        this.settings.nextCurveId = sourceId + 1;
+        matrices.forEach(matrix => {
+            const state = this._createTransformedState(sourceId, matrix);
+            if (!state) return;
+            const added = this.addEquationCurve({
+                type: state.type,
+                latexEquations: state.latexEquations,
+                color: source.color,
+                size: source.size,
+                originalPoints: state.originalPoints,
+                knotPoints: state.knotPoints,
+                closed: source.closed,
+                symmetrySource: { key: source.symmetryKey, matrix },
+                recordHistory: false
+            });
+            if (!added.success) return;
+            copyIds.push(added.id);
+            actions.push({ type: 'add', curve: this.curves[added.id] });
+        });
+        // 元の曲線の分は呼び出し側が nextCurveId を進める
+        this.settings.nextCurveId = this.curves.length - 1;
+
+        this.recordBatchAction(actions);
+        return copyIds;
+    }
+
+    /**
+     * 曲線から作られた対称描画の写しの曲線IDを取得
+     * @param {number} curveId - 元の曲線ID
+     * @returns {Array<number>}
+     */
+    getSymmetryCopyIds(curveId) {
+        const source = this.curves[curveId];
+        if (!source || !source.symmetryKey) return [];
+        const copyIds = [];
+        this.curves.forEach((curve, id) => {
+            if (curve && curve !== source && curve.symmetrySource && curve.symmetrySource.key === source.symmetryKey) {
+                copyIds.push(id);
+            }
+        });
+        return copyIds;
+    }
+
+    /**
+     * 曲線IDの一覧から、一緒に含まれる元の曲線に追従する写しを除く
+     * @param {Array<number>} ids
+     * @returns {Array<number>}
+     */
+    excludeSymmetryCopies(ids) {
+        const copyIds = new Set(ids.flatMap(id => this.getSymmetryCopyIds(id)));
+        return ids.filter(id => !copyIds.has(id));
+    }
+
+    /**
+     * 対称描画の写しを元の曲線の今の形から描き直す（ロックされた写しはそのまま）
+     * 写しの変更は履歴に記録しない（元の曲線を元に戻す・やり直すと写しも描き直される）
+     * @param {number|Array<number>} curveIds - 変更された元の曲線ID
+     */
+    syncSymmetryCopies(curveIds) {
+        const ids = Array.isArray(curveIds) ? curveIds : [curveIds];
+        let typeChanged = false;
+        ids.forEach(sourceId => {
+            this.getSymmetryCopyIds(sourceId).forEach(copyId => {
+                if (this.isCurveLocked(copyId)) return;
+                const copy = this.curves[copyId];
+                const state = this._createTransformedState(sourceId, copy.symmetrySource.matrix);
+                if (!state) return;
+                if (state.type !== copy.type) typeChanged = true;
+                this.restoreShapeState(copyId, { ...state, closed: this.curves[sourceId].closed });
+            });
+        });
+
+        // 曲線の種類が変わった場合はアイコンやスライダーが変わるため曲線リストを作り直す
+        if (typeChanged) {
+            this.updateCurveList();
+            if (this.getSelectedCurveIds().length > 0) {
+                this.emphasisSelection();
+            }
+        }
+    }
+
+    /**
+     * 直接変更された対称描画の写しを元の曲線から切り離す（以降は元の曲線の変更に追従しない）
+     * @param {Array<number>} curveIds - 変更された曲線ID
+     * @returns {Array<Object>} 切り離しの履歴アクション（写しがなければ空）
+     */
+    unlinkSymmetryCopies(curveIds) {
+        return [...new Set(curveIds)].flatMap(id => {
+            const curve = this.curves[id];
+            if (!curve || !curve.symmetrySource) return [];
+            const oldLink = curve.symmetrySource;
+            curve.symmetrySource = null;
+            return [{ type: 'symmetryLink', id, oldLink, newLink: null }];
+        });
+    }
+
+    /**
+     * 対称描画の写しと元の曲線の結びつきを設定する（元に戻す・やり直し用）
+     * @param {number} curveId
+     * @param {Object|null} link - { key: 元の曲線の symmetryKey, matrix }
+     */
+    setSymmetrySource(curveId, link) {
+        const curve = this.curves[curveId];
+        if (curve) curve.symmetrySource = link || null;
+    }
+
+    /**
+     * 二次曲線の数式の表し方を取得
+     * @param {number} curveId
+     * @returns {string|null} 'function'（y = f(x)）, 'bezier'（2次ベジェ曲線）, 切り替えできない曲線は null
+     */
+    getEquationForm(curveId) {
+        const curve = this.curves[curveId];
+        if (!curve || !Array.isArray(curve.latexEquations) || curve.latexEquations.length === 0) return null;
+
+        const types = curve.latexEquations.map(eq => eq && eq.type);
+        if (curve.type === 'quadratic' && types.every(type => ['quadratic', 'linear', 'constant', 'vertical'].includes(type))) {
+            return 'function';
+        }
+        if (['quadraticBezier', 'singleQuadratic'].includes(curve.type) && types.every(type => type === 'quadraticBezier')) {
+            return 'bezier';
+        }
+        return null;
+    }
+
+    /**
+     * 二次曲線の数式を y = f(x) と2次ベジェ曲線の間で書き換える（描く曲線は変わらない）
+     * @param {number} curveId
+     * @param {string} form - 'function' | 'bezier'
+     * @param {Object} options - { recordHistory: boolean }
+     * @returns {Object} 結果 {success: boolean, message: string}
+     */
+    setEquationForm(curveId, form, options = {}) {
+        const { recordHistory = true } = options;
+        if (form !== 'function' && form !== 'bezier') {
+            return { success: false, message: "表し方は 'function' または 'bezier' で指定してください" };
+        }
+        const currentForm = this.getEquationForm(curveId);
+        if (!currentForm) {
+            return { success: false, message: 'この曲線は数式の表し方を切り替えられません' };
+        }
+        if (currentForm === form) {
+            return { success: true, message: '数式の表し方は変更されませんでした' };
+        }
+
+        const oldState = this.getShapeState(curveId);
+        const equations = oldState.latexEquations.map(eq => (form === 'bezier'
+            ? EquationBuilder.toQuadraticBezier(eq)
+            : EquationBuilder.toFunctionForm(eq)));
+        if (equations.some(eq => !eq)) {
+            return { success: false, message: 'y = f(x) の形で表せない区間があります' };
+        }
+
+        if (form === 'function') {
+            // 二次関数の曲線は左から右へつないで描くため、右から左へ描かれたベジェ曲線は区間の並びを逆にする
+            const first = oldState.latexEquations[0].params.controlPoints[0];
+            const last = oldState.latexEquations[oldState.latexEquations.length - 1].params.controlPoints[2];
+            if (first[0] > last[0]) {
+                equations.reverse();
+            }
+            equations.forEach(eq => { eq.rpn = toRPN(eq.formula || ''); });
+        } else {
+            equations.forEach(eq => { eq.rpn = []; });
+        }
+
+        const newState = {
+            ...oldState,
+            type: form === 'function' ? 'quadratic' : 'quadraticBezier',
+            latexEquations: equations,
+            approximationData: oldState.approximationData
+                ? { ...oldState.approximationData, equationForm: form }
+                : null
+        };
+
+        if (this.knotEditHandler && this.knotEditHandler.activeCurveId === curveId) {
+            this.knotEditHandler.stop();
+        }
+
+        this.restoreShapeState(curveId, newState);
+
+        // 節点編集ボタンやスライダーの有無が変わるため曲線リストを作り直す
+        this.updateCurveList();
+        if (this.getSelectedCurveIds().length > 0) {
+            this.emphasisSelection();
+        }
+
+        if (recordHistory) {
+            this.historyManager.addAction({
+                type: 'equationForm',
+                id: curveId,
+                oldState,
+                newState
+            });
+        }
+
+        return {
+            success: true,
+            message: form === 'function' ? 'y = f(x) の形に書き換えました' : '2次ベジェ曲線の形に書き換えました'
+        };
+    }
+
+    /**
+     * 数式カードで編集した数式を曲線に反映し、数式から曲線を描き直す
+     * 元の点列は変更しない（節点は編集前の式の端点にあるものだけ動かす）
+     * @param {number} curveId
+     * @param {number} index - 編集する数式の番号
+     * @param {string} text - 入力された数式
+     * @param {Object} options - { domain: { start, end }, recordHistory: boolean }
+     * @returns {Object} 結果 {success: boolean, message: string, i18nKey: string}（i18nKey は失敗時のみ）
+     */
+    editEquation(curveId, index, text, options = {}) {
+        const { recordHistory = true } = options;
+        const curve = this.curves[curveId];
+        const original = curve && Array.isArray(curve.latexEquations) ? curve.latexEquations[index] : null;
+        if (!original) {
+            return { success: false, message: '編集する数式が見つかりません', i18nKey: 'curve.equation_edit.not_found' };
+        }
+        if (this.isCurveLocked(curveId)) {
+            return { success: false, message: 'ロックされた曲線の数式は編集できません', i18nKey: 'curve.equation_edit.locked' };
+        }
+
+        const parsed = parseEquationText(text, original, { domain: options.domain });
+        if (!parsed.success) {
+            return { success: false, message: parsed.message, i18nKey: parsed.i18nKey };
+        }
+        const equation = parsed.equation;
+        if (equation.formula === original.formula &&
+            JSON.stringify(equation.domain) === JSON.stringify(original.domain)) {
+            return { success: true, message: '数式は変更されませんでした' };
+        }
+
+        const oldState = this.getShapeState(curveId);
+        const latexEquations = oldState.latexEquations.map((eq, i) => (i === index ? equation : eq));
+        // 1つの式で描く曲線は、編集後の式の種類に合わせる（一次関数 → 二次関数など）
+        const type = latexEquations.length === 1 && SINGLE_FUNCTION_CURVE_TYPES.includes(oldState.type)
+            ? equation.type
+            : oldState.type;
+        const newState = {
+            ...oldState,
+            type,
+            approximationType: type !== oldState.type ? type : oldState.approximationType,
+            latexEquations,
+            originalPoints: equation.type === 'point' ? [[...equation.params.point]] : oldState.originalPoints,
+            knotPoints: this._moveEditedKnots(oldState.knotPoints, original, equation),
+            // 近似時の描画データは編集前の形状のため破棄し、数式から描き直す
+            approximationData: null
+        };
+
+        if (!this._generateCurvePath({ ...curve, ...newState })) {
+            return { success: false, message: '数式から曲線を描けませんでした', i18nKey: 'curve.equation_edit.draw_failed' };
+        }
+
+        if (this.knotEditHandler && this.knotEditHandler.activeCurveId === curveId) {
+            this.knotEditHandler.stop();
+        }
+
+        this.restoreShapeState(curveId, newState);
+
+        // 曲線の種類が変わった場合はアイコンやスライダーが変わるため曲線リストを作り直す
+        if (newState.type !== oldState.type) {
+            this.updateCurveList();
+            if (this.getSelectedCurveIds().length > 0) {
+                this.emphasisSelection();
+            }
+        }
+
+        if (recordHistory) {
+            this.historyManager.addAction({
+                type: 'equationEdit',
+                id: curveId,
+                oldState,
+                newState
+            });
+        }
+
+        return { success: true, message: '数式を変更しました' };
+    }
+
+    /**
+     * 編集前の式の端点にある節点を、編集後の式の端点に動かす
+     * @private
+     * @param {Array<Object>} knotPoints - 節点 [{ x, y }]
+     * @param {Object} original - 編集前の数式
+     * @param {Object} edited - 編集後の数式
+     * @returns {Array<Object>} 動かした節点
+     */
+    _moveEditedKnots(knotPoints, original, edited) {
+        const oldEnds = getEquationEndpoints(original);
+        const newEnds = getEquationEndpoints(edited);
+        if (!oldEnds || !newEnds) return knotPoints;
+
+        return knotPoints.map(knot => {
+            const endIndex = oldEnds.findIndex(([x, y]) => Math.hypot(knot.x - x, knot.y - y) <= EDIT_KNOT_TOLERANCE);
+            if (endIndex < 0) return knot;
+            return { x: newEnds[endIndex][0], y: newEnds[endIndex][1] };
+        });
+    }
+
+    /**
+     * 数式カードの数式をクリックで編集できるようにする
+     * @private
+     * @param {number} curveId
+     * @param {number} index - 数式の番号
+     * @param {HTMLElement} equationContent - .equation-content 要素
+     */
+    _bindEquationEditor(curveId, index, equationContent) {
+        const katexDisplay = equationContent ? equationContent.querySelector('.katex-display') : null;
+        if (!katexDisplay) return;
+
+        const curve = this.curves[curveId];
+        const editable = !!curve && isEditableEquation(curve.latexEquations[index]);
+        equationContent.classList.toggle('editable', editable);
+        if (editable) {
+            katexDisplay.title = 'クリックして数式を編集';
+            katexDisplay.setAttribute('data-i18n', 'actions.equation_edit');
+            if (this.languageManager) this.languageManager.updateSpecificElement(katexDisplay);
+        } else {
+            katexDisplay.title = '';
+            katexDisplay.removeAttribute('data-i18n');
+        }
+        katexDisplay.onclick = editable
+            ? (event) => {
+                event.stopPropagation();
+                this.openEquationEditor(curveId, index);
+            }
+            : null;
+    }
+
+    /**
+     * 数式カードに数式の編集欄を開く
+     * Enter またはフォーカスを外すと反映し、Escape で取り消す。解釈できない場合は編集欄にエラーを表示する
+     * @param {number} curveId
+     * @param {number} index - 数式の番号
+     */
+    openEquationEditor(curveId, index) {
+        const curve = this.curves[curveId];
+        const equation = curve && Array.isArray(curve.latexEquations) ? curve.latexEquations[index] : null;
+        if (!isEditableEquation(equation)) return;
+
+        const content = document.querySelector(`.equation-content[data-section-index="${index}"][data-curve-id="${curveId}"]`);
+        if (!content || content.querySelector('.equation-editor')) return;
+        const katexDisplay = content.querySelector('.katex-display');
+
+        const createInput = (className, value) => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = className;
+            input.value = value;
+            input.spellcheck = false;
+            input.autocomplete = 'off';
+            return input;
+        };
+
+        const editor = document.createElement('div');
+        editor.className = 'equation-editor ignore-selection';
+        const formulaInput = createInput('equation-edit-formula', equation.formula || '');
+        editor.appendChild(formulaInput);
+
+        let startInput = null;
+        let endInput = null;
+        if (hasEditableDomain(equation)) {
+            const domainRow = document.createElement('div');
+            domainRow.className = 'equation-edit-domain';
+            startInput = createInput('equation-edit-domain-start', equation.domain.start);
+            endInput = createInput('equation-edit-domain-end', equation.domain.end);
+            const axisLabel = document.createElement('span');
+            axisLabel.textContent = ` ≤ ${equation.domainAxis || (equation.type === 'vertical' ? 'y' : 'x')} ≤ `;
+            domainRow.append(startInput, axisLabel, endInput);
+            editor.appendChild(domainRow);
+        }
+
+        const errorElement = document.createElement('div');
+        errorElement.className = 'equation-edit-error';
+        editor.appendChild(errorElement);
+
+        if (katexDisplay) katexDisplay.style.display = 'none';
+        content.appendChild(editor);
+        formulaInput.focus();
+        formulaInput.select();
+
+        let closed = false;
+        const close = () => {
+            closed = true;
+            editor.remove();
+            if (katexDisplay) katexDisplay.style.display = '';
+        };
+        const apply = () => {
+            const result = this.editEquation(curveId, index, formulaInput.value, {
+                domain: startInput ? { start: startInput.value, end: endInput.value } : undefined
+            });
+            if (!result.success) {
+                errorElement.textContent = this._getTranslation(result.i18nKey, result.message);
+                editor.classList.add('invalid');
+                return;
+            }
+            close();
+        };
+
+        editor.addEventListener('keydown', (event) => {
+            // 曲線の削除や元に戻すなどのショートカットを働かせない
+            event.stopPropagation();
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                apply();
+            } else if (event.key === 'Escape') {
+                event.preventDefault();
+                close();
+            }
+        });
+        editor.addEventListener('focusout', (event) => {
+            if (closed || editor.contains(event.relatedTarget)) return;
+            apply();
+        });
+        editor.addEventListener('input', () => {
+            errorElement.textContent = '';
+            editor.classList.remove('invalid');
+        });
+    }
+
+    /**
+     * 曲線を別の近似に切り替えられるか
+     * 手書きで描いた曲線（元の点列と採用した近似を持つ曲線）だけが対象
+     * @param {number} curveId
+     * @returns {boolean}
+     */
+    canReapproximate(curveId) {
+        const curve = this.curves[curveId];
+        return !!(curve && curve.selectedApproximator && curve.type !== 'point' &&
+            Array.isArray(curve.originalPoints) && curve.originalPoints.length >= 2);
+    }
+
+    /**
+     * 曲線の近似の候補を取得する
+     * 描いたときの結果が残っていなければ元の点列から計算し直す
+     * @param {number} curveId
+     * @returns {Array<Object>} 優先度順の近似の試行 [{ label, approximation, priority, error }]
+     */
+    getApproximationAlternatives(curveId) {
+        if (!this.canReapproximate(curveId)) return [];
+        const curve = this.curves[curveId];
+
+        let alternatives = this._approximationAlternatives.get(curve.originalPoints);
+        if (!alternatives) {
+            // 表示範囲によって近似の結果が変わるため、描いたときの表示範囲で計算し直す
+            const domainInfo = curve.approximationDomain ||
+                (this.graphCalculator && typeof this.graphCalculator.getDomain === 'function'
+                    ? this.graphCalculator.getDomain()
+                    : null);
+            alternatives = this._rankApproximationAttempts(
+                this._collectApproximationAttempts(curve.originalPoints, domainInfo)
+            );
+            this._approximationAlternatives.set(curve.originalPoints, alternatives);
+        }
+        return alternatives;
+    }
+
+    /**
+     * 近似の試行から曲線の形状の状態を作る
+     * @private
+     * @param {number} curveId
+     * @param {Object} attempt - 近似の試行 { label, approximation, priority }
+     * @returns {Object} getShapeState と同じ形式の状態
+     */
+    _createApproximationState(curveId, attempt) {
+        const approximation = attempt.approximation;
+        const latexEquations = JSON.parse(JSON.stringify(approximation.latexEquations || []));
+        latexEquations.forEach(eq => {
+            if (eq && eq.formula && typeof eq.formula === 'string') {
+                try {
+                    eq.rpn = toRPN(eq.formula);
+                } catch (e) {
+                    eq.rpn = null;
+                }
+            }
+        });
+
+        return {
+            ...this.getShapeState(curveId),
+            type: approximation.type,
+            approximationType: approximation.type,
+            latexEquations,
+            knotPoints: (approximation.knots || [])
+                .filter(knot => Array.isArray(knot) && knot.length >= 2)
+                .map(knot => ({ x: knot[0], y: knot[1] })),
+            preKnots: (approximation.preKnots || []).map(k => ({ ...k })),
+            knotCount: latexEquations.length + 1,
+            approximationData: approximation.exportData || null,
+            selectedApproximator: attempt.label,
+            approximatorPriority: attempt.priority,
+            closed: !!approximation.closed
+        };
+    }
+
+    /**
+     * 曲線を近似の候補のいずれかに切り替える（元の点列は変わらない）
+     * @param {number} curveId
+     * @param {string} label - 近似の候補のラベル（'piecewiseLinear', 'quadraticBSpline' など）
+     * @param {Object} options - { recordHistory: boolean }
+     * @returns {Object} 結果 {success: boolean, message: string}
+     */
+    setApproximationAlternative(curveId, label, options = {}) {
+        const { recordHistory = true } = options;
+        if (!this.canReapproximate(curveId)) {
+            return { success: false, message: 'この曲線は近似を切り替えられません' };
+        }
+        const curve = this.curves[curveId];
+        if (curve.selectedApproximator === label) {
+            return { success: true, message: '近似は変更されませんでした' };
+        }
+
+        const attempt = this.getApproximationAlternatives(curveId).find(entry => entry.label === label);
+        if (!attempt) {
+            return { success: false, message: `近似の候補 ${label} が見つかりません` };
+        }
+
+        const oldState = this.getShapeState(curveId);
+        const newState = this._createApproximationState(curveId, attempt);
+
+        this.clearApproximationPreview();
+        if (this.knotEditHandler && this.knotEditHandler.activeCurveId === curveId) {
+            this.knotEditHandler.stop();
+        }
+
+        this.restoreShapeState(curveId, newState);
+
+        // アイコンや節点数のスライダーが変わるため曲線リストを作り直す
+        this.updateCurveList();
+        if (this.getSelectedCurveIds().length > 0) {
+            this.emphasisSelection();
+        }
+
+        if (recordHistory) {
+            this.historyManager.addAction({
+                type: 'reapproximate',
+                id: curveId,
+                oldState,
+                newState
+            });
+        }
+
+        return { success: true, message: (attempt.approximation.type || label) + 'として近似し直しました' };
+    }
+
+    /**
+     * 近似の候補を元の曲線に重ねて半透明でプレビューする
+     * @param {number} curveId
+     * @param {string} label - 近似の候補のラベル
+     */
+    previewApproximationAlternative(curveId, label) {
+        this.clearApproximationPreview();
+        const curve = this.curves[curveId];
+        if (!curve || curve.isHidden || !this.graphCalculator) return;
+
+        const attempt = this.getApproximationAlternatives(curveId).find(entry => entry.label === label);
+        const svgPath = attempt ? attempt.approximation.svgPath : null;
+        if (!svgPath) return;
+
+        const previewId = `approximation-preview-${curveId}`;
+        this.graphCalculator.addCurve(svgPath, {
+            id: previewId,
+            color: curve.color,
+            width: Math.max(1.5, (curve.size ?? 6) * 0.75),
+            opacity: 0.5,
+            strokeDasharray: '8 6',
+            style: {
+                filter: 'drop-shadow(0 0 1px white)'
+            }
+        });
+        this.approximationPreviewId = previewId;
+    }
+
+    /**
+     * 近似の候補のプレビューを消す
+     */
+    clearApproximationPreview() {
+        if (this.approximationPreviewId && this.graphCalculator) {
+            this.graphCalculator.removeCurve(this.approximationPreviewId);
+        }
+        this.approximationPreviewId = null;
+    }
+
+    /**
+     * 曲線の詳細に近似の候補の一覧を描画する
+     * 候補にマウスを乗せるとプレビューし、クリックでその近似に切り替える
+     * @param {number} curveId
+     */
+    renderApproximationAlternatives(curveId) {
+        const curve = this.curves[curveId];
+        const container = document.querySelector(`.curve-item[data-id="${curveId}"] .approximation-alternatives`);
+        if (!curve || !container) return;
+
+        container.innerHTML = '';
+        container.classList.toggle('hidden', !curve.showAlternatives);
+        if (!curve.showAlternatives) {
+            this.clearApproximationPreview();
+            return;
+        }
+
+        const title = document.createElement('div');
+        title.className = 'approximation-alternatives-title';
+        title.setAttribute('data-i18n', 'curve.alternatives.title');
+        title.textContent = '近似の候補';
+        container.appendChild(title);
+
+        const alternatives = this.getApproximationAlternatives(curveId);
+        if (alternatives.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'no-equation';
+            empty.setAttribute('data-i18n', 'curve.alternatives.empty');
+            empty.textContent = '近似の候補はありません';
+            container.appendChild(empty);
+        }
+
+        alternatives.forEach(attempt => {
+            const label = approximatorRegistry.getName(attempt.label) || { key: null, text: attempt.label };
+            const iconType = attempt.approximation.type || attempt.label;
+            const errorText = Number.isFinite(attempt.error) ? attempt.error.toFixed(3) : '-';
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'approximation-alternative ignore-selection';
+            button.classList.toggle('active', attempt.label === curve.selectedApproximator);
+            button.dataset.label = attempt.label;
+            button.innerHTML = `
+                <span class="approximation-alternative-icon" style="background-color: ${curve.color};">
+                    ${this.getColorIconSVG(iconType, 'white')}
+                </span>
+                <span class="approximation-alternative-label"${label.key ? ` data-i18n="${label.key}"` : ''}>${label.text}</span>
+                <span class="approximation-alternative-error">RMS ${errorText}</span>
+            `;
+
+            button.addEventListener('mouseenter', () => this.previewApproximationAlternative(curveId, attempt.label));
+            button.addEventListener('mouseleave', () => this.clearApproximationPreview());
+            button.addEventListener('click', (event) => {
+                event.stopPropagation();
+                const result = this.setApproximationAlternative(curveId, attempt.label);
+                if (!result.success && this.uiManager && this.uiManager.alertModal) {
+                    this.uiManager.alertModal.show(result.message, { type: 'warning', position: 'center-top' });
+                }
+            });
+            container.appendChild(button);
+        });
+
+        if (this.languageManager) {
+            container.querySelectorAll('[data-i18n]').forEach(el => this.languageManager.updateSpecificElement(el));
+        }
+    }
+
+    /**
+     * 点オブジェクトの印（PointShapes の形状）を描き直す
+     * 曲線のパスは長さ0のため表示せず、当たり判定と強調表示にだけ使う
+     * @param {number} curveId
+     */
+    renderPointMarker(curveId) {
+        const curve = this.curves[curveId];
+        if (!curve || curve.type !== 'point' || !this.graphCalculator || !curve.graphCurve) return;
+        const equation = (curve.latexEquations || [])[0];
+        const point = equation && equation.params ? equation.params.point : null;
+        if (!Array.isArray(point)) return;
+
+        const graphCurveId = curve.graphCurve.id;
+        this.graphCalculator.removeAllPoints(graphCurveId);
+        this.addPointMarker(graphCurveId, point, curve);
+    }
+
+    /**
+     * 曲線グループに点オブジェクトの印を追加（移動中のダミー曲線にも使う）
+     * @param {string} graphCurveId - GraphCalculator の曲線ID
+     * @param {Array<number>} point - 点の座標 [x, y]
+     * @param {Object} style - { color, size, pointShape }
+     * @returns {Object|null} 追加した点オブジェクト
+     */
+    addPointMarker(graphCurveId, point, style) {
+        const graphCurve = this.graphCalculator ? this.graphCalculator.getCurve(graphCurveId) : null;
+        if (!graphCurve) return null;
+        if (graphCurve.path) {
+            graphCurve.path.style.visibility = 'hidden';
+        }
+
+        const shape = POINT_SHAPE_TYPES.includes(style.pointShape) ? style.pointShape : 'circle';
+        let fill = style.color;
+        if (shape === 'hollowCircle') {
+            fill = 'white';
+        } else if (shape === 'cross' || shape === 'plus') {
+            fill = 'none';
+        }
+
+        const marker = this.graphCalculator.addPoint(graphCurveId, point[0], point[1], {
+            shape,
+            size: style.size * POINT_OBJECT_SIZE_RATIO,
+            fill,
+            stroke: style.color,
+            linkToCurve: true
+        });
+        // 半透明の曲線（移動中のダミーなど）に合わせる
+        if (marker && graphCurve.opacity !== undefined && graphCurve.opacity !== 1) {
+            this.graphCalculator.updatePoint(marker.id, { opacity: graphCurve.opacity });
+        }
+        return marker;
+    }
+
+    /**
+     * 点オブジェクトの形状を変更
+     * @param {number} curveId
+     * @param {string} shape - POINT_SHAPE_TYPES のいずれか
+     * @param {Object} options - { recordHistory }
+     * @returns {Object} 変更結果 {success: boolean, message: string}
+     */
+    setPointShape(curveId, shape, options = {}) {
+        const { recordHistory = true } = options;
+        const curve = this.curves[curveId];
+        if (!curve || curve.type !== 'point') {
+            return { success: false, message: '点オブジェクトではありません' };
+        }
+        if (!POINT_SHAPE_TYPES.includes(shape)) {
+            return { success: false, message: `無効な形状です。有効な形状: ${POINT_SHAPE_TYPES.join(', ')}` };
+        }
+        const oldShape = curve.pointShape;
+        if (oldShape === shape) {
+            return { success: true, message: '点の形状は変更されませんでした' };
+        }
+
+        curve.pointShape = shape;
+        this.renderPointMarker(curveId);
+
+        const icon = document.querySelector(`.point-shape-toggle[data-id="${curveId}"] i`);
+        if (icon) {
+            icon.textContent = POINT_SHAPE_ICONS[shape];
+        }
+
+        if (recordHistory) {
+            this.historyManager.addAction({
+                type: 'pointShape',
+                id: curveId,
+                oldShape,
+                newShape: shape
+            });
+        }
+
+        return { success: true, message: '点の形状を変更しました' };
+    }
+
+    /**
+     * 曲線の塗りつぶしを GraphCalculator に反映する
+     * 閉じていない曲線は塗りつぶしの設定があっても塗らない
+     * @param {number} curveId
+     */
+    applyCurveFill(curveId) {
+        const curve = this.curves[curveId];
+        if (!curve || !curve.graphCurve || !this.graphCalculator) return;
+        const fill = curve.closed ? curve.fill : null;
+        this.graphCalculator.updateCurve(curve.graphCurve.id, {
+            fill: fill ? fill.color : null,
+            fillOpacity: fill ? fill.opacity : undefined
+        });
+    }
+
+    /**
+     * 閉じた曲線の塗りつぶしを変更
+     * @param {number} curveId
+     * @param {Object|string|null} fill - { color, opacity }（色の文字列も可、null で塗りつぶしを外す）
+     * @param {Object} options - { recordHistory, oldFill: 履歴に記録する変更前の塗りつぶし（色の調整中に使う） }
+     * @returns {Object} 変更結果 {success: boolean, message: string}
+     */
+    setCurveFill(curveId, fill, options = {}) {
+        const { recordHistory = true } = options;
+        const curve = this.curves[curveId];
+        if (!curve || curve.type === 'point') {
+            return { success: false, message: '曲線が見つかりません' };
+        }
+        const newFill = normalizeFill(fill, curve.color);
+        if (newFill && !curve.closed) {
+            return { success: false, message: '閉じた曲線ではないため塗りつぶせません' };
+        }
+
+        const oldFill = options.oldFill !== undefined ? normalizeFill(options.oldFill, curve.color) : curve.fill;
+        curve.fill = newFill;
+        this.applyCurveFill(curveId);
+
+        const toggle = document.querySelector(`.curve-fill-toggle[data-id="${curveId}"]`);
+        if (toggle) {
+            toggle.classList.toggle('active', !!newFill);
+        }
+        this.renderCurveFillControls(curveId);
+
+        if (JSON.stringify(oldFill) === JSON.stringify(newFill)) {
+            return { success: true, message: '塗りつぶしは変更されませんでした' };
+        }
+        if (recordHistory) {
+            this.historyManager.addAction({
+                type: 'fill',
+                id: curveId,
+                oldFill: oldFill ? { ...oldFill } : null,
+                newFill: newFill ? { ...newFill } : null
+            });
+        }
+
+        return { success: true, message: newFill ? '塗りつぶしを変更しました' : '塗りつぶしを外しました' };
+    }
+
+    /**
+     * 曲線の詳細に塗りつぶしの色と不透明度の入力欄を描画する
+     * 入力中は履歴に残さずに反映し、確定したときに変更前の値から履歴に記録する
+     * @param {number} curveId
+     */
+    renderCurveFillControls(curveId) {
+        const curve = this.curves[curveId];
+        const container = document.querySelector(`.curve-item[data-id="${curveId}"] .curve-fill-controls`);
+        if (!curve || !container) return;
+
+        container.innerHTML = '';
+        container.classList.toggle('hidden', !curve.fill);
+        if (!curve.fill) return;
+
+        const committedFill = { ...curve.fill };
+        container.innerHTML = `
+            <span class="curve-fill-label" data-i18n="curve.fill.label">塗りつぶし:</span>
+            <input type="color" class="curve-fill-color ignore-selection" value="${toHexColor(curve.fill.color)}">
+            <input type="range" class="curve-fill-opacity ignore-selection" min="0" max="1" step="0.05" value="${curve.fill.opacity}">
+            <span class="curve-fill-opacity-value">${Math.round(curve.fill.opacity * 100)}%</span>
+        `;
+        const colorInput = container.querySelector('.curve-fill-color');
+        const opacityInput = container.querySelector('.curve-fill-opacity');
+        const opacityValue = container.querySelector('.curve-fill-opacity-value');
+        const readFill = () => ({ color: colorInput.value, opacity: Number(opacityInput.value) });
+
+        const preview = () => {
+            const c = this.curves[curveId];
+            if (!c) return;
+            c.fill = normalizeFill(readFill(), c.color);
+            opacityValue.textContent = `${Math.round(c.fill.opacity * 100)}%`;
+            this.applyCurveFill(curveId);
+        };
+        const commit = () => this.setCurveFill(curveId, readFill(), { oldFill: committedFill });
+
+        [colorInput, opacityInput].forEach(input => {
+            input.addEventListener('pointerdown', event => event.stopPropagation());
+            input.addEventListener('input', preview);
+            input.addEventListener('change', commit);
+        });
+
+        if (this.languageManager) {
+            container.querySelectorAll('[data-i18n]').forEach(el => this.languageManager.updateSpecificElement(el));
+        }
+    }
+
+    /**
+     * フォルダを取得
+     * @param {string|null} folderId
+     * @returns {Object|null} 見つからない場合は null
+     */
+    getFolder(folderId) {
+        if (!folderId) return null;
+        return this.folders.find(folder => folder.id === folderId) || null;
+    }
+
+    /**
+     * フォルダに入っている曲線のID（描画順）
+     * @param {string} folderId
+     * @returns {Array<number>}
+     */
+    getFolderCurveIds(folderId) {
+        const ids = [];
+        this.curves.forEach((curve, index) => {
+            if (curve && curve.folderId === folderId) ids.push(index);
+        });
+        return ids;
+    }
+
+    /**
+     * 曲線が入っているフォルダ（削除されたフォルダはどこにも入っていないものとみなす）
+     * @param {number} curveId
+     * @returns {Object|null}
+     */
+    getCurveFolder(curveId) {
+        const curve = this.curves[curveId];
+        return curve ? this.getFolder(curve.folderId) : null;
+    }
+
+    /**
+     * 曲線の移動がロックされているか（曲線自身か、入っているフォルダがロックされている）
+     * @param {number} curveId
+     * @returns {boolean}
+     */
+    isCurveLocked(curveId) {
+        const curve = this.curves[curveId];
+        if (!curve) return false;
+        const folder = this.getFolder(curve.folderId);
+        return !!curve.locked || !!(folder && folder.locked);
+    }
+
+    /**
+     * フォルダと曲線の並び順の状態を取得（フォルダの変更の履歴に使う）
+     * 履歴を保存しても結び付け直せるよう、曲線は GraphCalculator 上のIDで持つ
+     * @returns {Object} { folders, order: [{ graphCurveId, folderId }] }
+     */
+    getFolderState() {
+        return {
+            folders: this.folders.map(cloneFolder),
+            order: this.curves
+                .filter(curve => curve && curve.graphCurve)
+                .map(curve => ({ graphCurveId: String(curve.graphCurve.id), folderId: curve.folderId || null }))
+        };
+    }
+
+    /**
+     * フォルダと曲線の並び順の状態を復元
+     * 状態にない曲線は元の順番のまま後ろに並べる
+     * @param {Object} state - getFolderState で取得した状態
+     */
+    restoreFolderState(state) {
+        if (!state) return;
+        this.folders = (state.folders || []).map(cloneFolder);
+
+        const remaining = [...this.curves];
+        const ordered = [];
+        (state.order || []).forEach(entry => {
+            const index = remaining.findIndex(curve =>
+                curve && curve.graphCurve && String(curve.graphCurve.id) === entry.graphCurveId);
+            if (index === -1) return;
+            const [curve] = remaining.splice(index, 1);
+            curve.folderId = entry.folderId || null;
+            ordered.push(curve);
+        });
+        this.curves = [...ordered, ...remaining];
+        this._reassignCurveIds();
+        this._refreshFolders();
+    }
+
+    /**
+     * 読み込んだフォルダを設定する（保存データ・Desmos の読み込み用、履歴には残さない）
+     * 同じフォルダの曲線が離れている場合は最初の曲線の位置にまとめる
+     * @param {Array<Object>} folders - { id, name, collapsed, hidden, locked }
+     * @param {Object} options - { merge: 既存のフォルダを残すか }
+     * @returns {Object} 読み込んだフォルダのIDから設定したフォルダのIDへの対応
+     */
+    loadFolders(folders, options = {}) {
+        const idMap = {};
+        if (!options.merge) {
+            this.folders = [];
+        }
+        (Array.isArray(folders) ? folders : []).forEach(folder => {
+            if (!folder || !folder.id) return;
+            const id = this.getFolder(folder.id) ? this._createFolderId() : String(folder.id);
+            idMap[folder.id] = id;
+            this.folders.push(cloneFolder({
+                ...folder,
+                id,
+                name: typeof folder.name === 'string' && folder.name ? folder.name : this._defaultFolderName()
+            }));
+        });
+        return idMap;
+    }
+
+    /**
+     * フォルダを作成し、指定した曲線を入れる
+     * 曲線は最初の曲線の位置にまとめて並べる
+     * @param {Array<number>} curveIds - フォルダに入れる曲線のID
+     * @param {Object} options - { name, collapsed, hidden, locked, recordHistory }
+     * @returns {Object} 作成結果 {success: boolean, message: string, id: string}
+     */
+    createFolder(curveIds = [], options = {}) {
+        const { recordHistory = true } = options;
+        const oldState = this.getFolderState();
+        const folder = {
+            id: this._createFolderId(),
+            name: typeof options.name === 'string' && options.name.trim() ? options.name.trim() : this._defaultFolderName(),
+            collapsed: !!options.collapsed,
+            hidden: !!options.hidden,
+            locked: !!options.locked
+        };
+        this.folders.push(folder);
+
+        const ids = [...new Set(curveIds)].filter(id => this.curves[id]).sort((a, b) => a - b);
+        ids.forEach(id => { this.curves[id].folderId = folder.id; });
+        this.normalizeFolderOrder();
+        this._refreshFolders();
+
+        if (recordHistory) this._recordFolderChange(oldState);
+        return { success: true, message: 'フォルダを作成しました', id: folder.id };
+    }
+
+    /**
+     * フォルダの名前を変更
+     * @param {string} folderId
+     * @param {string} name
+     * @returns {Object} 変更結果 {success: boolean, message: string}
+     */
+    renameFolder(folderId, name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) {
+            this._refreshFolderHeader(folderId);
+            return { success: false, message: 'フォルダの名前を入力してください' };
+        }
+        return this._updateFolder(folderId, { name: trimmed });
+    }
+
+    /**
+     * フォルダの表示・非表示を設定（曲線それぞれの表示状態は変えない）
+     * @param {string} folderId
+     * @param {boolean} hidden
+     * @returns {Object} 変更結果 {success: boolean, message: string}
+     */
+    setFolderHidden(folderId, hidden) {
+        return this._updateFolder(folderId, { hidden: !!hidden });
+    }
+
+    /**
+     * フォルダの移動ロックを設定（フォルダ内の曲線はまとめて移動・変形できなくなる）
+     * @param {string} folderId
+     * @param {boolean} locked
+     * @returns {Object} 変更結果 {success: boolean, message: string}
+     */
+    setFolderLocked(folderId, locked) {
+        return this._updateFolder(folderId, { locked: !!locked });
+    }
+
+    /**
+     * フォルダの開閉（曲線の詳細の開閉と同じく履歴に残す）
+     * @param {string} folderId
+     * @param {boolean} collapsed
+     * @returns {Object} 変更結果 {success: boolean, message: string}
+     */
+    setFolderCollapsed(folderId, collapsed) {
+        return this._updateFolder(folderId, { collapsed: !!collapsed });
+    }
+
+    /**
+     * フォルダを解除する（中の曲線はフォルダの外に残す）
+     * @param {string} folderId
+     * @returns {Object} 変更結果 {success: boolean, message: string}
+     */
+    deleteFolder(folderId) {
+        if (!this.getFolder(folderId)) {
+            return { success: false, message: 'フォルダが見つかりません' };
+        }
+        const oldState = this.getFolderState();
+        this.curves.forEach(curve => {
+            if (curve && curve.folderId === folderId) curve.folderId = null;
+        });
+        this.folders = this.folders.filter(folder => folder.id !== folderId);
+        this._refreshFolders();
+        this._recordFolderChange(oldState);
+        return { success: true, message: 'フォルダを解除しました' };
+    }
+
+    /**
+     * 曲線を移動し、入るフォルダを変更する
+     * フォルダが変わらない場合は通常の並べ替え（reorder）として記録する
+     * @param {number} curveId
+     * @param {number} beforeIndex - 移動先（並べ替え前のインデックスで、この曲線の前に入れる）
+     * @param {string|null} folderId - 入るフォルダ（null でフォルダの外）
+     */
+    moveCurve(curveId, beforeIndex, folderId = null) {
+        const curve = this.curves[curveId];
+        if (!curve || !Number.isInteger(beforeIndex)) return;
+        const targetFolderId = this.getFolder(folderId) ? folderId : null;
+
+        if ((this.getFolder(curve.folderId) ? curve.folderId : null) === targetFolderId) {
+            const toId = beforeIndex > curveId ? beforeIndex - 1 : beforeIndex;
+            if (toId !== curveId) {
+                this.reorderCurves(curveId, toId);
+            }
+            return;
+        }
+
+        const oldState = this.getFolderState();
+        curve.folderId = targetFolderId;
+        this._moveCurveBlock([curveId], beforeIndex);
+        this.normalizeFolderOrder();
+        this._refreshFolders();
+        this._recordFolderChange(oldState);
+    }
+
+    /**
+     * フォルダ内の曲線をまとめて移動する
+     * @param {string} folderId
+     * @param {number} beforeIndex - 移動先（並べ替え前のインデックスで、この曲線の前に入れる）
+     */
+    moveFolder(folderId, beforeIndex) {
+        const ids = this.getFolderCurveIds(folderId);
+        if (ids.length === 0 || !Number.isInteger(beforeIndex)) return;
+        if (beforeIndex >= ids[0] && beforeIndex <= ids[ids.length - 1] + 1) return;
+
+        const oldState = this.getFolderState();
+        this._moveCurveBlock(ids, beforeIndex);
+        this._refreshFolders();
+        this._recordFolderChange(oldState);
+    }
+
+    /**
+     * フォルダの見出しを曲線一覧に追加する
+     * @param {Object} folder
+     */
+    addFolderHeaderToList(folder) {
+        const curveList = document.getElementById('curve-list');
+        if (!curveList || !folder) return;
+
+        const count = this.getFolderCurveIds(folder.id).length;
+        const header = document.createElement('div');
+        header.className = 'curve-folder-header';
+        header.classList.toggle('collapsed', !!folder.collapsed);
+        header.classList.toggle('hidden-folder', !!folder.hidden);
+        header.classList.toggle('empty', count === 0);
+        header.dataset.folderId = folder.id;
+        header.innerHTML = `
+            <button class="curve-option-btn folder-collapse-btn" title="フォルダを開閉" data-i18n="actions.folder_collapse">
+                <i class="material-symbols-rounded none-event">expand_more</i>
+            </button>
+            <button class="curve-option-btn folder-visibility-btn ${folder.hidden ? '' : 'active'}" title="フォルダの表示・非表示" data-i18n="actions.folder_visibility">
+                <i class="material-symbols-rounded none-event">${folder.hidden ? 'visibility_off' : 'visibility'}</i>
+            </button>
+            <input type="text" class="curve-folder-name" maxlength="60">
+            <span class="curve-folder-count no-copy">${count}</span>
+            <button class="curve-option-btn folder-lock-btn ${folder.locked ? 'active' : ''}" title="フォルダの移動ロック" data-i18n="actions.folder_lock">
+                <i class="material-symbols-rounded none-event">${folder.locked ? 'lock' : 'lock_open'}</i>
+            </button>
+            <button class="curve-option-btn folder-ungroup-btn" title="フォルダを解除" data-i18n="actions.folder_ungroup">
+                <i class="material-symbols-rounded none-event">folder_off</i>
+            </button>
+        `;
+
+        const nameInput = header.querySelector('.curve-folder-name');
+        nameInput.value = folder.name;
+        nameInput.addEventListener('pointerdown', event => event.stopPropagation());
+        nameInput.addEventListener('keydown', (event) => {
+            // 名前の入力中はショートカットを効かせない
+            event.stopPropagation();
+            if (event.key === 'Enter') nameInput.blur();
+        });
+        nameInput.addEventListener('change', () => this.renameFolder(folder.id, nameInput.value));
+
+        header.addEventListener('click', (event) => {
+            const button = event.target.closest('button');
+            const current = this.getFolder(folder.id);
+            if (!button || !current) return;
+            event.stopPropagation();
+            if (button.classList.contains('folder-collapse-btn')) {
+                this.setFolderCollapsed(folder.id, !current.collapsed);
+            } else if (button.classList.contains('folder-visibility-btn')) {
+                this.setFolderHidden(folder.id, !current.hidden);
+            } else if (button.classList.contains('folder-lock-btn')) {
+                this.setFolderLocked(folder.id, !current.locked);
+            } else if (button.classList.contains('folder-ungroup-btn')) {
+                this.deleteFolder(folder.id);
+            }
+        });
+        header.addEventListener('pointerdown', event => this._startFolderPointer(event, folder.id, header));
+
+        // 曲線のないフォルダの見出しは一覧の末尾（近似中の項目より前）に置く
+        const pendingItem = curveList.querySelector('.curve-item.pending');
+        curveList.insertBefore(header, count === 0 ? pendingItem : null);
+
+        if (this.languageManager) {
+            header.querySelectorAll('[data-i18n]').forEach(el => this.languageManager.updateSpecificElement(el));
+        }
+    }
+
+    // フォルダの見出しのドラッグを始める（少し動かしてからフォルダの並べ替えにする）
+    _startFolderPointer(event, folderId, header) {
+        if (event.pointerType === 'mouse' && event.button !== 0) return;
+        if (event.target.closest('button, input') || !this._dragDropInitialized) return;
+
+        const startPos = this._getEventPosition(event);
+        const DRAG_THRESHOLD = 5;
+        const cleanup = () => {
+            document.removeEventListener('pointermove', moveHandler, { capture: true });
+            document.removeEventListener('pointerup', cleanup, { capture: true });
+            document.removeEventListener('pointercancel', cleanup, { capture: true });
+        };
+        const moveHandler = (moveEvent) => {
+            const pos = this._getEventPosition(moveEvent);
+            if (Math.hypot(pos.x - startPos.x, pos.y - startPos.y) <= DRAG_THRESHOLD) return;
+            cleanup();
+            if (moveEvent.cancelable) moveEvent.preventDefault();
+            this._startCurveDrag(moveEvent, null, header);
+            this._draggedFolderId = folderId;
+        };
+        document.addEventListener('pointermove', moveHandler, { capture: true, passive: false });
+        document.addEventListener('pointerup', cleanup, { capture: true });
+        document.addEventListener('pointercancel', cleanup, { capture: true });
+    }
+
+    // フォルダの見出しだけを描き直す（名前の入力を取り消したときなど）
+    _refreshFolderHeader(folderId) {
+        const header = document.querySelector(`.curve-folder-header[data-folder-id="${folderId}"]`);
+        const folder = this.getFolder(folderId);
+        if (!header || !folder) return;
+        const nameInput = header.querySelector('.curve-folder-name');
+        if (nameInput) nameInput.value = folder.name;
+    }
+
+    // フォルダの設定を変更して履歴に記録する
+    _updateFolder(folderId, changes) {
+        const folder = this.getFolder(folderId);
+        if (!folder) {
+            return { success: false, message: 'フォルダが見つかりません' };
+        }
+        const changed = Object.keys(changes).some(key => folder[key] !== changes[key]);
+        if (!changed) {
+            return { success: true, message: 'フォルダは変更されませんでした' };
+        }
+        const oldState = this.getFolderState();
+        Object.assign(folder, changes);
+        this._refreshFolders();
+        this._recordFolderChange(oldState);
+        return { success: true, message: 'フォルダを変更しました' };
+    }
+
+    // フォルダの変更を1つの履歴として記録する
+    _recordFolderChange(oldState) {
+        this.historyManager.addAction({
+            type: 'folder',
+            oldState,
+            newState: this.getFolderState()
+        });
+    }
+
+    // フォルダの変更を一覧と描画（表示・非表示）に反映する
+    _refreshFolders() {
+        this.updateCurveList();
+        this.redrawCurves();
+        this.curves.forEach((curve, index) => {
+            if (curve) this.setCurveVisibility(index, !curve.isHidden);
+        });
+    }
+
+    // 曲線をまとめて移動する（beforeIndex は移動前のインデックス）
+    _moveCurveBlock(ids, beforeIndex) {
+        const moving = ids.map(id => this.curves[id]);
+        const insertAt = beforeIndex - ids.filter(id => id < beforeIndex).length;
+        this.curves = this.curves.filter(curve => !moving.includes(curve));
+        this.curves.splice(Math.max(0, Math.min(insertAt, this.curves.length)), 0, ...moving);
+        this._reassignCurveIds();
+    }
+
+    /**
+     * 同じフォルダの曲線が連続するように、フォルダの最初の曲線の位置にまとめる
+     */
+    normalizeFolderOrder() {
+        const ordered = [];
+        const placed = new Set();
+        this.curves.forEach(curve => {
+            if (!curve) {
+                ordered.push(curve);
+                return;
+            }
+            if (placed.has(curve)) return;
+            const folder = this.getFolder(curve.folderId);
+            const members = folder ? this.curves.filter(member => member && member.folderId === folder.id) : [curve];
+            members.forEach(member => {
+                ordered.push(member);
+                placed.add(member);
+            });
+        });
+        this.curves = ordered;
+        this._reassignCurveIds();
+    }
+
+    _reassignCurveIds() {
+        this.curves.forEach((curve, index) => {
+            if (curve) curve.id = index;
+        });
+        this.settings.nextCurveId = this.curves.length;
+    }
+
+    _createFolderId() {
+        let n = this.folders.length + 1;
+        while (this.getFolder(`folder-${n}`)) n++;
+        return `folder-${n}`;
+    }
+
+    _defaultFolderName() {
+        const base = this._getTranslation('curve.folder.default_name', 'フォルダ');
+        return `${base} ${this.folders.length + 1}`;
+    }
+
+    /**
+     * 現在の言語の翻訳を取得（翻訳がなければ fallback）
+     * @private
+     * @param {string} key - 翻訳キー
+     * @param {string} fallback
+     * @returns {string}
+     */
+    _getTranslation(key, fallback) {
+        const lang = this.languageManager?.currentLang;
+        const translations = this.languageManager?.translations;
+        return (key && lang && translations?.[lang]?.[key]) || fallback;
+    }
+
+    /**
+     * 詳細表示の切り替え
+     * @param {number} id - 曲線ID
+     */
+    toggleDetailVisibility(id) {
+        const curve = this.curves[id];
+        if (!curve) return;
+
+        // 現在の状態を取得
+        const isDetailShown = curve.isDetailShown;
+
+        // 表示/非表示状態を反転
+        const newDetailState = !isDetailShown;
+
+        // 履歴に追加
+        this.historyManager.addAction({
+            type: 'toggleDetails',
+            id: id,
+            oldDetailShown: isDetailShown,
+            newDetailShown: newDetailState
+        });
+
+        // 状態を更新
+        this.setCurveDetailState(id, newDetailState);
+    }
+
+    /**
+     * 詳細表示の切り替え (イベントハンドラ用)
+     * @deprecated 直接toggleDetailVisibilityを使ってください
+     */
+    showDetails(event) {
+        const id = parseInt(event.target.dataset.id);
+        this.toggleDetailVisibility(id);
+    }
+
+    /**
+     * 曲線の削除
+     * @param {Event} event - イベントオブジェクト
+     */
+    deleteCurve(event) {
+        const id = parseInt(event.target.dataset.id);
+
+        // Guard against missing curve (could be placeholder removed)
+        if (!this.curves[id]) return;
+
+        this.historyManager.addAction({
+            type: 'delete',
+            curve: this.curves[id],
+            index: id,
+            nextCurveId: this.settings.nextCurveId
+        });
+
+        // D3パスの削除
+        this.curves[id].path.remove();
+
+        // GraphCalculatorからも曲線を削除
+        if (this.graphCalculator && this.curves[id].graphCurve) {
+            const graphCalcCurve = this.curves[id].graphCurve;
+            this.graphCalculator.removeCurve(graphCalcCurve.id);
+        }
+
+        // 配列から削除
+        this.curves.splice(id, 1);
+
+        // IDを再割り当て
+        this.curves.forEach((curve, index) => {
+            if (curve) {
+                curve.id = index;
+            }
+        });
+
+        this.settings.nextCurveId = this.curves.length;
+        this.updateCurveList();
+        this.redrawCurves();
+        this.deselectCurve();
+    }
+
+    /**
+     * 複数の曲線をまとめて削除（1つの履歴として記録）
+     * @param {Array<number>} ids - 曲線IDの配列
+     */
+    deleteCurves(ids) {
+        // 後ろの曲線から削除して、削除前のインデックスを保つ
+        const targets = [...new Set(ids)].filter(id => this.curves[id]).sort((a, b) => b - a);
+        if (targets.length === 0) return;
+
+        const nextCurveId = this.settings.nextCurveId;
+        this.recordBatchAction(targets.map(id => ({
+            type: 'delete',
+            curve: this.curves[id],
+            index: id,
+            nextCurveId: nextCurveId
+        })));
+
+        targets.forEach(id => {
+            const curve = this.curves[id];
+            curve.path.remove();
+            if (this.graphCalculator && curve.graphCurve) {
+                this.graphCalculator.removeCurve(curve.graphCurve.id);
+            }
+            this.curves.splice(id, 1);
+        });
+
+        // IDを再割り当て
+        this.curves.forEach((curve, index) => {
+            if (curve) {
+                curve.id = index;
+            }
+        });
+
+        this.settings.nextCurveId = this.curves.length;
+        this.updateCurveList();
+        this.redrawCurves();
+        this.deselectCurve();
+    }
+
+    /**
+     * 曲線リストをID指定で更新
+     * @param {number} id - 曲線ID
+     */
+    updateCurveListById(id) {
+        const curve = this.curves[id];
+        if (!curve) return;
+        this.updateEquationsContainer(id, curve.latexEquations)
+    }
+
+    /**
+     * 曲線リストの更新
+     */
+    updateCurveList() {
+        const curveList = document.getElementById('curve-list');
+        curveList.innerHTML = '';
+        this.clearApproximationPreview();
+        let previousFolderId = null;
+        this.curves.forEach((curve, index) => {
+            if (curve) {
+                // フォルダの最初の曲線の前に見出しを置く
+                const folder = this.getFolder(curve.folderId);
+                if (folder && folder.id !== previousFolderId) {
+                    this.addFolderHeaderToList(folder);
+                }
+                previousFolderId = folder ? folder.id : null;
+                this.addCurveToList(index, curve.color, curve.size, curve.hidden, this.approximatorSettings, curve.type);
             }
         });
+        this.folders
+            .filter(folder => this.getFolderCurveIds(folder.id).length === 0)
+            .forEach(folder => this.addFolderHeaderToList(folder));
+        this._appendPendingCurveItem();
     }
 
     /**
@@ -1270,7 +3394,7 @@ export class CurveManager {
                 // パスデータを取得
                 const originalCurve = this.graphCalculator.getCurve(curveId);
                 if (originalCurve && originalCurve.path) {
-                    const pathData = originalCurve.path.getAttribute('d');
+                    const pathData = this.graphCalculator.getCurvePathData(curveId);
 
                     // 既存の強調表示曲線があれば削除
                     const existingEmphasis = this.graphCalculator.getCurve(emphasisId);
@@ -1313,6 +3437,13 @@ export class CurveManager {
                 color: color
             });
         }
+
+        // 複数選択時の強調表示も更新
+        if (this.graphCalculator) {
+            this.secondaryEmphasisIds.forEach(emphasisId => {
+                this.graphCalculator.updateCurve(emphasisId, { color: color });
+            });
+        }
     }
 
     /**
@@ -1330,6 +3461,13 @@ export class CurveManager {
                 width: Number(size) + 8
             });
         }
+
+        // 複数選択時の強調表示も更新
+        if (this.graphCalculator) {
+            this.secondaryEmphasisIds.forEach(emphasisId => {
+                this.graphCalculator.updateCurve(emphasisId, { width: Number(size) + 8 });
+            });
+        }
     }
 
     /**
@@ -1377,16 +3515,23 @@ export class CurveManager {
             this.emphasisGraphCurveId = null;
         }
 
+        // 複数選択時の強調表示を削除
+        if (this.graphCalculator) {
+            this.secondaryEmphasisIds.forEach(emphasisId => {
+                this.graphCalculator.removeCurve(emphasisId);
+            });
+        }
+        this.secondaryEmphasisIds = [];
+
         this.emphasisTargetCurveId = null;
     }
 
     /**
-     * 曲線の色の更新
+     * 曲線の色の更新（複数選択中は選択中のすべての曲線を更新）
      * @param {string} color - 新しい色
      */
     updateCurveColor(color) {
-        if (this.settings.selectCurveId !== null) {
-            const id = this.settings.selectCurveId;
+        this.getSelectedCurveIds().forEach(id => {
             const curve = this.curves[id];
             if (!curve) return;
 
@@ -1419,8 +3564,7 @@ export class CurveManager {
 
             curve.color = color;
             this.settings.currentColor = color;
-
-        }
+        });
     }
 
     /**
@@ -1461,18 +3605,17 @@ export class CurveManager {
     }
 
     /**
-     * 曲線の線の太さの更新
+     * 曲線の線の太さの更新（複数選択中は選択中のすべての曲線を更新）
      * @param {number} size - 新しい太さ
      */
     updateCurveSize(size) {
-        if (this.settings.selectCurveId !== null) {
-            const id = this.settings.selectCurveId;
+        const numericSize = Number(size);
+        if (Number.isNaN(numericSize)) return;
+
+        this.getSelectedCurveIds().forEach(id => {
             const curve = this.curves[id];
             if (!curve) return;
 
-            const numericSize = Number(size);
-            if (Number.isNaN(numericSize)) return;
-
             const previousSize = Number(curve.size);
             if (curve._pendingSizeHistory === undefined && previousSize !== numericSize) {
                 curve._pendingSizeHistory = previousSize;
@@ -1498,30 +3641,33 @@ export class CurveManager {
 
             curve.size = numericSize;
             this.settings.currentSize = numericSize;
-        }
+        });
     }
 
     /**
      * サイズ変更を履歴に記録
+     * 複数選択中は選択中の曲線の変更を1つの履歴にまとめる
      * @param {number} newSize - 新しい太さ
+     * @param {number|null} oldSizeOverride - 変更前の太さ（単一選択時のみ使用）
      */
     recordSizeChange(newSize, oldSizeOverride = null) {
-        if (this.settings.selectCurveId !== null) {
-            const id = this.settings.selectCurveId;
+        const ids = this.getSelectedCurveIds();
+        const numericNewSize = Number(newSize);
+        const actions = [];
+
+        ids.forEach(id => {
             const curve = this.curves[id];
             if (!curve) return;
-            const numericNewSize = Number(newSize);
             if (Number.isNaN(numericNewSize)) {
                 delete curve._pendingSizeHistory;
                 return;
             }
 
-            const fallbackOldSize = oldSizeOverride ?? curve._pendingSizeHistory;
+            const fallbackOldSize = (ids.length === 1 ? oldSizeOverride : null) ?? curve._pendingSizeHistory;
             const oldSize = (typeof fallbackOldSize === 'number') ? Number(fallbackOldSize) : Number(curve.size);
 
-            // 履歴に記録
             if (oldSize !== numericNewSize) {
-                this.historyManager.addAction({
+                actions.push({
                     type: 'size',
                     id: id,
                     oldSize: oldSize,
@@ -1530,27 +3676,33 @@ export class CurveManager {
             }
 
             delete curve._pendingSizeHistory;
-        }
+        });
+
+        // 履歴に記録
+        this.recordBatchAction(actions);
     }
 
     /**
      * 色変更を履歴に記録
+     * 複数選択中は選択中の曲線の変更を1つの履歴にまとめる
      * @param {string} newColor - 新しい色
+     * @param {string|null} oldColorOverride - 変更前の色（単一選択時のみ使用）
      */
-    recordColorChange(newColor, oldColorOverride = null) {
-        if (this.settings.selectCurveId !== null) {
-            const id = this.settings.selectCurveId;
+    recordColorChange(newColor, oldColorOverride = null) {
+        const ids = this.getSelectedCurveIds();
+        const actions = [];
+
+        ids.forEach(id => {
             const curve = this.curves[id];
             if (!curve) return;
 
-            const fallbackOldColor = oldColorOverride ?? curve._pendingColorHistory;
+            const fallbackOldColor = (ids.length === 1 ? oldColorOverride : null) ?? curve._pendingColorHistory;
             const oldColorValue = (typeof fallbackOldColor === 'string') ? fallbackOldColor : curve.color;
             const normalizedOldColor = typeof oldColorValue === 'string' ? oldColorValue.toUpperCase() : oldColorValue;
             const normalizedNewColor = typeof newColor === 'string' ? newColor.toUpperCase() : newColor;
 
-            // 履歴に記録
             if (normalizedOldColor !== normalizedNewColor) {
-                this.historyManager.addAction({
+                actions.push({
                     type: 'color',
                     id: id,
                     oldColor: oldColorValue,
@@ -1564,7 +3716,10 @@ export class CurveManager {
             }
 
             delete curve._pendingColorHistory;
-        }
+        });
+
+        // 履歴に記録
+        this.recordBatchAction(actions);
     }
 
     /**
@@ -1702,7 +3857,7 @@ export class CurveManager {
                     // GraphCalculatorから最新のパスデータを取得
                     const curveObj = this.graphCalculator.getCurve(curve.graphCurve.id);
                     if (curveObj && curveObj.path) {
-                        const pathData = curveObj.path.getAttribute('d');
+                        const pathData = this.graphCalculator.getCurvePathData(curve.graphCurve.id);
                         curve.path = this.g.append('path')
                             .attr('fill', 'none')
                             .attr('stroke', curve.color)
@@ -1733,6 +3888,11 @@ export class CurveManager {
         // 選択中の曲線があれば強調表示を復元
         if (selectedCurveId !== null && this.curves[selectedCurveId]) {
             setTimeout(() => {
+                // 複数選択中はすべての曲線の選択状態を復元
+                if (this.getSelectedCurveIds().length > 1) {
+                    this.emphasisSelection();
+                    return;
+                }
                 // curve-itemのdata-id属性 selectedCurveIdの選択状態を復元
                 d3.select(`.curve-item[data-id='${selectedCurveId}']`).classed('selected', true);
                 this.emphasisCurve(selectedCurveId);
@@ -1788,7 +3948,7 @@ export class CurveManager {
             this.curves[id].isDetailShown = detailShown;
 
             // UI要素も更新
-            const curveItem = d3.select(`.curve-item:nth-child(${id + 1})`);
+            const curveItem = d3.select(`.curve-item[data-id="${id}"]`);
             if (!curveItem.empty()) {
                 // Toggle collapsed state on the parent .curve-item for animated collapse/expand
                 curveItem.classed('collapsed', !detailShown);
@@ -1808,7 +3968,7 @@ export class CurveManager {
     selectCurveByGraphCurveId(graphCurveId) {
         const curveId = this.getCurveIdByGraphCurveId(graphCurveId);
         if (curveId !== null) {
-            const curveItem = d3.select(`.curve-item:nth-child(${curveId + 1})`);
+            const curveItem = d3.select(`.curve-item[data-id="${curveId}"]`);
             if (!curveItem.empty()) {
                 this.selectCurve(curveItem, curveId);
             }
@@ -1827,9 +3987,13 @@ export class CurveManager {
         // 曲線の表示/非表示状態を設定
         curve.isHidden = !visible;
 
-        // グラフ計算機のグループ要素の表示・非表示を設定
+        // グラフ計算機のグループ要素の表示・非表示を設定（非表示のフォルダの曲線は表示しない）
         if (this.graphCalculator) {
-            this.graphCalculator.setCurveGroupVisibility(id, visible);
+            const folder = this.getFolder(curve.folderId);
+            this.graphCalculator.setCurveGroupVisibility(
+                curve.graphCurve ? curve.graphCurve.id : id,
+                visible && !(folder && folder.hidden)
+            );
         }
 
         // アイコンUIの切り替え
@@ -1923,6 +4087,31 @@ export class CurveManager {
         }
     }
 
+    /**
+     * 係数の表示モード（小数 / 厳密表示）の変更を全曲線の数式に反映する
+     */
+    refreshEquationLatex() {
+        this.curves.forEach((curve, id) => {
+            if (!curve || !Array.isArray(curve.latexEquations)) return;
+            curve.latexEquations = this._applyPrettyLatex(curve.latexEquations);
+            this.updateEquationsContainer(id, curve.latexEquations);
+        });
+    }
+
+    /**
+     * 数式の LaTeX を近似設定の係数の表示モードに合わせる（モードが同じ式はそのまま）
+     * @param {Array<Object>} equations
+     * @returns {Array<Object>}
+     */
+    _applyPrettyLatex(equations) {
+        const pretty = !!this.approximatorSettings?.prettyCoefficients;
+        return equations.map(eq => (
+            eq && typeof eq === 'object' && (eq.pretty === true) !== pretty
+                ? EquationBuilder.refreshLatex(eq, { pretty })
+                : eq
+        ));
+    }
+
     /**
      * 数式をクリップボードにコピー
      * @param {string} eq - 数式オブジェクト
@@ -2017,12 +4206,276 @@ export class CurveManager {
         this.equationHighlighter.unhighlightEquation();
     }
 
+    /**
+     * 点列をすべての近似手法で近似する
+     * @private
+     * @param {Array} domainPath - 近似に使う点列 [[x1, y1], [x2, y2], ...]
+     * @param {Object|null} domainInfo - 近似時の表示範囲
+     * @param {Object|null} precomputed - ワーカーで求めた近似手法のIDごとの近似結果（含まれない近似手法はここで近似する）
+     * @param {Object} settings - 近似に使う近似設定（端点スナップした点列では pinEndpoints を加える）
+     * @returns {Array<Object>} 近似の試行 [{ label, approximation, priority, error }]
+     */
+    _collectApproximationAttempts(domainPath, domainInfo, precomputed = null, settings = this.approximatorSettings) {
+        const attempts = [];
+        const getErrorScore = (approximation) => {
+            if (!approximation || !approximation.success) {
+                return Number.POSITIVE_INFINITY;
+            }
+            if (approximation.diagnostics && Number.isFinite(approximation.diagnostics.rmsError)) {
+                return Math.abs(approximation.diagnostics.rmsError);
+            }
+            if (typeof approximation.averageLinearity === 'number') {
+                return Math.max(0, 1 - approximation.averageLinearity);
+            }
+            if (Array.isArray(approximation.segments)) {
+                const segmentErrors = approximation.segments
+                    .map(seg => (seg && Number.isFinite(seg.rmsError)) ? Math.abs(seg.rmsError) : null)
+                    .filter(val => val !== null);
+                if (segmentErrors.length) {
+                    return segmentErrors.reduce((sum, val) => sum + val, 0) / segmentErrors.length;
+                }
+            }
+            return Number.POSITIVE_INFINITY;
+        };
+
+        const registerAttempt = (label, approximation, priority) => {
+            const error = getErrorScore(approximation);
+            attempts.push({ label, approximation, priority, error });
+        };
+
+        approximatorRegistry.getAutoSelectDefinitions().forEach(definition => {
+            if (precomputed && Object.prototype.hasOwnProperty.call(precomputed, definition.id)) {
+                const approximation = precomputed[definition.id];
+                registerAttempt(
+                    approximatorRegistry.resolveLabel(definition, approximation),
+                    approximation,
+                    approximatorRegistry.resolvePriority(definition, approximation)
+                );
+                return;
+            }
+
+            const approximator = this.getApproximator(definition.id);
+            let approximation = null;
+            try {
+                approximation = approximator
+                    ? definition.approximate(approximator, domainPath, domainInfo, settings)
+                    : null;
+            } catch (error) {
+                console.warn(`近似手法 ${definition.id} での近似に失敗しました:`, error);
+            }
+            registerAttempt(
+                approximatorRegistry.resolveLabel(definition, approximation),
+                approximation,
+                approximatorRegistry.resolvePriority(definition, approximation)
+            );
+        });
+
+        return attempts;
+    }
+
+    /**
+     * 点列をすべての近似手法で近似する（ワーカーで実行できる近似手法はワーカーで近似する）
+     * cancellable の場合は実行中の近似があれば中止してから始め、この近似も次の描画などで中止できるようにする
+     * @private
+     * @param {Array} domainPath - 近似に使う点列 [[x1, y1], [x2, y2], ...]
+     * @param {Object|null} domainInfo - 近似時の表示範囲
+     * @param {Object} settings - 近似に使う近似設定
+     * @param {boolean} cancellable - 中止できる近似か（ペンで描いた曲線）
+     * @returns {Promise<Array<Object>|null>} 近似の試行（中止された場合は null）
+     */
+    async _collectApproximationAttemptsAsync(domainPath, domainInfo, settings = this.approximatorSettings, cancellable = true) {
+        if (cancellable) {
+            this.cancelPendingApproximation();
+        }
+
+        const worker = this.approximationWorker;
+        const ids = worker
+            ? approximatorRegistry.getAutoSelectDefinitions()
+                .filter(definition => worker.canRun(definition))
+                .map(definition => definition.id)
+            : [];
+        if (!ids.length) {
+            return this._collectApproximationAttempts(domainPath, domainInfo, null, settings);
+        }
+
+        const job = worker.approximate({
+            ids,
+            points: domainPath,
+            domain: domainInfo,
+            settings: JSON.parse(JSON.stringify(settings)),
+            constructorSettings: JSON.parse(JSON.stringify(this.settings || {}))
+        });
+        if (cancellable) {
+            this.pendingApproximation = job;
+        }
+
+        let response = null;
+        try {
+            response = await job.promise;
+        } catch (error) {
+            console.warn('近似ワーカーを使えないため、メインスレッドで近似します:', error);
+        } finally {
+            if (this.pendingApproximation === job) {
+                this.pendingApproximation = null;
+            }
+        }
+
+        if (response && response.cancelled) {
+            return null;
+        }
+        return this._collectApproximationAttempts(domainPath, domainInfo, response ? response.results : null, settings);
+    }
+
+    /**
+     * 実行中の手書きの曲線の近似を中止する（新しい描画や元に戻す操作の前に呼ぶ）
+     * @returns {boolean} 中止したかどうか
+     */
+    cancelPendingApproximation() {
+        const job = this.pendingApproximation;
+        if (!job) return false;
+
+        this.pendingApproximation = null;
+        this._removePendingCurveItem();
+        return this.approximationWorker ? this.approximationWorker.cancel(job.jobId) : false;
+    }
+
+    /**
+     * 近似が実行中か
+     * @returns {boolean}
+     */
+    isApproximationPending() {
+        return !!this.pendingApproximation;
+    }
+
+    /**
+     * 近似中の曲線のサイドバーの項目を表示する
+     * @private
+     * @param {number} id - 追加する曲線のID
+     * @param {string} color - 曲線の色
+     */
+    _showPendingCurveItem(id, color) {
+        this._removePendingCurveItem();
+        if (typeof document === 'undefined') return;
+
+        const item = document.createElement('div');
+        item.className = 'curve-item pending';
+        item.dataset.id = String(id);
+        item.innerHTML = `
+            <span class="curve-id no-copy">${id}</span>
+            <div class="curve-setting">
+                <div class="color-icon" style="background-color: ${color};">
+                    <i class="material-symbols-rounded none-event curve-pending-spinner">progress_activity</i>
+                </div>
+                <span class="curve-pending-label" data-i18n="curve.pending">近似しています…</span>
+            </div>
+        `;
+        if (this.languageManager) {
+            item.querySelectorAll('[data-i18n]').forEach(el => this.languageManager.updateSpecificElement(el));
+        }
+        this.pendingCurveItem = item;
+        this._appendPendingCurveItem();
+    }
+
+    // 近似中の項目を曲線リストの末尾に置く（曲線リストを描き直したあとにも呼ぶ）
+    _appendPendingCurveItem() {
+        if (!this.pendingCurveItem) return;
+        const list = document.getElementById('curve-list');
+        if (list) list.appendChild(this.pendingCurveItem);
+    }
+
+    _removePendingCurveItem() {
+        if (!this.pendingCurveItem) return;
+        this.pendingCurveItem.remove();
+        this.pendingCurveItem = null;
+    }
+
+    /**
+     * 成功した近似を優先度と誤差の順に並べる（先頭が採用される近似）
+     * スナップ先を指定すると、スナップ先を通る近似を通らない近似より前に並べる
+     * @private
+     * @param {Array<Object>} attempts - _collectApproximationAttempts の結果
+     * @param {Array<Array<number>>} [anchors] - 近似が通るべきスナップ先 [[x, y], ...]
+     * @returns {Array<Object>} 成功した近似の試行
+     */
+    _rankApproximationAttempts(attempts, anchors = []) {
+        const passesAnchors = (entry) => anchors.length === 0 || this._passesThroughAnchors(entry.approximation, anchors);
+        return attempts
+            .filter(entry => entry.approximation && entry.approximation.success)
+            .map(entry => ({ entry, anchored: passesAnchors(entry) }))
+            .sort((a, b) => {
+                if (a.anchored !== b.anchored) {
+                    return a.anchored ? -1 : 1;
+                }
+                return this._compareApproximationAttempts(a.entry, b.entry);
+            })
+            .map(({ entry }) => entry);
+    }
+
+    // 優先度、誤差、ラベルの順に比べる
+    _compareApproximationAttempts(a, b) {
+        if (a.priority !== b.priority) {
+            return a.priority - b.priority;
+        }
+        const errorA = Number.isFinite(a.error) ? a.error : Number.POSITIVE_INFINITY;
+        const errorB = Number.isFinite(b.error) ? b.error : Number.POSITIVE_INFINITY;
+        if (errorA !== errorB) {
+            return errorA - errorB;
+        }
+        return a.label.localeCompare(b.label);
+    }
+
+    /**
+     * 近似の始点か終点がすべてのスナップ先を通っているか
+     * @private
+     * @param {Object} approximation - 近似結果
+     * @param {Array<Array<number>>} anchors - スナップ先 [[x, y], ...]
+     * @returns {boolean}
+     */
+    _passesThroughAnchors(approximation, anchors) {
+        const endpoints = getPathEndpoints(approximation && approximation.svgPath);
+        if (!endpoints || !this.graphCalculator) return false;
+
+        const toScreen = ([x, y]) => this.graphCalculator.domainToScreen(x, y);
+        const ends = [toScreen(endpoints.start), toScreen(endpoints.end)];
+        return anchors.every(anchor => {
+            const screen = toScreen(anchor);
+            return ends.some(end => Math.hypot(end.x - screen.x, end.y - screen.y) <= SNAP_FIT_TOLERANCE_PX);
+        });
+    }
+
+    /**
+     * 端点スナップが有効なときに、スクリーン座標の近くにあるスナップ先を探す（ペンのスナップ表示に使う）
+     * @param {number} screenX
+     * @param {number} screenY
+     * @returns {Object|null} スナップ先 { x, y, kind, screenX, screenY }
+     */
+    findEndpointSnapTarget(screenX, screenY) {
+        if (!this.endpointSnapper || !this.approximatorSettings.endpointSnap) return null;
+        return this.endpointSnapper.findTarget(screenX, screenY, this.approximatorSettings.snapRadius);
+    }
+
+    /**
+     * 端点スナップが有効なときに、ストロークの始点・終点をスナップ先に吸着させる
+     * @param {Array} domainPath - ドメイン座標の点列 [[x1, y1], [x2, y2], ...]
+     * @returns {Object|null} { points, start, end }（スナップしなければ null）
+     */
+    snapStrokeEndpoints(domainPath) {
+        if (!this.endpointSnapper || !this.approximatorSettings.endpointSnap) return null;
+        return this.endpointSnapper.snapStroke(domainPath, this.approximatorSettings.snapRadius);
+    }
+
     /**
      * 手書き曲線を追加（曲線近似を含む処理）
-     * @param {Object} descriptor - 曲線の記述子 { id, domainPath, color, size, useAdvancedMode, approximatorSettings }
-     * @returns {Object} 追加結果 {success: boolean, message: string, curve: Object}
+     * 近似はワーカーで実行する
+     * cancellable を指定した曲線（ペンで描いた曲線）は近似中にサイドバーに近似中の項目を表示し、
+     * 近似中に次の曲線の追加や元に戻す操作が行われると中止される（SVGの読み込みなどの近似は中止されない）
+     * snapEndpoints を指定すると、端点スナップが有効なときに始点・終点を近くのスナップ先に吸着させる
+     * symmetry を指定すると、近似した曲線を対称軸・回転の中心で写した写しも追加する（写しは元の曲線の変更に追従する）
+     * 写しの分の nextCurveId はここで進めるため、呼び出し側は成功時にこれまでどおり1つだけ進める
+     * @param {Object} descriptor - 曲線の記述子 { id, domainPath, color, size, useAdvancedMode, approximatorSettings, snapEndpoints, symmetry: { mode, center, order }, cancellable }
+     * @returns {Promise<Object>} 追加結果 {success: boolean, message: string, curve: Object, id: number, symmetryCopyIds?: Array<number>, cancelled?: boolean}
      */
-    addHandDrawnCurve(descriptor) {
+    async addHandDrawnCurve(descriptor) {
         let result = { success: false, message: '', curve: null };
 
         if (!descriptor || typeof descriptor !== 'object') {
@@ -2030,13 +4483,54 @@ export class CurveManager {
             return result;
         }
 
-        const id = descriptor.id;
-        const domainPath = descriptor.domainPath || descriptor.points || [];
+        let id = descriptor.id;
+        let domainPath = descriptor.domainPath || descriptor.points || [];
         const color = descriptor.color;
         const size = descriptor.size;
         const useAdvancedMode = descriptor.useAdvancedMode;
         const approximatorSettings = descriptor.approximatorSettings || this.approximatorSettings;
 
+        this.setApproximatorSettings(approximatorSettings);
+
+        const domainInfo = this.graphCalculator && typeof this.graphCalculator.getDomain === 'function'
+            ? this.graphCalculator.getDomain()
+            : null;
+
+        // 始点・終点をスナップ先に吸着させ、近似がスナップ先を通るようにする
+        const snap = descriptor.snapEndpoints ? this.snapStrokeEndpoints(domainPath) : null;
+        const anchors = [];
+        if (snap) {
+            domainPath = snap.points;
+            if (snap.start) anchors.push([snap.start.x, snap.start.y]);
+            if (snap.end) anchors.push([snap.end.x, snap.end.y]);
+        }
+        const attemptSettings = snap
+            ? { ...this.approximatorSettings, pinEndpoints: true }
+            : this.approximatorSettings;
+        const symmetryMatrices = createSymmetryMatrices(descriptor.symmetry);
+
+        // 近似が終わるまでは曲線を追加せず、ペンで描いた曲線はサイドバーに近似中の項目だけを表示する
+        const cancellable = !!descriptor.cancellable;
+        if (cancellable) {
+            this.cancelPendingApproximation();
+            this._showPendingCurveItem(id, color || '#000');
+        }
+        const curveCount = this.curves.length;
+        const attempts = await this._collectApproximationAttemptsAsync(domainPath, domainInfo, attemptSettings, cancellable);
+        if (attempts === null) {
+            result.cancelled = true;
+            result.message = '近似を中止しました';
+            return result;
+        }
+        if (cancellable) {
+            this._removePendingCurveItem();
+        }
+        // 近似中に曲線が追加・削除された場合は、末尾に追加するようにIDを付け直す
+        if (id === curveCount && this.curves.length !== curveCount) {
+            id = this.curves.length;
+        }
+        result.id = id;
+
         // --- placeholder 戦略: 早期に this.curves[id] を確保して UI が参照できるようにする ---
         // 既に存在する場合は上書きしない
         if (!this.curves[id]) {
@@ -2072,95 +4566,8 @@ export class CurveManager {
         let graphCurve = null;
         let latexEquations = []; // LaTeX方程式を保存用の変数を追加
 
-        this.setApproximatorSettings(approximatorSettings);
-
-        const domainInfo = this.graphCalculator && typeof this.graphCalculator.getDomain === 'function'
-            ? this.graphCalculator.getDomain()
-            : null;
-
-        const attempts = [];
-        const getErrorScore = (approximation) => {
-            if (!approximation || !approximation.success) {
-                return Number.POSITIVE_INFINITY;
-            }
-            if (approximation.diagnostics && Number.isFinite(approximation.diagnostics.rmsError)) {
-                return Math.abs(approximation.diagnostics.rmsError);
-            }
-            if (typeof approximation.averageLinearity === 'number') {
-                return Math.max(0, 1 - approximation.averageLinearity);
-            }
-            if (Array.isArray(approximation.segments)) {
-                const segmentErrors = approximation.segments
-                    .map(seg => (seg && Number.isFinite(seg.rmsError)) ? Math.abs(seg.rmsError) : null)
-                    .filter(val => val !== null);
-                if (segmentErrors.length) {
-                    return segmentErrors.reduce((sum, val) => sum + val, 0) / segmentErrors.length;
-                }
-            }
-            return Number.POSITIVE_INFINITY;
-        };
-
-        const registerAttempt = (label, approximation, priority) => {
-            const error = getErrorScore(approximation);
-            attempts.push({ label, approximation, priority, error });
-        };
-
-        const piecewiseResult = this.piecewiseLinearApproximator.approximate(domainPath, domainInfo);
-        registerAttempt('piecewiseLinear', piecewiseResult, 0);
-
-        const linearResult = this.linearApproximator.approximate(domainPath, domainInfo);
-        const linearPriority = (linearResult && linearResult.success && linearResult.type === 'constant') ? 1 : 2;
-        const linearLabel = (linearResult && linearResult.success && linearResult.type === 'vertical') ? 'linearVertical' : 'linear';
-        registerAttempt(linearLabel, linearResult, linearPriority);
-
-        const singleQuadraticResult = this.singleQuadraticApproximator
-            ? this.singleQuadraticApproximator.approximate(domainPath, domainInfo, this.approximatorSettings)
-            : null;
-        registerAttempt('singleQuadratic', singleQuadraticResult, 3);
-
-        const singleCircleResult = this.singleCircleApproximator
-            ? this.singleCircleApproximator.approximate(domainPath, domainInfo, this.approximatorSettings)
-            : null;
-        registerAttempt('singleCircle', singleCircleResult, 4);
-
-        const quadraticBSplineResult = this.quadraticApproximator.approximate(
-            domainPath,
-            domainInfo,
-            this.approximatorSettings
-        );
-        registerAttempt('quadraticBSpline', quadraticBSplineResult, 5);
-
-        // const quadraticChainResult = this.quadraticBezierChainApproximator
-        //     ? this.quadraticBezierChainApproximator.approximate(domainPath, domainInfo, this.approximatorSettings)
-        //     : null;
-        // registerAttempt('quadraticChain', quadraticChainResult, 6);
-
-        const selectiveResult = this.selectiveCurveApproximator
-            ? this.selectiveCurveApproximator.approximate(
-                domainPath,
-                domainInfo,
-                this.approximatorSettings?.selective || {}
-            )
-            : null;
-        registerAttempt('selectiveHybrid', selectiveResult, 7);
-
-        const successfulAttempts = attempts.filter(entry => entry.approximation && entry.approximation.success);
-
-        let bestAttempt = null;
-        if (successfulAttempts.length > 0) {
-            successfulAttempts.sort((a, b) => {
-                if (a.priority !== b.priority) {
-                    return a.priority - b.priority;
-                }
-                const errorA = Number.isFinite(a.error) ? a.error : Number.POSITIVE_INFINITY;
-                const errorB = Number.isFinite(b.error) ? b.error : Number.POSITIVE_INFINITY;
-                if (errorA !== errorB) {
-                    return errorA - errorB;
-                }
-                return a.label.localeCompare(b.label);
-            });
-            bestAttempt = successfulAttempts[0];
-        }
+        const successfulAttempts = this._rankApproximationAttempts(attempts, anchors);
+        const bestAttempt = successfulAttempts[0] || null;
 
         const attemptDiagnostics = attempts.map(entry => ({
             label: entry.label,
@@ -2267,7 +4674,10 @@ export class CurveManager {
                 approximationData: approximation.exportData || null,
                 approximationDiagnostics: approximation.diagnostics || null,
                 selectedApproximator: bestAttempt.label,
-                approximatorPriority: bestAttempt.priority
+                approximatorPriority: bestAttempt.priority,
+                closed: !!approximation.closed,
+                // 写しを作る場合は写しと合わせて記録する
+                recordHistory: symmetryMatrices.length === 0
             });
 
             // 節点表示のデフォルトが false の場合、既に追加した点を非表示にする
@@ -2291,6 +4701,12 @@ export class CurveManager {
                 curve.approximationDiagnostics = approximation.diagnostics;
                 curve.approximationType = approximation.type;
                 curve.approximationData = approximation.exportData || null;
+                curve.approximationDomain = domainInfo ? { ...domainInfo } : null;
+                this._approximationAlternatives.set(curve.originalPoints, successfulAttempts);
+            }
+
+            if (symmetryMatrices.length > 0) {
+                result.symmetryCopyIds = this._addSymmetryCopies(id, symmetryMatrices);
             }
 
             result.success = true;
@@ -2320,7 +4736,8 @@ export class CurveManager {
                     graphCurve: graphCurve,
                     latexEquations: [],
                     approximatorSettings: approximatorSettings,
-                    originalPoints: domainPath
+                    originalPoints: domainPath,
+                    closed: isClosedStroke(domainPath)
                 });
 
                 result.success = true;
@@ -2356,6 +4773,157 @@ export class CurveManager {
         return result;
     }
 
+    /**
+     * 数式から曲線を追加（インポートなど、手書きの点列を持たない曲線用）
+     * @param {Object} descriptor - 曲線の記述子 { type, latexEquations, color, size, originalPoints, knotPoints, strokeDasharray, isHidden, pointShape, closed, fill, symmetrySource, recordHistory }
+     * @returns {Object} 追加結果 {success: boolean, message: string, curve: Object, id: number}
+     */
+    addEquationCurve(descriptor) {
+        const result = { success: false, message: '', curve: null, id: null };
+        const latexEquations = Array.isArray(descriptor.latexEquations) ? this._applyPrettyLatex(descriptor.latexEquations) : [];
+        if (!this.graphCalculator || latexEquations.length === 0) {
+            result.message = '追加できる数式がありません';
+            return result;
+        }
+
+        const id = this.settings.nextCurveId;
+        const color = descriptor.color || this.settings.currentColor;
+        const size = descriptor.size || this.settings.currentSize;
+        const originalPoints = descriptor.originalPoints || [];
+        const knotPoints = descriptor.knotPoints || [];
+
+        // GraPen API が使えない場合は元の点の折れ線で描画する
+        const graPenAPI = (typeof window !== 'undefined' && window.GraPen &&
+            typeof window.GraPen.generateSVGPathFromFormula === 'function')
+            ? window.GraPen
+            : null;
+        const pathData = (graPenAPI && graPenAPI.generateSVGPathFromFormula(
+            latexEquations,
+            originalPoints,
+            { type: descriptor.type }
+        )) || originalPoints;
+
+        const graphCurve = this.graphCalculator.addCurve(pathData, {
+            id: id.toString(),
+            color: color,
+            width: size,
+            opacity: 1,
+            strokeDasharray: descriptor.strokeDasharray
+        });
+        if (!graphCurve) {
+            result.message = '曲線の描画に失敗しました';
+            return result;
+        }
+
+        knotPoints.forEach(knot => {
+            this.graphCalculator.addPoint(graphCurve.id, knot.x, knot.y);
+        });
+
+        // 元の点は数式から生成したものなので、節点数は式の数に固定する
+        const knotCount = latexEquations.length + 1;
+        this.addCurve({
+            id: id,
+            type: descriptor.type,
+            path: d3.select(graphCurve.path),
+            color: color,
+            size: size,
+            graphCurve: graphCurve,
+            latexEquations: latexEquations,
+            approximatorSettings: this.approximatorSettings,
+            preKnots: [],
+            minKnots: knotCount,
+            maxKnots: knotCount,
+            originalPoints: originalPoints,
+            approximationType: descriptor.type,
+            pointShape: descriptor.pointShape,
+            closed: descriptor.closed,
+            fill: descriptor.fill,
+            symmetrySource: descriptor.symmetrySource,
+            recordHistory: descriptor.recordHistory
+        });
+
+        const curve = this.curves[id];
+        if (curve) {
+            curve.knotPoints = knotPoints;
+        }
+        if (descriptor.isHidden) {
+            this.setCurveVisibility(id, false);
+        }
+
+        this.settings.nextCurveId++;
+        result.success = true;
+        result.curve = curve;
+        result.id = id;
+        return result;
+    }
+
+    /**
+     * 点オブジェクト (x, y) を追加（ペンでタップした位置など）
+     * @param {Object} descriptor - { x, y, color, size, shape }
+     * @returns {Object} 追加結果 {success: boolean, message: string, curve: Object, id: number}
+     */
+    addPointCurve(descriptor) {
+        const x = Number(descriptor && descriptor.x);
+        const y = Number(descriptor && descriptor.y);
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            return { success: false, message: '点の座標が不正です', curve: null, id: null };
+        }
+
+        const equation = EquationBuilder.point({ point: [x, y] });
+        equation.rpn = [];
+        const result = this.addEquationCurve({
+            type: 'point',
+            latexEquations: [equation],
+            originalPoints: [[x, y]],
+            color: descriptor.color,
+            size: descriptor.size,
+            pointShape: descriptor.shape
+        });
+        if (result.success) {
+            result.message = '点を追加しました';
+        }
+        return result;
+    }
+
+    /**
+     * 入力された LaTeX の式を曲線として追加する（y = f(x)、x = g(y)、媒介変数表示 (f(t), g(t))）
+     * 曲線は現在の表示範囲・倍率で式を適応的に標本化して描き、パン・ズームのたびに描き直す
+     * @param {string} latex - Desmos 形式の LaTeX（制限 \{a \le x \le b\} を付けられる）
+     * @param {Object} options - { color, size }
+     * @returns {Object} 追加結果 {success: boolean, message: string, curve: Object, id: number}
+     */
+    addExpressionCurve(latex, options = {}) {
+        if (!this.graphCalculator) {
+            return { success: false, message: 'グラフが初期化されていません', curve: null, id: null };
+        }
+        const viewport = this.graphCalculator.getDomain();
+        const parsed = parseExpressionLatex(latex, { viewport });
+        if (!parsed.success) {
+            return { success: false, message: parsed.message, curve: null, id: null };
+        }
+
+        // 制限のない側は今の表示範囲までの点を元の点列にする
+        const evaluator = createExpressionEvaluator(parsed.equation, { viewport });
+        const [start, end] = evaluator.range;
+        const originalPoints = [];
+        for (let i = 0; i <= EXPRESSION_OUTLINE_POINTS; i++) {
+            const point = evaluator.evaluate(start + (end - start) * (i / EXPRESSION_OUTLINE_POINTS));
+            if (point) originalPoints.push(point);
+        }
+
+        const result = this.addEquationCurve({
+            type: 'expression',
+            latexEquations: [parsed.equation],
+            originalPoints,
+            color: options.color,
+            size: options.size
+        });
+        if (result.success) {
+            result.message = '式を追加しました';
+        }
+        return result;
+    }
+
     /**
      * 二次曲線近似の節点数を調整するスライダーを作成
      * @param {d3.Selection} container - スライダーを追加するコンテナ要素
@@ -2455,56 +5023,28 @@ export class CurveManager {
     getCurveApproximationResult(type, points, options = {}) {
         if (!type || !points || !Array.isArray(points)) return null;
 
+        const definition = approximatorRegistry.getByType(type) || approximatorRegistry.get(type);
+        const approximator = definition ? this.getApproximator(definition.id) : null;
+        if (!approximator) return null;
+
         const domain = this.graphCalculator && typeof this.graphCalculator.getDomain === 'function'
             ? this.graphCalculator.getDomain()
             : null;
-        const mergedOptions = { ...this.approximatorSettings, ...options };
-
-        switch (type) {
-            case 'constant':
-            case 'vertical':
-            case 'linear':
-                // 一次関数近似
-                return this.linearApproximator.approximate(points, domain);
-
-            case 'quadratic':
-                // 二次Bスプライン近似
-                return this.quadraticApproximator.approximate(
-                    points,
-                    domain,
-                    mergedOptions
-                );
-            case 'piecewiseLinear':
-                // 折れ線近似
-                return this.piecewiseLinearApproximator.approximate(points, domain);
-            case 'singleQuadratic':
-                return this.singleQuadraticApproximator
-                    ? this.singleQuadraticApproximator.approximate(points, domain, mergedOptions)
-                    : null;
-            case 'singleCircle':
-                return this.singleCircleApproximator
-                    ? this.singleCircleApproximator.approximate(points, domain, mergedOptions)
-                    : null;
-            case 'quadraticChain':
-                return this.quadraticBezierChainApproximator
-                    ? this.quadraticBezierChainApproximator.approximate(points, domain, mergedOptions)
-                    : null;
-            case 'selectiveHybrid': {
-                const baseSelective = this.approximatorSettings?.selective || {};
-                const overrideSource = (options && typeof options === 'object')
-                    ? (options.selective && typeof options.selective === 'object' ? options.selective : options)
-                    : {};
-                const selectiveOverrides = {
-                    ...baseSelective,
-                    ...(overrideSource && typeof overrideSource === 'object' ? overrideSource : {})
-                };
-                return this.selectiveCurveApproximator
-                    ? this.selectiveCurveApproximator.approximate(points, domain, selectiveOverrides)
-                    : null;
+        // 近似手法ごとの設定は、options[settingsKey] または options そのものを上書きとして扱う
+        const settingsKey = definition.settingsKey;
+        const overrides = (options && typeof options === 'object')
+            ? (options[settingsKey] && typeof options[settingsKey] === 'object' ? options[settingsKey] : options)
+            : {};
+        const mergedOptions = {
+            ...this.approximatorSettings,
+            ...options,
+            [settingsKey]: {
+                ...(this.approximatorSettings?.[settingsKey] || {}),
+                ...overrides
             }
-            default:
-                return null;
-        }
+        };
+
+        return definition.approximate(approximator, points, domain, mergedOptions);
     }
 
     /**
@@ -2532,7 +5072,7 @@ export class CurveManager {
                 // KaTeX とイベントのみ更新（domain-marker は原則触らない）
                 for (let i = 0; i < equations.length; i++) {
                     const eq = equations[i];
-                    if (!eq || (!eq.formula && !eq.latex) || !eq.domain) continue;
+                    if (!eq || (!eq.formula && !eq.latex) || (!eq.domain && eq.type !== 'point' && eq.type !== 'expression')) continue;
                     const content = timeline.querySelector(`.equation-content[data-section-index="${i}"][data-curve-id="${curveId}"]`);
                     if (!content) continue;
                     const katexContainer = content.querySelector('.katex-display');
@@ -2554,6 +5094,7 @@ export class CurveManager {
                     // ハイライト更新
                     content.onmouseenter = () => this.highlightFunction(curveId, i, eq);
                     content.onmouseleave = () => this.unhighlightFunction();
+                    this._bindEquationEditor(curveId, i, content);
                 }
 
                 // domain-marker は値が変わったときのみ innerHTML を更新（スタイル保持のため）
@@ -2587,7 +5128,7 @@ export class CurveManager {
                 html += `<div class=\"domain-marker\">${equations[0].domain.start.replace(/\.(00|0)$/, '')}</div>`;
             }
             equations.forEach((eq, i) => {
-                if (typeof eq === 'object' && (eq.formula || eq.latex) && eq.domain) {
+                if (typeof eq === 'object' && (eq.formula || eq.latex) && (eq.domain || eq.type === 'point' || eq.type === 'expression')) {
                     html += `
             <div class=\"equation-item\" data-section-index=\"${i}\" data-curve-id=\"${curveId}\"> 
               <div class=\"equation-content\" data-section-index=\"${i}\" data-curve-id=\"${curveId}\"> 
@@ -2596,8 +5137,11 @@ export class CurveManager {
                 </button> 
                 <div class=\"katex-display\"></div> 
               </div> 
-            </div> 
+            </div>`;
+                    if (eq.domain) {
+                        html += `
             <div class=\"domain-marker\">${eq.domain.end.replace(/\.(00|0)$/, '')}</div>`;
+                    }
                 }
             });
             html += '</div>';
@@ -2605,7 +5149,7 @@ export class CurveManager {
 
             // KaTeX描画とイベント再設定
             equations.forEach((eq, i) => {
-                if (typeof eq === 'object' && eq.formula && eq.domain) {
+                if (typeof eq === 'object' && eq.formula && (eq.domain || eq.type === 'point' || eq.type === 'expression')) {
                     const equationContent = container.querySelector(`.equation-content[data-section-index=\"${i}\"][data-curve-id=\"${curveId}\"]`);
                     const katexDisplay = equationContent && equationContent.querySelector('.katex-display');
                     if (katexDisplay) {
@@ -2626,6 +5170,7 @@ export class CurveManager {
                     if (equationContent) {
                         equationContent.onmouseenter = () => this.highlightFunction(curveId, i, eq);
                         equationContent.onmouseleave = () => this.unhighlightFunction();
+                        this._bindEquationEditor(curveId, i, equationContent);
                     }
                 }
             });
@@ -2648,6 +5193,7 @@ export class CurveManager {
      * @param {string} options.iconName - Google Iconsのアイコン名
      * @param {boolean} options.initialActive - 初期状態でアクティブかどうか
      * @param {string} options.title - ボタンのツールチップテキスト
+     * @param {string} [options.i18nKey] - ツールチップの翻訳キー（actions.*）
      * @param {Function} options.onClick - クリック時の処理関数 (curveId, isActive, buttonElement) => void
      * @param {string} [options.className] - 追加のCSSクラス名
      * @returns {d3.Selection} 作成されたボタン要素
@@ -2657,6 +5203,7 @@ export class CurveManager {
             iconName,
             initialActive = false,
             title = '',
+            i18nKey = null,
             onClick,
             className = ''
         } = options;
@@ -2666,6 +5213,10 @@ export class CurveManager {
             .attr('title', title)
             .attr('data-id', curveId)
             .html(`<i class="material-symbols-rounded">${iconName}</i>`);
+        if (i18nKey) {
+            button.attr('data-i18n', i18nKey);
+            if (this.languageManager) this.languageManager.updateSpecificElement(button.node());
+        }
 
         // 初期状態の設定
         if (initialActive) {
@@ -2696,6 +5247,12 @@ export class CurveManager {
      * @returns {string} SVGタグ文字列
      */
     getColorIconSVG(iconType = 'linear', color = 'white') {
+        // 近似手法の定義にアイコンがあればそれを使う
+        const definition = approximatorRegistry.getByType(iconType);
+        if (definition && typeof definition.icon === 'function') {
+            return definition.icon(color);
+        }
+
         switch (iconType) {
             case 'piecewiseLinear':
                 return `<svg viewBox="0 0 20 20" width="100%" height="100%" style="pointer-events:none;">
@@ -2716,10 +5273,22 @@ export class CurveManager {
                     <path d="M2,14 Q6.5,5 10,10" fill="none" stroke="${color}" stroke-width="2.4" stroke-linecap="round" stroke-linejoin="round"/>
                     <path d="M10,10 Q13.5,17 18,7" fill="none" stroke="${color}" stroke-width="2.4" stroke-linecap="round" stroke-linejoin="round"/>
                 </svg>`;
+            case 'cubicChain':
+                return `<svg viewBox="0 0 20 20" width="100%" height="100%" style="pointer-events:none;">
+                    <path d="M2,15 C4,4 8,4 10,10 C12,16 16,16 18,5" fill="none" stroke="${color}" stroke-width="2.4" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>`;
             case 'singleCircle':
                 return `<svg viewBox="0 0 20 20" width="100%" height="100%" style="pointer-events:none;">
                     <circle cx="10" cy="10" r="5.5" fill="none" stroke="${color}" stroke-width="2.4"/>
                 </svg>`;
+            case 'point':
+                return `<svg viewBox="0 0 20 20" width="100%" height="100%" style="pointer-events:none;">
+                    <circle cx="10" cy="10" r="3.5" fill="${color}"/>
+                </svg>`;
+            case 'expression':
+                return `<svg viewBox="0 0 20 20" width="100%" height="100%" style="pointer-events:none;">
+                    <path d="M2,10 C4.5,2 7.5,2 10,10 C12.5,18 15.5,18 18,10" fill="none" stroke="${color}" stroke-width="2.6" stroke-linecap="round"/>
+                </svg>`;
             case 'selectiveHybrid':
             case 'mixedHybrid':
                 return `<svg viewBox="0 0 20 20" width="100%" height="100%" style="pointer-events:none;">
@@ -20,12 +20,15 @@ export class CurveMovementHandler {
             startDomainY: 0,
             curveId: null,
             originalOpacity: 1,
-            dummyCurve: null,
+            targets: [], // 移動対象 [{ curveId, dummyCurve, baseTransform }]
             guidelines: null,
             displacementText: null,
             penToolState: 'pen'
         };
 
+        // 範囲選択（マーキー）の状態
+        this.marqueeState = null;
+
         // マウスイベントハンドラをバインド
         this.handleMouseDown = this.handleMouseDown.bind(this);
         this.handleMouseMove = this.handleMouseMove.bind(this);
@@ -149,14 +152,14 @@ export class CurveMovementHandler {
             // カーソルを決定する
             if (graphCurveId && penState === 'cursor') {
                 const curveId = this.curveManager.getCurveIdByGraphCurveId(graphCurveId);
-                if (curveId !== null && this.curveManager.curves[curveId] && !this.curveManager.curves[curveId].locked) {
+                if (curveId !== null && this.curveManager.curves[curveId] && !this.curveManager.isCurveLocked(curveId)) {
                     svg.style.cursor = 'grab';
                     return;
                 }
             }
 
             // フォールバック: penState に応じてカーソルを設定（描画中の UIManager の crosshair/move を上書きしない）
-            if (penState === 'pen' || penState === 'eraser') {
+            if (penState === 'pen' || penState === 'eraser' || penState === 'shape') {
                 svg.style.cursor = 'crosshair';
             } else if (penState === 'cursor') {
                 svg.style.cursor = 'move';
@@ -203,7 +206,7 @@ export class CurveMovementHandler {
      */
     handleMouseDown(event) {
         // グローバルトグルに関係なく移動を許可する（進行中のドラッグのみで制御）
-        if (this.dragState.isDragging) return;
+        if (this.dragState.isDragging || this.marqueeState) return;
 
         // カーソルモード時のみ許可
         if (this.dragState.penToolState !== 'cursor') return;
@@ -228,6 +231,9 @@ export class CurveMovementHandler {
             target = target.parentElement;
         }
 
+        // Shift / Ctrl (Cmd) が押されている場合は複数選択操作
+        const isMultiSelect = event.shiftKey || event.ctrlKey || event.metaKey;
+
         // ヒットエリアが見つかった場合
         if (hitArea) {
             const graphCurveId = hitArea.getAttribute('data-curve-id');
@@ -235,10 +241,18 @@ export class CurveMovementHandler {
                 // カーブマネージャーの対応する曲線IDを取得
                 const curveId = this.curveManager.getCurveIdByGraphCurveId(graphCurveId);
                 if (curveId !== null) {
-                    // 曲線をドラッグ開始
-                    this.startDrag(event, curveId);
+                    if (isMultiSelect) {
+                        // 選択への追加・解除のみ行い、ドラッグは開始しない
+                        this.curveManager.toggleCurveSelection(curveId);
+                    } else {
+                        // 曲線をドラッグ開始
+                        this.startDrag(event, curveId);
+                    }
                 }
             }
+        } else if (isMultiSelect) {
+            // 背景を Shift / Ctrl + ドラッグした場合は範囲選択
+            this.startMarquee(event);
         } else {
             // 曲線以外（キャンバス背景）をクリックした場合は選択解除
             window.GraPen.deselectCurve();
@@ -250,6 +264,10 @@ export class CurveMovementHandler {
      * @param {MouseEvent} event 
      */
     handleMouseMove(event) {
+        if (this.marqueeState) {
+            this.updateMarquee(event);
+            return;
+        }
         if (!this.dragState.isDragging) return;
 
         const graphCalculator = this.curveManager.graphCalculator;
@@ -284,6 +302,10 @@ export class CurveMovementHandler {
      * @param {MouseEvent} event 
      */
     handleMouseUp(event) {
+        if (this.marqueeState) {
+            this.endMarquee(event);
+            return;
+        }
         if (!this.dragState.isDragging) return;
 
         const graphCalculator = this.curveManager.graphCalculator;
@@ -314,6 +336,10 @@ export class CurveMovementHandler {
      * @param {PointerEvent} event
      */
     handlePointerCancel(event) {
+        if (this.marqueeState) {
+            this.endMarquee(null, true);
+            return;
+        }
         if (!this.dragState.isDragging) return;
 
         if (event && event.cancelable) {
@@ -336,8 +362,8 @@ export class CurveMovementHandler {
         const curve = this.curveManager.curves[curveId];
         if (!curve) return;
 
-        // 個別ロックが有効な場合は移動を開始しない
-        if (curve.locked) {
+        // 個別ロックかフォルダのロックが有効な場合は移動を開始しない
+        if (this.curveManager.isCurveLocked(curveId)) {
             return;
         }
 
@@ -346,8 +372,13 @@ export class CurveMovementHandler {
         }
 
         // ドラッグ開始時は既に選択されている場合は選択状態を維持する
-        if (this.curveManager.settings.selectCurveId !== curveId) {
-            this.curveManager.selectCurve(d3.select(`.curve-item:nth-child(${curveId + 1})`), curveId);
+        // 複数選択中の曲線をドラッグした場合は選択中の曲線をまとめて移動する
+        const selectedIds = this.curveManager.getSelectedCurveIds();
+        let targetIds = [curveId];
+        if (selectedIds.length > 1 && selectedIds.includes(curveId)) {
+            targetIds = selectedIds.filter(id => this.curveManager.curves[id] && !this.curveManager.isCurveLocked(id));
+        } else if (this.curveManager.settings.selectCurveId !== curveId || selectedIds.length > 1) {
+            this.curveManager.selectCurve(d3.select(`.curve-item[data-id="${curveId}"]`), curveId);
         }
 
         // マウスのSVG座標を取得
@@ -366,28 +397,37 @@ export class CurveMovementHandler {
         this.dragState.startDomainX = mouseDomain.x;
         this.dragState.startDomainY = mouseDomain.y;
         this.dragState.curveId = curveId;
+        this.dragState.targets = [];
 
-        // 元の曲線を半透明にする
-        const graphCurve = graphCalculator.getCurve(curve.graphCurve.id);
-        if (graphCurve && graphCurve.path) {
-            this.dragState.originalOpacity = graphCurve.path.getAttribute('stroke-opacity') || 1;
-            graphCalculator.updateCurve(curve.graphCurve.id, { opacity: 0.3 });
-        }
+        targetIds.forEach(id => {
+            const target = this.curveManager.curves[id];
+            if (!target || !target.graphCurve) return;
 
-        // 強調表示も半透明にする
-        if (this.curveManager.emphasisGraphCurveId) {
-            const emphasisCurve = graphCalculator.getCurve(this.curveManager.emphasisGraphCurveId);
-            if (emphasisCurve) {
-                graphCalculator.updateCurve(this.curveManager.emphasisGraphCurveId, { opacity: 0 });
+            // 元の曲線を半透明にする
+            const graphCurve = graphCalculator.getCurve(target.graphCurve.id);
+            if (graphCurve && graphCurve.path) {
+                if (id === curveId) {
+                    this.dragState.originalOpacity = graphCurve.path.getAttribute('stroke-opacity') || 1;
+                }
+                graphCalculator.updateCurve(target.graphCurve.id, { opacity: 0.3 });
             }
-        }
+
+            // 強調表示も非表示にする
+            const emphasisId = `emphasis-${target.graphCurve.id}`;
+            if (graphCalculator.getCurve(emphasisId)) {
+                graphCalculator.updateCurve(emphasisId, { opacity: 0 });
+            }
+
+            // ダミー曲線を作成
+            const dragTarget = this.createDummyCurve(target);
+            if (dragTarget) {
+                this.dragState.targets.push(dragTarget);
+            }
+        });
 
         graphCalculator.enableZoom(false);
         graphCalculator.enableCanvas(false);
 
-        // ダミー曲線を作成
-        this.createDummyCurve(curve);
-
         // ガイドラインと移動量表示を作成
         this.createGuidelines(mouseX, mouseY);
 
@@ -398,16 +438,17 @@ export class CurveMovementHandler {
     /**
      * ダミー曲線の作成
      * @param {Object} curve 元の曲線オブジェクト
+     * @returns {Object|null} 移動対象 { curveId, dummyCurve, baseTransform }
      */
     createDummyCurve(curve) {
         const graphCalculator = this.curveManager.graphCalculator;
-        if (!graphCalculator || !curve.graphCurve) return;
+        if (!graphCalculator || !curve.graphCurve) return null;
 
         // 元の曲線からパスデータを取得
         const originalCurve = graphCalculator.getCurve(curve.graphCurve.id);
-        if (!originalCurve || !originalCurve.path) return;
+        if (!originalCurve || !originalCurve.path) return null;
 
-        const pathData = originalCurve.path.getAttribute('d');
+        const pathData = graphCalculator.getCurvePathData(curve.graphCurve.id);
 
         // ダミー曲線を追加（元の曲線と同じデータで色は同じだが半透明）
         const dummyId = `dummy-${curve.graphCurve.id}`;
@@ -418,28 +459,36 @@ export class CurveMovementHandler {
             opacity: 0.8
         });
 
-        this.dragState.dummyCurve = dummyCurve;
+        // 点オブジェクトはパスの代わりに印を表示する
+        if (dummyCurve && curve.type === 'point') {
+            const point = curve.latexEquations && curve.latexEquations[0] && curve.latexEquations[0].params
+                ? curve.latexEquations[0].params.point
+                : null;
+            if (Array.isArray(point)) {
+                this.curveManager.addPointMarker(dummyId, point, curve);
+            }
+        }
 
         // base transform をコピーしておく（連続移動でのジャンプを防ぐため）
+        let baseTransform = '';
         try {
             const svgRoot = graphCalculator.svg;
             const originalGroup = svgRoot.querySelector(`g[data-curve-base-id="${curve.graphCurve.id}"]`);
             const dummyGroup = svgRoot.querySelector(`g[data-curve-base-id="dummy-${curve.graphCurve.id}"]`);
-            const baseTransform = originalGroup ? (originalGroup.getAttribute('transform') || '') : '';
+            baseTransform = originalGroup ? (originalGroup.getAttribute('transform') || '') : '';
             if (dummyGroup && baseTransform) {
                 dummyGroup.setAttribute('transform', baseTransform);
             }
-            // dragState に保存して update 時に合成する
-            this.dragState.dummyBaseTransform = baseTransform;
-            this.dragState.curveBaseTransform = baseTransform;
         } catch (e) {
-            this.dragState.dummyBaseTransform = '';
-            this.dragState.curveBaseTransform = '';
+            baseTransform = '';
         }
 
-
-
-        return dummyCurve;
+        // 移動対象として返し、update 時に base transform と合成する
+        return {
+            curveId: curve.id,
+            dummyCurve: dummyCurve,
+            baseTransform: baseTransform
+        };
     }
 
     /**
@@ -524,30 +573,31 @@ export class CurveMovementHandler {
      */
     updateDummyCurve(deltaX, deltaY) {
         const graphCalculator = this.curveManager.graphCalculator;
-        if (!graphCalculator || !this.dragState.dummyCurve) return;
-
-        const curveId = this.dragState.curveId;
-        const curve = this.curveManager.curves[curveId];
-        if (!curve) return;
+        if (!graphCalculator) return;
 
-        // ダミー曲線のgグループを取得（data-curve-base-id="dummy-..."）
-        const dummyGroup = graphCalculator.svg.querySelector(
-            `g[data-curve-base-id="dummy-${curve.graphCurve.id}"]`
-        );
-        if (dummyGroup) {
-            const base = this.dragState.dummyBaseTransform || '';
-            const translate = `translate(${deltaX},${deltaY})`;
-            dummyGroup.setAttribute('transform', `${base} ${translate}`.trim());
-        }
+        this.dragState.targets.forEach(target => {
+            const curveId = target.curveId;
+            const curve = this.curveManager.curves[curveId];
+            if (!curve || !target.dummyCurve) return;
 
-        // 数式の更新（リアルタイム表示用）
+            // ダミー曲線のgグループを取得（data-curve-base-id="dummy-..."）
+            const dummyGroup = graphCalculator.svg.querySelector(
+                `g[data-curve-base-id="dummy-${curve.graphCurve.id}"]`
+            );
+            if (dummyGroup) {
+                const base = target.baseTransform || '';
+                const translate = `translate(${deltaX},${deltaY})`;
+                dummyGroup.setAttribute('transform', `${base} ${translate}`.trim());
+            }
 
-        if (curve.latexEquations && Array.isArray(curve.latexEquations)) {
-            const movedEquations = curve.latexEquations.map(equations => (
-                this.getParallelMovedEquations(equations.type, equations, deltaX, deltaY)
-            ));
-            this.curveManager.updateEquationsContainer(curveId, movedEquations);
-        }
+            // 数式の更新（リアルタイム表示用）
+            if (curve.latexEquations && Array.isArray(curve.latexEquations)) {
+                const movedEquations = curve.latexEquations.map(equations => (
+                    this.getParallelMovedEquations(equations.type, equations, deltaX, deltaY)
+                ));
+                this.curveManager.updateEquationsContainer(curveId, movedEquations);
+            }
+        });
     }
 
     /**
@@ -605,28 +655,40 @@ export class CurveMovementHandler {
      */
     moveCurve(deltaX, deltaY) {
         if (deltaX === 0 && deltaY === 0) return;
-        const curveId = this.dragState.curveId;
-        const curve = this.curveManager.curves[curveId];
-        if (!curve || !curve.originalPoints) return;
-
-        // 移動前の点列を保存（履歴用）
-        const oldPoints = [...curve.originalPoints];
 
-        // 点列を移動（内部データとしては単純にオフセットする）
-        const movedPoints = oldPoints.map(point => [point[0] + deltaX, point[1] + deltaY]);
+        const movedIds = this.dragState.targets
+            .filter(target => this.applyMoveToCurve(target, deltaX, deltaY))
+            .map(target => target.curveId);
+        if (movedIds.length === 0) return;
 
-        // デフォルト: 内部データをデルタで更新し、表示は g の transform で行う（再近似は行わない）
-        const graphCalculator = this.curveManager.graphCalculator;
-        curve.originalPoints = movedPoints;
         this.dragState.lastDelta = { dx: deltaX, dy: deltaY };
+        // 対称描画の写しは元の曲線から描き直すため、元の曲線と一緒に動かした場合は記録しない
+        this.recordMoveHistory(this.curveManager.excludeSymmetryCopies(movedIds), deltaX, deltaY);
+    }
+
+    /**
+     * 1本の曲線の内部データを移動し、表示は g の transform で行う（再近似は行わない）
+     * @param {Object} target 移動対象 { curveId, baseTransform }
+     * @param {number} deltaX X方向の移動量（ドメイン座標）
+     * @param {number} deltaY Y方向の移動量（ドメイン座標）
+     * @returns {boolean} 移動したかどうか
+     */
+    applyMoveToCurve(target, deltaX, deltaY) {
+        const curveId = target.curveId;
+        const curve = this.curveManager.curves[curveId];
+        if (!curve || !curve.originalPoints) return false;
+
+        // 点列を移動（内部データとしては単純にオフセットする）
+        curve.originalPoints = curve.originalPoints.map(point => [point[0] + deltaX, point[1] + deltaY]);
 
         // 視覚フィードバックのため、グループに transform を適用する
+        const graphCalculator = this.curveManager.graphCalculator;
         const svgRoot = graphCalculator && graphCalculator.svg;
         if (svgRoot && curve.graphCurve) {
             const group = svgRoot.querySelector(`g[data-curve-base-id="${curve.graphCurve.id}"]`);
             const translate = `translate(${deltaX},${deltaY})`;
             if (group) {
-                const baseCurve = this.dragState.curveBaseTransform || (group.getAttribute('transform') || '');
+                const baseCurve = target.baseTransform || (group.getAttribute('transform') || '');
                 group.setAttribute('transform', `${baseCurve} ${translate}`.trim());
             }
             const emphasisGroup = svgRoot.querySelector(`g[data-curve-base-id="emphasis-${curve.graphCurve.id}"]`);
@@ -649,27 +711,28 @@ export class CurveMovementHandler {
             this.curveManager.updateEquationsContainer(curveId);
         }
 
-        this.recordMoveHistory(curveId, deltaX, deltaY);
-
+        return true;
     }
 
     /**
      * 履歴に曲線移動を記録（delta-only）
-     * @param {number} curveId 曲線ID
+     * 複数の曲線を移動した場合は1つのバッチ操作として記録する
+     * @param {number|Array<number>} curveIds 曲線ID（または曲線IDの配列）
      * @param {number} deltaX X方向の移動量
      * @param {number} deltaY Y方向の移動量
      */
-    recordMoveHistory(curveId, deltaX, deltaY) {
+    recordMoveHistory(curveIds, deltaX, deltaY) {
         if (!this.curveManager.historyManager) return;
 
-        const action = {
+        const ids = Array.isArray(curveIds) ? curveIds : [curveIds];
+        const actions = ids.map(id => ({
             type: 'moveCurve',
-            id: curveId,
+            id: id,
             deltaX: deltaX,
             deltaY: deltaY
-        };
+        }));
 
-        this.curveManager.historyManager.addAction(action);
+        this.curveManager.recordBatchAction(actions);
     }
 
     /**
@@ -680,19 +743,27 @@ export class CurveMovementHandler {
         const graphCalculator = this.curveManager.graphCalculator;
         if (!graphCalculator) return;
 
-        if (!cancel && this.dragState && this.dragState.lastDelta && this.dragState.curveId !== null) {
-            try {
-                this.finalizeTranslateMove(this.dragState.curveId);
-            } catch (err) {
-                console.warn('finalizeTranslateMove failed', err);
-            }
+        const targets = this.dragState.targets || [];
+
+        if (!cancel && this.dragState.lastDelta) {
+            targets.forEach(target => {
+                try {
+                    this.finalizeTranslateMove(target.curveId, target.baseTransform);
+                } catch (err) {
+                    console.warn('finalizeTranslateMove failed', err);
+                }
+            });
+            // 動かした曲線の対称描画の写しを描き直す
+            this.curveManager.syncSymmetryCopies(targets.map(target => target.curveId));
         }
+        this.dragState.lastDelta = null;
 
         // ダミー曲線を削除
-        if (this.dragState.dummyCurve) {
-            graphCalculator.removeCurve(this.dragState.dummyCurve.id);
-            this.dragState.dummyCurve = null;
-        }
+        targets.forEach(target => {
+            if (target.dummyCurve) {
+                graphCalculator.removeCurve(target.dummyCurve.id);
+            }
+        });
 
         // ガイドラインを削除
         if (this.dragState.guidelines) {
@@ -701,18 +772,17 @@ export class CurveMovementHandler {
             this.dragState.displacementText = null;
         }
 
-        // 元の曲線の透明度を元に戻す
-        if (this.dragState.curveId !== null) {
-            const curve = this.curveManager.curves[this.dragState.curveId];
+        // 元の曲線と強調表示の透明度を元に戻す
+        targets.forEach(target => {
+            const curve = this.curveManager.curves[target.curveId];
             if (curve && curve.graphCurve) {
                 graphCalculator.updateCurve(curve.graphCurve.id, { opacity: 1 });
+                const emphasisId = `emphasis-${curve.graphCurve.id}`;
+                if (graphCalculator.getCurve(emphasisId)) {
+                    graphCalculator.updateCurve(emphasisId, { opacity: 0.4 });
+                }
             }
-        }
-
-        // 強調表示の透明度を元に戻す
-        if (this.curveManager.emphasisGraphCurveId) {
-            graphCalculator.updateCurve(this.curveManager.emphasisGraphCurveId, { opacity: 0.4 });
-        }
+        });
 
         // ツール設定を復元
         this.setActiveTool(this.dragState.penToolState);
@@ -720,6 +790,112 @@ export class CurveMovementHandler {
         // ドラッグ状態をリセット
         this.dragState.isDragging = false;
         this.dragState.curveId = null;
+        this.dragState.targets = [];
+    }
+
+    /**
+     * 範囲選択（マーキー）の開始
+     * @param {PointerEvent} event
+     */
+    startMarquee(event) {
+        const graphCalculator = this.curveManager.graphCalculator;
+        if (!graphCalculator) return;
+
+        if (event && event.cancelable) {
+            event.preventDefault();
+        }
+
+        const svg = graphCalculator.getSvg();
+        const svgRect = svg.getBoundingClientRect();
+        const startX = event.clientX - svgRect.left;
+        const startY = event.clientY - svgRect.top;
+
+        // 範囲選択中はキャンバス移動を無効化
+        graphCalculator.enableZoom(false);
+        graphCalculator.enableCanvas(false);
+
+        const rect = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+        rect.setAttribute("class", "selection-marquee");
+        rect.setAttribute("x", startX);
+        rect.setAttribute("y", startY);
+        rect.setAttribute("width", 0);
+        rect.setAttribute("height", 0);
+        svg.appendChild(rect);
+
+        this.marqueeState = { startX, startY, endX: startX, endY: startY, rect };
+    }
+
+    /**
+     * 範囲選択（マーキー）の更新
+     * @param {PointerEvent} event
+     */
+    updateMarquee(event) {
+        const graphCalculator = this.curveManager.graphCalculator;
+        if (!graphCalculator || !this.marqueeState) return;
+
+        if (event && event.cancelable) {
+            event.preventDefault();
+        }
+
+        const svgRect = graphCalculator.getSvg().getBoundingClientRect();
+        const state = this.marqueeState;
+        state.endX = event.clientX - svgRect.left;
+        state.endY = event.clientY - svgRect.top;
+
+        state.rect.setAttribute("x", Math.min(state.startX, state.endX));
+        state.rect.setAttribute("y", Math.min(state.startY, state.endY));
+        state.rect.setAttribute("width", Math.abs(state.endX - state.startX));
+        state.rect.setAttribute("height", Math.abs(state.endY - state.startY));
+    }
+
+    /**
+     * 範囲選択（マーキー）の終了
+     * 範囲内を通る表示中の曲線を現在の選択に追加する
+     * @param {PointerEvent|null} event
+     * @param {boolean} cancel キャンセルするかどうか
+     */
+    endMarquee(event, cancel = false) {
+        const graphCalculator = this.curveManager.graphCalculator;
+        const state = this.marqueeState;
+        this.marqueeState = null;
+        if (!state) return;
+
+        if (state.rect) {
+            state.rect.remove();
+        }
+
+        if (graphCalculator && !cancel) {
+            if (event) {
+                const svgRect = graphCalculator.getSvg().getBoundingClientRect();
+                state.endX = event.clientX - svgRect.left;
+                state.endY = event.clientY - svgRect.top;
+            }
+
+            const p1 = graphCalculator.screenToDomain(state.startX, state.startY);
+            const p2 = graphCalculator.screenToDomain(state.endX, state.endY);
+            const bounds = {
+                xMin: Math.min(p1.x, p2.x),
+                xMax: Math.max(p1.x, p2.x),
+                yMin: Math.min(p1.y, p2.y),
+                yMax: Math.max(p1.y, p2.y)
+            };
+
+            const hitIds = [];
+            this.curveManager.curves.forEach((curve, id) => {
+                if (!curve || curve.isHidden) return;
+                if (polylineIntersectsRect(curve.originalPoints, bounds)) {
+                    hitIds.push(id);
+                }
+            });
+
+            if (hitIds.length > 0) {
+                const currentIds = this.curveManager.getSelectedCurveIds();
+                this.curveManager.setCurveSelection([...currentIds, ...hitIds], this.settings.selectCurveId);
+            }
+        }
+
+        // ツール設定を復元
+        this.setActiveTool(this.dragState.penToolState);
     }
 
     /**
@@ -975,6 +1151,12 @@ export class CurveMovementHandler {
                 }
                 return cleaned;
 
+            case 'point':
+                if (equationObject && equationObject.params && Array.isArray(equationObject.params.point)) {
+                    return formatPointWithDelta(equationObject.params.point);
+                }
+                return cleaned;
+
             case 'arc':
                 if (equationObject && equationObject.params && Array.isArray(equationObject.params.center)) {
                     const [cx, cy] = equationObject.params.center;
@@ -1293,13 +1475,14 @@ export class CurveMovementHandler {
      * finalizeTranslateMove
      * - translate-only PoC の移動を確定させるため、近似を再実行して path を更新し、
      *   g の transform をリセットする。履歴の登録は moveCurve 側で行われる想定。
+     * @param {number} curveId 曲線ID
+     * @param {string} baseTransform ドラッグ開始時の g の transform
      */
-    finalizeTranslateMove(curveId) {
+    finalizeTranslateMove(curveId, baseTransform = '') {
         const graphCalculator = this.curveManager.graphCalculator;
         const curve = this.curveManager.curves[curveId];
         if (!graphCalculator || !curve || !curve.originalPoints) return;
 
-        const baseTransform = this.dragState ? (this.dragState.curveBaseTransform || '') : '';
         const lastDelta = this.dragState && this.dragState.lastDelta || { dx: 0, dy: 0 };
         const dx = Number.isFinite(lastDelta.dx) ? lastDelta.dx : 0;
         const dy = Number.isFinite(lastDelta.dy) ? lastDelta.dy : 0;
@@ -1325,7 +1508,6 @@ export class CurveMovementHandler {
         };
         if (dx === 0 && dy === 0) {
             resetGroupTransforms();
-            this.dragState && (this.dragState.lastDelta = null);
             return;
         }
 
@@ -1342,7 +1524,7 @@ export class CurveMovementHandler {
                     curve.path.attr('d', translatedPath);
                 }
             } else if (graphCurve.path) {
-                const currentPath = graphCurve.path.getAttribute('d');
+                const currentPath = graphCalculator.getCurvePathData(graphCurve.id);
                 if (typeof currentPath === 'string') {
                     const translatedPath = this.translateSvgPathData(currentPath, dx, dy);
                     graphCalculator.updateCurve(graphCurve.id, { path: translatedPath });
@@ -1407,8 +1589,56 @@ export class CurveMovementHandler {
             this.curveManager.updateEquationsContainer(curveId);
         }
 
-        this.dragState && (this.dragState.lastDelta = null);
         resetGroupTransforms();
     }
 
 }
+
+/**
+ * 点列（折れ線）が矩形と交差するかどうか
+ * @param {Array<Array<number>>} points - [[x, y], ...]
+ * @param {{xMin:number, xMax:number, yMin:number, yMax:number}} bounds - 矩形（ドメイン座標）
+ * @returns {boolean}
+ */
+function polylineIntersectsRect(points, bounds) {
+    if (!Array.isArray(points) || points.length === 0) return false;
+
+    const inside = (p) => p[0] >= bounds.xMin && p[0] <= bounds.xMax && p[1] >= bounds.yMin && p[1] <= bounds.yMax;
+    if (points.length === 1) return inside(points[0]);
+
+    for (let i = 0; i < points.length - 1; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+        if (inside(a) || inside(b)) return true;
+
+        // Liang–Barsky 法による線分と矩形の交差判定
+        const dx = b[0] - a[0];
+        const dy = b[1] - a[1];
+        const p = [-dx, dx, -dy, dy];
+        const q = [a[0] - bounds.xMin, bounds.xMax - a[0], a[1] - bounds.yMin, bounds.yMax - a[1]];
+        let t0 = 0;
+        let t1 = 1;
+        let hit = true;
+        for (let k = 0; k < 4; k++) {
+            if (p[k] === 0) {
+                if (q[k] < 0) {
+                    hit = false;
+                    break;
+                }
+            } else {
+                const t = q[k] / p[k];
+                if (p[k] < 0) {
+                    t0 = Math.max(t0, t);
+                } else {
+                    t1 = Math.min(t1, t);
+                }
+                if (t0 > t1) {
+                    hit = false;
+                    break;
+                }
+            }
+        }
+        if (hit) return true;
+    }
+    return false;
+}
@@ -0,0 +1,466 @@
+import {
+    IDENTITY_MATRIX,
+    createScaleMatrix,
+    createRotationMatrix,
+    createReflectionMatrix,
+    applyMatrixToPoint,
+    toSVGTransform
+} from '../util/AffineTransform.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// 拡大縮小ハンドルの位置（範囲の左右・上下の端を -1 / 0 / 1 で表す）
+const SCALE_HANDLES = {
+    nw: [-1, 1], n: [0, 1], ne: [1, 1], e: [1, 0],
+    se: [1, -1], s: [0, -1], sw: [-1, -1], w: [-1, 0]
+};
+
+/**
+ * 曲線変形ハンドラクラス
+ * カーソルツールで選択中の曲線の周りにハンドルを表示し、拡大縮小・回転・反転を行う
+ *  - 四隅のハンドル: 縦横比を保って拡大縮小（Shift: 縦横を別々に拡大縮小）
+ *  - 辺のハンドル: x方向またはy方向のみ拡大縮小
+ *  - 上部の丸いハンドル: 範囲の中心を軸に回転（Shift: 15°刻み）
+ *  - 反転ボタン: 範囲の中心を通る軸で左右・上下に反転
+ * 拡大縮小は反対側の辺（Alt: 範囲の中心）を基準にする
+ */
+export class CurveTransformHandler {
+    /**
+     * @param {CurveManager} curveManager
+     * @param {Object} settings - 共通設定
+     * @param {GraphCalculator} graphCalculator
+     */
+    constructor(curveManager, settings, graphCalculator) {
+        this.curveManager = curveManager;
+        this.settings = settings;
+        this.graphCalculator = graphCalculator;
+
+        // ハンドルを描画するSVGグループ
+        this.overlay = null;
+        // ハンドル表示の更新予約（requestAnimationFrame のID）
+        this.updateFrame = null;
+
+        // 回転ハンドルを範囲の上端から離す距離（スクリーン座標, px）
+        this.rotateHandleOffset = 24;
+        // Shift キーを押しながら回転したときの角度の刻み
+        this.snapAngle = Math.PI / 12;
+        // 拡大縮小の倍率の最小値（0 になると形が潰れて数式を作れないため）
+        this.minScale = 0.01;
+
+        // ドラッグ操作の状態を管理
+        this.dragState = {
+            isDragging: false,
+            handle: null,
+            ids: [],
+            bounds: null,
+            startDomain: null,
+            baseTransforms: [],
+            matrix: null
+        };
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleCompatEvent = this.handleCompatEvent.bind(this);
+        this.scheduleUpdate = this.scheduleUpdate.bind(this);
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * イベントリスナーの設定
+     * ハンドル上の操作を曲線移動・選択より先に処理するためキャプチャフェーズで登録する
+     */
+    setupEventListeners() {
+        if (!this.graphCalculator) return;
+
+        const svg = this.graphCalculator.getSvg();
+        svg.addEventListener('pointerdown', this.handlePointerDown, true);
+        svg.addEventListener('mousedown', this.handleCompatEvent, true);
+        svg.addEventListener('touchstart', this.handleCompatEvent, true);
+        d3.select(document).on('pointermove.curveTransform', this.handlePointerMove);
+        d3.select(document).on('pointerup.curveTransform', this.handlePointerUp);
+        d3.select(document).on('pointercancel.curveTransform', () => this.endDrag());
+
+        // 選択・ツールの切り替えや undo/redo、曲線の移動のあとにハンドルを描き直す
+        document.addEventListener('curveSelectionChanged', this.scheduleUpdate);
+        document.addEventListener('click', this.scheduleUpdate);
+        document.addEventListener('keydown', this.scheduleUpdate);
+        document.addEventListener('pointerup', this.scheduleUpdate);
+
+        // ズーム・パンでスクリーン上の位置が変わるため、グラフの再描画に合わせて描き直す
+        const events = this.graphCalculator.options && this.graphCalculator.options.events;
+        if (events) {
+            const prev = events.onDraw;
+            events.onDraw = (...args) => {
+                if (typeof prev === 'function') prev(...args);
+                this.scheduleUpdate();
+            };
+        }
+    }
+
+    /**
+     * 次のフレームでハンドル表示を更新する
+     */
+    scheduleUpdate() {
+        if (this.updateFrame) return;
+        this.updateFrame = requestAnimationFrame(() => {
+            this.updateFrame = null;
+            if (!this.dragState.isDragging) this.update();
+        });
+    }
+
+    /**
+     * 変形の対象となる曲線IDの一覧（カーソルツールで選択中の、表示中かつロックされていない曲線）
+     * @returns {Array<number>}
+     */
+    getTargetIds() {
+        if (this.settings.currentTool !== 'cursor') return [];
+        const knotEditHandler = this.curveManager.knotEditHandler;
+        if (knotEditHandler && knotEditHandler.isActive()) return [];
+        return this.curveManager.getSelectedCurveIds().filter(id => {
+            const curve = this.curveManager.curves[id];
+            return curve && !this.curveManager.isCurveLocked(id) && !curve.isHidden && curve.graphCurve;
+        });
+    }
+
+    /**
+     * 範囲の中心（ドメイン座標）
+     * @param {Object} bounds
+     * @returns {Array<number>}
+     */
+    getCenter(bounds) {
+        return [(bounds.xMin + bounds.xMax) / 2, (bounds.yMin + bounds.yMax) / 2];
+    }
+
+    /**
+     * 範囲上の位置（-1 / 0 / 1 で表す）をドメイン座標に変換
+     * @param {Object} bounds
+     * @param {Array<number>} anchor - [u, v]
+     * @returns {Array<number>}
+     */
+    getAnchorPoint(bounds, [u, v]) {
+        const [cx, cy] = this.getCenter(bounds);
+        return [cx + u * (bounds.xMax - bounds.xMin) / 2, cy + v * (bounds.yMax - bounds.yMin) / 2];
+    }
+
+    /**
+     * ドメイン座標に行列を適用してスクリーン座標に変換
+     * @param {Array<number>} point
+     * @param {Array<number>} matrix
+     * @returns {{x:number, y:number}}
+     */
+    toScreen(point, matrix = IDENTITY_MATRIX) {
+        const [x, y] = applyMatrixToPoint(matrix, point);
+        return this.graphCalculator.domainToScreen(x, y);
+    }
+
+    /**
+     * ポインター位置をドメイン座標で取得
+     * @param {PointerEvent} event
+     * @returns {Array<number>}
+     */
+    getDomainPosition(event) {
+        const svgRect = this.graphCalculator.getSvg().getBoundingClientRect();
+        const domain = this.graphCalculator.screenToDomain(event.clientX - svgRect.left, event.clientY - svgRect.top);
+        return [domain.x, domain.y];
+    }
+
+    /**
+     * ハンドル表示を更新（対象がなければ削除）
+     */
+    update() {
+        if (!this.graphCalculator) return;
+        const ids = this.getTargetIds();
+        const bounds = ids.length > 0 ? this.curveManager.getCurvesBounds(ids) : null;
+        if (!bounds) {
+            this.removeOverlay();
+            return;
+        }
+        this.render(bounds);
+    }
+
+    /**
+     * ハンドルを描画する
+     * @param {Object} bounds - 変形前の範囲（ドメイン座標）
+     * @param {Array<number>} matrix - ドラッグ中の変換行列（範囲の枠とハンドルに適用する）
+     */
+    render(bounds, matrix = IDENTITY_MATRIX) {
+        const svg = this.graphCalculator.getSvg();
+        if (!this.overlay || !this.overlay.isConnected) {
+            this.overlay = document.createElementNS(SVG_NS, 'g');
+            this.overlay.setAttribute('class', 'transform-handles');
+        }
+        // 常に最前面に表示する
+        svg.appendChild(this.overlay);
+        this.overlay.innerHTML = '';
+
+        const create = (tag, attrs) => {
+            const el = document.createElementNS(SVG_NS, tag);
+            Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+            this.overlay.appendChild(el);
+            return el;
+        };
+
+        const corners = ['nw', 'ne', 'se', 'sw'].map(key => this.toScreen(this.getAnchorPoint(bounds, SCALE_HANDLES[key]), matrix));
+        create('polygon', {
+            class: 'transform-box',
+            points: corners.map(p => `${p.x},${p.y}`).join(' ')
+        });
+
+        // 回転ハンドルは上辺の中点から範囲の外側へ離して置く
+        const top = this.toScreen(this.getAnchorPoint(bounds, SCALE_HANDLES.n), matrix);
+        const center = this.toScreen(this.getCenter(bounds), matrix);
+        let dirX = top.x - center.x;
+        let dirY = top.y - center.y;
+        const length = Math.hypot(dirX, dirY);
+        if (length < 1e-6) {
+            dirX = 0;
+            dirY = -1;
+        } else {
+            dirX /= length;
+            dirY /= length;
+        }
+        const rotateX = top.x + dirX * this.rotateHandleOffset;
+        const rotateY = top.y + dirY * this.rotateHandleOffset;
+        create('line', { class: 'transform-rotate-line', x1: top.x, y1: top.y, x2: rotateX, y2: rotateY });
+        create('circle', { class: 'transform-handle rotate', 'data-handle': 'rotate', cx: rotateX, cy: rotateY, r: 6 });
+
+        // 幅（高さ）のない範囲では、その方向の拡大縮小ハンドルを出さない
+        const hasWidth = bounds.xMax - bounds.xMin > 1e-9;
+        const hasHeight = bounds.yMax - bounds.yMin > 1e-9;
+        Object.entries(SCALE_HANDLES).forEach(([key, [u, v]]) => {
+            if ((u !== 0 && !hasWidth) || (v !== 0 && !hasHeight)) return;
+            const p = this.toScreen(this.getAnchorPoint(bounds, [u, v]), matrix);
+            create('rect', {
+                class: `transform-handle scale ${key}`,
+                'data-handle': key,
+                x: p.x - 5,
+                y: p.y - 5,
+                width: 10,
+                height: 10
+            });
+        });
+
+        // 反転ボタンは右上の角の外側に並べる（ドラッグ中は表示しない）
+        if (this.dragState.isDragging) return;
+        const ne = corners[1];
+        [['y', 'flip', 0], ['x', 'flip', 90]].forEach(([axis, icon, rotate], index) => {
+            const x = ne.x + 20 + index * 26;
+            const y = ne.y - 20;
+            const button = document.createElementNS(SVG_NS, 'g');
+            button.setAttribute('class', 'transform-mirror');
+            button.setAttribute('data-handle', `mirror-${axis}`);
+            button.setAttribute('transform', `translate(${x}, ${y})`);
+            const bg = document.createElementNS(SVG_NS, 'circle');
+            bg.setAttribute('r', 11);
+            const label = document.createElementNS(SVG_NS, 'text');
+            label.setAttribute('class', 'material-symbols-rounded');
+            label.setAttribute('transform', `rotate(${rotate})`);
+            label.textContent = icon;
+            const title = document.createElementNS(SVG_NS, 'title');
+            title.textContent = axis === 'y' ? 'Flip horizontally' : 'Flip vertically';
+            button.append(bg, label, title);
+            this.overlay.appendChild(button);
+        });
+    }
+
+    /**
+     * ハンドルを削除
+     */
+    removeOverlay() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+
+    /**
+     * ポインターダウンイベントハンドラ（キャプチャフェーズ）
+     * @param {PointerEvent} event
+     */
+    handlePointerDown(event) {
+        const target = event.target && event.target.closest ? event.target.closest('.transform-handles [data-handle]') : null;
+        if (!target || this.dragState.isDragging) return;
+
+        // 他のハンドラ（曲線移動・選択・キャンバス移動）に渡さない
+        event.stopPropagation();
+        if (event.cancelable) event.preventDefault();
+
+        const ids = this.getTargetIds();
+        const bounds = ids.length > 0 ? this.curveManager.getCurvesBounds(ids) : null;
+        if (!bounds) {
+            this.removeOverlay();
+            return;
+        }
+
+        const handle = target.getAttribute('data-handle');
+        if (handle === 'mirror-x' || handle === 'mirror-y') {
+            const matrix = createReflectionMatrix(handle === 'mirror-x' ? 'x' : 'y', this.getCenter(bounds));
+            this.applyTransform(ids, matrix);
+            return;
+        }
+
+        this.dragState.isDragging = true;
+        this.dragState.handle = handle;
+        this.dragState.ids = ids;
+        this.dragState.bounds = bounds;
+        this.dragState.startDomain = this.getDomainPosition(event);
+        this.dragState.matrix = null;
+        this.dragState.baseTransforms = ids.map(id => {
+            const group = this.getCurveGroup(id);
+            return { group, transform: group ? (group.getAttribute('transform') || '') : '' };
+        });
+
+        this.graphCalculator.enableZoom(false);
+        this.graphCalculator.enableCanvas(false);
+    }
+
+    /**
+     * 変形中のポインター操作に続く mousedown / touchstart を他のハンドラに渡さない
+     * @param {Event} event
+     */
+    handleCompatEvent(event) {
+        const target = event.target && event.target.closest ? event.target.closest('.transform-handles') : null;
+        if (this.dragState.isDragging || target) {
+            event.stopPropagation();
+        }
+    }
+
+    /**
+     * ポインター移動イベントハンドラ
+     * @param {PointerEvent} event
+     */
+    handlePointerMove(event) {
+        if (!this.dragState.isDragging) return;
+        if (event.cancelable) event.preventDefault();
+
+        const matrix = this.computeMatrix(this.getDomainPosition(event), event);
+        if (!matrix) return;
+        this.dragState.matrix = matrix;
+
+        // プレビューは曲線のグループに transform を適用して表示する（数式の書き換えは確定時のみ）
+        const transform = toSVGTransform(matrix);
+        this.dragState.baseTransforms.forEach(({ group, transform: base }) => {
+            if (group) group.setAttribute('transform', `${base} ${transform}`.trim());
+        });
+        this.render(this.dragState.bounds, matrix);
+    }
+
+    /**
+     * ポインターアップイベントハンドラ
+     * ドラッグした変形を確定する
+     */
+    handlePointerUp() {
+        if (!this.dragState.isDragging) return;
+        const ids = this.dragState.ids;
+        const matrix = this.dragState.matrix;
+        this.endDrag();
+        if (matrix) {
+            this.applyTransform(ids, matrix);
+        }
+    }
+
+    /**
+     * ドラッグ位置から変換行列を計算
+     * @param {Array<number>} point - ポインター位置（ドメイン座標）
+     * @param {PointerEvent} event - 修飾キーの判定用
+     * @returns {Array<number>|null}
+     */
+    computeMatrix(point, event) {
+        const { handle, bounds, startDomain } = this.dragState;
+        const center = this.getCenter(bounds);
+
+        if (handle === 'rotate') {
+            const startAngle = Math.atan2(startDomain[1] - center[1], startDomain[0] - center[0]);
+            let angle = Math.atan2(point[1] - center[1], point[0] - center[0]) - startAngle;
+            if (event.shiftKey) {
+                angle = Math.round(angle / this.snapAngle) * this.snapAngle;
+            }
+            return createRotationMatrix(angle, center);
+        }
+
+        const anchor = SCALE_HANDLES[handle];
+        if (!anchor) return null;
+        const [u, v] = anchor;
+        const pivot = event.altKey ? center : this.getAnchorPoint(bounds, [-u, -v]);
+        const start = this.getAnchorPoint(bounds, [u, v]);
+
+        const clamp = (scale) => {
+            if (!Number.isFinite(scale)) return 1;
+            if (Math.abs(scale) < this.minScale) return scale < 0 ? -this.minScale : this.minScale;
+            return scale;
+        };
+        const ratio = (index) => clamp((point[index] - pivot[index]) / (start[index] - pivot[index]));
+
+        let scaleX = u !== 0 ? ratio(0) : 1;
+        let scaleY = v !== 0 ? ratio(1) : 1;
+
+        // 四隅のハンドルは縦横比を保つ（ハンドルの方向に射影した倍率を使う）
+        if (u !== 0 && v !== 0 && !event.shiftKey) {
+            const dx = start[0] - pivot[0];
+            const dy = start[1] - pivot[1];
+            const scale = clamp(((point[0] - pivot[0]) * dx + (point[1] - pivot[1]) * dy) / (dx * dx + dy * dy));
+            scaleX = scale;
+            scaleY = scale;
+        }
+        return createScaleMatrix(scaleX, scaleY, pivot);
+    }
+
+    /**
+     * 曲線に変換を適用して履歴に記録する
+     * @param {Array<number>} ids
+     * @param {Array<number>} matrix
+     */
+    applyTransform(ids, matrix) {
+        const result = this.curveManager.transformCurves(ids, matrix);
+        if (!result.success) {
+            console.warn(result.message);
+        }
+        this.update();
+    }
+
+    /**
+     * 曲線の描画グループ（GraphCalculator上の g 要素）を取得
+     * @param {number} id - 曲線ID
+     * @returns {SVGGElement|null}
+     */
+    getCurveGroup(id) {
+        const curve = this.curveManager.curves[id];
+        const svgRoot = this.graphCalculator.svg;
+        if (!curve || !curve.graphCurve || !svgRoot) return null;
+        return svgRoot.querySelector(`g[data-curve-base-id="${curve.graphCurve.id}"]`);
+    }
+
+    /**
+     * ドラッグ終了（プレビューを元に戻す。変形の確定は handlePointerUp で行う）
+     */
+    endDrag() {
+        if (!this.dragState.isDragging) return;
+
+        // プレビュー用の transform を元に戻す
+        this.dragState.baseTransforms.forEach(({ group, transform }) => {
+            if (!group) return;
+            if (transform) {
+                group.setAttribute('transform', transform);
+            } else {
+                group.removeAttribute('transform');
+            }
+        });
+
+        this.dragState.isDragging = false;
+        this.dragState.handle = null;
+        this.dragState.ids = [];
+        this.dragState.bounds = null;
+        this.dragState.startDomain = null;
+        this.dragState.baseTransforms = [];
+        this.dragState.matrix = null;
+
+        if (this.settings.currentTool === 'cursor') {
+            this.graphCalculator.enableZoom(true);
+            this.graphCalculator.enableCanvas(true);
+        }
+
+        this.update();
+    }
+}
@@ -0,0 +1,259 @@
+/**
+ * 端点スナップクラス
+ * 手書きの曲線の始点・終点を、近くにある既存の曲線の端点・節点・交点に吸着させる
+ * スナップ先はドメイン座標で保持し、スナップ半径はスクリーン座標（px）で判定する
+ */
+
+// パスをサンプリングする間隔（スクリーン座標, px）
+const SAMPLE_SPACING_PX = 4;
+const MIN_SAMPLES = 16;
+const MAX_SAMPLES = 512;
+// 吸着させた端点の移動を、ストロークに沿ってスナップ半径の何倍の長さまでなじませるか
+const BLEND_RADIUS_RATIO = 3;
+// 同じ位置とみなす距離（スクリーン座標, px）
+const SAME_POINT_PX = 0.5;
+
+export class EndpointSnapper {
+    /**
+     * @param {CurveManager} curveManager
+     * @param {GraphCalculator} graphCalculator
+     */
+    constructor(curveManager, graphCalculator) {
+        this.curveManager = curveManager;
+        this.graphCalculator = graphCalculator;
+
+        // スナップ先のキャッシュ（曲線が変わったとき invalidate で、表示範囲が変わったときに作り直す）
+        // 表示範囲によって式の曲線のパスとサンプリングの間隔が変わるため、表示範囲もキーにする
+        this._dirty = true;
+        this._domainKey = null;
+        this._targets = [];
+
+        // 曲線の追加・削除・変更、元に戻す・やり直しはすべて履歴の変更として通知される
+        document.addEventListener('historyChanged', () => this.invalidate());
+    }
+
+    /**
+     * スナップ先のキャッシュを破棄する（次に使うときに曲線から作り直す）
+     */
+    invalidate() {
+        this._dirty = true;
+    }
+
+    /**
+     * スナップ先の一覧
+     * @returns {Array<Object>} [{ x, y, kind }]（kind は 'endpoint' | 'knot' | 'point' | 'intersection'）
+     */
+    getTargets() {
+        const { xMin, xMax, yMin, yMax } = this.graphCalculator.getDomain();
+        const domainKey = [xMin, xMax, yMin, yMax].join(',');
+        if (!this._dirty && this._domainKey === domainKey) {
+            return this._targets;
+        }
+
+        this._dirty = false;
+        this._domainKey = domainKey;
+        this._targets = this._buildTargets(this._collectCurves());
+        return this._targets;
+    }
+
+    /**
+     * スクリーン座標の近くにあるスナップ先を探す
+     * @param {number} screenX
+     * @param {number} screenY
+     * @param {number} radius - スナップ半径（px）
+     * @returns {Object|null} 最も近いスナップ先 { x, y, kind, screenX, screenY }
+     */
+    findTarget(screenX, screenY, radius) {
+        if (!this.graphCalculator || !(radius > 0)) return null;
+
+        let best = null;
+        let bestDistance = radius;
+        this.getTargets().forEach(target => {
+            const screen = this.graphCalculator.domainToScreen(target.x, target.y);
+            const distance = Math.hypot(screen.x - screenX, screen.y - screenY);
+            if (distance <= bestDistance) {
+                bestDistance = distance;
+                best = { ...target, screenX: screen.x, screenY: screen.y };
+            }
+        });
+        return best;
+    }
+
+    /**
+     * ストロークの始点・終点をスナップ先に吸着させる
+     * 端点の移動はストロークに沿って少しずつなじませ、端点だけが飛び出さないようにする
+     * @param {Array<Array<number>>} points - ドメイン座標の点列 [[x, y], ...]
+     * @param {number} radius - スナップ半径（px）
+     * @returns {Object|null} { points, start, end }（どちらの端点もスナップしなければ null）
+     */
+    snapStroke(points, radius) {
+        if (!this.graphCalculator || !Array.isArray(points) || points.length < 2) return null;
+
+        const screenPoints = points.map(([x, y]) => this.graphCalculator.domainToScreen(x, y));
+        const first = screenPoints[0];
+        const last = screenPoints[screenPoints.length - 1];
+        const start = this.findTarget(first.x, first.y, radius);
+        const end = this.findTarget(last.x, last.y, radius);
+        if (!start && !end) return null;
+
+        // 始点からの弧長（px）
+        const lengths = [0];
+        for (let i = 1; i < screenPoints.length; i++) {
+            const prev = screenPoints[i - 1];
+            const curr = screenPoints[i];
+            lengths.push(lengths[i - 1] + Math.hypot(curr.x - prev.x, curr.y - prev.y));
+        }
+        const totalLength = lengths[lengths.length - 1];
+        // 両端をスナップする場合は、なじませる範囲が重ならないようにする
+        const blendLength = Math.min(radius * BLEND_RADIUS_RATIO, start && end ? totalLength / 2 : totalLength);
+
+        const snapped = points.map(point => [point[0], point[1]]);
+        const pull = (target, distanceFromEnd, index) => {
+            const anchor = points[index];
+            const dx = target.x - anchor[0];
+            const dy = target.y - anchor[1];
+            snapped.forEach((point, i) => {
+                const s = distanceFromEnd(i);
+                if (!(blendLength > 0) || s >= blendLength) return;
+                const weight = 1 - s / blendLength;
+                point[0] += dx * weight;
+                point[1] += dy * weight;
+            });
+            snapped[index] = [target.x, target.y];
+        };
+
+        if (start) pull(start, i => lengths[i], 0);
+        if (end) pull(end, i => totalLength - lengths[i], snapped.length - 1);
+
+        return { points: snapped, start, end };
+    }
+
+    // スナップ先の元になる曲線（表示中のものだけ）
+    _collectCurves() {
+        const curves = this.curveManager ? this.curveManager.curves : [];
+        return curves.filter(curve => {
+            if (!curve || !curve.graphCurve || curve.isHidden) return false;
+            const folder = this.curveManager.getFolder(curve.folderId);
+            return !(folder && folder.hidden);
+        });
+    }
+
+    _buildTargets(curves) {
+        const targets = [];
+        const polylines = [];
+
+        curves.forEach(curve => {
+            if (curve.type === 'point') {
+                (curve.originalPoints || []).forEach(([x, y]) => targets.push({ x, y, kind: 'point' }));
+                return;
+            }
+
+            (curve.knotPoints || []).forEach(knot => targets.push({ x: knot.x, y: knot.y, kind: 'knot' }));
+
+            const polyline = this._samplePath(curve);
+            if (polyline.length < 2) return;
+            polylines.push(polyline);
+
+            // 閉じた曲線には端点がない
+            const first = polyline[0];
+            const last = polyline[polyline.length - 1];
+            if (!curve.closed && !this._isSamePoint(first, last)) {
+                targets.push({ x: first[0], y: first[1], kind: 'endpoint' });
+                targets.push({ x: last[0], y: last[1], kind: 'endpoint' });
+            }
+        });
+
+        for (let i = 0; i < polylines.length; i++) {
+            for (let j = i + 1; j < polylines.length; j++) {
+                this._intersectPolylines(polylines[i], polylines[j])
+                    .forEach(([x, y]) => targets.push({ x, y, kind: 'intersection' }));
+            }
+        }
+        return targets;
+    }
+
+    // 曲線のパスをドメイン座標の折れ線にする（パスはドメイン座標で描かれている）
+    _samplePath(curve) {
+        const path = curve.graphCurve.path;
+        if (!path || typeof path.getTotalLength !== 'function') return [];
+
+        try {
+            const length = path.getTotalLength();
+            if (!(length > 0)) return [];
+
+            const origin = this.graphCalculator.domainToScreen(0, 0);
+            const unit = this.graphCalculator.domainToScreen(1, 1);
+            const pixelsPerUnit = Math.max(Math.abs(unit.x - origin.x), Math.abs(unit.y - origin.y)) || 1;
+            const count = Math.min(MAX_SAMPLES, Math.max(MIN_SAMPLES, Math.ceil(length * pixelsPerUnit / SAMPLE_SPACING_PX)));
+
+            const samples = [];
+            for (let i = 0; i <= count; i++) {
+                const point = path.getPointAtLength(length * i / count);
+                samples.push([point.x, point.y]);
+            }
+            return samples;
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // 2本の折れ線の交点
+    _intersectPolylines(a, b) {
+        const boundsA = this._getBounds(a);
+        const boundsB = this._getBounds(b);
+        if (boundsA.xMax < boundsB.xMin || boundsB.xMax < boundsA.xMin ||
+            boundsA.yMax < boundsB.yMin || boundsB.yMax < boundsA.yMin) {
+            return [];
+        }
+
+        const intersections = [];
+        for (let i = 1; i < a.length; i++) {
+            const p1 = a[i - 1];
+            const p2 = a[i];
+            if (Math.max(p1[0], p2[0]) < boundsB.xMin || Math.min(p1[0], p2[0]) > boundsB.xMax ||
+                Math.max(p1[1], p2[1]) < boundsB.yMin || Math.min(p1[1], p2[1]) > boundsB.yMax) {
+                continue;
+            }
+            for (let j = 1; j < b.length; j++) {
+                const point = this._intersectSegments(p1, p2, b[j - 1], b[j]);
+                if (point && !intersections.some(other => this._isSamePoint(other, point))) {
+                    intersections.push(point);
+                }
+            }
+        }
+        return intersections;
+    }
+
+    _intersectSegments(p1, p2, q1, q2) {
+        const rx = p2[0] - p1[0];
+        const ry = p2[1] - p1[1];
+        const sx = q2[0] - q1[0];
+        const sy = q2[1] - q1[1];
+        const denominator = rx * sy - ry * sx;
+        if (Math.abs(denominator) < 1e-12) return null;
+
+        const qx = q1[0] - p1[0];
+        const qy = q1[1] - p1[1];
+        const t = (qx * sy - qy * sx) / denominator;
+        const u = (qx * ry - qy * rx) / denominator;
+        if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+        return [p1[0] + rx * t, p1[1] + ry * t];
+    }
+
+    _getBounds(points) {
+        const bounds = { xMin: Infinity, xMax: -Infinity, yMin: Infinity, yMax: -Infinity };
+        points.forEach(([x, y]) => {
+            if (x < bounds.xMin) bounds.xMin = x;
+            if (x > bounds.xMax) bounds.xMax = x;
+            if (y < bounds.yMin) bounds.yMin = y;
+            if (y > bounds.yMax) bounds.yMax = y;
+        });
+        return bounds;
+    }
+
+    _isSamePoint(a, b) {
+        const screenA = this.graphCalculator.domainToScreen(a[0], a[1]);
+        const screenB = this.graphCalculator.domainToScreen(b[0], b[1]);
+        return Math.hypot(screenA.x - screenB.x, screenA.y - screenB.y) <= SAME_POINT_PX;
+    }
+}
@@ -1,3 +1,5 @@
+import { createExpressionEvaluator } from '../util/ExpressionCurve.js';
+
 /**
  * 数式ハイライト機能クラス
  * 数式にマウスホバーしたときに対応する数式をグラフ上に表示する
@@ -163,6 +165,10 @@ export class EquationHighlighter {
 			case 'quadraticBezier':
 			case 'cubicBezier':
 				return this._buildBezierPaths(equation);
+			case 'point':
+				return this._buildPointPath(equation);
+			case 'expression':
+				return this._buildExpressionPath(equation);
 			default:
 				console.warn('Unsupported curve type for highlighting:', type);
 				return null;
@@ -404,6 +410,22 @@ export class EquationHighlighter {
 		return { basePath: null, restrictedPath };
 	}
 
+	_buildPointPath(equation) {
+		const point = equation?.params?.point;
+		if (!Array.isArray(point) || !point.every(Number.isFinite)) return null;
+		// 長さ0のパスを丸い線端で点として描く
+		return { basePath: null, restrictedPath: this._buildPath([point, point]) };
+	}
+
+	_buildExpressionPath(equation) {
+		if (typeof this.graphCalculator?.sampleExpression !== 'function') return null;
+		const evaluator = createExpressionEvaluator(equation, { viewport: this.graphCalculator.getDomain() });
+		if (!evaluator) return null;
+		const lines = this.graphCalculator.sampleExpression(evaluator.evaluate, evaluator.range);
+		const restrictedPath = lines.map(line => this._buildPath(line)).filter(Boolean).join(' ');
+		return restrictedPath ? { basePath: null, restrictedPath } : null;
+	}
+
 	_buildBezierPaths(equation) {
 		const params = equation?.params;
 		if (!params?.controlPoints) return null;
@@ -0,0 +1,429 @@
+/**
+ * 節点編集ハンドラクラス
+ * 二次曲線近似（quadratic）の節点をグラフ上で直接削除・追加・移動する
+ *  - 節点をクリック: 節点を削除
+ *  - 曲線をクリック: クリック位置に節点を追加
+ *  - 節点をドラッグ: 節点を移動して近似をやり直す
+ */
+export class KnotEditHandler {
+    /**
+     * @param {CurveManager} curveManager
+     * @param {Object} settings - 共通設定
+     * @param {GraphCalculator} graphCalculator
+     */
+    constructor(curveManager, settings, graphCalculator) {
+        this.curveManager = curveManager;
+        this.settings = settings;
+        this.graphCalculator = graphCalculator;
+
+        // 編集中の曲線ID（null の場合は編集モードではない）
+        this.activeCurveId = null;
+
+        // 節点のヒット判定半径（スクリーン座標, px）
+        this.hitRadius = 8;
+        // 隣り合う節点の最小間隔（0-1正規化済み）
+        this.minKnotGap = 0.01;
+
+        // ドラッグ操作の状態を管理
+        this.dragState = {
+            isPointerDown: false,
+            isDragging: false,
+            knotIndex: null,
+            startX: 0,
+            startY: 0,
+            knots: null,
+            previousState: null,
+            frame: null
+        };
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleCompatEvent = this.handleCompatEvent.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * イベントリスナーの設定
+     * 他のハンドラ（描画・曲線移動・選択）より先に処理するためキャプチャフェーズで登録する
+     */
+    setupEventListeners() {
+        if (!this.graphCalculator) return;
+
+        const svg = this.graphCalculator.getSvg();
+        svg.addEventListener('pointerdown', this.handlePointerDown, true);
+        svg.addEventListener('mousedown', this.handleCompatEvent, true);
+        svg.addEventListener('touchstart', this.handleCompatEvent, true);
+        d3.select(document).on('pointermove.knotEdit', this.handlePointerMove);
+        d3.select(document).on('pointerup.knotEdit', this.handlePointerUp);
+        d3.select(document).on('pointercancel.knotEdit', () => this.endDrag(true));
+        document.addEventListener('keydown', this.handleKeyDown);
+    }
+
+    /**
+     * 編集モードかどうか
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.activeCurveId !== null;
+    }
+
+    /**
+     * 節点編集モードを開始
+     * @param {number} curveId - 曲線ID
+     * @returns {boolean} 開始できたかどうか
+     */
+    start(curveId) {
+        const curve = this.curveManager.curves[curveId];
+        if (!curve || curve.type !== 'quadratic' || !Array.isArray(curve.preKnots) || curve.preKnots.length === 0) {
+            this.stop();
+            return false;
+        }
+
+        if (this.isActive() && this.activeCurveId !== curveId) {
+            this.stop();
+        }
+
+        this.activeCurveId = curveId;
+
+        // 編集対象の曲線を選択
+        if (this.settings.selectCurveId !== curveId || this.curveManager.getSelectedCurveIds().length > 1) {
+            this.curveManager.setCurveSelection([curveId], curveId);
+        }
+
+        this.setKnotPointsVisible(true);
+        this.updateToggleButtons();
+        return true;
+    }
+
+    /**
+     * 節点編集モードを終了
+     */
+    stop() {
+        if (this.dragState.isPointerDown) {
+            this.endDrag(true);
+        }
+
+        const curveId = this.activeCurveId;
+        this.activeCurveId = null;
+
+        // 節点表示を曲線の設定に戻す
+        const curve = curveId !== null ? this.curveManager.curves[curveId] : null;
+        if (curve && curve.showKnots === false) {
+            this.setKnotPointsVisible(false, curve);
+        }
+
+        this.updateToggleButtons();
+    }
+
+    /**
+     * 曲線リストの節点編集ボタンの状態を更新
+     */
+    updateToggleButtons() {
+        d3.selectAll('.knot-edit-toggle').classed('active', false);
+        if (this.activeCurveId !== null) {
+            d3.selectAll(`.knot-edit-toggle[data-id='${this.activeCurveId}']`).classed('active', true);
+        }
+    }
+
+    /**
+     * 節点（GraphCalculator上の点）の表示を切り替え
+     * @param {boolean} visible
+     * @param {Object} curve - 対象の曲線（省略時は編集中の曲線）
+     */
+    setKnotPointsVisible(visible, curve = this.getActiveCurve()) {
+        if (!curve || !curve.graphCurve) return;
+        const gc = this.graphCalculator.getCurve(curve.graphCurve.id);
+        if (!gc || !Array.isArray(gc.points)) return;
+        gc.points.forEach(p => {
+            if (p && p.group && p.group.style) p.group.style.display = visible ? '' : 'none';
+        });
+    }
+
+    /**
+     * 編集中の曲線を取得（編集できない状態になっていれば編集モードを終了する）
+     * @returns {Object|null}
+     */
+    getActiveCurve() {
+        if (this.activeCurveId === null) return null;
+        const curve = this.curveManager.curves[this.activeCurveId];
+        if (!curve || curve.type !== 'quadratic' || !Array.isArray(curve.originalPoints)) {
+            this.stop();
+            return null;
+        }
+        return curve;
+    }
+
+    /**
+     * 節点の正規化に使うx座標の範囲（BSplineApproximator と同じく点列の最小・最大）
+     * @param {Object} curve
+     * @returns {{minX:number, maxX:number}}
+     */
+    getKnotRange(curve) {
+        // 長いストロークでスプレッド構文がスタックを溢れさせないよう、1点ずつ比べる
+        return curve.originalPoints.reduce((range, p) => ({
+            minX: Math.min(range.minX, p[0]),
+            maxX: Math.max(range.maxX, p[0])
+        }), { minX: Infinity, maxX: -Infinity });
+    }
+
+    /**
+     * 編集中の曲線の節点列（0-1正規化済み, 外側の節点を含む）を取得
+     * @returns {Array<{knot:number, priority:number}>}
+     */
+    getCurrentKnots() {
+        const curve = this.getActiveCurve();
+        if (!curve) return [];
+        const knotCount = curve.knotCount || (curve.latexEquations ? curve.latexEquations.length + 1 : 2);
+        return (curve.preKnots || [])
+            .filter(k => k.priority < knotCount - 2)
+            .map(k => ({ ...k }))
+            .sort((a, b) => a.knot - b.knot);
+    }
+
+    /**
+     * ポインター位置（スクリーン座標）を取得
+     * @param {PointerEvent} event
+     * @returns {{x:number, y:number}}
+     */
+    getScreenPosition(event) {
+        const svgRect = this.graphCalculator.getSvg().getBoundingClientRect();
+        return { x: event.clientX - svgRect.left, y: event.clientY - svgRect.top };
+    }
+
+    /**
+     * スクリーン座標に最も近い内側の節点のインデックスを取得
+     * @param {Object} curve
+     * @param {Array} knots - getCurrentKnots の結果
+     * @param {{x:number, y:number}} screen
+     * @returns {number|null} knots 内のインデックス
+     */
+    findKnotAt(curve, knots, screen) {
+        const { minX, maxX } = this.getKnotRange(curve);
+        const knotPoints = Array.isArray(curve.knotPoints) ? curve.knotPoints : [];
+        let best = null;
+        let bestDist = this.hitRadius;
+
+        knots.forEach((k, index) => {
+            if (!(k.knot > 0 && k.knot < 1)) return;
+            const x = minX + k.knot * (maxX - minX);
+
+            // 節点のy座標は表示中の節点から最も近いものを使う
+            let y = null;
+            let nearest = Infinity;
+            knotPoints.forEach(p => {
+                const px = Array.isArray(p) ? p[0] : p.x;
+                const py = Array.isArray(p) ? p[1] : p.y;
+                if (Math.abs(px - x) < nearest) {
+                    nearest = Math.abs(px - x);
+                    y = py;
+                }
+            });
+            if (y === null) return;
+
+            const pos = this.graphCalculator.domainToScreen(x, y);
+            const dist = Math.hypot(pos.x - screen.x, pos.y - screen.y);
+            if (dist <= bestDist) {
+                bestDist = dist;
+                best = index;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * ドメインのx座標を0-1正規化済みの節点値に変換
+     * @param {Object} curve
+     * @param {number} x
+     * @returns {number}
+     */
+    toKnotValue(curve, x) {
+        const { minX, maxX } = this.getKnotRange(curve);
+        return (x - minX) / (maxX - minX || 1);
+    }
+
+    /**
+     * イベントの対象が編集中の曲線かどうか
+     * @param {Event} event
+     * @param {Object} curve
+     * @returns {boolean}
+     */
+    isCurveTarget(event, curve) {
+        let target = event.target;
+        for (let i = 0; i < 3 && target; i++) {
+            if (target.classList &&
+                (target.classList.contains('curve-hit-area') || target.classList.contains('curve-path'))) {
+                return curve.graphCurve && target.getAttribute('data-curve-id') === String(curve.graphCurve.id);
+            }
+            target = target.parentElement;
+        }
+        return false;
+    }
+
+    /**
+     * ポインターダウンイベントハンドラ（キャプチャフェーズ）
+     * @param {PointerEvent} event
+     */
+    handlePointerDown(event) {
+        const curve = this.getActiveCurve();
+        if (!curve) return;
+
+        const screen = this.getScreenPosition(event);
+        const knots = this.getCurrentKnots();
+        const knotIndex = this.findKnotAt(curve, knots, screen);
+        const onCurve = knotIndex === null && this.isCurveTarget(event, curve);
+
+        // 節点・曲線以外をクリックした場合は編集モードを終了して通常の処理に任せる
+        if (knotIndex === null && !onCurve) {
+            this.stop();
+            return;
+        }
+
+        // 他のハンドラ（描画・曲線移動・選択）に渡さない
+        event.stopPropagation();
+        if (event.cancelable) event.preventDefault();
+
+        if (onCurve) {
+            this.insertKnot(curve, knots, this.graphCalculator.screenToDomain(screen.x, screen.y).x);
+            return;
+        }
+
+        this.dragState.isPointerDown = true;
+        this.dragState.isDragging = false;
+        this.dragState.knotIndex = knotIndex;
+        this.dragState.startX = screen.x;
+        this.dragState.startY = screen.y;
+        this.dragState.knots = knots;
+        this.dragState.previousState = this.curveManager.getKnotState(this.activeCurveId);
+    }
+
+    /**
+     * 編集中のポインター操作に続く mousedown / touchstart を他のハンドラに渡さない
+     * @param {Event} event
+     */
+    handleCompatEvent(event) {
+        if (this.dragState.isPointerDown) {
+            event.stopPropagation();
+        }
+    }
+
+    /**
+     * ポインター移動イベントハンドラ
+     * @param {PointerEvent} event
+     */
+    handlePointerMove(event) {
+        if (!this.dragState.isPointerDown) return;
+        const curve = this.getActiveCurve();
+        if (!curve) return;
+
+        const screen = this.getScreenPosition(event);
+        if (!this.dragState.isDragging &&
+            Math.hypot(screen.x - this.dragState.startX, screen.y - this.dragState.startY) < 3) {
+            return;
+        }
+        this.dragState.isDragging = true;
+
+        const knots = this.dragState.knots;
+        const index = this.dragState.knotIndex;
+        const prev = Math.max(0, knots[index - 1] ? knots[index - 1].knot : 0);
+        const next = Math.min(1, knots[index + 1] ? knots[index + 1].knot : 1);
+        const value = this.toKnotValue(curve, this.graphCalculator.screenToDomain(screen.x, screen.y).x);
+        knots[index].knot = Math.min(next - this.minKnotGap, Math.max(prev + this.minKnotGap, value));
+
+        // 近似の再計算はフレームごとに1回だけ行う
+        if (this.dragState.frame) return;
+        this.dragState.frame = requestAnimationFrame(() => {
+            this.dragState.frame = null;
+            if (!this.dragState.isDragging || this.activeCurveId === null) return;
+            this.curveManager.setCustomKnots(this.activeCurveId, this.dragState.knots, { preview: true });
+            this.setKnotPointsVisible(true);
+        });
+    }
+
+    /**
+     * ポインターアップイベントハンドラ
+     * ドラッグしていれば移動を確定し、していなければ節点を削除する
+     */
+    handlePointerUp() {
+        if (!this.dragState.isPointerDown) return;
+        const curve = this.getActiveCurve();
+        if (!curve) {
+            this.endDrag(true);
+            return;
+        }
+
+        const knots = this.dragState.knots;
+        const previousState = this.dragState.previousState;
+        let result;
+        if (this.dragState.isDragging) {
+            result = this.curveManager.setCustomKnots(this.activeCurveId, knots, { previousState });
+        } else {
+            const remaining = knots.filter((_, index) => index !== this.dragState.knotIndex);
+            result = this.curveManager.setCustomKnots(this.activeCurveId, remaining, { previousState });
+        }
+
+        // 失敗した場合は編集前の状態に戻す
+        if (!result.success) {
+            this.curveManager.restoreKnotState(this.activeCurveId, previousState);
+        }
+
+        this.endDrag();
+    }
+
+    /**
+     * クリック位置に節点を追加
+     * @param {Object} curve
+     * @param {Array} knots - getCurrentKnots の結果
+     * @param {number} x - ドメインのx座標
+     */
+    insertKnot(curve, knots, x) {
+        const value = this.toKnotValue(curve, x);
+        if (!(value > 0 && value < 1)) return;
+
+        // 既存の節点に近すぎる場合は追加しない
+        const tooClose = knots.some(k => Math.abs(k.knot - value) < this.minKnotGap);
+        if (tooClose) return;
+
+        const nextPriority = knots.reduce((max, k) => Math.max(max, k.priority), -1) + 1;
+        this.curveManager.setCustomKnots(this.activeCurveId, [...knots, { knot: value, priority: nextPriority, diff: -9999 }]);
+        this.setKnotPointsVisible(true);
+    }
+
+    /**
+     * ドラッグ終了
+     * @param {boolean} cancel - キャンセルするかどうか（プレビューを編集前の状態に戻す）
+     */
+    endDrag(cancel = false) {
+        if (!this.dragState.isPointerDown) return;
+
+        if (this.dragState.frame) {
+            cancelAnimationFrame(this.dragState.frame);
+            this.dragState.frame = null;
+        }
+
+        if (cancel && this.dragState.isDragging && this.activeCurveId !== null && this.dragState.previousState) {
+            this.curveManager.restoreKnotState(this.activeCurveId, this.dragState.previousState);
+        }
+
+        this.dragState.isPointerDown = false;
+        this.dragState.isDragging = false;
+        this.dragState.knotIndex = null;
+        this.dragState.knots = null;
+        this.dragState.previousState = null;
+
+        this.setKnotPointsVisible(true);
+    }
+
+    /**
+     * Escキーで編集モードを終了
+     * @param {KeyboardEvent} event
+     */
+    handleKeyDown(event) {
+        if (this.isActive() && event.key === 'Escape') {
+            this.stop();
+        }
+    }
+}
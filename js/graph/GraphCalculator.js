@@ -3,10 +3,38 @@ import {
     isValidNumber,
     formatNumber,
     calculateGridSpacing,
-    easeOutCubic
+    easeOutCubic,
+    simplifyPolyline,
+    parsePolylinePath
 } from './GraphCalculatorUtils.js';
 import { getShapeGenerator } from './PointShapes.js';
 
+// 表示範囲外とみなすまでの余白（ピクセル、線の太さとは別に取る）
+const CULLING_MARGIN_PX = 24;
+// 簡略化（LOD）の対象にする折れ線の最小の頂点数
+const LOD_MIN_POINTS = 200;
+// 簡略化で許容する画面上の誤差（ピクセル）
+const LOD_TOLERANCE_PX = 0.5;
+// 塗りつぶしの不透明度の既定値
+const DEFAULT_FILL_OPACITY = 0.3;
+// 式の適応的な標本化：最初に等分する数・分割の深さの上限・評価回数の上限
+const EXPRESSION_INITIAL_SAMPLES = 128;
+const EXPRESSION_MAX_DEPTH = 12;
+const EXPRESSION_MAX_EVALUATIONS = 60000;
+// 式の標本化で許容する画面上の誤差と、1本の線分の最大の長さ（ピクセル）
+const EXPRESSION_TOLERANCE_PX = 0.1;
+const EXPRESSION_MAX_SEGMENT_PX = 8;
+// パン・ズームが止まってから、表示範囲に合わせて曲線を描き直すまでの待ち時間（ミリ秒）
+const RESAMPLE_DELAY_MS = 150;
+// 下絵の既定値：読み込んだときに表示範囲に占める割合と不透明度
+const REFERENCE_IMAGE_FIT_RATIO = 0.8;
+const REFERENCE_IMAGE_DEFAULT_OPACITY = 0.5;
+
+// 下絵の画像がデータURLとして埋め込まれているか
+function isEmbeddedImageSource(src) {
+    return typeof src === 'string' && src.startsWith('data:');
+}
+
 /**
  * SVGベースのインタラクティブなグラフ計算機
  */
@@ -50,7 +78,8 @@ export default class GraphCalculator {
         this.mouseState = {
             dragging: false,
             lastX: 0,
-            lastY: 0
+            lastY: 0,
+            draggingReferenceImage: false // 下絵を移動中か
         };
 
         // タッチ操作用の状態
@@ -78,6 +107,18 @@ export default class GraphCalculator {
         this.curves = [];
         this.graphGroup = null;
 
+        // 下絵（グリッドの下に表示する画像）の配置と、その描画用グループ
+        this.referenceImage = null;
+        this.referenceImageGroup = null;
+
+        // パン・ズーム中の再描画要求（アニメーションループで1フレームに1回だけ描画する）
+        this.renderPending = false;
+
+        // 表示範囲に合わせて描き直す曲線のパスを作る関数と、最後に描き直した表示範囲
+        this.curveResampler = null;
+        this.resampleTimer = null;
+        this.resampledViewKey = null;
+
         // 機能の有効/無効状態を追跡
         this.interactionState = {
             zoomEnabled: true,
@@ -275,7 +316,9 @@ export default class GraphCalculator {
                 opacity: options.opacity !== undefined ? options.opacity : 1,
                 visibility: options.visibility !== undefined ? options.visibility : true,
                 strokeDasharray: options.strokeDasharray || 'none', // 点線パターン
-                style: options.style || null // スタイル属性をサポート
+                style: options.style || null, // スタイル属性をサポート
+                fill: options.fill || null, // 塗りつぶしの色（閉じた曲線の内側）
+                fillOpacity: options.fillOpacity !== undefined ? options.fillOpacity : DEFAULT_FILL_OPACITY
             };
 
             // 曲線グループがなければ作成
@@ -356,6 +399,7 @@ export default class GraphCalculator {
                 'fill': 'none',
                 'stroke': 'transparent',
                 'stroke-width': this._getScaledStrokeWidth(Math.max(curveOptions.width + 10, 15)),
+                'stroke-linecap': 'round', // 長さ0のパス（点オブジェクト）でも当たり判定を持たせる
                 'class': 'curve-hit-area',
                 'data-curve-id': curveOptions.id,
                 'data-original-width': Math.max(curveOptions.width + 10, 15),
@@ -392,7 +436,12 @@ export default class GraphCalculator {
                 visibility: curveOptions.visibility,
                 strokeDasharray: curveOptions.strokeDasharray, // 点線パターンを保存
                 style: curveOptions.style, // スタイル情報を保存
+                fill: null, // 塗りつぶしの色
+                fillOpacity: curveOptions.fillOpacity, // 塗りつぶしの不透明度
+                fillPath: null, // 塗りつぶし用のパス要素
                 originalData: originalData, // 元データを保存
+                pathData: pathData, // 簡略化する前のパスデータ
+                bounds: null, // バウンディングボックスのキャッシュ（ドメイン座標）
 
                 // 曲線の更新メソッド
                 update: () => {
@@ -409,6 +458,8 @@ export default class GraphCalculator {
                         const updatedPath = this._createPathFromPoints(originalData);
                         path.setAttribute('d', updatedPath);
                         hitArea.setAttribute('d', updatedPath);
+                        if (curve.fillPath) curve.fillPath.setAttribute('d', updatedPath);
+                        this._invalidateCurveGeometry(curve, updatedPath);
                     }
                 },
 
@@ -416,9 +467,20 @@ export default class GraphCalculator {
                 element: path
             };
 
+            if (curveOptions.fill) {
+                this._setCurveFill(curve, curveOptions.fill, curveOptions.fillOpacity);
+            }
+
             // 曲線配列に追加
             this.curves.push(curve);
 
+            // 範囲外として非表示にしたグループに追加した場合もバウンディングボックスを測れるようにする
+            this._setCurveGroupCulled(curveGroup, false);
+
+            // 取り消しなどで以前の表示範囲のパスから作り直した曲線も、今の表示範囲で描き直す
+            this.resampledViewKey = null;
+            this._scheduleResample();
+
             // 追加成功をログ
             this._log('Added curve', {
                 id: curve.id,
@@ -472,10 +534,20 @@ export default class GraphCalculator {
             if (options.color !== undefined) {
                 curve.path.setAttribute('stroke', options.color);
                 curve.color = options.color;
+                this._updateLinkedPoints(curve, { color: options.color });
             }
 
             // 線の太さを更新
             if (options.width !== undefined) {
+                // 曲線に連動する点は太さの比率を保って大きさを変える
+                if (curve.width > 0 && options.width > 0) {
+                    const ratio = options.width / curve.width;
+                    (curve.points || []).forEach(point => {
+                        if (point && point.linkToCurve) {
+                            this.updatePoint(point.id, { size: point.size * ratio });
+                        }
+                    });
+                }
                 curve.width = options.width;
                 curve.path.setAttribute('data-original-width', options.width);
 
@@ -495,12 +567,16 @@ export default class GraphCalculator {
             if (options.opacity !== undefined) {
                 curve.path.setAttribute('stroke-opacity', options.opacity);
                 curve.opacity = options.opacity;
+                this._updateLinkedPoints(curve, { opacity: options.opacity });
             }
 
             // 表示/非表示を更新
             if (options.visibility !== undefined) {
                 curve.visibility = options.visibility;
                 curve.path.style.opacity = options.visibility ? 1 : 0;
+                if (curve.fillPath) {
+                    curve.fillPath.style.opacity = options.visibility ? 1 : 0;
+                }
 
                 // ヒットエリアも更新
                 if (curve.hitArea) {
@@ -525,9 +601,20 @@ export default class GraphCalculator {
                     if (curve.hitArea) {
                         curve.hitArea.setAttribute('d', pathData);
                     }
+                    if (curve.fillPath) {
+                        curve.fillPath.setAttribute('d', pathData);
+                    }
+                    this._invalidateCurveGeometry(curve, pathData);
                 }
             }
 
+            // 塗りつぶしを更新（fill に null を指定すると塗りつぶしを外す）
+            if (options.fill !== undefined || options.fillOpacity !== undefined) {
+                const fill = options.fill !== undefined ? options.fill : curve.fill;
+                const fillOpacity = options.fillOpacity !== undefined ? options.fillOpacity : curve.fillOpacity;
+                this._setCurveFill(curve, fill, fillOpacity);
+            }
+
             // 点線パターンを更新
             if (options.strokeDasharray !== undefined) {
                 curve.path.setAttribute('data-original-dasharray', options.strokeDasharray);
@@ -565,6 +652,56 @@ export default class GraphCalculator {
         }
     }
 
+    /**
+     * 曲線の内側の塗りつぶしを設定
+     * 線のパスの CSS（fill: none）の影響を受けないよう、塗りつぶしは別のパスとして線の下に描く
+     * @private
+     * @param {Object} curve - 曲線オブジェクト
+     * @param {string|null} fill - 塗りつぶしの色（null の場合は塗りつぶしを外す）
+     * @param {number} fillOpacity - 塗りつぶしの不透明度（0〜1）
+     */
+    _setCurveFill(curve, fill, fillOpacity) {
+        curve.fill = fill || null;
+        curve.fillOpacity = Number.isFinite(fillOpacity) ? Math.min(1, Math.max(0, fillOpacity)) : DEFAULT_FILL_OPACITY;
+
+        if (!curve.fill) {
+            if (curve.fillPath && curve.fillPath.parentNode) {
+                curve.fillPath.parentNode.removeChild(curve.fillPath);
+            }
+            curve.fillPath = null;
+            return;
+        }
+
+        if (!curve.fillPath) {
+            curve.fillPath = this._createSVGElement('path', {
+                'd': curve.path.getAttribute('d'),
+                'stroke': 'none',
+                'class': 'curve-fill',
+                'data-curve-id': curve.id,
+                'pointer-events': 'none'
+            });
+            curve.fillPath.style.opacity = curve.visibility === false ? 0 : 1;
+            // 塗りつぶしはグループ内のどの線よりも下に置く
+            curve.group.insertBefore(curve.fillPath, curve.group.firstChild);
+        }
+        curve.fillPath.setAttribute('fill', curve.fill);
+        curve.fillPath.setAttribute('fill-opacity', curve.fillOpacity);
+    }
+
+    /**
+     * 曲線の色・透明度に連動する点（点オブジェクトの印など）を更新
+     * @private
+     * @param {Object} curve - 曲線オブジェクト
+     * @param {Object} options - updatePoint に渡すオプション
+     */
+    _updateLinkedPoints(curve, options) {
+        (curve.points || []).forEach(point => {
+            if (point && point.linkToCurve) {
+                this.updatePoint(point.id, options);
+            }
+        });
+    }
+
     /**
      * 曲線を削除
      * @param {string|number} id - 曲線のID
@@ -599,6 +736,10 @@ export default class GraphCalculator {
                 curve.hitArea.parentNode.removeChild(curve.hitArea);
             }
 
+            if (curve.fillPath && curve.fillPath.parentNode) {
+                curve.fillPath.parentNode.removeChild(curve.fillPath);
+            }
+
             // グループ内の他の曲線がなくなった場合、グループも削除
             if (otherCurvesInGroup.length === 0 && curve.group && curve.group.parentNode) {
                 curve.group.parentNode.removeChild(curve.group);
@@ -714,8 +855,7 @@ export default class GraphCalculator {
         // ドメインの制限をチェック
         if (this._checkDomainLimits(targetDomain)) {
             this.domainState = targetDomain;
-            if (this.graphGroup) this._updateGraphGroupTransform();
-            this.draw();
+            this._requestRender();
         }
     }
 
@@ -842,8 +982,7 @@ export default class GraphCalculator {
                     // ドメインの制限
                     if (this._checkDomainLimits(targetDomain)) {
                         this.domainState = targetDomain;
-                        if (this.graphGroup) this._updateGraphGroupTransform();
-                        this.draw();
+                        this._requestRender();
                     }
                 }
             }
@@ -875,13 +1014,8 @@ export default class GraphCalculator {
             this.touchState.lastX = touch.clientX;
             this.touchState.lastY = touch.clientY;
 
-            // グラフグループの変換を更新
-            if (this.graphGroup) {
-                this._updateGraphGroupTransform();
-            }
-
-            // 再描画
-            this.draw();
+            // 次のフレームでまとめて再描画
+            this._requestRender();
 
             if (this.options.events.onDrag) {
                 this.options.events.onDrag(e, this);
@@ -981,6 +1115,15 @@ export default class GraphCalculator {
         // キャンバス操作が無効になっている場合は何もしない
         if (!this.interactionState.canvasEnabled) return;
 
+        // ロックしていない下絵をつかんだときは、パンの代わりに下絵を移動する
+        if (this.referenceImageGroup && this.referenceImageGroup.contains(e.target)) {
+            this.mouseState.draggingReferenceImage = true;
+            this.mouseState.lastX = e.clientX;
+            this.mouseState.lastY = e.clientY;
+            e.preventDefault();
+            return;
+        }
+
         this.mouseState.dragging = true;
         this.mouseState.lastX = e.clientX;
         this.mouseState.lastY = e.clientY;
@@ -1004,6 +1147,21 @@ export default class GraphCalculator {
             return;
         }
 
+        if (this.mouseState.draggingReferenceImage) {
+            const dx = e.clientX - this.mouseState.lastX;
+            const dy = e.clientY - this.mouseState.lastY;
+            const width = this.domainState.xMax - this.domainState.xMin;
+            const height = this.domainState.yMax - this.domainState.yMin;
+
+            this.mouseState.lastX = e.clientX;
+            this.mouseState.lastY = e.clientY;
+            this.updateReferenceImage({
+                x: this.referenceImage.x + (dx / this.svg.clientWidth) * width,
+                y: this.referenceImage.y - (dy / this.svg.clientHeight) * height
+            });
+            return;
+        }
+
         if (this.mouseState.dragging) {
             const dx = e.clientX - this.mouseState.lastX;
             const dy = e.clientY - this.mouseState.lastY;
@@ -1023,13 +1181,8 @@ export default class GraphCalculator {
             this.mouseState.lastX = e.clientX;
             this.mouseState.lastY = e.clientY;
 
-            // グラフグループの変換を更新
-            if (this.graphGroup) {
-                this._updateGraphGroupTransform();
-            }
-
-            // 再描画 (曲線以外の要素)
-            this.draw();
+            // 次のフレームでまとめて再描画
+            this._requestRender();
 
             if (this.options.events.onDrag) {
                 this.options.events.onDrag(e, this);
@@ -1042,6 +1195,8 @@ export default class GraphCalculator {
      * @private
      */
     _handleMouseUp(e) {
+        this.mouseState.draggingReferenceImage = false;
+
         if (this.mouseState.dragging) {
             this.mouseState.dragging = false;
 
@@ -1056,6 +1211,8 @@ export default class GraphCalculator {
      * @private
      */
     _handleMouseLeave(e) {
+        this.mouseState.draggingReferenceImage = false;
+
         if (this.mouseState.dragging) {
             this.mouseState.dragging = false;
 
@@ -1201,26 +1358,7 @@ export default class GraphCalculator {
                 this.domainState.yMax = this.zoomAnimation.startDomain.yMax +
                     (this.zoomAnimation.targetDomain.yMax - this.zoomAnimation.startDomain.yMax) * eased;
 
-                // グラフグループの変換を更新
-                if (this.graphGroup) {
-                    this._updateGraphGroupTransform();
-                }
-
-                // 再描画 (曲線以外の要素)
-                this._clearSvg();
-                const mainGroup = this._createSVGElement('g', { 'class': 'graph-elements' });
-                this.svg.appendChild(mainGroup);
-
-                if (this.options.draw.microGrid) this._drawMicroGrid(mainGroup);
-                if (this.options.draw.subGrid) this._drawSubGrid(mainGroup);
-                if (this.options.draw.axes) this._drawAxes(mainGroup);
-                if (this.options.draw.axisTicks) this._drawAxisTicks(mainGroup);
-                if (this.options.draw.axisLabels) this._drawAxisLabels(mainGroup);
-
-                // 曲線グループを再追加
-                if (this.graphGroup) {
-                    this.svg.appendChild(this.graphGroup);
-                }
+                this.renderPending = true;
 
                 // アニメーション終了チェック
                 if (progress >= 1) {
@@ -1232,20 +1370,39 @@ export default class GraphCalculator {
                 }
             }
 
+            // パン・ズームのイベントがフレーム内に何度あっても、描画は1回にまとめる
+            if (this.renderPending) {
+                this.renderPending = false;
+                this.draw();
+            }
+
             requestAnimationFrame(animate);
         };
 
         requestAnimationFrame(animate);
     }
 
+    /**
+     * 次のフレームで再描画する（パン・ズーム中の連続したイベント用）
+     * @private
+     */
+    _requestRender() {
+        this.renderPending = true;
+    }
+
     /**
      * SVGのクリア
      * @private
      */
     _clearSvg() {
-        // graph-curves グループは維持しつつ、他の要素を削除
+        // 下絵と graph-curves グループは維持しつつ、他の要素を削除
         const curves = this.svg.querySelector('.graph-curves');
         this.svg.innerHTML = '';
+        // 下絵はグリッドより下に置く
+        if (this.referenceImageGroup) {
+            this._updateReferenceImageTransform();
+            this.svg.appendChild(this.referenceImageGroup);
+        }
         if (curves) {
             this.svg.appendChild(curves);
         }
@@ -1890,6 +2047,158 @@ export default class GraphCalculator {
         return { ...this.domainState };
     }
 
+    /**
+     * 現在のグリッド間隔を取得
+     * @returns {Object} グリッド間隔 { x: { main, micro }, y: { main, micro } }（ドメイン座標）
+     */
+    getGridStep() {
+        return this._calculateGridStep();
+    }
+
+    /**
+     * 媒介変数 s の関数を、現在の表示倍率で滑らかに見えるように適応的に標本化する
+     * 曲がりの大きい区間や値が定まらなくなる境目を細かく分割し、
+     * 値が定まらない区間と飛び（tan x の漸近線など）で線を分ける
+     * @param {Function} evaluate - s を受け取り点 [x, y]（ドメイン座標）を返す関数（定まらない場合は null）
+     * @param {Array<number>} range - s の範囲 [start, end]
+     * @returns {Array<Array<Array<number>>>} つながった部分ごとの点列（ドメイン座標）
+     */
+    sampleExpression(evaluate, range) {
+        const [start, end] = Array.isArray(range) ? range : [];
+        if (typeof evaluate !== 'function' || !isValidNumber(start) || !isValidNumber(end) || start === end) {
+            return [];
+        }
+
+        // 非表示などで大きさが取れない場合は 1 ドメイン単位を 100px として標本化する
+        const width = this.svg.clientWidth || (this.domainState.xMax - this.domainState.xMin) * 100;
+        const height = this.svg.clientHeight || (this.domainState.yMax - this.domainState.yMin) * 100;
+        const scaleX = width / (this.domainState.xMax - this.domainState.xMin);
+        const scaleY = height / (this.domainState.yMax - this.domainState.yMin);
+        const distance = (p, q) => Math.hypot((p[0] - q[0]) * scaleX, (p[1] - q[1]) * scaleY);
+
+        let evaluations = 0;
+        const sample = (s) => {
+            evaluations++;
+            const point = evaluate(s);
+            return Array.isArray(point) && isValidNumber(point[0]) && isValidNumber(point[1]) ? point : null;
+        };
+
+        const lines = [];
+        let current = null;
+        const emit = (point) => {
+            if (!point) {
+                current = null;
+                return;
+            }
+            if (!current) {
+                current = [];
+                lines.push(current);
+            }
+            current.push(point);
+        };
+
+        // 中点が弦から外れている・線分が長い・片側だけ定まる区間は分割する
+        const needsSplit = (p0, pm, p1) => {
+            if (!p0 || !p1) return !!(p0 || pm || p1);
+            if (!pm) return true;
+            const chordMid = [(p0[0] + p1[0]) / 2, (p0[1] + p1[1]) / 2];
+            return distance(pm, chordMid) > EXPRESSION_TOLERANCE_PX || distance(p0, p1) > EXPRESSION_MAX_SEGMENT_PX;
+        };
+
+        // p0 は出力済みとして、p1 までを出力する
+        const refine = (s0, p0, s1, p1, depth) => {
+            if (depth < EXPRESSION_MAX_DEPTH && evaluations < EXPRESSION_MAX_EVALUATIONS) {
+                const sm = (s0 + s1) / 2;
+                const pm = sample(sm);
+                if (needsSplit(p0, pm, p1)) {
+                    refine(s0, p0, sm, pm, depth + 1);
+                    refine(sm, pm, s1, p1, depth + 1);
+                    return;
+                }
+            } else if (depth >= EXPRESSION_MAX_DEPTH && p0 && p1 && distance(p0, p1) > EXPRESSION_MAX_SEGMENT_PX) {
+                // これ以上分割しても縮まらない線分は飛びとみなしてつながない
+                emit(null);
+            }
+            emit(p1);
+        };
+
+        let s0 = start;
+        let p0 = sample(s0);
+        emit(p0);
+        for (let i = 1; i <= EXPRESSION_INITIAL_SAMPLES; i++) {
+            const s1 = start + (end - start) * (i / EXPRESSION_INITIAL_SAMPLES);
+            const p1 = sample(s1);
+            refine(s0, p0, s1, p1, 0);
+            s0 = s1;
+            p0 = p1;
+        }
+
+        return lines.filter(line => line.length >= 2);
+    }
+
+    /**
+     * 下絵（グリッドの下に表示する画像）を設定する
+     * 位置・幅はドメイン座標で、位置を省略すると現在の表示範囲の中央に収まるように配置する
+     * @param {Object|null} image - { src, naturalWidth, naturalHeight, x, y, width, rotation, opacity, locked, includeInExport, visible }
+     *   x, y は画像の中心、width は幅（高さは元画像の縦横比から決まる）、rotation は反時計回りの角度（度）。null で下絵を削除する
+     * @returns {Object|null} 設定した下絵の配置
+     */
+    setReferenceImage(image) {
+        if (!image || !image.src || !(image.naturalWidth > 0) || !(image.naturalHeight > 0)) {
+            this.referenceImage = null;
+        } else {
+            const { xMin, xMax, yMin, yMax } = this.domainState;
+            const aspect = image.naturalHeight / image.naturalWidth;
+            const fitWidth = Math.min(xMax - xMin, (yMax - yMin) / aspect) * REFERENCE_IMAGE_FIT_RATIO;
+            const numberOr = (value, fallback) => (value !== null && isValidNumber(Number(value)) ? Number(value) : fallback);
+            const width = numberOr(image.width, fitWidth);
+
+            this.referenceImage = {
+                src: String(image.src),
+                naturalWidth: Number(image.naturalWidth),
+                naturalHeight: Number(image.naturalHeight),
+                x: numberOr(image.x, (xMin + xMax) / 2),
+                y: numberOr(image.y, (yMin + yMax) / 2),
+                width: width > 0 ? width : fitWidth,
+                rotation: numberOr(image.rotation, 0),
+                opacity: Math.min(1, Math.max(0, numberOr(image.opacity, REFERENCE_IMAGE_DEFAULT_OPACITY))),
+                locked: !!image.locked,
+                // URLのままの画像は書き出し時に読み込めず出力に含められないため、データURLの画像だけ出力できる
+                includeInExport: !!image.includeInExport && isEmbeddedImageSource(image.src),
+                visible: image.visible !== false
+            };
+        }
+
+        this._renderReferenceImage();
+        return this.getReferenceImage();
+    }
+
+    /**
+     * 下絵を画像の出力に含められるか（データURLとして埋め込まれた画像だけ出力できる）
+     * @returns {boolean}
+     */
+    canExportReferenceImage() {
+        return !!this.referenceImage && isEmbeddedImageSource(this.referenceImage.src);
+    }
+
+    /**
+     * 下絵の配置の一部を変更する
+     * @param {Object} changes - setReferenceImage と同じ項目のうち変更するもの
+     * @returns {Object|null} 変更後の下絵の配置（下絵がなければ null）
+     */
+    updateReferenceImage(changes = {}) {
+        if (!this.referenceImage) return null;
+        return this.setReferenceImage({ ...this.referenceImage, ...changes });
+    }
+
+    /**
+     * 下絵の配置を取得する
+     * @returns {Object|null} 下絵の配置のコピー（下絵がなければ null）
+     */
+    getReferenceImage() {
+        return this.referenceImage ? { ...this.referenceImage } : null;
+    }
+
     /**
      * 現在のドメインが「ホーム」にあるかを判定します。
      * 第2引数に true または { requireXRange: true } を渡すと、x ドメインが [-10,10] であることも確認します。
@@ -1997,6 +2306,8 @@ export default class GraphCalculator {
             window.removeEventListener('resize', this._handleResize.bind(this));
         }
 
+        clearTimeout(this.resampleTimer);
+
         // SVGの削除（ただし外部から指定された場合は削除しない）
         if (this.container !== this.svg) {
             this.container.removeChild(this.svg);
@@ -2220,9 +2531,15 @@ export default class GraphCalculator {
         this.graphGroup.setAttribute('transform',
             `translate(${translateX},${translateY}) scale(${scaleX},${scaleY})`);
 
+        // 表示範囲外の曲線グループは描画しない
+        this._cullCurveGroups(scaleX);
+
         // すべての曲線の線の太さを更新
         this.curves.forEach(curve => {
             if (curve && curve.path) {
+                // 非表示のグループと、パンだけで縮尺が変わっていない曲線は更新不要
+                if (this._isCurveGroupCulled(curve.group) || curve.renderedScale === scaleX) return;
+
                 // データ属性から元の線の太さを取得
                 const originalWidth = parseFloat(curve.path.getAttribute('data-original-width'));
                 if (!isNaN(originalWidth)) {
@@ -2259,8 +2576,311 @@ export default class GraphCalculator {
                         });
                     }
                 }
+
+                // 縮小表示では頂点を間引いたパスに差し替える
+                this._applyLevelOfDetail(curve, scaleX);
+                curve.renderedScale = scaleX;
+            }
+        });
+
+        this._scheduleResample();
+    }
+
+    /**
+     * 表示範囲に合わせて描き直す曲線（式の曲線など）のパスを作る関数を設定する
+     * パン・ズームが止まるたびに、すべての曲線について呼び出す
+     * @param {Function|null} resampler - 曲線オブジェクトを受け取り、新しいパスデータ（描き直さない曲線は null）を返す関数
+     */
+    setCurveResampler(resampler) {
+        this.curveResampler = typeof resampler === 'function' ? resampler : null;
+        this.resampledViewKey = null;
+        this._scheduleResample();
+    }
+
+    /**
+     * 表示範囲か大きさが変わっていれば、操作が止まってから曲線を描き直す
+     * @private
+     */
+    _scheduleResample() {
+        if (!this.curveResampler || this._getViewKey() === this.resampledViewKey) return;
+        clearTimeout(this.resampleTimer);
+        this.resampleTimer = setTimeout(() => {
+            this.resampleTimer = null;
+            this._resampleCurves();
+        }, RESAMPLE_DELAY_MS);
+    }
+
+    /**
+     * 現在の表示範囲で曲線のパスを作り直す
+     * @private
+     */
+    _resampleCurves() {
+        if (!this.curveResampler) return;
+        this.resampledViewKey = this._getViewKey();
+
+        let changed = false;
+        this.curves.forEach(curve => {
+            if (!curve || !curve.path) return;
+            let pathData = null;
+            try {
+                pathData = this.curveResampler(curve);
+            } catch (error) {
+                this._log('Curve resampling failed', error);
+            }
+            if (typeof pathData === 'string' && pathData !== curve.pathData) {
+                this.updateCurve(curve.id, { path: pathData });
+                changed = true;
             }
         });
+
+        // 描き直した曲線の線の太さなどを合わせる
+        if (changed) {
+            this._requestRender();
+        }
+    }
+
+    /**
+     * 表示範囲と SVG の大きさを表すキー
+     * @private
+     */
+    _getViewKey() {
+        const { xMin, xMax, yMin, yMax } = this.domainState;
+        return [xMin, xMax, yMin, yMax, this.svg.clientWidth, this.svg.clientHeight].join(',');
+    }
+
+    /**
+     * 下絵の要素を作成・更新する
+     * @private
+     */
+    _renderReferenceImage() {
+        const image = this.referenceImage;
+        if (!image) {
+            if (this.referenceImageGroup) {
+                this.referenceImageGroup.remove();
+                this.referenceImageGroup = null;
+            }
+            this.mouseState.draggingReferenceImage = false;
+        } else {
+            if (!this.referenceImageGroup) {
+                this.referenceImageGroup = this._createSVGElement('g', { 'class': 'graph-reference-image' });
+                this.referenceImageGroup.appendChild(this._createSVGElement('image', { 'preserveAspectRatio': 'none' }));
+                // グリッドより下に置く
+                this.svg.insertBefore(this.referenceImageGroup, this.svg.firstChild);
+            }
+
+            const element = this.referenceImageGroup.firstChild;
+            const height = image.width * image.naturalHeight / image.naturalWidth;
+            if (element.getAttribute('href') !== image.src) {
+                element.setAttribute('href', image.src);
+            }
+            element.setAttribute('x', -image.width / 2);
+            element.setAttribute('y', -height / 2);
+            element.setAttribute('width', image.width);
+            element.setAttribute('height', height);
+            // グループは y 軸が上向きなので、画像だけ上下を戻してから回転・移動する
+            element.setAttribute('transform', `translate(${image.x},${image.y}) rotate(${image.rotation}) scale(1,-1)`);
+            element.setAttribute('opacity', image.opacity);
+            element.style.pointerEvents = image.locked ? 'none' : 'auto';
+            element.style.cursor = image.locked ? '' : 'move';
+            this.referenceImageGroup.style.display = image.visible ? '' : 'none';
+            this.referenceImageGroup.setAttribute('data-include-in-export', image.includeInExport ? 'true' : 'false');
+
+            if (image.locked) {
+                this.mouseState.draggingReferenceImage = false;
+            }
+            this._updateReferenceImageTransform();
+        }
+
+        document.dispatchEvent(new CustomEvent('referenceImageChanged', {
+            detail: { image: this.getReferenceImage() }
+        }));
+    }
+
+    /**
+     * 下絵のグループを曲線と同じドメイン座標系に合わせる
+     * @private
+     */
+    _updateReferenceImageTransform() {
+        if (!this.referenceImageGroup) return;
+
+        const svgWidth = this.svg.clientWidth;
+        const svgHeight = this.svg.clientHeight;
+        if (svgWidth <= 0 || svgHeight <= 0) return;
+
+        const scaleX = svgWidth / (this.domainState.xMax - this.domainState.xMin);
+        const scaleY = -svgHeight / (this.domainState.yMax - this.domainState.yMin);
+        this.referenceImageGroup.setAttribute('transform',
+            `translate(${-this.domainState.xMin * scaleX},${-this.domainState.yMax * scaleY}) scale(${scaleX},${scaleY})`);
+    }
+
+    /**
+     * 表示範囲と交わらない曲線グループを非表示にする
+     * ユーザーの表示切り替え（style.display）とは別に、SVGの display 属性で切り替える
+     * @private
+     * @param {number} pixelsPerDomainUnit - ドメイン単位あたりのピクセル数
+     */
+    _cullCurveGroups(pixelsPerDomainUnit) {
+        if (!(pixelsPerDomainUnit > 0)) return;
+
+        const { xMin, xMax, yMin, yMax } = this.domainState;
+        const groupVisibility = new Map();
+
+        this.curves.forEach(curve => {
+            if (!curve || !curve.group) return;
+            const group = curve.group;
+            if (groupVisibility.get(group)) return;
+
+            // ドラッグ中（グループに transform がある）の曲線は位置が変わっているため判定しない
+            if (group.getAttribute('transform')) {
+                groupVisibility.set(group, true);
+                return;
+            }
+
+            const bounds = this._getCurveBounds(curve);
+            if (!bounds) {
+                groupVisibility.set(group, true);
+                return;
+            }
+
+            // 線の太さの半分と余白の分だけ広げて判定する
+            const padding = (Math.max(curve.width || 0, 10) / 2 + CULLING_MARGIN_PX) / pixelsPerDomainUnit;
+            const intersects = bounds.xMax + padding >= xMin && bounds.xMin - padding <= xMax &&
+                bounds.yMax + padding >= yMin && bounds.yMin - padding <= yMax;
+            groupVisibility.set(group, intersects);
+        });
+
+        groupVisibility.forEach((visible, group) => {
+            this._setCurveGroupCulled(group, !visible);
+        });
+    }
+
+    /**
+     * 曲線グループを範囲外として非表示にするか設定
+     * @private
+     */
+    _setCurveGroupCulled(group, culled) {
+        if (!group) return;
+        if (culled) {
+            if (group.getAttribute('display') !== 'none') group.setAttribute('display', 'none');
+        } else if (group.hasAttribute('display')) {
+            group.removeAttribute('display');
+        }
+    }
+
+    /**
+     * 曲線グループが範囲外として非表示になっているか
+     * @private
+     */
+    _isCurveGroupCulled(group) {
+        return !!group && group.getAttribute('display') === 'none';
+    }
+
+    /**
+     * 曲線のバウンディングボックス（ドメイン座標）をキャッシュして返す
+     * @private
+     * @param {Object} curve - 曲線オブジェクト
+     * @returns {Object|null} {xMin, xMax, yMin, yMax}、測定できない場合は null
+     */
+    _getCurveBounds(curve) {
+        if (curve.bounds) return curve.bounds;
+        if (!curve.path || typeof curve.path.getBBox !== 'function') return null;
+
+        try {
+            // 非表示のグループ内では getBBox が正しい値を返さないため、パスデータを一時的な要素で測る
+            const group = curve.group;
+            const b = group && (group.style.display === 'none' || this._isCurveGroupCulled(group))
+                ? this._measurePathData(curve.pathData || curve.path.getAttribute('d'))
+                : curve.path.getBBox();
+            if (!b) return null;
+            curve.bounds = {
+                xMin: b.x,
+                xMax: b.x + b.width,
+                yMin: b.y,
+                yMax: b.y + b.height
+            };
+            return curve.bounds;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * パスデータのバウンディングボックスを、見えない一時的なパス要素で測る
+     * @private
+     * @param {string} pathData - パスデータ（ドメイン座標）
+     * @returns {DOMRect|null}
+     */
+    _measurePathData(pathData) {
+        if (!pathData) return null;
+        const path = this._createSVGElement('path', { d: pathData, visibility: 'hidden' });
+        this.svg.appendChild(path);
+        try {
+            return path.getBBox();
+        } finally {
+            path.remove();
+        }
+    }
+
+    /**
+     * パスデータの変更に合わせてキャッシュを破棄する
+     * @private
+     * @param {Object} curve - 曲線オブジェクト
+     * @param {string} pathData - 新しいパスデータ
+     */
+    _invalidateCurveGeometry(curve, pathData) {
+        curve.pathData = pathData;
+        curve.bounds = null;
+        curve.lodSource = undefined;
+        curve.lodLevel = null;
+        curve.renderedScale = null;
+        this._setCurveGroupCulled(curve.group, false);
+    }
+
+    /**
+     * 縮尺に応じて頂点を間引いたパスを表示する（Level of Detail）
+     * 縮尺が2倍変わるごとに作り直し、元のパスデータは curve.pathData に残す
+     * @private
+     * @param {Object} curve - 曲線オブジェクト
+     * @param {number} pixelsPerDomainUnit - ドメイン単位あたりのピクセル数
+     */
+    _applyLevelOfDetail(curve, pixelsPerDomainUnit) {
+        if (curve.lodSource === undefined) {
+            const polylines = Array.isArray(curve.originalData)
+                ? [curve.originalData]
+                : parsePolylinePath(curve.pathData);
+            const pointCount = polylines ? polylines.reduce((sum, line) => sum + line.length, 0) : 0;
+            curve.lodSource = pointCount >= LOD_MIN_POINTS ? { polylines, pointCount } : null;
+        }
+        if (!curve.lodSource || !(pixelsPerDomainUnit > 0)) return;
+
+        const level = Math.floor(Math.log2(pixelsPerDomainUnit));
+        if (curve.lodLevel === level) return;
+        curve.lodLevel = level;
+
+        // このレベルで最も縮小したときでも誤差が LOD_TOLERANCE_PX を超えないようにする
+        const tolerance = LOD_TOLERANCE_PX / Math.pow(2, level + 1);
+        const simplified = curve.lodSource.polylines.map(line => simplifyPolyline(line, tolerance));
+        const simplifiedCount = simplified.reduce((sum, line) => sum + line.length, 0);
+
+        // ほとんど減らない場合は元のパスのまま
+        const d = simplifiedCount < curve.lodSource.pointCount * 0.9
+            ? simplified.map(line => this._createPathFromPoints(line)).join(' ')
+            : curve.pathData;
+
+        curve.path.setAttribute('d', d);
+        if (curve.hitArea) curve.hitArea.setAttribute('d', d);
+        if (curve.fillPath) curve.fillPath.setAttribute('d', d);
+    }
+
+    /**
+     * 簡略化する前のパスデータを取得
+     * @param {string|number} id - 曲線ID
+     * @returns {string|null} SVGパスデータ
+     */
+    getCurvePathData(id) {
+        const curve = this.getCurve(id);
+        if (!curve || !curve.path) return null;
+        return curve.pathData || curve.path.getAttribute('d');
     }
 
     /**
@@ -2393,6 +3013,8 @@ export default class GraphCalculator {
                 strokeWidth: mergedProperties.strokeWidth,
                 properties: mergedProperties,
                 curveId: curveId,
+                // true の場合は曲線の色・太さ・透明度の変更に連動する
+                linkToCurve: !!options.linkToCurve,
 
                 update: () => {
                     const newScaledSize = this._getScaledStrokeWidth(point.size);
@@ -2736,16 +3358,17 @@ export default class GraphCalculator {
             const curve = this.getCurve(id);
             if (!curve || !curve.path || typeof curve.path.getBBox !== 'function') return null;
             // パスのBBoxはグループtransformを含まないため、ドメイン座標系相当
-            const b = curve.path.getBBox();
+            const b = this._getCurveBounds(curve);
+            if (!b) return null;
             const bboxDomain = {
-                xMin: b.x,
-                xMax: b.x + b.width,
-                yMin: b.y,
-                yMax: b.y + b.height,
-                width: b.width,
-                height: b.height,
-                cx: b.x + b.width / 2,
-                cy: b.y + b.height / 2
+                xMin: b.xMin,
+                xMax: b.xMax,
+                yMin: b.yMin,
+                yMax: b.yMax,
+                width: b.xMax - b.xMin,
+                height: b.yMax - b.yMin,
+                cx: (b.xMin + b.xMax) / 2,
+                cy: (b.yMin + b.yMax) / 2
             };
             if (space === 'domain') return bboxDomain;
 
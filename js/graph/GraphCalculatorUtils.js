@@ -109,6 +109,91 @@ export function radiansToDegrees(radians) {
     return radians * 180 / Math.PI;
 }
 
+// 点 p と線分 ab の距離の2乗
+function squaredSegmentDistance(p, a, b) {
+    let x = a[0];
+    let y = a[1];
+    const dx = b[0] - x;
+    const dy = b[1] - y;
+    if (dx !== 0 || dy !== 0) {
+        const t = ((p[0] - x) * dx + (p[1] - y) * dy) / (dx * dx + dy * dy);
+        if (t > 1) {
+            x = b[0];
+            y = b[1];
+        } else if (t > 0) {
+            x += dx * t;
+            y += dy * t;
+        }
+    }
+    return (p[0] - x) * (p[0] - x) + (p[1] - y) * (p[1] - y);
+}
+
+/**
+ * 折れ線を間引く（Ramer-Douglas-Peucker 法）
+ * @param {Array} points - 点の配列 [[x1, y1], [x2, y2], ...]
+ * @param {number} tolerance - 許容する誤差（点と同じ座標系）
+ * @returns {Array} 間引いた点の配列（始点と終点は必ず残る）
+ */
+export function simplifyPolyline(points, tolerance) {
+    if (!Array.isArray(points) || points.length <= 2 || !(tolerance > 0)) return points;
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+    const squaredTolerance = tolerance * tolerance;
+
+    // 長い折れ線でも再帰が深くならないようにスタックで処理する
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        let maxDistance = squaredTolerance;
+        let index = -1;
+        for (let i = first + 1; i < last; i++) {
+            const distance = squaredSegmentDistance(points[i], points[first], points[last]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+        if (index !== -1) {
+            keep[index] = 1;
+            stack.push([first, index], [index, last]);
+        }
+    }
+
+    return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * M / L コマンドだけでできたパスデータを部分パスごとの点の配列に変換
+ * @param {string} pathData - SVGパスデータ（絶対座標）
+ * @returns {Array|null} [[[x, y], ...], ...]、曲線コマンドや相対座標を含む場合は null
+ */
+export function parsePolylinePath(pathData) {
+    if (typeof pathData !== 'string' || /[^ML\d\s,.eE+\-]/.test(pathData)) return null;
+
+    const tokens = pathData.match(/[ML]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+    const polylines = [];
+    let current = null;
+    let i = 0;
+    while (i < tokens.length) {
+        if (tokens[i] === 'M') {
+            current = [];
+            polylines.push(current);
+            i++;
+        } else if (tokens[i] === 'L') {
+            i++;
+        } else {
+            const x = Number(tokens[i]);
+            const y = Number(tokens[i + 1]);
+            if (!current || !isValidNumber(x) || !isValidNumber(y)) return null;
+            current.push([x, y]);
+            i += 2;
+        }
+    }
+    return polylines;
+}
+
 /**
  * グラフ計算機のユーティリティクラス
  * グラフ計算機の機能をラップしたヘルパーメソッドを提供
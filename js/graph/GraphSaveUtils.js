@@ -1,10 +1,21 @@
 /**
  * グラフ計算機の保存関連ユーティリティ
- * PNG、SVG、JSONでのエクスポート機能を提供
+ * PNG、SVG、JSONでのエクスポート機能と、JSON・SVGのインポート機能を提供
  */
 
 import { toRPN, detectFormulaType } from '../util/NumberUtil.js';
 import { GraPen } from '../GraPen.js';
+import { EquationBuilder } from '../util/EquationBuilder.js';
+import { approximatorRegistry } from '../approximator/ApproximatorRegistry.js';
+import {
+    createSymmetryKey,
+    multiplyMatrices,
+    applyMatrixToPoint,
+    isSimilarityMatrix
+} from '../util/AffineTransform.js';
+
+// JSON保存データのバージョン
+export const SAVE_DATA_VERSION = 'v-1.1.0';
 
 /**
  * SVGをPNG形式で保存する
@@ -33,6 +44,10 @@ export async function saveToPNG(calculator, filename = 'graph', scale = 2) {
 
         // すべての要素を含むSVGをクローン
         const clonedSvg = svg.cloneNode(true);
+
+        // 曲線変形用のハンドル・対称描画のガイドと、出力に含めない下絵は取り除く
+        clonedSvg.querySelectorAll('.transform-handles, .symmetry-guide').forEach(el => el.remove());
+        removeExcludedReferenceImage(clonedSvg);
         clonedSvg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
 
         // スタイルを埋め込む
@@ -53,7 +68,8 @@ export async function saveToPNG(calculator, filename = 'graph', scale = 2) {
                         rule.selectorText.includes('axis-') ||
                         rule.selectorText.includes('micro-grid-line') ||
                         rule.selectorText.includes('sub-grid-line') ||
-                        rule.selectorText.includes('curve-path')
+                        rule.selectorText.includes('curve-path') ||
+                        rule.selectorText.includes('curve-fill')
                     )) {
                         cssRules.push(rule.cssText);
                     }
@@ -73,6 +89,7 @@ export async function saveToPNG(calculator, filename = 'graph', scale = 2) {
             .axis-tick { stroke: #888; stroke-width: 1; }
             .axis-label { font-size: 10px; font-family: Arial; }
             .curve-path { fill: none; }
+            .curve-fill { stroke: none; }
         `);
 
         styleElement.textContent = cssRules.join('\n');
@@ -150,6 +167,10 @@ export function saveToSVG(calculator, filename = 'graph') {
         // SVGをすべての要素を含めた状態でクローン
         const clonedSvg = svg.cloneNode(true);
 
+        // 曲線変形用のハンドル・対称描画のガイドと、出力に含めない下絵は取り除く
+        clonedSvg.querySelectorAll('.transform-handles, .symmetry-guide').forEach(el => el.remove());
+        removeExcludedReferenceImage(clonedSvg);
+
         // 正しい名前空間を設定
         clonedSvg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
         clonedSvg.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
@@ -173,7 +194,8 @@ export function saveToSVG(calculator, filename = 'graph') {
                         rule.selectorText.includes('axis-') ||
                         rule.selectorText.includes('micro-grid-line') ||
                         rule.selectorText.includes('sub-grid-line') ||
-                        rule.selectorText.includes('curve-path')
+                        rule.selectorText.includes('curve-path') ||
+                        rule.selectorText.includes('curve-fill')
                     )) {
                         cssRules.push(rule.cssText);
                     }
@@ -194,6 +216,7 @@ export function saveToSVG(calculator, filename = 'graph') {
             .axis-tick { stroke: #888; stroke-width: 1; }
             .axis-label { font-size: 10px; font-family: Arial; }
             .curve-path { fill: none; }
+            .curve-fill { stroke: none; }
         `);
 
         styleElement.textContent = cssRules.join('\n');
@@ -217,9 +240,10 @@ export function saveToSVG(calculator, filename = 'graph') {
  * @param {string} filename - 保存するファイル名（.jsonは自動追加）
  * @param {Object} additionalSettings - 追加の設定情報（SettingsManagerなどの状態）
  * @param {Array} curves - CurveManagerからの曲線情報（表示状態と詳細表示状態を含む）
+ * @param {Array} folders - CurveManagerの曲線のフォルダ
  * @returns {boolean} 保存に成功したかどうか
  */
-export function saveToJSON(calculator, filename = 'graph-data', additionalSettings = null, curves = null) {
+export function saveToJSON(calculator, filename = 'graph-data', additionalSettings = null, curves = null, folders = null) {
     try {
         // GraphCalculatorの曲線データを取得
         const graphCurves = calculator.getAllCurves().map(curve => {
@@ -233,6 +257,8 @@ export function saveToJSON(calculator, filename = 'graph-data', additionalSettin
                 data: curve.originalData,
                 strokeDasharray: curve.strokeDasharray || 'none',
                 style: curve.style || null,
+                fill: curve.fill || null,
+                fillOpacity: curve.fillOpacity,
             };
 
             // // 関連する点のデータを追加
@@ -268,6 +294,8 @@ export function saveToJSON(calculator, filename = 'graph-data', additionalSettin
                         ...graphCurve,
                         isHidden: cmCurve.isHidden || false,
                         isDetailShown: cmCurve.isDetailShown || false,
+                        locked: cmCurve.locked || false, // 移動ロック
+                        folderId: cmCurve.folderId || null, // 所属するフォルダのID（フォルダは保存データの folders に保存される）
                         latexEquations: cmCurve.latexEquations || [], // 数式情報も保存
                         preKnots: cmCurve.preKnots || [], // 曲線の前節点情報
                         type: cmCurve.type || 'parametric', // 曲線のタイプ（デフォルトは'parametric'）
@@ -280,7 +308,20 @@ export function saveToJSON(calculator, filename = 'graph-data', additionalSettin
                         approximationDiagnostics: cmCurve.approximationDiagnostics || null,
                         selectedApproximator: cmCurve.selectedApproximator || null,
                         approximatorPriority: typeof cmCurve.approximatorPriority === 'number' ? cmCurve.approximatorPriority : null,
+                        approximationDomain: cmCurve.approximationDomain || null,
                     };
+                    if (cmCurve.type === 'point') {
+                        enhancedData.pointShape = cmCurve.pointShape || 'circle'; // 点オブジェクトの形状
+                    }
+                    if (cmCurve.closed) {
+                        enhancedData.closed = true; // 閉じた曲線（塗りつぶしの色は曲線の fill に保存される）
+                    }
+                    if (cmCurve.symmetryKey) {
+                        enhancedData.symmetryKey = cmCurve.symmetryKey; // 対称描画の写しと結ぶキー
+                    }
+                    if (hasSymmetrySource(curves, cmCurve)) {
+                        enhancedData.symmetrySource = cmCurve.symmetrySource; // 対称描画の写しの元の曲線のキーと変換行列
+                    }
 
                     // CurveManagerに点データがあり、GraphCalculatorにない場合は追加
                     if (cmCurve.knotPoints && cmCurve.knotPoints.length > 0) {
@@ -318,13 +359,24 @@ export function saveToJSON(calculator, filename = 'graph-data', additionalSettin
 
         // 保存するデータを収集
         const saveData = {
-            version: 'v-1.1.0',
+            version: SAVE_DATA_VERSION,
             timestamp: new Date().toISOString(),
             domain: calculator.getDomain(),
             curves: strippedCurves,
             options: calculator.options,
         };
 
+        // 下絵がある場合は配置と画像（データURLまたはURL）を追加
+        const referenceImage = calculator.getReferenceImage();
+        if (referenceImage) {
+            saveData.referenceImage = referenceImage;
+        }
+
+        // 曲線のフォルダがある場合は追加
+        if (Array.isArray(folders) && folders.length > 0) {
+            saveData.folders = serializeFolders(folders);
+        }
+
         // 追加の設定情報がある場合は追加
         if (additionalSettings) {
             saveData.settings = additionalSettings;
@@ -347,7 +399,7 @@ export function saveToJSON(calculator, filename = 'graph-data', additionalSettin
  * @param {GraphCalculator} calculator - グラフ計算機のインスタンス
  * @param {Object|string} jsonData - JSONデータオブジェクトまたは文字列
  * @param {Function} settingsCallback - 設定を復元するためのコールバック関数
- * @param {Object} options - 復元オプション { preserveDomain: ドメインを保持するか }
+ * @param {Object} options - 復元オプション { preserveDomain: ドメインを保持するか, merge: 既存の曲線を残して追加するか, firstCurveId: 追加する曲線の最初のID }
  * @returns {boolean} 復元に成功したかどうか
  */
 export function loadFromJSON(calculator, jsonData, settingsCallback = null, options = { preserveDomain: true }) {
@@ -361,17 +413,27 @@ export function loadFromJSON(calculator, jsonData, settingsCallback = null, opti
             return false;
         }
 
-        // 既存の曲線をすべて削除
-        const curves = calculator.getAllCurves();
-        curves.forEach(curve => {
-            calculator.removeCurve(curve.id);
-        });
+        if (options.merge) {
+            // 追加読み込みでは既存の曲線を残し、IDが重ならないよう振り直す
+            renumberCurveIds(data.curves, options.firstCurveId || 0);
+        } else {
+            // 既存の曲線をすべて削除
+            const curves = calculator.getAllCurves();
+            curves.forEach(curve => {
+                calculator.removeCurve(curve.id);
+            });
+        }
 
         // オプションでドメイン保持指定がなければドメインを復元
         if (!options.preserveDomain && data.domain) {
             calculator.setDomain(data.domain, false);
         }
 
+        // 下絵を復元（追加読み込みでは今の下絵を保つ）
+        if (!options.merge) {
+            calculator.setReferenceImage(data.referenceImage || null);
+        }
+
         // 曲線をIDでグループ化して、同じグループに属するべき曲線を一緒に復元
         const curveGroups = {};
         const restoredCurves = []; // 復元された曲線情報を格納
@@ -542,7 +604,7 @@ export function loadFromJSON(calculator, jsonData, settingsCallback = null, opti
 
         // オプションの復元（エラーでも処理継続）
         try {
-            if (data.options) {
+            if (data.options && !options.merge) {
                 calculator.updateOptions(data.options);
             }
         } catch (optError) {
@@ -554,10 +616,11 @@ export function loadFromJSON(calculator, jsonData, settingsCallback = null, opti
             settingsCallback(data.settings);
         }
 
-        // JSON曲線データを返す（CurveManagerでの復元用）
+        // JSON曲線データとフォルダを返す（CurveManagerでの復元用）
         return {
             success: true,
-            curves: restoredCurves
+            curves: restoredCurves,
+            folders: Array.isArray(data.folders) ? data.folders : []
         };
     } catch (error) {
         console.error('JSONからの復元中にエラーが発生しました:', error);
@@ -565,6 +628,46 @@ export function loadFromJSON(calculator, jsonData, settingsCallback = null, opti
     }
 }
 
+/**
+ * 曲線IDを firstId からの連番に振り直す（強調表示曲線の参照は元の曲線に合わせ、対称描画のキーは作り直す）
+ * @private
+ */
+function renumberCurveIds(curves, firstId) {
+    if (!Array.isArray(curves)) return;
+
+    const idMap = new Map();
+    curves.forEach(curveData => {
+        const id = String(curveData.id);
+        const isEmphasis = id.startsWith('emphasis-');
+        const baseId = isEmphasis ? id.replace('emphasis-', '') : id;
+        if (!idMap.has(baseId)) {
+            idMap.set(baseId, String(firstId + idMap.size));
+        }
+        curveData.id = isEmphasis ? `emphasis-${idMap.get(baseId)}` : idMap.get(baseId);
+    });
+
+    // 同じデータを何度読み込んでも既存の曲線と重ならないよう、対称描画のキーを作り直す
+    // 読み込むデータにない元の曲線を指す写しは、つながりを外す
+    const keyMap = new Map();
+    curves.forEach(curveData => {
+        if (!curveData.symmetryKey) return;
+        const key = createSymmetryKey();
+        keyMap.set(curveData.symmetryKey, key);
+        curveData.symmetryKey = key;
+    });
+    curves.forEach(curveData => {
+        if (!curveData.symmetrySource) return;
+        const key = keyMap.get(curveData.symmetrySource.key);
+        curveData.symmetrySource = key ? { ...curveData.symmetrySource, key } : null;
+    });
+}
+
+// 対称描画の写しの元の曲線が残っているか（元の曲線を削除した写しはつながりを保存しない）
+function hasSymmetrySource(curves, cmCurve) {
+    const link = cmCurve.symmetrySource;
+    return !!(link && link.key && curves.some(curve => curve && curve !== cmCurve && curve.symmetryKey === link.key));
+}
+
 /**
  * 曲線を復元する（内部ヘルパー関数）
  * @private
@@ -581,6 +684,10 @@ function _restoreCurve(calculator, curveData) {
     // 拡張オプションの復元
     if (curveData.strokeDasharray) curveOptions.strokeDasharray = curveData.strokeDasharray;
     if (curveData.style) curveOptions.style = curveData.style;
+    if (curveData.fill) {
+        curveOptions.fill = curveData.fill;
+        curveOptions.fillOpacity = curveData.fillOpacity;
+    }
 
     // 曲線の追加
     return calculator.addCurve(curveData.data, curveOptions);
@@ -703,8 +810,11 @@ function ensureRPNForLatex(latexEquations) {
         'circle',
         'ellipse',
         'arc',
+        'point',
         'label',
-        'selectiveHybrid'
+        'expression',
+        // 近似手法の定義で RPN を生成しないとされた数式
+        ...approximatorRegistry.getSkipRPNTypes()
     ]);
     latexEquations.forEach(eq => {
         try {
@@ -818,6 +928,12 @@ function computeKnotPointsFromLatex(latexEquations, globalDomain) {
 
 function sampleOriginalPointsFromLatex(latexEquations, knotCount, globalDomain) {
     if (!Array.isArray(latexEquations)) return null;
+    // 点オブジェクトは点の座標をそのまま使う
+    if (latexEquations.length > 0 && latexEquations.every(eq => eq && eq.type === 'point')) {
+        return latexEquations
+            .map(eq => (eq.params && Array.isArray(eq.params.point)) ? [eq.params.point[0], eq.params.point[1]] : null)
+            .filter(Boolean);
+    }
     const samples = [];
     const intervals = latexEquations.map(eq => {
         const { start, end } = getNumericDomain(eq, globalDomain);
@@ -908,6 +1024,831 @@ export function importJSONFile(onLoadCallback) {
     return true;
 }
 
+/**
+ * SVGファイルを選択して読み込む
+ * @param {Function} onLoadCallback - SVGのテキストが読み込まれた時に呼び出されるコールバック関数
+ */
+export function importSVGFile(onLoadCallback) {
+    if (typeof onLoadCallback !== 'function') {
+        console.error('コールバック関数が必要です');
+        return false;
+    }
+
+    // 隠しファイル入力要素を作成
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.svg,image/svg+xml';
+    fileInput.style.display = 'none';
+    document.body.appendChild(fileInput);
+
+    // ファイル選択イベント
+    fileInput.addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        if (!file) {
+            document.body.removeChild(fileInput);
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                onLoadCallback(e.target.result);
+            } catch (error) {
+                console.error('SVGファイルの読み込みに失敗しました:', error);
+                alert('SVGファイルの読み込みに失敗しました。有効なSVGファイルを選択してください。');
+            }
+            document.body.removeChild(fileInput);
+        };
+
+        reader.onerror = () => {
+            console.error('ファイルの読み込みに失敗しました');
+            alert('ファイルの読み込みに失敗しました。');
+            document.body.removeChild(fileInput);
+        };
+
+        reader.readAsText(file);
+    });
+
+    // ファイル選択ダイアログを開く
+    fileInput.click();
+
+    return true;
+}
+
+/**
+ * SVGのパスを数式化して曲線として追加する
+ * 直線・二次/三次ベジェ曲線・円弧・円・楕円はそのまま数式に変換し、
+ * それ以外（楕円弧や歪んだ円弧など）はサンプリングして手書き曲線と同じ近似処理に回す
+ * @param {CurveManager} curveManager - 追加先の CurveManager
+ * @param {string} svgText - SVGのテキスト
+ * @param {Object} options - { useAdvancedMode, approximatorSettings, decimals }
+ * @returns {Promise<Object>} 読み込み結果 {success, message, i18nKey, i18nParams, curveIds, approximatedCount, failedCount}
+ */
+export async function loadFromSVG(curveManager, svgText, options = {}) {
+    const result = { success: false, message: '', i18nKey: null, i18nParams: {}, curveIds: [], approximatedCount: 0, failedCount: 0 };
+    const calculator = curveManager ? curveManager.graphCalculator : null;
+    if (!calculator) {
+        result.message = 'グラフ計算機が初期化されていません';
+        result.i18nKey = 'alert.import.no_calculator';
+        return result;
+    }
+
+    let shapes;
+    try {
+        shapes = parseSVGShapes(svgText);
+    } catch (error) {
+        result.message = `SVGの解析に失敗しました: ${error.message}`;
+        result.i18nKey = 'alert.svg_import.parse_failed';
+        result.i18nParams = { error: error.message };
+        return result;
+    }
+    if (shapes.length === 0) {
+        result.message = 'SVGに読み込める図形がありませんでした';
+        result.i18nKey = 'alert.svg_import.no_shapes';
+        return result;
+    }
+
+    const settings = curveManager.settings;
+    const decimals = options.decimals ?? 3;
+    const fitMatrix = computeSVGFitMatrix(shapes, calculator.getDomain());
+
+    // サンプリングした部分パスの近似はワーカーで実行されるため、1本ずつ完了を待って追加する
+    for (const shape of shapes) {
+        const matrix = multiplyMatrices(fitMatrix, shape.matrix);
+        const color = resolveSVGColor(shape.element, settings.currentColor);
+        const fill = shape.subpath.closed ? resolveSVGFill(shape.element) : null;
+
+        const curves = convertSVGSubpath(shape.subpath, matrix, decimals);
+        if (curves) {
+            // 閉じた部分パスが1本の曲線になった場合だけ塗りつぶせる
+            const closed = shape.subpath.closed && curves.length === 1;
+            curves.forEach(curveData => {
+                const added = curveManager.addEquationCurve({
+                    ...curveData,
+                    color,
+                    size: settings.currentSize,
+                    closed,
+                    fill: closed ? fill : null
+                });
+                if (added.success) {
+                    result.curveIds.push(added.id);
+                } else {
+                    result.failedCount++;
+                }
+            });
+            continue;
+        }
+
+        // 数式に直接変換できない部分パスはサンプリングして近似する
+        const id = settings.nextCurveId;
+        const added = await curveManager.addHandDrawnCurve({
+            id,
+            domainPath: sampleSVGSubpath(shape.subpath, matrix),
+            color,
+            size: settings.currentSize,
+            useAdvancedMode: !!options.useAdvancedMode,
+            approximatorSettings: options.approximatorSettings || curveManager.approximatorSettings
+        });
+        if (added.success) {
+            settings.nextCurveId++;
+            result.curveIds.push(added.id);
+            result.approximatedCount++;
+            if (fill) {
+                // 近似した結果が閉じた曲線の場合だけ塗りつぶす
+                curveManager.setCurveFill(added.id, fill, { recordHistory: false });
+            }
+        } else {
+            result.failedCount++;
+        }
+    }
+
+    curveManager.updateCurveList();
+
+    result.success = result.curveIds.length > 0;
+    result.message = result.success
+        ? `${result.curveIds.length}本の曲線を読み込みました`
+        : 'SVGのパスを曲線に変換できませんでした';
+    result.i18nKey = [result.success ? 'alert.import.loaded' : 'alert.svg_import.convert_failed'];
+    result.i18nParams = {
+        count: result.curveIds.length,
+        approximated: result.approximatedCount,
+        failed: result.failedCount
+    };
+    if (result.approximatedCount > 0) {
+        result.message += `（近似: ${result.approximatedCount}本）`;
+        result.i18nKey.push('alert.svg_import.approximated');
+    }
+    if (result.failedCount > 0) {
+        result.message += `（失敗: ${result.failedCount}件）`;
+        result.i18nKey.push('alert.svg_import.failed');
+    }
+    return result;
+}
+
+// SVG読み込み時に図形を表示範囲のこの割合に収める
+const SVG_FIT_RATIO = 0.8;
+// 数式化しない区間をサンプリングする点数
+const SVG_SAMPLES_PER_SEGMENT = 24;
+const SVG_TOLERANCE = 1e-6;
+const SVG_NUMBER_PATTERN = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/;
+const SVG_NUMBER_PATTERN_GLOBAL = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g;
+const SVG_IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+const SVG_CONTAINER_TAGS = new Set(['svg', 'g', 'a', 'switch']);
+const SVG_SHAPE_TAGS = new Set(['path', 'line', 'polyline', 'polygon', 'rect', 'circle', 'ellipse']);
+
+/**
+ * SVGテキストから図形（部分パスと変換行列）の一覧を取り出す
+ * @private
+ */
+function parseSVGShapes(svgText) {
+    const doc = new DOMParser().parseFromString(String(svgText || ''), 'image/svg+xml');
+    const root = doc.documentElement;
+    if (!root || root.localName !== 'svg' || doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('有効なSVGではありません');
+    }
+
+    const shapes = [];
+    collectSVGShapes(root, parseSVGTransform(root.getAttribute('transform')), shapes);
+    return shapes;
+}
+
+// 要素を再帰的にたどり、祖先の transform を合成しながら図形を集める
+function collectSVGShapes(element, matrix, shapes) {
+    Array.from(element.children).forEach(child => {
+        const tag = child.localName;
+        if (child.getAttribute('display') === 'none') return;
+
+        let childMatrix = multiplyMatrices(matrix, parseSVGTransform(child.getAttribute('transform')));
+        if (SVG_CONTAINER_TAGS.has(tag)) {
+            if (tag === 'svg') {
+                childMatrix = multiplyMatrices(childMatrix, [1, 0, 0, 1, readSVGLength(child, 'x'), readSVGLength(child, 'y')]);
+            }
+            collectSVGShapes(child, childMatrix, shapes);
+            return;
+        }
+        if (!SVG_SHAPE_TAGS.has(tag)) return;
+
+        svgElementToSubpaths(child).forEach(subpath => {
+            shapes.push({ subpath, matrix: childMatrix, element: child });
+        });
+    });
+}
+
+function readSVGLength(element, name) {
+    const value = parseFloat(element.getAttribute(name));
+    return Number.isFinite(value) ? value : 0;
+}
+
+// 塗り・線の指定を祖先要素も含めて調べる（style 属性を優先）
+function readSVGPaint(element, name) {
+    const pattern = new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*([^;]+)`);
+    for (let node = element; node && typeof node.getAttribute === 'function'; node = node.parentElement) {
+        const match = pattern.exec(node.getAttribute('style') || '');
+        const value = match ? match[1].trim() : node.getAttribute(name);
+        if (value && value !== 'inherit') return value;
+    }
+    return null;
+}
+
+// 単色の指定か（none やグラデーションなどの参照は除く）
+function isSVGSolidPaint(value) {
+    return !!value && value !== 'none' && value !== 'transparent' && !value.startsWith('url(');
+}
+
+// 曲線の色（線の色、線がなければ塗りの色、どちらもなければ既定の色）
+function resolveSVGColor(element, fallback) {
+    const stroke = readSVGPaint(element, 'stroke');
+    if (isSVGSolidPaint(stroke)) return stroke;
+    const fill = readSVGPaint(element, 'fill');
+    return isSVGSolidPaint(fill) ? fill : fallback;
+}
+
+// 明示的に指定された塗りつぶし { color, opacity }（SVGの既定の黒い塗りは読み込まない）
+function resolveSVGFill(element) {
+    const fill = readSVGPaint(element, 'fill');
+    if (!isSVGSolidPaint(fill)) return null;
+    const opacity = parseFloat(readSVGPaint(element, 'fill-opacity'));
+    return { color: fill, opacity: Number.isFinite(opacity) ? opacity : 1 };
+}
+
+/**
+ * 図形要素を部分パスの配列に変換する
+ * 部分パスは { segments, closed } で、円・楕円は { ellipse: { center, rx, ry } } を持つ
+ * @private
+ */
+function svgElementToSubpaths(element) {
+    const length = (name) => readSVGLength(element, name);
+    switch (element.localName) {
+        case 'path':
+            return parseSVGPathData(element.getAttribute('d'));
+        case 'line':
+            return polylineToSubpaths([[length('x1'), length('y1')], [length('x2'), length('y2')]], false);
+        case 'polyline':
+        case 'polygon': {
+            const values = (element.getAttribute('points') || '').match(SVG_NUMBER_PATTERN_GLOBAL) || [];
+            const points = [];
+            for (let i = 0; i + 1 < values.length; i += 2) {
+                points.push([Number(values[i]), Number(values[i + 1])]);
+            }
+            return polylineToSubpaths(points, element.localName === 'polygon');
+        }
+        case 'rect': {
+            // 角丸 (rx, ry) は無視して四角形として扱う
+            const x = length('x');
+            const y = length('y');
+            const width = length('width');
+            const height = length('height');
+            if (width <= 0 || height <= 0) return [];
+            return polylineToSubpaths([[x, y], [x + width, y], [x + width, y + height], [x, y + height]], true);
+        }
+        case 'circle': {
+            const r = length('r');
+            if (r <= 0) return [];
+            return [{ segments: [], closed: true, ellipse: { center: [length('cx'), length('cy')], rx: r, ry: r } }];
+        }
+        case 'ellipse': {
+            const rx = length('rx');
+            const ry = length('ry');
+            if (rx <= 0 || ry <= 0) return [];
+            return [{ segments: [], closed: true, ellipse: { center: [length('cx'), length('cy')], rx, ry } }];
+        }
+        default:
+            return [];
+    }
+}
+
+function polylineToSubpaths(points, closed) {
+    if (points.length < 2) return [];
+    const vertices = closed ? [...points, points[0]] : points;
+    const segments = [];
+    for (let i = 1; i < vertices.length; i++) {
+        if (!sameSVGPoint(vertices[i - 1], vertices[i])) {
+            segments.push({ type: 'L', points: [vertices[i - 1], vertices[i]] });
+        }
+    }
+    return segments.length > 0 ? [{ segments, closed }] : [];
+}
+
+/**
+ * パスデータ (d 属性) を絶対座標の部分パスに分解する
+ * H/V は直線、S/T は制御点を反転した三次/二次ベジェ、Z は始点への直線に正規化する
+ * @private
+ */
+function parseSVGPathData(d) {
+    const source = String(d || '');
+    const subpaths = [];
+    let index = 0;
+
+    const skipSeparators = () => {
+        while (index < source.length && /[\s,]/.test(source[index])) index++;
+    };
+    const readNumber = () => {
+        skipSeparators();
+        const match = SVG_NUMBER_PATTERN.exec(source.slice(index));
+        if (!match) throw new Error(`パスデータの数値が不正です: ${source.slice(index, index + 10)}`);
+        index += match[0].length;
+        return Number(match[0]);
+    };
+    const readFlag = () => {
+        skipSeparators();
+        const ch = source[index];
+        if (ch !== '0' && ch !== '1') throw new Error('円弧のフラグが不正です');
+        index++;
+        return ch === '1';
+    };
+
+    let subpath = null;
+    let current = [0, 0];
+    let start = [0, 0];
+    let command = null;
+    let previous = null;
+
+    const beginSubpath = (point) => {
+        subpath = { segments: [], closed: false };
+        subpaths.push(subpath);
+        start = point;
+        current = point;
+    };
+    const pushSegment = (segment, end) => {
+        if (!subpath) beginSubpath(current);
+        if (!sameSVGPoint(current, end) || segment.type !== 'L') {
+            subpath.segments.push(segment);
+        }
+        current = end;
+        previous = segment;
+    };
+    const reflect = (type) => {
+        if (!previous || previous.type !== type) return current;
+        const control = previous.points[previous.points.length - 2];
+        return [2 * current[0] - control[0], 2 * current[1] - control[1]];
+    };
+
+    while (true) {
+        skipSeparators();
+        if (index >= source.length) break;
+
+        if (/[a-zA-Z]/.test(source[index])) {
+            command = source[index];
+            index++;
+        } else if (!command) {
+            throw new Error('パスデータがコマンドで始まっていません');
+        }
+
+        const relative = command === command.toLowerCase();
+        const readPoint = () => {
+            const x = readNumber();
+            const y = readNumber();
+            return relative ? [current[0] + x, current[1] + y] : [x, y];
+        };
+
+        switch (command.toUpperCase()) {
+            case 'M':
+                beginSubpath(readPoint());
+                previous = null;
+                // M に続く座標は L として扱う
+                command = relative ? 'l' : 'L';
+                break;
+            case 'L': {
+                const end = readPoint();
+                pushSegment({ type: 'L', points: [current, end] }, end);
+                break;
+            }
+            case 'H': {
+                const x = readNumber();
+                const end = [relative ? current[0] + x : x, current[1]];
+                pushSegment({ type: 'L', points: [current, end] }, end);
+                break;
+            }
+            case 'V': {
+                const y = readNumber();
+                const end = [current[0], relative ? current[1] + y : y];
+                pushSegment({ type: 'L', points: [current, end] }, end);
+                break;
+            }
+            case 'C': {
+                const p1 = readPoint();
+                const p2 = readPoint();
+                const end = readPoint();
+                pushSegment({ type: 'C', points: [current, p1, p2, end] }, end);
+                break;
+            }
+            case 'S': {
+                const p1 = reflect('C');
+                const p2 = readPoint();
+                const end = readPoint();
+                pushSegment({ type: 'C', points: [current, p1, p2, end] }, end);
+                break;
+            }
+            case 'Q': {
+                const p1 = readPoint();
+                const end = readPoint();
+                pushSegment({ type: 'Q', points: [current, p1, end] }, end);
+                break;
+            }
+            case 'T': {
+                const p1 = reflect('Q');
+                const end = readPoint();
+                pushSegment({ type: 'Q', points: [current, p1, end] }, end);
+                break;
+            }
+            case 'A': {
+                const rx = Math.abs(readNumber());
+                const ry = Math.abs(readNumber());
+                const rotation = readNumber();
+                const largeArc = readFlag();
+                const sweep = readFlag();
+                const end = readPoint();
+                if (sameSVGPoint(current, end)) {
+                    current = end;
+                } else if (rx <= SVG_TOLERANCE || ry <= SVG_TOLERANCE) {
+                    // 半径0の円弧は直線として扱う（SVG仕様）
+                    pushSegment({ type: 'L', points: [current, end] }, end);
+                } else {
+                    pushSegment({ type: 'A', from: current, to: end, rx, ry, rotation, largeArc, sweep }, end);
+                }
+                break;
+            }
+            case 'Z':
+                if (subpath) {
+                    if (!sameSVGPoint(current, start)) {
+                        pushSegment({ type: 'L', points: [current, start] }, start);
+                    }
+                    subpath.closed = true;
+                    subpath = null;
+                }
+                current = start;
+                previous = null;
+                // Z は引数を取らないため、続く数値は不正として扱う
+                command = null;
+                break;
+            default:
+                throw new Error(`未対応のパスコマンドです: ${command}`);
+        }
+    }
+
+    return subpaths.filter(item => item.segments.length > 0);
+}
+
+/**
+ * transform 属性を行列 [a, b, c, d, e, f] に変換する
+ * @private
+ */
+function parseSVGTransform(text) {
+    let matrix = SVG_IDENTITY_MATRIX;
+    const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+        const args = (match[2].match(SVG_NUMBER_PATTERN_GLOBAL) || []).map(Number);
+        let next = SVG_IDENTITY_MATRIX;
+        switch (match[1]) {
+            case 'matrix':
+                if (args.length === 6) next = args;
+                break;
+            case 'translate':
+                next = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+                break;
+            case 'scale': {
+                const sx = args[0] ?? 1;
+                const sy = args[1] ?? sx;
+                next = [sx, 0, 0, sy, 0, 0];
+                break;
+            }
+            case 'rotate': {
+                const angle = (args[0] || 0) * Math.PI / 180;
+                const cos = Math.cos(angle);
+                const sin = Math.sin(angle);
+                next = [cos, sin, -sin, cos, 0, 0];
+                if (args.length >= 3) {
+                    next = multiplyMatrices(
+                        multiplyMatrices([1, 0, 0, 1, args[1], args[2]], next),
+                        [1, 0, 0, 1, -args[1], -args[2]]
+                    );
+                }
+                break;
+            }
+            case 'skewX':
+                next = [1, 0, Math.tan((args[0] || 0) * Math.PI / 180), 1, 0, 0];
+                break;
+            case 'skewY':
+                next = [1, Math.tan((args[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
+                break;
+        }
+        matrix = multiplyMatrices(matrix, next);
+    }
+    return matrix;
+}
+
+function sameSVGPoint(a, b) {
+    return Math.abs(a[0] - b[0]) <= SVG_TOLERANCE && Math.abs(a[1] - b[1]) <= SVG_TOLERANCE;
+}
+
+/**
+ * SVGの座標系（y軸下向き）から、現在の表示範囲の中央に収まるグラフ座標系への行列を求める
+ * @private
+ */
+function computeSVGFitMatrix(shapes, domain) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    shapes.forEach(shape => {
+        sampleSVGSubpath(shape.subpath, shape.matrix).forEach(([x, y]) => {
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        });
+    });
+
+    const domainWidth = domain.xMax - domain.xMin;
+    const domainHeight = domain.yMax - domain.yMin;
+    const width = maxX - minX;
+    const height = maxY - minY;
+    const scale = Math.min(
+        width > SVG_TOLERANCE ? domainWidth * SVG_FIT_RATIO / width : Infinity,
+        height > SVG_TOLERANCE ? domainHeight * SVG_FIT_RATIO / height : Infinity
+    );
+    const s = Number.isFinite(scale) ? scale : 1;
+
+    const centerX = (minX + maxX) / 2;
+    const centerY = (minY + maxY) / 2;
+    const domainCenterX = (domain.xMin + domain.xMax) / 2;
+    const domainCenterY = (domain.yMin + domain.yMax) / 2;
+    return [s, 0, 0, -s, domainCenterX - s * centerX, domainCenterY + s * centerY];
+}
+
+/**
+ * SVGの円弧を中心パラメータ表示に変換する（SVG仕様 F.6.5）
+ * @private
+ */
+function svgArcToCenter(segment) {
+    const [x1, y1] = segment.from;
+    const [x2, y2] = segment.to;
+    const phi = segment.rotation * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const dx = (x1 - x2) / 2;
+    const dy = (y1 - y2) / 2;
+    const x1p = cos * dx + sin * dy;
+    const y1p = -sin * dx + cos * dy;
+
+    // 半径が足りない場合は拡大する
+    let rx = segment.rx;
+    let ry = segment.ry;
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    let coef = Math.sqrt(Math.max(0, numerator / denominator));
+    if (segment.largeArc === segment.sweep) coef = -coef;
+    const cxp = coef * rx * y1p / ry;
+    const cyp = -coef * ry * x1p / rx;
+
+    const angleBetween = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const ux = (x1p - cxp) / rx;
+    const uy = (y1p - cyp) / ry;
+    const theta = angleBetween(1, 0, ux, uy);
+    let delta = angleBetween(ux, uy, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!segment.sweep && delta > 0) delta -= Math.PI * 2;
+    if (segment.sweep && delta < 0) delta += Math.PI * 2;
+
+    return {
+        center: [cos * cxp - sin * cyp + (x1 + x2) / 2, sin * cxp + cos * cyp + (y1 + y2) / 2],
+        rx,
+        ry,
+        phi,
+        theta,
+        delta
+    };
+}
+
+// 回転した楕円上の角度 t の点
+function svgEllipsePoint(center, rx, ry, phi, t) {
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const x = rx * Math.cos(t);
+    const y = ry * Math.sin(t);
+    return [center[0] + x * cos - y * sin, center[1] + x * sin + y * cos];
+}
+
+/**
+ * 区間を行列で写した点列にサンプリングする（始点を含む）
+ * @private
+ */
+function sampleSVGSegment(segment, matrix) {
+    const count = SVG_SAMPLES_PER_SEGMENT;
+    const points = [];
+    if (segment.type === 'L') {
+        return segment.points.map(point => applyMatrixToPoint(matrix, point));
+    }
+    if (segment.type === 'A') {
+        const arc = svgArcToCenter(segment);
+        for (let i = 0; i <= count; i++) {
+            const t = arc.theta + arc.delta * i / count;
+            points.push(applyMatrixToPoint(matrix, svgEllipsePoint(arc.center, arc.rx, arc.ry, arc.phi, t)));
+        }
+        return points;
+    }
+
+    // ベジェ曲線はアフィン変換で形が保たれるため、制御点を写してから評価する
+    const controls = segment.points.map(point => applyMatrixToPoint(matrix, point));
+    for (let i = 0; i <= count; i++) {
+        points.push(evaluateBezier(controls, i / count));
+    }
+    return points;
+}
+
+function evaluateBezier(controls, t) {
+    let points = controls;
+    while (points.length > 1) {
+        const next = [];
+        for (let i = 0; i + 1 < points.length; i++) {
+            next.push([
+                points[i][0] + (points[i + 1][0] - points[i][0]) * t,
+                points[i][1] + (points[i + 1][1] - points[i][1]) * t
+            ]);
+        }
+        points = next;
+    }
+    return points[0];
+}
+
+function sampleSVGSubpath(subpath, matrix) {
+    if (subpath.ellipse) {
+        const { center, rx, ry } = subpath.ellipse;
+        const points = [];
+        const count = SVG_SAMPLES_PER_SEGMENT * 4;
+        for (let i = 0; i <= count; i++) {
+            points.push(applyMatrixToPoint(matrix, svgEllipsePoint(center, rx, ry, 0, Math.PI * 2 * i / count)));
+        }
+        return points;
+    }
+
+    const points = [];
+    subpath.segments.forEach((segment, index) => {
+        const sampled = sampleSVGSegment(segment, matrix);
+        points.push(...(index === 0 ? sampled : sampled.slice(1)));
+    });
+    return points;
+}
+
+/**
+ * 円弧を数式に変換する。真円の円弧を相似変換した場合のみ変換でき、それ以外は null
+ * @private
+ */
+function svgArcToEquation(segment, matrix, decimals) {
+    const arc = svgArcToCenter(segment);
+    if (Math.abs(arc.rx - arc.ry) > SVG_TOLERANCE * Math.max(arc.rx, arc.ry) || !isSimilarityMatrix(matrix)) {
+        return null;
+    }
+
+    const center = applyMatrixToPoint(matrix, arc.center);
+    const from = applyMatrixToPoint(matrix, segment.from);
+    const radius = arc.rx * Math.hypot(matrix[0], matrix[1]);
+    // 反転を含む行列では回転方向が逆になる
+    const determinant = matrix[0] * matrix[3] - matrix[1] * matrix[2];
+    const delta = determinant < 0 ? -arc.delta : arc.delta;
+
+    // 数式は角度の増加方向に描くため、時計回りの円弧は終点側から描く
+    let startAngle = Math.atan2(from[1] - center[1], from[0] - center[0]);
+    if (delta < 0) startAngle += delta;
+
+    return EquationBuilder.arc({
+        center,
+        radius,
+        startAngle,
+        endAngle: startAngle + Math.abs(delta),
+        direction: 1
+    }, { decimals });
+}
+
+/**
+ * 部分パスを数式の曲線データに変換する
+ * 直線・ベジェ曲線の並びと円弧の並びで曲線を分け、ベジェ曲線の並びは最も高い次数に次数上げしてそろえる
+ * 数式に変換できない区間を含む場合は null を返す
+ * @private
+ */
+function convertSVGSubpath(subpath, matrix, decimals) {
+    const originalPoints = sampleSVGSubpath(subpath, matrix);
+
+    if (subpath.ellipse) {
+        const { center, rx, ry } = subpath.ellipse;
+        const mappedCenter = applyMatrixToPoint(matrix, center);
+        if (Math.abs(rx - ry) <= SVG_TOLERANCE * Math.max(rx, ry) && isSimilarityMatrix(matrix)) {
+            return [{
+                type: 'circle',
+                latexEquations: [EquationBuilder.circle({
+                    center: mappedCenter,
+                    radius: rx * Math.hypot(matrix[0], matrix[1])
+                }, { decimals })],
+                originalPoints,
+                knotPoints: []
+            }];
+        }
+        return [{
+            type: 'ellipse',
+            latexEquations: [EquationBuilder.ellipseFromConjugateAxes({
+                center: mappedCenter,
+                u: [matrix[0] * rx, matrix[1] * rx],
+                v: [matrix[2] * ry, matrix[3] * ry]
+            }, { decimals })],
+            originalPoints,
+            knotPoints: []
+        }];
+    }
+
+    // 連続する同じ種類（ベジェ系 / 円弧）の区間をまとめる
+    const runs = [];
+    for (const segment of subpath.segments) {
+        const family = segment.type === 'A' ? 'arc' : 'bezier';
+        if (family === 'arc' && !svgArcToEquation(segment, matrix, decimals)) {
+            return null;
+        }
+        const last = runs[runs.length - 1];
+        if (last && last.family === family) {
+            last.segments.push(segment);
+        } else {
+            runs.push({ family, segments: [segment] });
+        }
+    }
+
+    return runs.map(run => {
+        const knots = [];
+        const samples = [];
+        run.segments.forEach((segment, index) => {
+            const sampled = sampleSVGSegment(segment, matrix);
+            samples.push(...(index === 0 ? sampled : sampled.slice(1)));
+            if (index === 0) knots.push(sampled[0]);
+            knots.push(sampled[sampled.length - 1]);
+        });
+        const knotPoints = knots.map(([x, y]) => ({ x, y }));
+
+        if (run.family === 'arc') {
+            return {
+                type: 'arc',
+                latexEquations: run.segments.map(segment => svgArcToEquation(segment, matrix, decimals)),
+                originalPoints: samples,
+                knotPoints
+            };
+        }
+
+        const degree = Math.max(...run.segments.map(segment => segment.points.length - 1));
+        const controlsList = run.segments.map(segment =>
+            elevateBezier(segment.points.map(point => applyMatrixToPoint(matrix, point)), degree)
+        );
+
+        if (degree === 1) {
+            const latexEquations = controlsList.map(([p0, p1]) =>
+                EquationBuilder.linearThroughPoints(p0, p1, { decimals })
+            );
+            return {
+                type: latexEquations.length > 1 ? 'piecewiseLinear' : latexEquations[0].type,
+                latexEquations,
+                originalPoints: samples,
+                knotPoints
+            };
+        }
+        if (degree === 2) {
+            return {
+                type: 'quadraticBezier',
+                latexEquations: controlsList.map(([p0, p1, p2]) =>
+                    EquationBuilder.quadraticBezier({ p0, p1, p2 }, { decimals })
+                ),
+                originalPoints: samples,
+                knotPoints
+            };
+        }
+        return {
+            type: 'cubicBezier',
+            latexEquations: controlsList.map(([p0, p1, p2, p3]) =>
+                EquationBuilder.cubicBezier({ p0, p1, p2, p3 }, { decimals })
+            ),
+            originalPoints: samples,
+            knotPoints
+        };
+    });
+}
+
+// ベジェ曲線の次数上げ（形は変わらない）
+function elevateBezier(controls, degree) {
+    let points = controls;
+    while (points.length - 1 < degree) {
+        const n = points.length;
+        const next = [points[0]];
+        for (let i = 1; i < n; i++) {
+            const ratio = i / n;
+            next.push([
+                ratio * points[i - 1][0] + (1 - ratio) * points[i][0],
+                ratio * points[i - 1][1] + (1 - ratio) * points[i][1]
+            ]);
+        }
+        next.push(points[n - 1]);
+        points = next;
+    }
+    return points;
+}
+
 /**
  * Blobをファイルとしてダウンロードする
  * @private
@@ -962,6 +1903,8 @@ function collectGraphCurves(calculator) {
         data: curve.originalData,
         strokeDasharray: curve.strokeDasharray || 'none',
         style: curve.style || null,
+        fill: curve.fill || null,
+        fillOpacity: curve.fillOpacity,
     }));
 }
 
@@ -978,6 +1921,8 @@ function mergeCurveManagerData(graphCurves, curves) {
             ...graphCurve,
             isHidden: cmCurve.isHidden || false,
             isDetailShown: cmCurve.isDetailShown || false,
+            locked: cmCurve.locked || false,
+            folderId: cmCurve.folderId || null,
             latexEquations: cmCurve.latexEquations || [],
             preKnots: cmCurve.preKnots || [],
             type: cmCurve.type || 'parametric',
@@ -990,7 +1935,20 @@ function mergeCurveManagerData(graphCurves, curves) {
             approximationDiagnostics: cmCurve.approximationDiagnostics || null,
             selectedApproximator: cmCurve.selectedApproximator || null,
             approximatorPriority: typeof cmCurve.approximatorPriority === 'number' ? cmCurve.approximatorPriority : null,
+            approximationDomain: cmCurve.approximationDomain || null,
         };
+        if (cmCurve.type === 'point') {
+            enhancedData.pointShape = cmCurve.pointShape || 'circle';
+        }
+        if (cmCurve.closed) {
+            enhancedData.closed = true;
+        }
+        if (cmCurve.symmetryKey) {
+            enhancedData.symmetryKey = cmCurve.symmetryKey;
+        }
+        if (hasSymmetrySource(curves, cmCurve)) {
+            enhancedData.symmetrySource = cmCurve.symmetrySource;
+        }
 
         if (cmCurve.knotPoints && cmCurve.knotPoints.length > 0) {
             enhancedData.knotPoints = cmCurve.knotPoints.map(knot => ({
@@ -1020,19 +1978,44 @@ function mergeCurveManagerData(graphCurves, curves) {
     });
 }
 
-function buildSaveData(calculator, additionalSettings = null, curves = null) {
+// 出力に含めない設定の下絵を、複製したSVGから取り除く
+function removeExcludedReferenceImage(clonedSvg) {
+    clonedSvg.querySelectorAll('.graph-reference-image[data-include-in-export="false"]').forEach(el => el.remove());
+}
+
+// 曲線のフォルダを保存用のデータにする
+function serializeFolders(folders) {
+    return folders.map(folder => ({
+        id: folder.id,
+        name: folder.name,
+        collapsed: !!folder.collapsed,
+        hidden: !!folder.hidden,
+        locked: !!folder.locked
+    }));
+}
+
+function buildSaveData(calculator, additionalSettings = null, curves = null, folders = null) {
     const graphCurves = collectGraphCurves(calculator);
     const mergedCurves = mergeCurveManagerData(graphCurves, curves);
     const strippedCurves = mergedCurves.map(stripCurveForSave);
 
     const saveData = {
-        version: 'v-1.1.0',
+        version: SAVE_DATA_VERSION,
         timestamp: new Date().toISOString(),
         domain: calculator.getDomain(),
         curves: strippedCurves,
         options: calculator.options,
     };
 
+    const referenceImage = calculator.getReferenceImage();
+    if (referenceImage) {
+        saveData.referenceImage = referenceImage;
+    }
+
+    if (Array.isArray(folders) && folders.length > 0) {
+        saveData.folders = serializeFolders(folders);
+    }
+
     if (additionalSettings) {
         saveData.settings = additionalSettings;
     }
@@ -1053,6 +2036,8 @@ export async function getPNGBase64(calculator, width = 128, height = 128, qualit
         const svg = calculator.getSvg();
         if (!svg) return '';
         const clonedSvg = svg.cloneNode(true);
+        clonedSvg.querySelectorAll('.transform-handles, .symmetry-guide').forEach(el => el.remove());
+        removeExcludedReferenceImage(clonedSvg);
         clonedSvg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
         // スタイル埋め込み（省略可: saveToPNG参照）
         const styleElement = document.createElement('style');
@@ -1069,7 +2054,8 @@ export async function getPNGBase64(calculator, width = 128, height = 128, qualit
                         rule.selectorText.includes('axis-') ||
                         rule.selectorText.includes('micro-grid-line') ||
                         rule.selectorText.includes('sub-grid-line') ||
-                        rule.selectorText.includes('curve-path')
+                        rule.selectorText.includes('curve-path') ||
+                        rule.selectorText.includes('curve-fill')
                     )) {
                         cssRules.push(rule.cssText);
                     }
@@ -1112,11 +2098,12 @@ export async function getPNGBase64(calculator, width = 128, height = 128, qualit
  * @param {GraphCalculator} calculator
  * @param {Object} additionalSettings - 追加の設定情報（SettingsManagerなどの状態）
  * @param {Array} curves - CurveManagerからの曲線情報（表示状態と詳細表示状態を含む）
+ * @param {Array} folders - CurveManagerの曲線のフォルダ
  * @returns {string} JSON文字列
  */
-export function getJSONDataString(calculator, additionalSettings = null, curves = null) {
+export function getJSONDataString(calculator, additionalSettings = null, curves = null, folders = null) {
     try {
-        const saveData = buildSaveData(calculator, additionalSettings, curves);
+        const saveData = buildSaveData(calculator, additionalSettings, curves, folders);
         return JSON.stringify(saveData, null, 2);
     } catch (e) {
         console.error('JSON文字列作成中にエラーが発生しました:', e);
@@ -3,6 +3,12 @@
  * グラフ上の点の形状を定義するユーティリティ
  */
 
+// 点オブジェクト（タップで置く点）に使える形状
+export const POINT_SHAPE_TYPES = ['circle', 'hollowCircle', 'square', 'triangle', 'diamond', 'cross', 'plus'];
+
+// 点オブジェクトの印の大きさ（曲線の太さに対する倍率）
+export const POINT_OBJECT_SIZE_RATIO = 1.5;
+
 /**
  * getShapeGenerator
  * @param {string} shapeType - 形状タイプ
@@ -86,7 +92,7 @@ function createCross(size) {
     return {
         element: 'path',
         attributes: {
-            'd': `M ${-length},${-length} L ${length},${length} M ${length},${-length} L ${-length},${crossLength}`,
+            'd': `M ${-length},${-length} L ${length},${length} M ${length},${-length} L ${-length},${length}`,
             'stroke-width': size * 0.2,
             'fill': 'none',
             'stroke-linecap': 'round'
@@ -5,11 +5,23 @@
 import { applyDeltaToFormulaNumeric, signedFixedString } from '../util/NumberUtil.js';
 import { EquationBuilder } from '../util/EquationBuilder.js';
 
+// 履歴の木に残すノードの上限（自動保存にも含まれるため、超えたら使われていない古い枝から削る）
+const MAX_HISTORY_NODES = 500;
+// 曲線の形を変える操作（対称描画の写しに直接行った場合は、元の曲線から切り離す）
+const SHAPE_ACTION_TYPES = ['moveCurve', 'knotCountChanged', 'knotEdit', 'transformCurve', 'equationForm', 'equationEdit', 'reapproximate'];
+
 export class HistoryManager {
     constructor() {
         this.undoStack = [];
         this.redoStack = [];
 
+        // 履歴の木（やり直しの枝を捨てずに残す）
+        // ノードは { id, parentId, action, children, activeChildId, timestamp }、ID 0 は初期状態
+        this.historyNodes = new Map();
+        this.currentHistoryId = 0;
+        this.nextHistoryId = 1;
+        this._resetHistoryTree();
+
         this.penToolManager = null;
         this.curveManager = null;
         this.graphCalculator = null;
@@ -66,7 +78,261 @@ export class HistoryManager {
      * GraphCalculatorの曲線オブジェクトを適切に処理する
      */
     addAction(action) {
-        // アクションのタイプに応じて必要なデータを保存
+        action = this._withSymmetryUnlink(action);
+        this._prepareAction(action);
+
+        // アクションのディープコピーを作成
+        const actionCopy = this._deepCopy(action);
+        this.undoStack.push(actionCopy);
+        // やり直しの枝は履歴の木に残る
+        this.redoStack = [];
+        this._appendHistoryNode(actionCopy);
+        this._pruneHistoryTree();
+
+        // 新しい履歴が追加されたらSaveGraphManagerの状態をリセット
+        if (this.saveGraphManager) {
+            this.saveGraphManager.resetSaveState();
+        }
+        this._notifyHistoryChanged();
+    }
+
+    /**
+     * 対称描画の写しを直接変更する操作なら、写しを元の曲線から切り離し、その操作も同じ履歴に含める
+     * （切り離さないと、後で元の曲線を変更したときに写しへの変更が上書きされる）
+     * 元の曲線と一緒に動かした写しなど、元の曲線から描き直される写しの変更は履歴に記録されないため対象にならない
+     * @private
+     * @param {Object} action
+     * @returns {Object} 記録するアクション
+     */
+    _withSymmetryUnlink(action) {
+        if (!this.curveManager) return action;
+        const actions = action.type === 'batch' ? (action.actions || []) : [action];
+        const editedIds = actions
+            .filter(subAction => SHAPE_ACTION_TYPES.includes(subAction.type) && subAction.id !== undefined)
+            .map(subAction => subAction.id);
+        const unlinkActions = this.curveManager.unlinkSymmetryCopies(editedIds);
+        if (unlinkActions.length === 0) return action;
+        return { type: 'batch', actions: [...unlinkActions, ...actions] };
+    }
+
+    /**
+     * 履歴をすべて消去する（グラフを読み込み直したときなど）
+     */
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this._resetHistoryTree();
+        this._notifyHistoryChanged();
+    }
+
+    /**
+     * 履歴の木を初期状態のノードだけにする
+     * @private
+     */
+    _resetHistoryTree() {
+        this.historyNodes = new Map();
+        this.historyNodes.set(0, {
+            id: 0,
+            parentId: null,
+            action: null,
+            children: [],
+            activeChildId: null,
+            timestamp: Date.now()
+        });
+        this.currentHistoryId = 0;
+        this.nextHistoryId = 1;
+    }
+
+    /**
+     * 現在のノードの子としてアクションを追加し、そこへ移動する
+     * @private
+     */
+    _appendHistoryNode(action, timestamp = Date.now()) {
+        const parent = this.historyNodes.get(this.currentHistoryId);
+        const id = this.nextHistoryId++;
+        action.historyId = id;
+        this.historyNodes.set(id, {
+            id,
+            parentId: parent.id,
+            action,
+            children: [],
+            activeChildId: null,
+            timestamp
+        });
+        parent.children.push(id);
+        parent.activeChildId = id;
+        this.currentHistoryId = id;
+        return id;
+    }
+
+    /**
+     * ノード数が上限を超えた場合、元に戻す/やり直しでたどれない枝を古い葉から削る
+     * @private
+     */
+    _pruneHistoryTree(maxNodes = MAX_HISTORY_NODES) {
+        if (this.historyNodes.size <= maxNodes) return;
+
+        // 初期状態から現在のノードまでと、やり直しで進む先は残す
+        const kept = new Set(this._getHistoryPath(this.currentHistoryId));
+        let node = this.historyNodes.get(this.currentHistoryId);
+        while (node && node.activeChildId !== null && !kept.has(node.activeChildId)) {
+            kept.add(node.activeChildId);
+            node = this.historyNodes.get(node.activeChildId);
+        }
+
+        while (this.historyNodes.size > maxNodes) {
+            let oldest = null;
+            this.historyNodes.forEach(candidate => {
+                if (kept.has(candidate.id) || candidate.children.length > 0) return;
+                if (!oldest || candidate.timestamp < oldest.timestamp ||
+                    (candidate.timestamp === oldest.timestamp && candidate.id < oldest.id)) {
+                    oldest = candidate;
+                }
+            });
+            if (!oldest) break;
+
+            const parent = this.historyNodes.get(oldest.parentId);
+            if (parent) {
+                parent.children = parent.children.filter(id => id !== oldest.id);
+                if (parent.activeChildId === oldest.id) {
+                    parent.activeChildId = parent.children.length > 0 ? parent.children[parent.children.length - 1] : null;
+                }
+            }
+            this.historyNodes.delete(oldest.id);
+        }
+    }
+
+    /**
+     * 元に戻す/やり直しのスタックから履歴の木を作り直す
+     * スタックを外部で差し替えた場合（自動保存からの復元など）に呼び出す
+     */
+    rebuildHistoryTree() {
+        this._resetHistoryTree();
+        this.undoStack.forEach(action => this._appendHistoryNode(action));
+
+        // やり直しの枝を現在のノードの先につなげる
+        const currentId = this.currentHistoryId;
+        for (let i = this.redoStack.length - 1; i >= 0; i--) {
+            this._appendHistoryNode(this.redoStack[i]);
+        }
+        this.currentHistoryId = currentId;
+        this._notifyHistoryChanged();
+    }
+
+    /**
+     * 履歴の木を取得する
+     * @returns {Object} { nodes: ノードの配列（作成順）, currentId: 現在の状態のノードID }
+     */
+    getHistoryTree() {
+        return {
+            nodes: Array.from(this.historyNodes.values()),
+            currentId: this.currentHistoryId
+        };
+    }
+
+    /**
+     * 保存しておいた履歴の木を設定する（スタックを設定した後に呼び出す）
+     * スタック上のアクションと食い違う場合はスタックから作り直す
+     * @param {Object} tree - { nodes: [{ id, parentId, activeChildId, timestamp, action }], currentId }
+     * @returns {boolean} 設定できたかどうか
+     */
+    setHistoryTree(tree) {
+        const stackActions = new Map();
+        [...this.undoStack, ...this.redoStack].forEach(action => {
+            if (action && action.historyId !== undefined) stackActions.set(action.historyId, action);
+        });
+
+        const nodes = new Map();
+        let valid = !!tree && Array.isArray(tree.nodes);
+        if (valid) {
+            tree.nodes.forEach(entry => {
+                const action = entry.id === 0 ? null : (entry.action || stackActions.get(entry.id));
+                if (entry.id !== 0 && !action) valid = false;
+                nodes.set(entry.id, {
+                    id: entry.id,
+                    parentId: entry.parentId,
+                    action,
+                    children: [],
+                    activeChildId: entry.activeChildId ?? null,
+                    timestamp: entry.timestamp || Date.now()
+                });
+            });
+            nodes.forEach(node => {
+                if (node.id === 0) return;
+                const parent = nodes.get(node.parentId);
+                if (parent) {
+                    parent.children.push(node.id);
+                } else {
+                    valid = false;
+                }
+            });
+            valid = valid && nodes.has(0) && nodes.has(tree.currentId) &&
+                this._getHistoryPath(tree.currentId, nodes).length === this.undoStack.length + 1;
+        }
+
+        if (!valid) {
+            this.rebuildHistoryTree();
+            return false;
+        }
+
+        nodes.forEach(node => node.children.sort((a, b) => a - b));
+        this.historyNodes = nodes;
+        this.currentHistoryId = tree.currentId;
+        this.nextHistoryId = Math.max(...nodes.keys()) + 1;
+        this._pruneHistoryTree();
+        this._notifyHistoryChanged();
+        return true;
+    }
+
+    /**
+     * 初期状態からノードまでのIDの列を取得する
+     * @private
+     */
+    _getHistoryPath(id, nodes = this.historyNodes) {
+        const path = [];
+        let node = nodes.get(id);
+        while (node) {
+            path.unshift(node.id);
+            if (node.parentId === null || path.length > nodes.size) break;
+            node = nodes.get(node.parentId);
+        }
+        return path;
+    }
+
+    /**
+     * 元に戻す/やり直しで現在のノードを移動する
+     * 元に戻す/やり直しの処理で書き換わるアクション（新しい曲線の参照など）をノードにも反映する
+     * @private
+     */
+    _moveHistoryPointer(action, direction) {
+        const node = this.historyNodes.get(action.historyId);
+        if (!node) {
+            // スタックと木が食い違っている場合は作り直す
+            this.rebuildHistoryTree();
+            return;
+        }
+        node.action = action;
+        // 最後に通った枝をやり直しの続きとして覚えておく
+        const parent = this.historyNodes.get(node.parentId);
+        if (parent) parent.activeChildId = node.id;
+        this.currentHistoryId = direction === 'undo' ? node.parentId : node.id;
+    }
+
+    /**
+     * 履歴の変更を通知する
+     * @private
+     */
+    _notifyHistoryChanged() {
+        document.dispatchEvent(new CustomEvent('historyChanged', {
+            detail: { currentId: this.currentHistoryId }
+        }));
+    }
+
+    /**
+     * アクションのタイプに応じて必要なデータを保存する
+     * @private
+     */
+    _prepareAction(action) {
         switch (action.type) {
             case 'add':
                 if (action.curve && action.curve.graphCurve) {
@@ -165,16 +431,13 @@ export class HistoryManager {
                     console.warn('HistoryManager.addAction: moveCurve action without delta is deprecated');
                 }
                 break;
-        }
 
-        // アクションのディープコピーを作成
-        const actionCopy = this._deepCopy(action);
-        this.undoStack.push(actionCopy);
-        this.redoStack = [];
-
-        // 新しい履歴が追加されたらSaveGraphManagerの状態をリセット
-        if (this.saveGraphManager) {
-            this.saveGraphManager.resetSaveState();
+            case 'batch':
+                // まとめて記録した各操作にも同じ前処理を行う
+                if (Array.isArray(action.actions)) {
+                    action.actions.forEach(subAction => this._prepareAction(subAction));
+                }
+                break;
         }
     }
 
@@ -195,6 +458,7 @@ export class HistoryManager {
         const action = this.undoStack.pop();
         const actionCopy = this._deepCopy(action);
         this.redoStack.push(actionCopy);
+        this._moveHistoryPointer(actionCopy, 'undo');
         return actionCopy;
     }
 
@@ -206,6 +470,7 @@ export class HistoryManager {
         const action = this.redoStack.pop();
         const actionCopy = this._deepCopy(action);
         this.undoStack.push(actionCopy);
+        this._moveHistoryPointer(actionCopy, 'redo');
         return actionCopy;
     }
 
@@ -223,6 +488,12 @@ export class HistoryManager {
         return this.redoStack.length === 0;
     }
 
+    // 実行中の手書きの曲線の近似を中止する（中止したかどうかを返す）
+    _cancelPendingApproximation() {
+        return !!(this.curveManager && typeof this.curveManager.cancelPendingApproximation === 'function' &&
+            this.curveManager.cancelPendingApproximation());
+    }
+
     /**
      * Undoスタックの最後の要素を返す（削除はしない）
      */
@@ -233,14 +504,104 @@ export class HistoryManager {
 
     /**
      * 元に戻す処理
+     * 近似中の曲線があれば、その曲線の追加を取り消したものとして近似の中止だけを行う
      */
     undo() {
+        if (this._cancelPendingApproximation()) return;
+
         const action = this.getUndoAction();
         if (!action) return;
 
         // 現在選択中の曲線IDを記録
         const currentSelectedId = this.uiManager.settings.selectCurveId;
 
+        this._undoAction(action);
+        this._reassignCurveIds();
+        this._refreshAfterHistoryChange(currentSelectedId);
+    }
+
+    /**
+     * 元に戻す/やり直しの後、曲線の表示を更新する
+     * @private
+     */
+    _refreshAfterHistoryChange(currentSelectedId) {
+        // 現在選択中の曲線がある場合、強調表示をリセット
+        if (currentSelectedId !== null && currentSelectedId < this.curveManager.curves.length) {
+            this.curveManager.delEmphasisCurve();
+            this.curveManager.emphasisCurve(currentSelectedId);
+        }
+
+        this.curveManager.updateCurveList();
+        this.curveManager.redrawCurves();
+
+        // SaveGraphManagerの状態を更新
+        if (this.saveGraphManager) {
+            this.saveGraphManager.updateSaveButtonState();
+        }
+        this._notifyHistoryChanged();
+    }
+
+    /**
+     * 曲線IDを配列の位置に合わせて再割り当てする
+     * @private
+     */
+    _reassignCurveIds() {
+        this.curveManager.curves.forEach((curve, index) => {
+            if (curve) {
+                curve.id = index;
+            }
+        });
+    }
+
+    /**
+     * 履歴の木の任意のノードの状態へ移動する
+     * 共通の祖先まで元に戻してから、目的のノードまでやり直す
+     * @param {number} targetId - 移動先のノードID（0 は初期状態）
+     * @returns {boolean} 移動したかどうか
+     */
+    jumpToHistory(targetId) {
+        if (!this.historyNodes.has(targetId) || targetId === this.currentHistoryId) return false;
+        this._cancelPendingApproximation();
+
+        const currentSelectedId = this.uiManager.settings.selectCurveId;
+        const targetPath = this._getHistoryPath(targetId);
+        const targetSet = new Set(targetPath);
+
+        while (!targetSet.has(this.currentHistoryId)) {
+            const action = this.getUndoAction();
+            if (!action) break;
+            this._undoAction(action);
+            this._reassignCurveIds();
+        }
+
+        const index = targetPath.indexOf(this.currentHistoryId);
+        if (index !== -1) {
+            // 目的のノードの先も続けてやり直せるよう、最後に選ばれていた枝までたどる
+            const forward = targetPath.slice(index + 1);
+            let node = this.historyNodes.get(targetId);
+            while (node && node.activeChildId !== null && this.historyNodes.has(node.activeChildId)) {
+                forward.push(node.activeChildId);
+                node = this.historyNodes.get(node.activeChildId);
+            }
+            this.redoStack = forward.reverse().map(id => this._deepCopy(this.historyNodes.get(id).action));
+
+            while (this.currentHistoryId !== targetId) {
+                const action = this.getRedoAction();
+                if (!action) break;
+                this._redoAction(action);
+                this._reassignCurveIds();
+            }
+        }
+
+        this._refreshAfterHistoryChange(currentSelectedId);
+        return this.currentHistoryId === targetId;
+    }
+
+    /**
+     * 1つのアクションを元に戻す
+     * @private
+     */
+    _undoAction(action) {
         switch (action.type) {
             case 'add':
                 // パスの削除
@@ -306,6 +667,13 @@ export class HistoryManager {
                             }
                         }
 
+                        // 点オブジェクトは印を描き直す
+                        if (action.curve.type === 'point') {
+                            this.curveManager.renderPointMarker(action.index);
+                        }
+                        // 塗りつぶしを描き直す
+                        this.curveManager.applyCurveFill(action.index);
+
                         // 詳細表示状態を復元
                         if (action.isHidden !== undefined) {
                             this.curveManager.setCurveVisibility(action.index, !action.isHidden);
@@ -410,6 +778,12 @@ export class HistoryManager {
                                 curve.graphCurve = newCurve;
                             }
                         }
+                        if (curve && curve.type === 'point') {
+                            this.curveManager.renderPointMarker(curve.id);
+                        }
+                        if (curve) {
+                            this.curveManager.applyCurveFill(curve.id);
+                        }
                     });
                 }
 
@@ -580,6 +954,7 @@ export class HistoryManager {
                     }
 
                     this.curveManager.updateEquationsContainer(action.id);
+                    this.curveManager.syncSymmetryCopies(action.id);
                 }
                 break;
 
@@ -591,27 +966,72 @@ export class HistoryManager {
                     window.GraPen.setKnotCountSliderValue(id, oldV, true);
                 }
                 break;
-        }
 
-        // IDを再割り当て
-        this.curveManager.curves.forEach((curve, index) => {
-            if (curve) {
-                curve.id = index;
-            }
-        });
+            case 'knotEdit':
+                // 節点の削除・追加・移動を元に戻す
+                if (action.id !== undefined && action.oldState) {
+                    this.curveManager.restoreKnotState(action.id, action.oldState);
+                }
+                break;
 
-        // 現在選択中の曲線がある場合、強調表示をリセット
-        if (currentSelectedId !== null && currentSelectedId < this.curveManager.curves.length) {
-            this.curveManager.delEmphasisCurve();
-            this.curveManager.emphasisCurve(currentSelectedId);
-        }
+            case 'transformCurve':
+                // 拡大縮小・回転・反転を元に戻す
+                if (action.id !== undefined && action.oldState) {
+                    this.curveManager.restoreShapeState(action.id, action.oldState);
+                }
+                break;
 
-        this.curveManager.updateCurveList();
-        this.curveManager.redrawCurves();
+            case 'equationForm':
+                // 数式の表し方（y = f(x) / ベジェ曲線）を元に戻す
+                if (action.id !== undefined && action.oldState) {
+                    this.curveManager.restoreShapeState(action.id, action.oldState);
+                }
+                break;
 
-        // SaveGraphManagerの状態を更新
-        if (this.saveGraphManager) {
-            this.saveGraphManager.updateSaveButtonState();
+            case 'equationEdit':
+                // 数式カードでの数式の編集を元に戻す
+                if (action.id !== undefined && action.oldState) {
+                    this.curveManager.restoreShapeState(action.id, action.oldState);
+                }
+                break;
+
+            case 'reapproximate':
+                // 近似の候補の切り替えを元に戻す
+                if (action.id !== undefined && action.oldState) {
+                    this.curveManager.restoreShapeState(action.id, action.oldState);
+                }
+                break;
+
+            case 'pointShape':
+                // 点オブジェクトの形状を元に戻す
+                if (action.id !== undefined && action.oldShape) {
+                    this.curveManager.setPointShape(action.id, action.oldShape, { recordHistory: false });
+                }
+                break;
+
+            case 'fill':
+                // 閉じた曲線の塗りつぶしを元に戻す
+                if (action.id !== undefined) {
+                    this.curveManager.setCurveFill(action.id, action.oldFill, { recordHistory: false });
+                }
+                break;
+
+            case 'folder':
+                // フォルダと曲線の並び順を元に戻す
+                this.curveManager.restoreFolderState(action.oldState);
+                break;
+
+            case 'symmetryLink':
+                // 対称描画の写しを元の曲線に結び直す
+                if (action.id !== undefined) {
+                    this.curveManager.setSymmetrySource(action.id, action.oldLink);
+                }
+                break;
+
+            case 'batch':
+                // まとめて記録した操作を逆順に元に戻す
+                [...(action.actions || [])].reverse().forEach(subAction => this._undoAction(subAction));
+                break;
         }
     }
 
@@ -621,10 +1041,21 @@ export class HistoryManager {
     redo() {
         const action = this.getRedoAction();
         if (!action) return;
+        this._cancelPendingApproximation();
 
         // 現在選択中の曲線IDを記録
         const currentSelectedId = this.uiManager.settings.selectCurveId;
 
+        this._redoAction(action);
+        this._reassignCurveIds();
+        this._refreshAfterHistoryChange(currentSelectedId);
+    }
+
+    /**
+     * 1つのアクションをやり直す
+     * @private
+     */
+    _redoAction(action) {
         switch (action.type) {
             case 'add':
                 // action.curve.idが有効かチェック
@@ -682,6 +1113,13 @@ export class HistoryManager {
                         });
                     }
 
+                    // 点オブジェクトは印を描き直す
+                    if (action.curve.type === 'point') {
+                        this.curveManager.renderPointMarker(action.curve.id);
+                    }
+                    // 塗りつぶしを描き直す
+                    this.curveManager.applyCurveFill(action.curve.id);
+
                     this.uiManager.settings.nextCurveId++;
                 }
                 break;
@@ -960,6 +1398,7 @@ export class HistoryManager {
                     }
 
                     this.curveManager.updateEquationsContainer(action.id);
+                    this.curveManager.syncSymmetryCopies(action.id);
                 }
                 break;
 
@@ -972,27 +1411,71 @@ export class HistoryManager {
                 }
                 break;
 
-        }
+            case 'knotEdit':
+                // 節点の削除・追加・移動を再適用する
+                if (action.id !== undefined && action.newState) {
+                    this.curveManager.restoreKnotState(action.id, action.newState);
+                }
+                break;
 
-        // IDを再割り当て
-        this.curveManager.curves.forEach((curve, index) => {
-            if (curve) {
-                curve.id = index;
-            }
-        });
+            case 'transformCurve':
+                // 拡大縮小・回転・反転を再適用する
+                if (action.id !== undefined && action.newState) {
+                    this.curveManager.restoreShapeState(action.id, action.newState);
+                }
+                break;
 
-        // 現在選択中の曲線がある場合、強調表示をリセット
-        if (currentSelectedId !== null && currentSelectedId < this.curveManager.curves.length) {
-            this.curveManager.delEmphasisCurve();
-            this.curveManager.emphasisCurve(currentSelectedId);
-        }
+            case 'equationForm':
+                // 数式の表し方の切り替えをやり直す
+                if (action.id !== undefined && action.newState) {
+                    this.curveManager.restoreShapeState(action.id, action.newState);
+                }
+                break;
 
-        this.curveManager.updateCurveList();
-        this.curveManager.redrawCurves();
+            case 'equationEdit':
+                // 数式カードでの数式の編集をやり直す
+                if (action.id !== undefined && action.newState) {
+                    this.curveManager.restoreShapeState(action.id, action.newState);
+                }
+                break;
 
-        // SaveGraphManagerの状態を更新
-        if (this.saveGraphManager) {
-            this.saveGraphManager.updateSaveButtonState();
+            case 'reapproximate':
+                // 近似の候補の切り替えをやり直す
+                if (action.id !== undefined && action.newState) {
+                    this.curveManager.restoreShapeState(action.id, action.newState);
+                }
+                break;
+
+            case 'pointShape':
+                // 点オブジェクトの形状の変更をやり直す
+                if (action.id !== undefined && action.newShape) {
+                    this.curveManager.setPointShape(action.id, action.newShape, { recordHistory: false });
+                }
+                break;
+
+            case 'fill':
+                // 閉じた曲線の塗りつぶしの変更をやり直す
+                if (action.id !== undefined) {
+                    this.curveManager.setCurveFill(action.id, action.newFill, { recordHistory: false });
+                }
+                break;
+
+            case 'folder':
+                // フォルダの変更をやり直す
+                this.curveManager.restoreFolderState(action.newState);
+                break;
+
+            case 'symmetryLink':
+                // 対称描画の写しの切り離しをやり直す
+                if (action.id !== undefined) {
+                    this.curveManager.setSymmetrySource(action.id, action.newLink);
+                }
+                break;
+
+            case 'batch':
+                // まとめて記録した操作を記録順にやり直す
+                (action.actions || []).forEach(subAction => this._redoAction(subAction));
+                break;
         }
     }
 }
@@ -0,0 +1,240 @@
+/**
+ * 元に戻す/やり直しの履歴を JSON で保存できる形に変換し、読み込み後の曲線に結び付け直す
+ *
+ * 履歴のアクションは曲線のパス（d3 選択）や GraphCalculator の曲線オブジェクトを参照で持つため、
+ * 同じ参照は表（paths / graphCurves）にまとめて番号で置き換える。
+ * 復元時、保存時点で表示されていたものは読み込み直した曲線に、それ以外は切り離された要素に置き換える。
+ */
+
+// d3 の選択オブジェクトかどうか
+function isSelection(value) {
+    return typeof value.node === 'function' && Array.isArray(value._groups);
+}
+
+// GraphCalculator の曲線オブジェクトかどうか
+function isGraphCurve(value) {
+    return typeof SVGElement !== 'undefined' && value.path instanceof SVGElement && 'originalData' in value;
+}
+
+// DOM 要素の属性を名前と値の組にする
+function readAttributes(node) {
+    const attributes = {};
+    if (node && node.attributes) {
+        Array.from(node.attributes).forEach(attr => {
+            attributes[attr.name] = attr.value;
+        });
+    }
+    return attributes;
+}
+
+function encodeValue(value, context, ancestors) {
+    if (value === null || value === undefined) return value;
+    if (typeof value === 'function') return undefined;
+    if (typeof value !== 'object') return value;
+    if (typeof Node !== 'undefined' && value instanceof Node) return undefined;
+    // 循環参照は保存しない
+    if (ancestors.has(value)) return undefined;
+
+    if (isSelection(value)) return { $path: encodePath(value, context) };
+    if (isGraphCurve(value)) return { $graphCurve: encodeGraphCurve(value, context) };
+
+    ancestors.add(value);
+    let encoded;
+    if (Array.isArray(value)) {
+        encoded = value.map(item => {
+            const result = encodeValue(item, context, ancestors);
+            return result === undefined ? null : result;
+        });
+    } else {
+        encoded = {};
+        Object.keys(value).forEach(key => {
+            const result = encodeValue(value[key], context, ancestors);
+            if (result !== undefined) encoded[key] = result;
+        });
+    }
+    ancestors.delete(value);
+    return encoded;
+}
+
+function encodePath(selection, context) {
+    const node = selection.node();
+    if (context.pathIndex.has(node)) return context.pathIndex.get(node);
+
+    // 表示中の曲線のパスなら、その曲線の GraphCalculator 上のIDで結び付ける
+    const owner = context.curveManager.curves.find(curve =>
+        curve && curve.path && typeof curve.path.node === 'function' && curve.path.node() === node);
+    const index = context.paths.length;
+    context.paths.push({
+        graphCurveId: owner && owner.graphCurve ? String(owner.graphCurve.id) : null,
+        attributes: readAttributes(node)
+    });
+    context.pathIndex.set(node, index);
+    return index;
+}
+
+function encodeGraphCurve(graphCurve, context) {
+    if (context.graphCurveIndex.has(graphCurve)) return context.graphCurveIndex.get(graphCurve);
+
+    const index = context.graphCurves.length;
+    context.graphCurveIndex.set(graphCurve, index);
+    // 表に登録してから中身を変換する（点から曲線への参照があっても循環しない）
+    const entry = {
+        live: context.graphCalculator.getCurve(graphCurve.id) === graphCurve,
+        id: graphCurve.id,
+        originalData: graphCurve.originalData,
+        color: graphCurve.color,
+        width: graphCurve.width,
+        opacity: graphCurve.opacity,
+        strokeDasharray: graphCurve.strokeDasharray,
+        points: []
+    };
+    context.graphCurves.push(entry);
+    entry.points = encodeValue(graphCurve.points || [], context, new Set([graphCurve]));
+    return index;
+}
+
+function decodeValue(value, context) {
+    if (value === null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(item => decodeValue(item, context));
+    if (typeof value.$path === 'number') return decodePath(value.$path, context);
+    if (typeof value.$graphCurve === 'number') return decodeGraphCurve(value.$graphCurve, context);
+
+    const decoded = {};
+    Object.keys(value).forEach(key => {
+        decoded[key] = decodeValue(value[key], context);
+    });
+    return decoded;
+}
+
+function decodePath(index, context) {
+    if (context.pathCache.has(index)) return context.pathCache.get(index);
+
+    const entry = context.data.paths[index] || {};
+    let selection = null;
+    if (entry.graphCurveId !== null && entry.graphCurveId !== undefined) {
+        const owner = context.curveManager.curves.find(curve =>
+            curve && curve.graphCurve && String(curve.graphCurve.id) === entry.graphCurveId);
+        if (owner) selection = owner.path;
+    }
+    if (!selection) {
+        // 削除済みの曲線のパスは、やり直しで追加し直せるよう切り離した要素として作る
+        selection = d3.create('svg:path');
+        Object.entries(entry.attributes || {}).forEach(([name, attrValue]) => {
+            selection.attr(name, attrValue);
+        });
+    }
+    context.pathCache.set(index, selection);
+    return selection;
+}
+
+function decodeGraphCurve(index, context) {
+    if (context.graphCurveCache.has(index)) return context.graphCurveCache.get(index);
+
+    const entry = context.data.graphCurves[index] || {};
+    let graphCurve = entry.live ? context.graphCalculator.getCurve(entry.id) : null;
+    if (!graphCurve) {
+        graphCurve = {
+            id: entry.id,
+            originalData: entry.originalData,
+            color: entry.color,
+            width: entry.width,
+            opacity: entry.opacity,
+            strokeDasharray: entry.strokeDasharray,
+            points: []
+        };
+        context.graphCurveCache.set(index, graphCurve);
+        graphCurve.points = decodeValue(entry.points || [], context);
+        return graphCurve;
+    }
+    context.graphCurveCache.set(index, graphCurve);
+    return graphCurve;
+}
+
+/**
+ * 履歴を JSON で保存できる形に変換する
+ * @param {HistoryManager} historyManager - 履歴管理
+ * @param {CurveManager} curveManager - 表示中の曲線の判定に使う
+ * @param {GraphCalculator} graphCalculator - 表示中の曲線の判定に使う
+ * @returns {Object} { undoStack, redoStack, tree, paths, graphCurves }
+ */
+export function serializeHistory(historyManager, curveManager, graphCalculator) {
+    const context = {
+        curveManager,
+        graphCalculator,
+        paths: [],
+        pathIndex: new Map(),
+        graphCurves: [],
+        graphCurveIndex: new Map()
+    };
+    const encodeStack = (stack) => (stack || []).map(action => encodeValue(action, context, new Set()));
+    const undoStack = encodeStack(historyManager.undoStack);
+    const redoStack = encodeStack(historyManager.redoStack);
+
+    // 履歴の木（スタックにあるアクションは重複して保存せず、IDで結び付ける）
+    let tree = null;
+    if (typeof historyManager.getHistoryTree === 'function') {
+        const stackIds = new Set([...historyManager.undoStack, ...historyManager.redoStack]
+            .map(action => action && action.historyId));
+        const { nodes, currentId } = historyManager.getHistoryTree();
+        tree = {
+            currentId,
+            nodes: nodes.map(node => {
+                const entry = {
+                    id: node.id,
+                    parentId: node.parentId,
+                    activeChildId: node.activeChildId,
+                    timestamp: node.timestamp
+                };
+                if (node.action && !stackIds.has(node.id)) {
+                    entry.action = encodeValue(node.action, context, new Set());
+                }
+                return entry;
+            })
+        };
+    }
+
+    return {
+        undoStack,
+        redoStack,
+        tree,
+        paths: context.paths,
+        graphCurves: context.graphCurves
+    };
+}
+
+/**
+ * serializeHistory で保存した履歴を復元する
+ * 曲線を読み込み直した後（履歴をリセットした後）に呼び出す
+ * @param {Object} data - serializeHistory の戻り値
+ * @param {HistoryManager} historyManager - 復元先の履歴管理
+ * @param {CurveManager} curveManager - 読み込み直した曲線
+ * @param {GraphCalculator} graphCalculator - 読み込み直した曲線
+ * @returns {boolean} 復元できたかどうか
+ */
+export function restoreHistory(data, historyManager, curveManager, graphCalculator) {
+    if (!data || !Array.isArray(data.undoStack) || !Array.isArray(data.redoStack)) return false;
+
+    const context = {
+        data: { paths: data.paths || [], graphCurves: data.graphCurves || [] },
+        curveManager,
+        graphCalculator,
+        pathCache: new Map(),
+        graphCurveCache: new Map()
+    };
+
+    historyManager.undoStack = data.undoStack.map(action => decodeValue(action, context));
+    historyManager.redoStack = data.redoStack.map(action => decodeValue(action, context));
+
+    if (data.tree && Array.isArray(data.tree.nodes)) {
+        historyManager.setHistoryTree({
+            currentId: data.tree.currentId,
+            nodes: data.tree.nodes.map(entry => ({
+                ...entry,
+                action: entry.action ? decodeValue(entry.action, context) : undefined
+            }))
+        });
+    } else {
+        historyManager.rebuildHistoryTree();
+    }
+    return true;
+}
@@ -0,0 +1,200 @@
+import { DesmosIO } from './DesmosIO.js';
+import { SAVE_DATA_VERSION } from '../graph/GraphSaveUtils.js';
+import { detectFormulaType } from '../util/NumberUtil.js';
+
+// 直線系の式（複数あれば折れ線の曲線にまとめる）
+const LINEAR_EQUATION_TYPES = new Set(['linear', 'constant', 'vertical']);
+
+// 翻訳キー付きのエラー（メッセージは翻訳がない場合に表示する日本語）
+function importError(message, i18nKey, i18nParams = {}) {
+    const error = new Error(message);
+    error.i18nKey = i18nKey;
+    error.i18nParams = i18nParams;
+    return error;
+}
+
+// エラーの内容を結果に写す（翻訳キーのないエラーはメッセージだけ）
+function setErrorResult(result, error) {
+    result.message = error.message;
+    result.i18nKey = error.i18nKey || null;
+    result.i18nParams = error.i18nParams || {};
+    return result;
+}
+
+// 貼り付けられた式の配列から曲線タイプを決める
+function resolveEquationsType(equations) {
+    equations.forEach(eq => {
+        if (!eq.type || eq.type === 'unknown') {
+            eq.type = detectFormulaType(eq.formula);
+        }
+    });
+    const first = equations[0];
+    if (LINEAR_EQUATION_TYPES.has(first.type) && equations.length > 1) {
+        return equations.every(eq => LINEAR_EQUATION_TYPES.has(eq.type)) ? 'piecewiseLinear' : 'parametric';
+    }
+    return first.type;
+}
+
+// latexEquations の配列を検証してコピーを返す（不正な場合は Error）
+function normalizeLatexEquations(equations) {
+    if (equations.length === 0) {
+        throw importError('latexEquations が空です', 'alert.import.empty_equations');
+    }
+    return equations.map((eq, index) => {
+        if (!eq || typeof eq !== 'object' || typeof eq.formula !== 'string' || !eq.formula.trim()) {
+            throw importError(`${index + 1}番目の式に formula がありません`, 'alert.import.missing_formula', { index: index + 1 });
+        }
+        return { ...eq };
+    });
+}
+
+// GraPen の保存形式の曲線データを検証する（不正な場合は Error）
+function validateGraPenCurves(curves) {
+    curves.forEach((curve, index) => {
+        if (!curve || typeof curve !== 'object') {
+            throw importError(`${index + 1}番目の曲線データが不正です`, 'alert.import.invalid_curve', { index: index + 1 });
+        }
+        if (curve.id === undefined || curve.id === null || curve.id === '') {
+            throw importError(`${index + 1}番目の曲線に id がありません`, 'alert.import.missing_id', { index: index + 1 });
+        }
+        const hasPath = (typeof curve.data === 'string' && curve.data.length > 0) || Array.isArray(curve.data);
+        const hasEquations = Array.isArray(curve.latexEquations) && curve.latexEquations.length > 0;
+        const hasApproximation = !!(curve.approximationData && curve.approximationData.svgPath);
+        if (!hasPath && !hasEquations && !hasApproximation) {
+            throw importError(`曲線 ${curve.id} に描画できるデータがありません`, 'alert.import.no_drawable_data', { id: curve.id });
+        }
+        if (hasEquations) {
+            normalizeLatexEquations(curve.latexEquations);
+        }
+    });
+}
+
+// 曲線データの配列を GraPen の保存形式にまとめる
+function toGraPenData(curves, folders = []) {
+    const data = {
+        version: SAVE_DATA_VERSION,
+        timestamp: new Date().toISOString(),
+        curves: curves.map((curve, index) => ({ ...curve, id: String(index) }))
+    };
+    if (folders.length > 0) {
+        data.folders = folders;
+    }
+    return data;
+}
+
+export class ClipboardIO {
+
+    /**
+     * 貼り付けられたテキストが読み込み対象（JSON）らしいかを判定する
+     * 数式のLaTeXなど、関係のない貼り付けを横取りしないために使う
+     * @param {string} text
+     * @returns {boolean}
+     */
+    static looksLikeImportText(text) {
+        if (typeof text !== 'string') return false;
+        const trimmed = text.trim();
+        return trimmed.startsWith('{') || trimmed.startsWith('[');
+    }
+
+    /**
+     * 貼り付けられたテキストを解析し、loadGraphFromJSON で読み込める GraPen の保存形式に変換する
+     * GraPen の保存JSON・Desmos の State Object（式のコピーを含む）・latexEquations の配列に対応する
+     * @param {string|Object} source 貼り付けられたテキスト（または解析済みのJSON）
+     * @param {Object} options { viewport: Desmos の式に範囲がない場合に使う範囲 {xmin, xmax, ymin, ymax} }
+     * @returns {{success: boolean, message: string, i18nKey: string|null, i18nParams: Object, format: string|null, data: Object|null, unsupported: Array}}
+     */
+    static parseImportText(source, options = {}) {
+        const result = { success: false, message: '', i18nKey: null, i18nParams: {}, format: null, data: null, unsupported: [] };
+
+        let json = source;
+        if (typeof source === 'string') {
+            if (!source.trim()) {
+                return setErrorResult(result, importError('貼り付けられたデータが空です', 'alert.import.empty'));
+            }
+            try {
+                json = JSON.parse(source);
+            } catch (error) {
+                return setErrorResult(result, importError(`JSONとして解析できません: ${error.message}`,
+                    'alert.import.invalid_json', { error: error.message }));
+            }
+        }
+
+        try {
+            if (Array.isArray(json)) {
+                // Desmos でコピーした式（フォルダと式の配列）
+                if (json.some(item => item && (item.type === 'expression' || item.type === 'folder'))) {
+                    return ClipboardIO.#fromDesmosState({ expressions: { list: json } }, options, result);
+                }
+                // latexEquations の配列
+                const equations = normalizeLatexEquations(json);
+                result.format = 'latexEquations';
+                result.data = toGraPenData([{ type: resolveEquationsType(equations), latexEquations: equations }]);
+            } else if (json && typeof json === 'object') {
+                if (json.expressions && Array.isArray(json.expressions.list)) {
+                    return ClipboardIO.#fromDesmosState(json, options, result);
+                }
+                if (Array.isArray(json.curves)) {
+                    if (!json.version) {
+                        throw importError('GraPen のJSONにバージョン情報がありません', 'alert.import.missing_version');
+                    }
+                    validateGraPenCurves(json.curves);
+                    result.format = 'grapen';
+                    result.data = json;
+                } else if (Array.isArray(json.latexEquations)) {
+                    // 曲線1本分のデータ（GraPen API の getCurve の結果など）
+                    const equations = normalizeLatexEquations(json.latexEquations);
+                    result.format = 'latexEquations';
+                    result.data = toGraPenData([{
+                        type: json.type || resolveEquationsType(equations),
+                        color: json.color,
+                        width: json.size || json.width,
+                        latexEquations: equations
+                    }]);
+                } else {
+                    throw importError('GraPen・Desmos のJSON、または latexEquations の配列ではありません', 'alert.import.unknown_format');
+                }
+            } else {
+                throw importError('GraPen・Desmos のJSON、または latexEquations の配列ではありません', 'alert.import.unknown_format');
+            }
+        } catch (error) {
+            return setErrorResult(result, error);
+        }
+
+        result.success = true;
+        return result;
+    }
+
+    // Desmos の State Object を曲線データに変換する
+    static #fromDesmosState(state, options, result) {
+        let parsed;
+        try {
+            parsed = DesmosIO.parseDesmosState(state, { viewport: options.viewport });
+        } catch (error) {
+            return setErrorResult(result, error);
+        }
+
+        result.format = 'desmos';
+        result.unsupported = parsed.unsupported;
+        if (parsed.curves.length === 0) {
+            return setErrorResult(result, importError('読み込める式がありませんでした', 'alert.import.no_equations'));
+        }
+
+        result.data = toGraPenData(parsed.curves.map(curve => ({
+            type: curve.type,
+            color: curve.color,
+            width: curve.size,
+            latexEquations: curve.latexEquations,
+            originalPoints: curve.originalPoints,
+            knotPoints: curve.knotPoints,
+            strokeDasharray: curve.strokeDasharray,
+            isHidden: curve.isHidden,
+            pointShape: curve.pointShape,
+            closed: curve.closed,
+            fill: curve.fill ? curve.fill.color : null,
+            fillOpacity: curve.fill ? curve.fill.opacity : undefined,
+            folderId: curve.folderId
+        })), parsed.folders);
+        result.success = true;
+        return result;
+    }
+}
@@ -1,3 +1,501 @@
+import { EquationBuilder } from '../util/EquationBuilder.js';
+import { toRPN } from '../util/NumberUtil.js';
+import {
+    combineValues,
+    compileLatexExpression,
+    evaluateLatexConstant,
+    inferDecimals,
+    normalizeLatex,
+    requireScalar,
+    splitRestrictions
+} from '../util/LatexExpression.js';
+import { POINT_OBJECT_SIZE_RATIO } from '../graph/PointShapes.js';
+
+const TWO_PI = Math.PI * 2;
+const IMPORT_TOLERANCE = 1e-6;
+const IMPORT_SAMPLE_COUNT = 40;
+const DEFAULT_LINE_WIDTH = 2.5;
+const POLYGON_SAMPLE_COUNT = 96;
+const POLYGON_DECIMALS = 4;
+// Desmos で fillOpacity を省略した polygon の塗りつぶしの不透明度
+const DESMOS_FILL_OPACITY = 0.4;
+
+// Desmos の lineStyle と GraPen の strokeDasharray の対応
+const DESMOS_DASH_PATTERNS = {
+    DASHED: '12 8',
+    DOTTED: '2 8'
+};
+
+// Desmos の pointStyle と GraPen の点オブジェクトの形状の対応
+const DESMOS_POINT_SHAPES = {
+    POINT: 'circle',
+    OPEN: 'hollowCircle',
+    CROSS: 'cross'
+};
+
+// 1つの曲線にまとめられる数式タイプの系統（null は単独の曲線として扱う）
+const EQUATION_FAMILIES = {
+    linear: 'linear',
+    constant: 'linear',
+    vertical: 'linear',
+    quadratic: 'quadratic',
+    quadraticBezier: 'quadraticBezier',
+    cubicBezier: 'cubicBezier',
+    arc: 'arc',
+    circle: null,
+    ellipse: null,
+    point: null
+};
+
+// 数値同士の比較（相対誤差）
+function approxEqual(actual, expected, tolerance = IMPORT_TOLERANCE) {
+    if (!Number.isFinite(actual) || !Number.isFinite(expected)) return false;
+    return Math.abs(actual - expected) <= tolerance * Math.max(1, Math.abs(actual), Math.abs(expected));
+}
+
+function approxEqualPoint(actual, expected, tolerance = IMPORT_TOLERANCE) {
+    return Array.isArray(actual) && Array.isArray(expected) &&
+        approxEqual(actual[0], expected[0], tolerance) &&
+        approxEqual(actual[1], expected[1], tolerance);
+}
+
+// 制限と表示範囲から有限の区間を決める
+function resolveRange(restriction, fallbackMin, fallbackMax) {
+    const min = restriction && restriction.min != null ? restriction.min : fallbackMin;
+    const max = restriction && restriction.max != null ? restriction.max : fallbackMax;
+    if (!Number.isFinite(min) || !Number.isFinite(max) || max <= min) {
+        throw new Error('定義域が空です');
+    }
+    return [min, max];
+}
+
+function sampleRange(start, end, fn, count = IMPORT_SAMPLE_COUNT) {
+    const samples = [];
+    for (let i = 0; i <= count; i++) {
+        const point = fn(start + (end - start) * (i / count));
+        if (Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1])) {
+            samples.push(point);
+        }
+    }
+    return samples;
+}
+
+/**
+ * y = f(x) を一次・二次関数として解釈する
+ */
+function classifyExplicit(fn, restrictions, viewport, decimals) {
+    const evaluate = (x) => requireScalar(fn({ x }));
+    const c = evaluate(0);
+    const plus = evaluate(1);
+    const minus = evaluate(-1);
+    const a = (plus + minus) / 2 - c;
+    const b = (plus - minus) / 2;
+    const polynomial = (x) => a * x * x + b * x + c;
+
+    const verified = [2, -3, 0.5, 7.25, -1.75].every(x => approxEqual(evaluate(x), polynomial(x)));
+    if (!verified) {
+        throw new Error('一次・二次関数以外の関数は未対応です');
+    }
+    if (restrictions.y || restrictions.t) {
+        throw new Error('y や t による制限は未対応です');
+    }
+
+    const domain = resolveRange(restrictions.x, viewport.xmin, viewport.xmax);
+    const sample = (x) => [x, polynomial(x)];
+    let equation;
+    if (Math.abs(a) <= IMPORT_TOLERANCE) {
+        equation = Math.abs(b) <= IMPORT_TOLERANCE
+            ? EquationBuilder.horizontal({ y: c, xRange: domain }, { decimals })
+            : EquationBuilder.linear({ slope: b, intercept: c, point: [domain[0], b * domain[0] + c], domain }, { decimals });
+    } else {
+        const vertexX = -b / (2 * a);
+        equation = EquationBuilder.quadraticVertex({
+            a,
+            vertex: [vertexX, polynomial(vertexX)],
+            domain
+        }, { decimals });
+    }
+    return { equation, samples: sampleRange(domain[0], domain[1], sample) };
+}
+
+/**
+ * x = c を垂直線として解釈する
+ */
+function classifyVertical(fn, restrictions, viewport, decimals) {
+    const x = requireScalar(fn({}));
+    if (restrictions.x || restrictions.t) {
+        throw new Error('垂直線の x や t による制限は未対応です');
+    }
+    const yRange = resolveRange(restrictions.y, viewport.ymin, viewport.ymax);
+    return {
+        equation: EquationBuilder.vertical({ x, yRange }, { decimals }),
+        samples: [[x, yRange[0]], [x, yRange[1]]]
+    };
+}
+
+/**
+ * 媒介変数表示 (x(t), y(t)) をベジェ曲線・円弧・円・楕円として解釈する
+ */
+function classifyParametric(fn, range, decimals) {
+    const [t0, t1] = range;
+    const evaluate = (t) => {
+        const value = fn({ t });
+        if (!Array.isArray(value)) throw new Error('媒介変数表示は点である必要があります');
+        return value;
+    };
+    const lerp = (a, b, s) => [a[0] + (b[0] - a[0]) * s, a[1] + (b[1] - a[1]) * s];
+    const add = (...points) => points.reduce((acc, p) => [acc[0] + p[0], acc[1] + p[1]], [0, 0]);
+    const scale = (p, k) => [p[0] * k, p[1] * k];
+
+    // t を [0, 1] に正規化した多項式（三次以下）としての解釈
+    const atS = (s) => evaluate(t0 + (t1 - t0) * s);
+    const p0 = atS(0);
+    const p3 = atS(1);
+    const q1 = add(scale(atS(1 / 3), 27), scale(p0, -8), scale(p3, -1));
+    const q2 = add(scale(atS(2 / 3), 27), scale(p0, -1), scale(p3, -8));
+    const p1 = scale(add(scale(q1, 2), scale(q2, -1)), 1 / 18);
+    const p2 = scale(add(scale(q2, 2), scale(q1, -1)), 1 / 18);
+    const bezier = (s) => {
+        const r = 1 - s;
+        return add(scale(p0, r * r * r), scale(p1, 3 * r * r * s), scale(p2, 3 * r * s * s), scale(p3, s * s * s));
+    };
+    const isPolynomial = [0.1, 0.27, 0.5, 0.73, 0.9].every(s => approxEqualPoint(atS(s), bezier(s)));
+
+    if (isPolynomial) {
+        if ([p1, p2, p3].every(p => approxEqualPoint(p, p0))) {
+            return {
+                equation: EquationBuilder.point({ point: p0 }, { decimals }),
+                samples: [p0]
+            };
+        }
+        const extent = Math.max(1, ...[p0, p1, p2, p3].map(p => Math.hypot(p[0], p[1])));
+        const cubicTerm = add(scale(p0, -1), scale(p1, 3), scale(p2, -3), p3);
+        if (Math.hypot(...cubicTerm) > IMPORT_TOLERANCE * extent) {
+            return {
+                equation: EquationBuilder.cubicBezier({ p0, p1, p2, p3 }, { decimals }),
+                samples: sampleRange(0, 1, bezier)
+            };
+        }
+        const control = scale(add(scale(p1, 3), scale(p0, -1)), 0.5);
+        const quadraticTerm = add(p0, scale(control, -2), p3);
+        if (Math.hypot(...quadraticTerm) > IMPORT_TOLERANCE * extent) {
+            return {
+                equation: EquationBuilder.quadraticBezier({ p0, p1: control, p2: p3 }, { decimals }),
+                samples: sampleRange(0, 1, bezier)
+            };
+        }
+        return {
+            equation: EquationBuilder.linearThroughPoints(p0, p3, { decimals }),
+            samples: [p0, p3]
+        };
+    }
+
+    // C + U cos t + V sin t としての解釈
+    const center = scale(add(evaluate(0), evaluate(Math.PI)), 0.5);
+    const u = scale(add(evaluate(0), scale(evaluate(Math.PI), -1)), 0.5);
+    const v = scale(add(evaluate(Math.PI / 2), scale(evaluate(Math.PI * 1.5), -1)), 0.5);
+    const trig = (t) => add(center, scale(u, Math.cos(t)), scale(v, Math.sin(t)));
+    const isTrig = [0.3, 1.1, 2.5, 4.0, 5.7].every(t => approxEqualPoint(evaluate(t), trig(t)));
+    if (!isTrig) {
+        throw new Error('ベジェ曲線・円・楕円以外の媒介変数表示は未対応です');
+    }
+
+    const span = Math.abs(t1 - t0);
+    const isFull = span >= TWO_PI - IMPORT_TOLERANCE;
+    const radiusU = Math.hypot(u[0], u[1]);
+    const radiusV = Math.hypot(v[0], v[1]);
+    const isCircular = approxEqual(radiusU, radiusV) &&
+        Math.abs(u[0] * v[0] + u[1] * v[1]) <= IMPORT_TOLERANCE * Math.max(1, radiusU * radiusV);
+    const samples = sampleRange(t0, t1, trig);
+
+    if (isCircular && isFull) {
+        return { equation: EquationBuilder.circle({ center, radius: radiusU }, { decimals }), samples };
+    }
+    if (isCircular) {
+        // 角度が増える向きに揃える
+        const orientation = (u[0] * v[1] - u[1] * v[0]) >= 0 ? 1 : -1;
+        const startPoint = trig(t0);
+        const startAngle = Math.atan2(startPoint[1] - center[1], startPoint[0] - center[0]);
+        const sweep = orientation * (t1 - t0);
+        return {
+            equation: EquationBuilder.arc({
+                center,
+                radius: radiusU,
+                startAngle: Math.min(startAngle, startAngle + sweep),
+                endAngle: Math.max(startAngle, startAngle + sweep),
+                direction: 1
+            }, { decimals }),
+            samples
+        };
+    }
+    if (isFull) {
+        return { equation: EquationBuilder.ellipseFromConjugateAxes({ center, u, v }, { decimals }), samples };
+    }
+    throw new Error('楕円の一部（楕円弧）は未対応です');
+}
+
+/**
+ * 陰関数 F(x, y) = 0 を円・楕円（二次曲線）として解釈する
+ */
+function classifyImplicit(fn, restrictions, decimals) {
+    const evaluate = (x, y) => requireScalar(fn({ x, y }));
+    const f00 = evaluate(0, 0);
+    const a = (evaluate(1, 0) + evaluate(-1, 0)) / 2 - f00;
+    const d = (evaluate(1, 0) - evaluate(-1, 0)) / 2;
+    const c = (evaluate(0, 1) + evaluate(0, -1)) / 2 - f00;
+    const e = (evaluate(0, 1) - evaluate(0, -1)) / 2;
+    const b = evaluate(1, 1) - a - c - d - e - f00;
+    const conic = (x, y) => a * x * x + b * x * y + c * y * y + d * x + e * y + f00;
+
+    const verified = [[0.37, -1.3], [2.1, 0.7], [-1.7, 2.9], [3.3, -2.2]]
+        .every(([x, y]) => approxEqual(evaluate(x, y), conic(x, y)));
+    const determinant = 4 * a * c - b * b;
+    if (!verified || determinant <= 0) {
+        throw new Error('円・楕円以外の陰関数は未対応です');
+    }
+    if (Object.keys(restrictions).length > 0) {
+        throw new Error('制限付きの円・楕円は未対応です');
+    }
+
+    const center = [(b * e - 2 * c * d) / determinant, (b * d - 2 * a * e) / determinant];
+    const level = conic(center[0], center[1]);
+    const rotation = 0.5 * Math.atan2(b, a - c);
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    const lambdaX = a * cos * cos + b * sin * cos + c * sin * sin;
+    const lambdaY = a + c - lambdaX;
+    const radiusX = Math.sqrt(-level / lambdaX);
+    const radiusY = Math.sqrt(-level / lambdaY);
+    if (!Number.isFinite(radiusX) || !Number.isFinite(radiusY) || radiusX <= 0 || radiusY <= 0) {
+        throw new Error('曲線が存在しません');
+    }
+
+    const ellipsePoint = (t) => [
+        center[0] + radiusX * Math.cos(t) * cos - radiusY * Math.sin(t) * sin,
+        center[1] + radiusX * Math.cos(t) * sin + radiusY * Math.sin(t) * cos
+    ];
+    const equation = approxEqual(radiusX, radiusY)
+        ? EquationBuilder.circle({ center, radius: radiusX }, { decimals })
+        : EquationBuilder.ellipse({ center, radiusX, radiusY, rotation }, { decimals });
+    return { equation, samples: sampleRange(0, TWO_PI, ellipsePoint) };
+}
+
+/**
+ * Desmos の式1つを GraPen の数式オブジェクトに変換する
+ * @param {Object} expression - Desmos の expression
+ * @param {Object} viewport - 制限がない場合に使う範囲 {xmin, xmax, ymin, ymax}
+ * @returns {{equation: Object, samples: Array}} 変換結果（未対応の場合は例外）
+ */
+function parseDesmosExpression(expression, viewport) {
+    const latex = normalizeLatex(expression.latex);
+    const decimals = inferDecimals(latex);
+    const { body, restrictions } = splitRestrictions(latex);
+
+    if (/<|>|\\le|\\ge|≤|≥/.test(body)) {
+        throw new Error('不等式は未対応です');
+    }
+
+    const sides = body.split('=');
+    if (sides.length > 2) {
+        throw new Error('等号が複数あります');
+    }
+
+    if (sides.length === 1) {
+        const fn = compileLatexExpression(body);
+        let probe;
+        try {
+            probe = fn({ t: 0 });
+        } catch (e) {
+            // t を含まない式は y = f(x) とみなす
+            return classifyExplicit(fn, restrictions, viewport, decimals);
+        }
+        if (!Array.isArray(probe)) {
+            return classifyExplicit(fn, restrictions, viewport, decimals);
+        }
+        const domain = expression.parametricDomain || expression.domain || { min: '0', max: '1' };
+        const range = [evaluateLatexConstant(domain.min), evaluateLatexConstant(domain.max)];
+        if (restrictions.t) {
+            range[0] = restrictions.t.min != null ? Math.max(range[0], restrictions.t.min) : range[0];
+            range[1] = restrictions.t.max != null ? Math.min(range[1], restrictions.t.max) : range[1];
+        }
+        if (!(range[1] > range[0])) {
+            throw new Error('媒介変数の範囲が空です');
+        }
+        return classifyParametric(fn, range, decimals);
+    }
+
+    const [lhs, rhs] = sides.map(side => side.trim());
+    if (lhs === 'y') {
+        try {
+            return classifyExplicit(compileLatexExpression(rhs), restrictions, viewport, decimals);
+        } catch (e) {
+            if (!/未定義の変数です: y/.test(e.message)) throw e;
+        }
+    }
+    if (lhs === 'x') {
+        try {
+            return classifyVertical(compileLatexExpression(rhs), restrictions, viewport, decimals);
+        } catch (e) {
+            if (!/未定義の変数です: [xy]/.test(e.message)) throw e;
+        }
+    }
+    const left = compileLatexExpression(lhs);
+    const right = compileLatexExpression(rhs);
+    return classifyImplicit((env) => combineValues('-', left(env), right(env)), restrictions, decimals);
+}
+
+// 曲線としてまとめた数式群からCurveManager用の曲線タイプを決める
+function resolveCurveType(equations) {
+    const first = equations[0];
+    if (EQUATION_FAMILIES[first.type] === 'linear') {
+        return equations.length === 1 ? first.type : 'piecewiseLinear';
+    }
+    return first.type;
+}
+
+// 媒介変数 t で描画する数式タイプ（Desmos では parametricDomain を指定する）
+const PARAMETRIC_TYPES = new Set(['quadraticBezier', 'cubicBezier', 'arc', 'ellipse', 'parametric']);
+
+// 括弧を Desmos が解釈する \left( \right) に揃える
+function toDesmosParentheses(latex) {
+    return latex
+        .replace(/\\left\(/g, '(')
+        .replace(/\\right\)/g, ')')
+        .replace(/\(/g, '\\left(')
+        .replace(/\)/g, '\\right)');
+}
+
+// 定義域の端点を小さい順に並べた文字列で返す（評価できない端点はそのままの順）
+function orderedBounds(range) {
+    if (!range || range.start == null || range.end == null) return null;
+    const min = String(range.start).trim();
+    const max = String(range.end).trim();
+    if (!min || !max) return null;
+    try {
+        if (evaluateLatexConstant(min) > evaluateLatexConstant(max)) {
+            return { min: max, max: min };
+        }
+    } catch (e) {
+        // 評価できない場合は並べ替えない
+    }
+    return { min, max };
+}
+
+/**
+ * GraPen の数式1つを Desmos の expression 用の LaTeX に変換する
+ * 媒介変数表示は parametricDomain、それ以外は x / y の制限 \{a\le x\le b\} を付ける
+ * @param {Object} eq latexEquations の要素
+ * @returns {{latex: string, parametricDomain?: Object, point?: boolean}|null}
+ */
+function buildDesmosLatex(eq) {
+    if (!eq) return null;
+    const raw = String(eq.latex || eq.formula || '').trim();
+    if (!raw) return null;
+
+    const latex = toDesmosParentheses(raw);
+    if (eq.type === 'point') {
+        return { latex, point: true };
+    }
+    const isParametric = PARAMETRIC_TYPES.has(eq.type) || (eq.type === 'expression' && eq.domainAxis === 't') ||
+        (/^\\left\(/.test(latex) && latex.includes(','));
+
+    if (isParametric) {
+        const bounds = orderedBounds(eq.parameterRange || eq.domain);
+        return bounds ? { latex, parametricDomain: bounds } : { latex };
+    }
+
+    const axis = eq.domainAxis || (eq.type === 'vertical' ? 'y' : 'x');
+    const bounds = (axis === 'x' || axis === 'y') ? orderedBounds(eq.domain) : null;
+    if (!bounds) return { latex };
+    return { latex: `${latex}\\left\\{${bounds.min}\\le ${axis}\\le ${bounds.max}\\right\\}` };
+}
+
+// strokeDasharray を Desmos の lineStyle に変換する
+function resolveLineStyle(dashArray) {
+    const pattern = typeof dashArray === 'string' ? dashArray.trim() : '';
+    if (!pattern || pattern === 'none') return 'SOLID';
+    const known = Object.keys(DESMOS_DASH_PATTERNS).find(style => DESMOS_DASH_PATTERNS[style] === pattern);
+    if (known) return known;
+    // 短い破線は点線とみなす
+    const firstDash = parseFloat(pattern);
+    return Number.isFinite(firstDash) && firstDash <= 3 ? 'DOTTED' : 'DASHED';
+}
+
+// 点オブジェクトの形状を Desmos の pointStyle に変換する（対応のない形状は塗りつぶしの点）
+function resolvePointStyle(shape) {
+    const known = Object.keys(DESMOS_POINT_SHAPES).find(style => DESMOS_POINT_SHAPES[style] === shape);
+    if (known) return known;
+    return shape === 'plus' ? 'CROSS' : 'POINT';
+}
+
+// 閉じた曲線の輪郭を多角形の頂点 [x, y] の列で返す（始点と同じ終点は含めない）
+// 折れ線は節点、それ以外は描画中のパスを、パスがなければ元の点列を使う
+function resolveOutlinePoints(curve) {
+    let points = [];
+    const path = curve.graphCurve ? curve.graphCurve.path : null;
+    if (curve.type === 'piecewiseLinear' && Array.isArray(curve.knotPoints) && curve.knotPoints.length >= 3) {
+        points = curve.knotPoints.map(knot => [knot.x, knot.y]);
+    } else if (path && typeof path.getTotalLength === 'function') {
+        try {
+            const length = path.getTotalLength();
+            for (let i = 0; i < POLYGON_SAMPLE_COUNT; i++) {
+                const point = path.getPointAtLength(length * i / POLYGON_SAMPLE_COUNT);
+                points.push([point.x, point.y]);
+            }
+        } catch (e) {
+            points = [];
+        }
+    }
+    if (points.length < 3 && Array.isArray(curve.originalPoints)) {
+        points = curve.originalPoints.map(point => Array.isArray(point) ? [point[0], point[1]] : [point.x, point.y]);
+    }
+
+    points = points.filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y));
+    if (points.length > 1 && approxEqualPoint(points[points.length - 1], points[0])) {
+        points.pop();
+    }
+    return points.length >= 3 ? points : null;
+}
+
+// 頂点の列を Desmos の polygon の LaTeX に変換する
+function buildPolygonLatex(points) {
+    const format = (value) => String(Number(value.toFixed(POLYGON_DECIMALS)));
+    const vertices = points.map(([x, y]) => `\\left(${format(x)},${format(y)}\\right)`);
+    return `\\operatorname{polygon}\\left(${vertices.join(',')}\\right)`;
+}
+
+// polygon の LaTeX から頂点 [x, y] の列を取り出す（polygon でなければ null）
+function parsePolygonLatex(latex) {
+    const match = normalizeLatex(latex).match(/^\\operatorname\{polygon\}\s*\((.*)\)$/);
+    if (!match) return null;
+    const vertices = match[1].match(/\([^()]*\)/g) || [];
+    const points = vertices.map(vertex => {
+        const parts = vertex.slice(1, -1).split(',');
+        if (parts.length !== 2) {
+            throw new Error('polygon の頂点は (x, y) の形式で指定してください');
+        }
+        return parts.map(part => evaluateLatexConstant(part));
+    });
+    if (points.length < 3) {
+        throw new Error('polygon には3つ以上の頂点が必要です');
+    }
+    return points;
+}
+
+// 以前の GraPen が曲線ごとに作っていたフォルダの名前（フォルダとしては読み込まない）
+const LEGACY_CURVE_FOLDER_TITLE = /^Curve \d+ \(.*\)$/;
+
+// GraPen が出力した式のIDから曲線の番号を取り出す（他で作った式は null）
+function resolveCurveKey(id) {
+    const match = /^(?:expr|fill)_(\d+)(?:_\d+)?$/.exec(String(id));
+    return match ? match[1] : null;
+}
+
+// GraPen のフォルダとして読み込む Desmos のフォルダか
+function isCurveFolder(folder) {
+    return !!folder && !LEGACY_CURVE_FOLDER_TITLE.test(folder.title || '');
+}
+
 /**
  * DesmosIO Class
  * Desmos互換のJSONデータの入出力を担当
@@ -6,77 +504,117 @@ export class DesmosIO {
 
     /**
      * GraPenの曲線リストをDesmos互換のState Objectに変換
+     * GraPen のフォルダは Desmos のフォルダとして、曲線の並び順・非表示状態・線種を保ったまま出力する
      * @param {Array} curves CurveManagerのcurves配列
+     * @param {GraphCalculator} graphCalculator 表示範囲（viewport）の取得に使用（省略時は±10）
+     * @param {Array} folders CurveManagerのフォルダ（省略時はフォルダなし）
      * @returns {Object} Desmos State Object
      */
-    static exportToDesmosJSON(curves) {
+    static exportToDesmosJSON(curves, graphCalculator = null, folders = []) {
         if (!Array.isArray(curves)) return null;
 
         const expressions = [];
-        let idCounter = 1;
+        const folderMap = new Map((Array.isArray(folders) ? folders : []).map(folder => [folder.id, folder]));
+        const exportedFolders = new Set();
 
-        curves.forEach(curve => {
-            if (!curve || curve.isHidden) return; // 必要に応じて非表示も含めるオプションを追加可能
-
-            // 曲線ごとのフォルダを作成
-            const folderId = `folder_${curve.id}`;
-            expressions.push({
-                type: 'folder',
-                id: folderId,
-                title: `Curve ${curve.id} (${curve.type || 'unknown'})`,
-                collapsed: true,
-                secret: false
-            });
+        curves.forEach((curve, curveIndex) => {
+            if (!curve || !Array.isArray(curve.latexEquations)) return;
 
-            // 数式を追加
-            if (curve.latexEquations && Array.isArray(curve.latexEquations)) {
-                curve.latexEquations.forEach((eq, index) => {
-                    const latex = eq.latex || eq.formula;
-                    if (!latex) return;
-
-                    const expr = {
-                        type: 'expression',
-                        id: `expr_${curve.id}_${index}`,
-                        folderId: folderId,
-                        latex: latex,
-                        color: curve.color || '#000000',
-                        lineStyle: 'SOLID',
-                        lineWidth: String(curve.size || 2.5)
-                    };
-
-                    // 定義域（ドメイン）の設定
-                    if (eq.domain) {
-                        // GraPenではドメインは数式に含まれる場合と別の場合があるが、
-                        // ここではLatex文字列に"{min < x < max}"の形で付加するか、
-                        // Desmosのdomainプロパティを使用するか検討。
-                        // Desmos JSONでは、Latex文字列自体に "\{ 0 < x < 1 \}" のように含めるのが一般的だが
-                        // propertiesとして指定も可能。ここではシンプルにLatexに結合する形を試みるか、
-                        // またはDesmosの仕様に合わせてparametric domainなどを設定する。
-
-                        // 簡単のため、Latex文字列の末尾に条件を追加する方式を採用
-                        // もしeq.latexの末尾に既に条件がある場合は注意が必要だが、GraPenのデータ構造による。
-                        // ここでは、GraPenのlatexEquationsが純粋な式のみを持っていると仮定し、
-                        // domain情報があればそれをTeX形式で付加する。
-
-                        if (eq.domain.type === 'x_range') {
-                            // \left\{ start < x < end \right\}
-                            const domainLatex = `\\ \\left\\{${eq.domain.start}<x<${eq.domain.end}\\right\\}`;
-                            expr.latex = `${latex}${domainLatex}`;
-                        }
-                    }
+            const payloads = curve.latexEquations
+                .map(eq => buildDesmosLatex(eq))
+                .filter(payload => payload && payload.latex);
 
-                    expressions.push(expr);
+            // 閉じた折れ線は polygon、塗りつぶしは輪郭の polygon として出力する
+            const fill = curve.closed && curve.fill ? curve.fill : null;
+            const isPolygon = !!curve.closed && curve.type === 'piecewiseLinear';
+            const outline = (fill || isPolygon) ? resolveOutlinePoints(curve) : null;
+            if (payloads.length === 0 && !outline) return;
+
+            // フォルダの最初の曲線の前にフォルダを作成（同じフォルダの曲線は連続して並んでいる）
+            const folder = folderMap.get(curve.folderId) || null;
+            const folderId = folder ? `folder_${folder.id}` : undefined;
+            if (folder && !exportedFolders.has(folder.id)) {
+                exportedFolders.add(folder.id);
+                expressions.push({
+                    type: 'folder',
+                    id: folderId,
+                    title: folder.name,
+                    collapsed: !!folder.collapsed,
+                    hidden: !!folder.hidden,
+                    secret: false
+                });
+            }
+            const isHidden = !!curve.isHidden;
+
+            const lineStyle = resolveLineStyle(curve.graphCurve ? curve.graphCurve.strokeDasharray : null);
+
+            if (fill && outline) {
+                expressions.push({
+                    type: 'expression',
+                    id: `fill_${curveIndex}`,
+                    folderId: folderId,
+                    latex: buildPolygonLatex(outline),
+                    color: fill.color || curve.color || '#000000',
+                    fill: true,
+                    fillOpacity: String(fill.opacity),
+                    lines: false,
+                    ...(isHidden ? { hidden: true } : {})
+                });
+            }
+
+            if (isPolygon && outline) {
+                expressions.push({
+                    type: 'expression',
+                    id: `expr_${curveIndex}_0`,
+                    folderId: folderId,
+                    latex: buildPolygonLatex(outline),
+                    color: curve.color || '#000000',
+                    lineStyle: lineStyle,
+                    lineWidth: String(curve.size || DEFAULT_LINE_WIDTH),
+                    fill: false,
+                    ...(isHidden ? { hidden: true } : {})
                 });
+                return;
             }
+
+            payloads.forEach((payload, index) => {
+                const expr = {
+                    type: 'expression',
+                    id: `expr_${curveIndex}_${index}`,
+                    folderId: folderId,
+                    latex: payload.latex,
+                    color: curve.color || '#000000',
+                    lineStyle: lineStyle,
+                    lineWidth: String(curve.size || DEFAULT_LINE_WIDTH)
+                };
+
+                if (payload.point) {
+                    expr.pointStyle = resolvePointStyle(curve.pointShape);
+                    expr.pointSize = String((curve.size || DEFAULT_LINE_WIDTH) * POINT_OBJECT_SIZE_RATIO);
+                }
+                if (payload.parametricDomain) {
+                    expr.parametricDomain = payload.parametricDomain;
+                    expr.domain = { ...payload.parametricDomain };
+                }
+                if (isHidden) {
+                    expr.hidden = true;
+                }
+
+                expressions.push(expr);
+            });
         });
 
+        let viewport = { xmin: -10, ymin: -10, xmax: 10, ymax: 10 };
+        if (graphCalculator && typeof graphCalculator.getDomain === 'function') {
+            const domain = graphCalculator.getDomain();
+            viewport = { xmin: domain.xMin, ymin: domain.yMin, xmax: domain.xMax, ymax: domain.yMax };
+        }
+
         return {
             version: 9,
             randomSeed: "grapen_export",
             graph: {
-                viewport: {
-                    xmin: -10, ymin: -10, xmax: 10, ymax: 10
-                }
+                viewport: viewport
             },
             expressions: {
                 list: expressions
@@ -84,6 +622,327 @@ export class DesmosIO {
         };
     }
 
+    /**
+     * Desmos の State Object を解析し、GraPen の曲線データに変換する
+     * GraPen が出力した式は元の曲線ごとに、それ以外はフォルダ内で連続する同系統・同スタイルの式を1つの曲線にまとめる
+     * 以前の GraPen が曲線ごとに作っていたフォルダ以外のフォルダは folders として返す
+     * @param {Object|string} state Desmos State Object（エクスポートしたJSONなど）
+     * @param {Object} options { viewport: 制限のない式に使う範囲 {xmin, xmax, ymin, ymax} }
+     * @returns {{curves: Array, folders: Array, unsupported: Array}} 曲線データ、フォルダ { id, name, collapsed, hidden }、未対応の式（理由付き）
+     */
+    static parseDesmosState(state, options = {}) {
+        const data = typeof state === 'string' ? JSON.parse(state) : state;
+        const list = data && data.expressions && Array.isArray(data.expressions.list)
+            ? data.expressions.list
+            : null;
+        if (!list) {
+            const error = new Error('Desmos の State Object ではありません');
+            error.i18nKey = 'alert.import.not_desmos_state';
+            throw error;
+        }
+
+        // State に viewport があればそれを優先
+        const viewport = {
+            xmin: -10, xmax: 10, ymin: -10, ymax: 10,
+            ...(options.viewport || {}),
+            ...((data.graph && data.graph.viewport) || {})
+        };
+
+        const folders = new Map();
+        list.forEach(item => {
+            if (item && item.type === 'folder') folders.set(item.id, item);
+        });
+
+        const curves = [];
+        const unsupported = [];
+        const pendingFills = new Map(); // 曲線ごとの線のない polygon（同じ曲線の塗りつぶし）
+        let current = null;
+
+        // 式をまとめる単位（GraPen が出力した式は元の曲線、それ以外はフォルダ）
+        const resolveGroupKey = (item, id) => {
+            const curveKey = resolveCurveKey(id);
+            if (curveKey !== null) return `curve_${curveKey}`;
+            return item.folderId ? `folder_${item.folderId}` : null;
+        };
+        // GraPen のフォルダとして読み込むフォルダの非表示は曲線に含めない
+        const isHiddenItem = (item, folder) => !!(item.hidden || (folder && folder.hidden && !isCurveFolder(folder)));
+
+        list.forEach((item, index) => {
+            if (!item || item.type === 'folder' || item.type === 'text') return;
+
+            const id = item.id != null ? String(item.id) : String(index);
+            if (item.type !== 'expression') {
+                unsupported.push({ id, latex: '', reason: `${item.type} は未対応です` });
+                current = null;
+                return;
+            }
+
+            const latex = typeof item.latex === 'string' ? item.latex.trim() : '';
+            if (!latex) return;
+
+            // polygon は閉じた折れ線として読み込む
+            let polygon;
+            try {
+                polygon = parsePolygonLatex(latex);
+            } catch (error) {
+                unsupported.push({ id, latex, reason: error.message });
+                return;
+            }
+            if (polygon) {
+                current = null;
+                const polygonFolderId = item.folderId || null;
+                const polygonFolder = polygonFolderId ? folders.get(polygonFolderId) : null;
+                const groupKey = resolveGroupKey(item, id);
+                const fill = item.fill === false ? null : {
+                    color: item.color || '#000000',
+                    opacity: Number(item.fillOpacity ?? DESMOS_FILL_OPACITY)
+                };
+                if (item.lines === false) {
+                    if (fill && groupKey && !pendingFills.has(groupKey)) {
+                        pendingFills.set(groupKey, { id, latex, fill });
+                    } else {
+                        unsupported.push({ id, latex, reason: '線のない polygon は未対応です' });
+                    }
+                    return;
+                }
+
+                const decimals = inferDecimals(normalizeLatex(latex));
+                const vertices = [...polygon, polygon[0]];
+                const latexEquations = [];
+                for (let i = 0; i < polygon.length; i++) {
+                    const equation = EquationBuilder.linearThroughPoints(vertices[i], vertices[i + 1], { decimals });
+                    try {
+                        equation.rpn = toRPN(equation.formula);
+                    } catch (e) {
+                        equation.rpn = null;
+                    }
+                    latexEquations.push(equation);
+                }
+                curves.push({
+                    title: polygonFolder && polygonFolder.title ? polygonFolder.title : null,
+                    folderId: polygonFolderId,
+                    groupKey,
+                    family: 'linear',
+                    color: item.color || '#000000',
+                    size: Number(item.lineWidth) || DEFAULT_LINE_WIDTH,
+                    isHidden: isHiddenItem(item, polygonFolder),
+                    strokeDasharray: DESMOS_DASH_PATTERNS[item.lineStyle] || 'none',
+                    latexEquations,
+                    originalPoints: vertices.map(([x, y]) => [x, y]),
+                    knotPoints: vertices.map(([x, y]) => ({ x, y })),
+                    closed: true,
+                    fill: fill && fill.opacity > 0 ? fill : null
+                });
+                return;
+            }
+
+            let parsed;
+            try {
+                parsed = parseDesmosExpression(item, viewport);
+            } catch (error) {
+                unsupported.push({ id, latex, reason: error.message });
+                return;
+            }
+
+            const equation = parsed.equation;
+            try {
+                equation.rpn = equation.type === 'point' ? [] : toRPN(equation.formula);
+            } catch (e) {
+                equation.rpn = null;
+            }
+
+            const folderId = item.folderId || null;
+            const folder = folderId ? folders.get(folderId) : null;
+            const color = item.color || '#000000';
+            // 点は pointSize から線の太さに換算する
+            const size = equation.type === 'point' && Number(item.pointSize)
+                ? Number(item.pointSize) / POINT_OBJECT_SIZE_RATIO
+                : (Number(item.lineWidth) || DEFAULT_LINE_WIDTH);
+            const groupKey = resolveGroupKey(item, id);
+            const isHidden = isHiddenItem(item, folder);
+            const strokeDasharray = DESMOS_DASH_PATTERNS[item.lineStyle] || 'none';
+            const family = EQUATION_FAMILIES[equation.type] || null;
+
+            const canJoin = current && family && groupKey &&
+                current.family === family &&
+                current.groupKey === groupKey &&
+                current.color === color &&
+                current.size === size &&
+                current.isHidden === isHidden &&
+                current.strokeDasharray === strokeDasharray;
+
+            if (!canJoin) {
+                current = {
+                    title: folder && folder.title ? folder.title : null,
+                    folderId,
+                    groupKey,
+                    family,
+                    color,
+                    size,
+                    isHidden,
+                    strokeDasharray,
+                    latexEquations: [],
+                    originalPoints: [],
+                    knotPoints: []
+                };
+                if (equation.type === 'point') {
+                    current.pointShape = DESMOS_POINT_SHAPES[item.pointStyle] || 'circle';
+                }
+                curves.push(current);
+            }
+
+            current.latexEquations.push(equation);
+            current.originalPoints.push(...parsed.samples);
+
+            // 開いた曲線は各式の端点を節点とする
+            if (family && parsed.samples.length > 0) {
+                const endpoints = [parsed.samples[0], parsed.samples[parsed.samples.length - 1]];
+                endpoints.forEach(([x, y]) => {
+                    const last = current.knotPoints[current.knotPoints.length - 1];
+                    if (!last || !approxEqualPoint([last.x, last.y], [x, y])) {
+                        current.knotPoints.push({ x, y });
+                    }
+                });
+            }
+
+            // 円・楕円は単独の曲線にする
+            if (!family) current = null;
+        });
+
+        curves.forEach(curve => {
+            curve.type = resolveCurveType(curve.latexEquations);
+            // 線のない polygon は同じ曲線（またはフォルダ）の最初の曲線の塗りつぶしにする
+            const pending = curve.groupKey ? pendingFills.get(curve.groupKey) : null;
+            if (pending && curve.type !== 'point') {
+                curve.closed = true;
+                curve.fill = pending.fill;
+                pendingFills.delete(curve.groupKey);
+            }
+        });
+        pendingFills.forEach(pending => {
+            unsupported.push({ id: pending.id, latex: pending.latex, reason: '塗りつぶす曲線がありません' });
+        });
+
+        // 曲線を含むフォルダを GraPen のフォルダとして返す
+        const usedFolderIds = new Set(curves.map(curve => curve.folderId).filter(Boolean));
+        const curveFolders = [];
+        folders.forEach((folder, folderId) => {
+            if (!usedFolderIds.has(folderId) || !isCurveFolder(folder)) return;
+            curveFolders.push({
+                id: String(folderId),
+                name: folder.title || '',
+                collapsed: !!folder.collapsed,
+                hidden: !!folder.hidden
+            });
+        });
+        curves.forEach(curve => {
+            const inFolder = curveFolders.some(folder => folder.id === String(curve.folderId));
+            curve.folderId = inFolder ? String(curve.folderId) : null;
+        });
+
+        return { curves, folders: curveFolders, unsupported };
+    }
+
+    /**
+     * Desmos の State Object を読み込み、CurveManager に曲線として追加する
+     * 既存の曲線は残したまま末尾に追加する
+     * @param {Object|string} state Desmos State Object
+     * @param {CurveManager} curveManager 追加先の CurveManager
+     * @returns {{success: boolean, message: string, i18nKey: string|Array<string>|null, i18nParams: Object, curveIds: Array<number>, unsupported: Array}}
+     */
+    static importFromDesmosJSON(state, curveManager) {
+        const result = { success: false, message: '', i18nKey: null, i18nParams: {}, curveIds: [], unsupported: [] };
+        const graphCalculator = curveManager ? curveManager.graphCalculator : null;
+        if (!graphCalculator) {
+            result.message = 'グラフ計算機が初期化されていません';
+            result.i18nKey = 'alert.import.no_calculator';
+            return result;
+        }
+
+        let parsed;
+        try {
+            const domain = graphCalculator.getDomain();
+            parsed = DesmosIO.parseDesmosState(state, {
+                viewport: { xmin: domain.xMin, xmax: domain.xMax, ymin: domain.yMin, ymax: domain.yMax }
+            });
+        } catch (error) {
+            result.message = error.message;
+            result.i18nKey = error.i18nKey || null;
+            return result;
+        }
+        result.unsupported = parsed.unsupported;
+
+        // 読み込み全体を1回で元に戻せるよう、曲線とフォルダは履歴に残さずに追加し、最後にまとめて記録する
+        const previousFolderState = curveManager.getFolderState();
+        const addedCurves = [];
+        const folderCurves = new Map(); // Desmos のフォルダIDごとに追加した曲線
+        parsed.curves.forEach(curveData => {
+            const added = curveManager.addEquationCurve({
+                type: curveData.type,
+                latexEquations: curveData.latexEquations,
+                color: curveData.color,
+                size: curveData.size,
+                originalPoints: curveData.originalPoints,
+                knotPoints: curveData.knotPoints,
+                strokeDasharray: curveData.strokeDasharray,
+                isHidden: curveData.isHidden,
+                pointShape: curveData.pointShape,
+                closed: curveData.closed,
+                fill: curveData.fill,
+                recordHistory: false
+            });
+            if (!added.success) {
+                result.unsupported.push({
+                    id: curveData.folderId || String(curveManager.settings.nextCurveId),
+                    latex: curveData.latexEquations.map(eq => eq.latex).join('\n'),
+                    reason: added.message
+                });
+                return;
+            }
+            addedCurves.push(curveManager.curves[added.id]);
+            if (curveData.folderId) {
+                if (!folderCurves.has(curveData.folderId)) folderCurves.set(curveData.folderId, []);
+                folderCurves.get(curveData.folderId).push(curveManager.curves[added.id]);
+            }
+        });
+
+        // Desmos のフォルダは GraPen のフォルダにする（フォルダを作ると曲線のIDが変わることがあるため曲線から引き直す）
+        parsed.folders.forEach(folder => {
+            const members = folderCurves.get(folder.id);
+            if (!members || members.length === 0) return;
+            curveManager.createFolder(members.map(curve => curve.id), {
+                name: folder.name,
+                collapsed: folder.collapsed,
+                hidden: folder.hidden,
+                recordHistory: false
+            });
+        });
+
+        curveManager.updateCurveList();
+
+        result.curveIds = addedCurves.map(curve => curve.id).sort((a, b) => a - b);
+        if (addedCurves.length > 0) {
+            const folderState = curveManager.getFolderState();
+            const folderActions = JSON.stringify(folderState.folders) !== JSON.stringify(previousFolderState.folders)
+                ? [{ type: 'folder', oldState: previousFolderState, newState: folderState }]
+                : [];
+            const addedActions = result.curveIds.map(id => ({ type: 'add', curve: curveManager.curves[id] }));
+            curveManager.recordBatchAction([...addedActions, ...folderActions]);
+        }
+
+        result.success = result.curveIds.length > 0;
+        result.message = result.success
+            ? `${result.curveIds.length}本の曲線を読み込みました`
+            : '読み込める式がありませんでした';
+        result.i18nKey = [result.success ? 'alert.import.loaded' : 'alert.import.no_equations'];
+        result.i18nParams = { count: result.curveIds.length, unsupported: result.unsupported.length };
+        if (result.unsupported.length > 0) {
+            result.message += `（未対応の式: ${result.unsupported.length}件）`;
+            result.i18nKey.push('alert.import.unsupported');
+        }
+        return result;
+    }
+
     /**
      * JSONデータをファイルとしてダウンロードさせる
      * @param {Object} data JSONデータ
@@ -28,7 +28,8 @@ export class AlertModal {
      *                                    'top-right', 'bottom-right', 'top-left', 'bottom-left')
      * @param {HTMLElement} options.targetElement - 表示対象のDOM要素
      * @param {Object} options.link - リンクオプション {text: string, onClick: function}
-     * @param {string} options.i18nKey - 国際化キー
+     * @param {string|Array<string>} options.i18nKey - 国際化キー（配列の場合は翻訳をつなげて表示）
+     * @param {Object} options.i18nParams - 翻訳文中の {名前} に埋め込む値
      */
     show(message, options = {}) {
         const {
@@ -37,7 +38,8 @@ export class AlertModal {
             position = 'center',  // デフォルトを中央に変更
             targetElement = document.body,
             link = null,
-            i18nKey = null
+            i18nKey = null,
+            i18nParams = {}
         } = options;
 
         // アイコンの設定
@@ -58,10 +60,16 @@ export class AlertModal {
         let linkText = link ? link.text : '';
 
         if (i18nKey) {
-            const alertElement = document.createElement('span');
-            alertElement.dataset.i18n = i18nKey;
-            this.languageManager.updateSpecificElement(alertElement);
-            displayMessage = alertElement.textContent || message;
+            const texts = (Array.isArray(i18nKey) ? i18nKey : [i18nKey]).map(key => {
+                const alertElement = document.createElement('span');
+                alertElement.dataset.i18n = key;
+                this.languageManager.updateSpecificElement(alertElement);
+                return alertElement.textContent;
+            });
+            // 翻訳が1つでも欠けている場合は元のメッセージを表示する
+            displayMessage = texts.every(Boolean)
+                ? texts.join('').replace(/\{(\w+)\}/g, (match, name) => (name in i18nParams ? i18nParams[name] : match))
+                : message;
 
             // リンクテキストの翻訳
             if (link && link.i18nKey) {
@@ -0,0 +1,121 @@
+/**
+ * 自動保存のスナップショットを IndexedDB に保存するクラス
+ * スナップショットは { id, sessionId, timestamp, curveCount, thumbnail, document, history } の形で保存する
+ */
+const DB_NAME = 'grapen_autosave';
+const DB_VERSION = 1;
+const STORE_NAME = 'snapshots';
+
+export class AutosaveStorage {
+    constructor(dbName = DB_NAME) {
+        this.dbName = dbName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * IndexedDB が使えるかどうか（プライベートブラウズなどでは使えない場合がある）
+     * @returns {boolean}
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    // データベースを開く（初回のみ作成）
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('timestamp', 'timestamp');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // 失敗した場合は次回開き直せるようにする
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+        return this.dbPromise;
+    }
+
+    // トランザクション内で処理を行い、完了を待つ
+    async #withStore(mode, callback) {
+        const db = await this.open();
+        const transaction = db.transaction(STORE_NAME, mode);
+        const result = callback(transaction.objectStore(STORE_NAME));
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        return result instanceof IDBRequest ? result.result : result;
+    }
+
+    /**
+     * スナップショットを追加する
+     * @param {Object} snapshot - 保存するスナップショット（id は自動で振られる）
+     * @returns {Promise<number>} 追加したスナップショットのID
+     */
+    async addSnapshot(snapshot) {
+        return this.#withStore('readwrite', store => store.add({ ...snapshot, timestamp: snapshot.timestamp || Date.now() }));
+    }
+
+    /**
+     * 保存済みのスナップショットの一部を書き換える（後から作ったサムネイルを付けるときなど）
+     * @param {number} id - スナップショットのID
+     * @param {Object} changes - 書き換える項目
+     */
+    async updateSnapshot(id, changes) {
+        await this.#withStore('readwrite', store => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (request.result) store.put({ ...request.result, ...changes });
+            };
+        });
+    }
+
+    /**
+     * スナップショットを新しい順に取得する
+     * @returns {Promise<Array>}
+     */
+    async getSnapshots() {
+        const snapshots = await this.#withStore('readonly', store => store.getAll());
+        return (snapshots || []).sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    /**
+     * スナップショットを削除する
+     * @param {number} id - スナップショットのID
+     */
+    async deleteSnapshot(id) {
+        await this.#withStore('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * 新しいものから maxCount 件だけ残して古いスナップショットを削除する
+     * @param {number} maxCount - 残す件数
+     * @returns {Promise<number>} 削除した件数
+     */
+    async prune(maxCount) {
+        const snapshots = await this.getSnapshots();
+        const stale = snapshots.slice(Math.max(0, maxCount));
+        if (stale.length === 0) return 0;
+        await this.#withStore('readwrite', store => {
+            stale.forEach(snapshot => store.delete(snapshot.id));
+        });
+        return stale.length;
+    }
+
+    /**
+     * すべてのスナップショットを削除する
+     */
+    async clear() {
+        await this.#withStore('readwrite', store => store.clear());
+    }
+}
@@ -0,0 +1,307 @@
+import { AutosaveStorage } from '../storage/AutosaveStorage.js';
+import { serializeHistory, restoreHistory } from '../history/HistorySerializer.js';
+import { getPNGBase64, getJSONDataString } from '../graph/GraphSaveUtils.js';
+
+// 自動保存の間隔（ミリ秒）
+const AUTOSAVE_INTERVAL_MS = 30000;
+// 残しておく自動保存の件数
+const AUTOSAVE_MAX_SNAPSHOTS = 5;
+
+/**
+ * 作業中のグラフと履歴を IndexedDB に定期的に自動保存し、次回起動時に復元を提案するクラス
+ */
+export class AutosaveManager {
+    constructor(uiManager, historyManager, languageManager, options = {}) {
+        this.uiManager = uiManager;
+        this.historyManager = historyManager;
+        this.languageManager = languageManager;
+        this.curveManager = uiManager.curveManager;
+        this.graphCalculator = uiManager.graphCalculator;
+        this.settingsManager = uiManager.settingsManager;
+
+        this.interval = options.interval || AUTOSAVE_INTERVAL_MS;
+        this.maxSnapshots = options.maxSnapshots || AUTOSAVE_MAX_SNAPSHOTS;
+        this.storage = AutosaveStorage.isAvailable() ? new AutosaveStorage() : null;
+
+        // このタブのセッション（自分の自動保存を復元候補に出さないために使う）
+        this.sessionId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        this.timer = null;
+        this.isSaving = false;
+        this.savedState = null;
+        this.lastThumbnail = null; // 直前の自動保存のサムネイル（新しいサムネイルができるまで使う）
+        this.modal = null;
+        this.overlay = null;
+    }
+
+    /**
+     * 自動保存を開始し、前回までの自動保存があれば復元を提案する
+     * @param {Object} options - { offerRestore: 復元を提案するか（URLからグラフを読み込んだ場合などは false） }
+     */
+    async initialize({ offerRestore = true } = {}) {
+        if (!this.storage) return;
+
+        // 起動時点の状態は保存済みとして扱う
+        this.markSaved();
+
+        if (offerRestore) {
+            try {
+                const snapshots = (await this.storage.getSnapshots())
+                    .filter(snapshot => snapshot.sessionId !== this.sessionId);
+                if (snapshots.length > 0) {
+                    this.showRestoreModal(snapshots);
+                }
+            } catch (error) {
+                console.warn('自動保存の読み込みに失敗しました:', error);
+            }
+        }
+
+        this.start();
+    }
+
+    /**
+     * 定期的な自動保存を開始
+     */
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.saveIfChanged(), this.interval);
+
+        // タブがバックグラウンドに回ったとき（モバイルではそのまま破棄されることがある）にも保存する
+        this._handleVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') this.saveIfChanged();
+        };
+        this._handlePageHide = () => this.saveIfChanged();
+        document.addEventListener('visibilitychange', this._handleVisibilityChange);
+        window.addEventListener('pagehide', this._handlePageHide);
+    }
+
+    /**
+     * 定期的な自動保存を停止
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this._handleVisibilityChange) {
+            document.removeEventListener('visibilitychange', this._handleVisibilityChange);
+            window.removeEventListener('pagehide', this._handlePageHide);
+        }
+    }
+
+    // 履歴の状態（変更の有無の判定用）
+    _getHistoryState() {
+        const undoStack = this.historyManager.undoStack;
+        return {
+            undoLength: undoStack.length,
+            redoLength: this.historyManager.redoStack.length,
+            top: undoStack[undoStack.length - 1] || null
+        };
+    }
+
+    /**
+     * 前回の自動保存から変更があるか
+     * @returns {boolean}
+     */
+    hasChanges() {
+        const state = this._getHistoryState();
+        const saved = this.savedState;
+        return !saved || saved.undoLength !== state.undoLength ||
+            saved.redoLength !== state.redoLength || saved.top !== state.top;
+    }
+
+    /**
+     * 現在の状態を保存済みとして記録
+     */
+    markSaved() {
+        this.savedState = this._getHistoryState();
+    }
+
+    /**
+     * 変更があれば自動保存する
+     * @returns {Promise<boolean>} 保存したかどうか
+     */
+    async saveIfChanged() {
+        if (!this.hasChanges()) return false;
+        return this.saveSnapshot();
+    }
+
+    /**
+     * 現在のグラフと履歴をスナップショットとして保存する
+     * ページを閉じる直前（pagehide など）でも書き込めるよう、グラフと履歴を直前のサムネイルのまま先に書き込み、
+     * 画像の読み込みを待つサムネイルは後から付ける
+     * @returns {Promise<boolean>} 保存したかどうか
+     */
+    async saveSnapshot() {
+        if (!this.storage || this.isSaving) return false;
+
+        const curveCount = this.curveManager.curves.filter(curve => curve).length;
+        const state = this._getHistoryState();
+        // 何も描いていない状態は保存しない
+        if (curveCount === 0 && state.undoLength === 0 && state.redoLength === 0) {
+            this.markSaved();
+            return false;
+        }
+
+        this.isSaving = true;
+        let snapshotId;
+        try {
+            const documentData = JSON.parse(getJSONDataString(
+                this.graphCalculator,
+                this.settingsManager ? this.settingsManager.settings : null,
+                this.curveManager.curves,
+                this.curveManager.folders
+            ));
+            // 選択中の強調表示は保存しない
+            documentData.curves = (documentData.curves || [])
+                .filter(curve => !String(curve.id).startsWith('emphasis-'));
+            const history = serializeHistory(this.historyManager, this.curveManager, this.graphCalculator);
+
+            snapshotId = await this.storage.addSnapshot({
+                sessionId: this.sessionId,
+                timestamp: Date.now(),
+                curveCount,
+                thumbnail: this.lastThumbnail,
+                document: documentData,
+                history
+            });
+            this.savedState = state;
+            await this.storage.prune(this.maxSnapshots);
+        } catch (error) {
+            console.warn('自動保存に失敗しました:', error);
+            return false;
+        } finally {
+            this.isSaving = false;
+        }
+
+        try {
+            const thumbnail = await getPNGBase64(this.graphCalculator, 128, 128, 0.7);
+            this.lastThumbnail = thumbnail;
+            await this.storage.updateSnapshot(snapshotId, { thumbnail });
+        } catch (error) {
+            console.warn('自動保存のサムネイルを作成できませんでした:', error);
+        }
+        return true;
+    }
+
+    /**
+     * スナップショットからグラフと履歴を復元する
+     * @param {Object} snapshot - 自動保存のスナップショット
+     * @returns {Promise<boolean>} 復元に成功したかどうか
+     */
+    async restoreSnapshot(snapshot) {
+        const alertModal = this.uiManager.alertModal;
+        try {
+            const loaded = await this.settingsManager.loadGraphFromJSON(snapshot.document, true, { preserveDomain: false });
+            if (!loaded) {
+                throw new Error('グラフデータの読み込みに失敗しました');
+            }
+
+            if (!restoreHistory(snapshot.history, this.historyManager, this.curveManager, this.graphCalculator)) {
+                console.warn('自動保存の履歴を復元できませんでした');
+            }
+            this.uiManager.updateHistoryButtons();
+            if (this.uiManager.saveGraphManager) {
+                this.uiManager.saveGraphManager.updateSaveButtonState();
+            }
+
+            this.markSaved();
+            if (alertModal) {
+                alertModal.show('前回の作業を復元しました', { type: 'info', position: 'center-top', i18nKey: 'autosave.restored' });
+            }
+            return true;
+        } catch (error) {
+            console.error('自動保存の復元に失敗しました:', error);
+            if (alertModal) {
+                alertModal.show('前回の作業を復元できませんでした', { type: 'error', position: 'center-top', i18nKey: 'autosave.restore_failed' });
+            }
+            return false;
+        }
+    }
+
+    /**
+     * 復元を提案するモーダルを表示する
+     * @param {Array} snapshots - 新しい順のスナップショット
+     */
+    showRestoreModal(snapshots) {
+        this.hideRestoreModal();
+
+        const modalHtml = `
+            <div class="modal-overlay" id="autosave-restore-overlay"></div>
+            <div class="modal-content autosave-restore-modal" id="autosave-restore-modal">
+                <div class="modal-header">
+                    <h3>
+                        <i class="material-symbols-rounded">history</i>
+                        <span data-i18n="autosave.title">前回の作業を復元</span>
+                    </h3>
+                    <button class="close-modal-btn" type="button">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p class="autosave-restore-message" data-i18n="autosave.message">自動保存されたデータがあります。復元するものを選んでください。</p>
+                    <ul class="autosave-snapshot-list"></ul>
+                    <div class="modal-footer">
+                        <button class="modal-button close-btn" type="button" data-i18n="autosave.dismiss">新しく始める</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        this.modal = document.getElementById('autosave-restore-modal');
+        this.overlay = document.getElementById('autosave-restore-overlay');
+
+        const list = this.modal.querySelector('.autosave-snapshot-list');
+        snapshots.forEach(snapshot => {
+            const item = document.createElement('li');
+            item.className = 'autosave-snapshot-item';
+            item.innerHTML = `
+                <img class="autosave-snapshot-thumbnail" alt="">
+                <div class="autosave-snapshot-info">
+                    <span class="autosave-snapshot-time"></span>
+                    <span class="autosave-snapshot-count">
+                        <i class="material-symbols-rounded">gesture</i>
+                        <span></span>
+                    </span>
+                </div>
+                <button class="modal-button primary autosave-restore-btn" type="button" data-i18n="autosave.restore">復元</button>
+            `;
+            const thumbnail = item.querySelector('.autosave-snapshot-thumbnail');
+            if (snapshot.thumbnail) {
+                thumbnail.src = snapshot.thumbnail;
+            } else {
+                thumbnail.classList.add('empty');
+            }
+            item.querySelector('.autosave-snapshot-time').textContent = new Date(snapshot.timestamp).toLocaleString();
+            item.querySelector('.autosave-snapshot-count span').textContent = String(snapshot.curveCount || 0);
+            item.querySelector('.autosave-restore-btn').addEventListener('click', async () => {
+                this.hideRestoreModal();
+                await this.restoreSnapshot(snapshot);
+            });
+            list.appendChild(item);
+        });
+
+        // i18n適用
+        if (this.languageManager) {
+            this.modal.querySelectorAll('[data-i18n]').forEach(el => {
+                this.languageManager.updateSpecificElement(el);
+            });
+        }
+
+        const close = () => this.hideRestoreModal();
+        this.modal.querySelector('.close-modal-btn').addEventListener('click', close);
+        this.modal.querySelector('.modal-footer .close-btn').addEventListener('click', close);
+        this.overlay.addEventListener('click', close);
+
+        this.modal.classList.add('open');
+        this.overlay.classList.add('open');
+    }
+
+    /**
+     * 復元の提案モーダルを閉じる
+     */
+    hideRestoreModal() {
+        if (this.modal) this.modal.remove();
+        if (this.overlay) this.overlay.remove();
+        this.modal = null;
+        this.overlay = null;
+    }
+}
@@ -207,17 +207,20 @@ export class ExportManager {
                     // 設定情報も一緒に保存
                     const settings = this.settingsManager ? this.settingsManager.settings : null;
 
-                    // CurveManagerの曲線情報があれば使用
+                    // CurveManagerの曲線情報とフォルダがあれば使用
                     let curveData = null;
+                    let folders = null;
                     if (this.settingsManager && this.settingsManager.curveManager) {
                         curveData = this.settingsManager.curveManager.curves;
+                        folders = this.settingsManager.curveManager.folders;
                     }
 
                     const success = saveToJSON(
                         this.graphCalculator,
                         'grapen-data',
                         settings,
-                        curveData
+                        curveData,
+                        folders
                     );
 
                     if (success) {
@@ -236,14 +239,16 @@ export class ExportManager {
         const desmosBtn = document.getElementById('export-desmos-btn');
         if (desmosBtn) {
             desmosBtn.addEventListener('click', () => {
-                // CurveManagerの曲線情報を取得
+                // CurveManagerの曲線情報とフォルダを取得
                 let curveData = null;
+                let folders = [];
                 if (this.settingsManager && this.settingsManager.curveManager) {
                     curveData = this.settingsManager.curveManager.curves;
+                    folders = this.settingsManager.curveManager.folders;
                 }
 
                 if (curveData) {
-                    const desmosData = DesmosIO.exportToDesmosJSON(curveData);
+                    const desmosData = DesmosIO.exportToDesmosJSON(curveData, this.graphCalculator, folders);
                     DesmosIO.downloadJSON(desmosData, 'grapen_desmos.json');
                     console.log('Desmos JSONを保存しました');
                 } else {
@@ -0,0 +1,268 @@
+// 履歴の操作ごとの表示（アイコンと翻訳キー）
+const ACTION_LABELS = {
+    add: { icon: 'add', key: 'history_panel.action.add', text: '曲線を追加' },
+    delete: { icon: 'delete', key: 'history_panel.action.delete', text: '曲線を削除' },
+    clear: { icon: 'delete_sweep', key: 'history_panel.action.clear', text: 'すべて削除' },
+    color: { icon: 'palette', key: 'history_panel.action.color', text: '色を変更' },
+    size: { icon: 'line_weight', key: 'history_panel.action.size', text: '太さを変更' },
+    styleChange: { icon: 'palette', key: 'history_panel.action.styleChange', text: 'スタイルを変更' },
+    defaultColor: { icon: 'palette', key: 'history_panel.action.defaultStyleChange', text: 'ペンのスタイルを変更' },
+    defaultStyleChange: { icon: 'stylus', key: 'history_panel.action.defaultStyleChange', text: 'ペンのスタイルを変更' },
+    reorder: { icon: 'swap_vert', key: 'history_panel.action.reorder', text: '並べ替え' },
+    toggleDetails: { icon: 'expand_content', key: 'history_panel.action.toggleDetails', text: '詳細の表示を切り替え' },
+    toggleVisibility: { icon: 'visibility', key: 'history_panel.action.toggleVisibility', text: '表示/非表示を切り替え' },
+    moveCurve: { icon: 'open_with', key: 'history_panel.action.moveCurve', text: '曲線を移動' },
+    knotCountChanged: { icon: 'linear_scale', key: 'history_panel.action.knotCountChanged', text: '節点の数を変更' },
+    knotEdit: { icon: 'edit', key: 'history_panel.action.knotEdit', text: '節点を編集' },
+    transformCurve: { icon: 'transform', key: 'history_panel.action.transformCurve', text: '曲線を変形' },
+    equationForm: { icon: 'function', key: 'history_panel.action.equationForm', text: '式の形式を変更' },
+    equationEdit: { icon: 'edit_note', key: 'history_panel.action.equationEdit', text: '数式を編集' },
+    reapproximate: { icon: 'alt_route', key: 'history_panel.action.reapproximate', text: '近似を切り替え' },
+    pointShape: { icon: 'category', key: 'history_panel.action.pointShape', text: '点の形を変更' },
+    fill: { icon: 'format_color_fill', key: 'history_panel.action.fill', text: '塗りつぶしを変更' },
+    folder: { icon: 'folder', key: 'history_panel.action.folder', text: 'フォルダを変更' },
+    batch: { icon: 'stacks', key: 'history_panel.action.batch', text: 'まとめて変更' }
+};
+
+const UNKNOWN_ACTION_LABEL = { icon: 'history', key: 'history_panel.action.unknown', text: '操作' };
+
+/**
+ * 履歴パネルクラス
+ * 元に戻す/やり直しの履歴を木として表示し、クリックでその状態へ移動する
+ */
+export class HistoryPanel {
+    constructor(historyManager, uiManager, languageManager) {
+        this.historyManager = historyManager;
+        this.uiManager = uiManager;
+        this.languageManager = languageManager;
+        this.panel = null;
+        this.list = null;
+        this.isOpen = false;
+        this.buttonId = 'history-panel-btn';
+
+        this.createPanel();
+        this.setupEventListeners();
+    }
+
+    /**
+     * 履歴パネルのHTML構造を作成
+     */
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'history-panel';
+        panel.className = 'history-panel';
+        panel.innerHTML = `
+            <div class="history-panel-header">
+                <i class="material-symbols-rounded">account_tree</i>
+                <span><strong data-i18n="history_panel.title">履歴</strong></span>
+                <button class="close-btn history-panel-close" type="button">&times;</button>
+            </div>
+            <ul class="history-panel-list" role="listbox"></ul>
+        `;
+        document.body.appendChild(panel);
+
+        this.panel = panel;
+        this.list = panel.querySelector('.history-panel-list');
+        this.applyTranslations(panel);
+    }
+
+    /**
+     * イベントリスナーを設定
+     */
+    setupEventListeners() {
+        const button = document.getElementById(this.buttonId);
+        if (button) {
+            button.addEventListener('click', () => this.togglePanel());
+        }
+
+        this.panel.querySelector('.history-panel-close').addEventListener('click', () => this.hidePanel());
+
+        // パネル外をクリックした時に閉じる
+        document.addEventListener('click', (e) => {
+            if (!this.isOpen) return;
+            if (e.target.id === this.buttonId || e.target.closest(`#${this.buttonId}`)) return;
+            // 項目のクリックで一覧が描き直されても閉じないよう、イベントの経路で判定する
+            if (!e.composedPath().includes(this.panel)) {
+                this.hidePanel();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (this.isOpen && e.key === 'Escape') {
+                this.hidePanel();
+            }
+        });
+
+        window.addEventListener('resize', () => { if (this.isOpen) this.hidePanel(); });
+
+        // 履歴が変わったら表示を更新
+        document.addEventListener('historyChanged', () => {
+            if (this.isOpen) this.render();
+        });
+
+        // 項目クリックでその状態へ移動
+        this.list.addEventListener('click', (e) => {
+            const entry = e.target.closest('.history-entry');
+            if (!entry) return;
+            this.jumpTo(Number(entry.dataset.historyId));
+        });
+    }
+
+    /**
+     * パネルを表示
+     */
+    showPanel() {
+        this.render();
+
+        // 履歴ボタンの位置を基準にパネルを配置
+        const button = document.getElementById(this.buttonId);
+        if (button) {
+            const rect = button.getBoundingClientRect();
+            const left = Math.max(10, Math.min(rect.left, window.innerWidth - this.panel.offsetWidth - 10));
+            this.panel.style.top = `${rect.bottom + 5}px`;
+            this.panel.style.left = `${left}px`;
+        }
+
+        this.panel.classList.add('visible');
+        this.isOpen = true;
+
+        // 現在の状態が見えるようにスクロール
+        const current = this.list.querySelector('.history-entry.current');
+        if (current) current.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * パネルを非表示
+     */
+    hidePanel() {
+        this.panel.classList.remove('visible');
+        this.isOpen = false;
+    }
+
+    /**
+     * パネルの表示状態を切り替え
+     */
+    togglePanel() {
+        if (this.isOpen) {
+            this.hidePanel();
+        } else {
+            this.showPanel();
+        }
+    }
+
+    /**
+     * 指定した履歴の状態へ移動
+     * @param {number} historyId - 履歴ノードのID
+     */
+    jumpTo(historyId) {
+        if (!Number.isInteger(historyId)) return;
+        this.historyManager.jumpToHistory(historyId);
+        this.uiManager.updateHistoryButtons();
+    }
+
+    /**
+     * 履歴の木を描画する
+     * 最後に選ばれていた枝を同じ深さで続け、それ以外の枝は字下げして表示する
+     */
+    render() {
+        const { nodes, currentId } = this.historyManager.getHistoryTree();
+        const nodeMap = new Map(nodes.map(node => [node.id, node]));
+
+        // 初期状態から現在の状態までのノード（それ以外は未来または別の枝）
+        const activePath = new Set();
+        let cursor = nodeMap.get(currentId);
+        while (cursor) {
+            activePath.add(cursor.id);
+            cursor = cursor.parentId !== null ? nodeMap.get(cursor.parentId) : null;
+        }
+
+        this.list.innerHTML = '';
+        const renderChain = (startId, depth, onMainLine) => {
+            let node = nodeMap.get(startId);
+            while (node) {
+                this.list.appendChild(this.createEntry(node, depth, {
+                    current: node.id === currentId,
+                    past: activePath.has(node.id),
+                    branch: !onMainLine
+                }));
+
+                const mainChildId = node.activeChildId !== null && nodeMap.has(node.activeChildId)
+                    ? node.activeChildId
+                    : node.children[node.children.length - 1];
+                node.children
+                    .filter(childId => childId !== mainChildId)
+                    .forEach(childId => renderChain(childId, depth + 1, false));
+
+                node = mainChildId !== undefined ? nodeMap.get(mainChildId) : null;
+            }
+        };
+        renderChain(0, 0, true);
+
+        this.applyTranslations(this.list);
+    }
+
+    /**
+     * 履歴の項目を作成する
+     * @param {Object} node - 履歴ノード
+     * @param {number} depth - 字下げの深さ
+     * @param {Object} state - { current, past, branch }
+     * @returns {HTMLElement}
+     */
+    createEntry(node, depth, state) {
+        const action = node.action;
+        const label = action
+            ? (ACTION_LABELS[action.type] || UNKNOWN_ACTION_LABEL)
+            : { icon: 'flag', key: 'history_panel.initial', text: '初期状態' };
+
+        const item = document.createElement('li');
+        item.className = 'history-entry';
+        item.classList.toggle('current', state.current);
+        item.classList.toggle('future', !state.past);
+        item.classList.toggle('branch', state.branch);
+        item.dataset.historyId = String(node.id);
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', state.current ? 'true' : 'false');
+        item.style.setProperty('--history-depth', depth);
+        item.title = new Date(node.timestamp).toLocaleTimeString();
+
+        item.innerHTML = `
+            <i class="material-symbols-rounded history-entry-icon">${label.icon}</i>
+            <span class="history-entry-label" data-i18n="${label.key}">${label.text}</span>
+        `;
+
+        const target = this.getActionTarget(action);
+        if (target !== null) {
+            const badge = document.createElement('span');
+            badge.className = 'history-entry-target';
+            badge.textContent = target;
+            item.appendChild(badge);
+        }
+        return item;
+    }
+
+    /**
+     * 操作の対象（曲線IDや件数）の表示を取得する
+     * @param {Object|null} action
+     * @returns {string|null}
+     */
+    getActionTarget(action) {
+        if (!action) return null;
+        if (action.type === 'batch' || action.type === 'clear') {
+            const count = (action.type === 'batch' ? action.actions : action.curves) || [];
+            return `×${count.length}`;
+        }
+        if (action.type === 'reorder') {
+            return `${action.fromId} → ${action.toId}`;
+        }
+        const id = action.id ?? (action.curve ? action.curve.id : undefined) ?? action.index;
+        return id !== undefined && id !== null ? String(id) : null;
+    }
+
+    // 動的に作成した要素に翻訳を適用
+    applyTranslations(root) {
+        if (!this.languageManager) return;
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            this.languageManager.updateSpecificElement(el);
+        });
+    }
+}
@@ -0,0 +1,470 @@
+/**
+ * Reference Image Manager Class
+ * グラフの下に表示する下絵（画像）の読み込みと、配置・不透明度・ロックなどの設定を管理
+ */
+
+// 読み込む画像の長辺の最大ピクセル数（これより大きい画像は縮小してデータURLにする）
+const REFERENCE_IMAGE_MAX_SIZE = 2048;
+// 縮小した JPEG 画像の品質
+const REFERENCE_IMAGE_JPEG_QUALITY = 0.9;
+
+export class ReferenceImageManager {
+    constructor(graphCalculator) {
+        this.graphCalculator = graphCalculator;
+        this.panel = document.getElementById('reference-image-panel');
+        this.initialized = false;
+        this.isOpen = false;
+
+        // 初期化を自動的に実行
+        this.initialize();
+    }
+
+    /**
+     * 下絵パネルの初期化
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        // 下絵パネルがなければ作成
+        if (!this.panel) {
+            this.createReferenceImagePanel();
+        }
+
+        // イベントリスナーを設定
+        this.setupEventListeners();
+
+        this.updateControls(this.graphCalculator ? this.graphCalculator.getReferenceImage() : null);
+        this.initialized = true;
+    }
+
+    /**
+     * 下絵パネルのHTML構造を作成
+     */
+    createReferenceImagePanel() {
+        const panel = document.createElement('div');
+        panel.id = 'reference-image-panel';
+        panel.className = 'settings-panel reference-image-panel'; // 設定パネルと同じスタイルを使用
+
+        panel.innerHTML = `
+      <div class="settings-header">
+        <i class="material-symbols-rounded">image</i>
+        <span><strong data-i18n="reference_image_panel.title">下絵</strong></span>
+        <button id="close-reference-image" class="close-btn">&times;</button>
+      </div>
+      <div class="settings-body">
+        <div class="settings-item">
+          <button id="reference-image-load-btn" class="export-btn import-btn" type="button">
+            <i class="material-symbols-rounded">add_photo_alternate</i>
+            <span data-i18n="reference_image_panel.load">画像を読み込む</span>
+          </button>
+          <input id="reference-image-file" type="file" accept="image/*" hidden>
+        </div>
+        <form id="reference-image-url-form" class="settings-item reference-image-url-row" autocomplete="off">
+          <input id="reference-image-url" class="reference-image-url" type="url" spellcheck="false"
+            placeholder="画像のURL" data-i18n-placeholder="reference_image_panel.url_placeholder">
+          <button class="reference-image-url-btn" type="submit">
+            <i class="material-symbols-rounded">link</i>
+          </button>
+        </form>
+        <div id="reference-image-error" class="reference-image-error hidden" role="alert"></div>
+        <div id="reference-image-controls" class="reference-image-controls hidden">
+          <hr class="settings-divider">
+          <label class="reference-image-row">
+            <span data-i18n="reference_image_panel.opacity">不透明度</span>
+            <input id="reference-image-opacity" type="range" min="0" max="1" step="0.05">
+          </label>
+          <div class="reference-image-row">
+            <span data-i18n="reference_image_panel.position">中心</span>
+            <span class="latex-domain-row">
+              <span class="latex-symbol">(</span>
+              <input id="reference-image-x" class="domain-input" type="number" step="any">
+              <span class="latex-symbol">,</span>
+              <input id="reference-image-y" class="domain-input" type="number" step="any">
+              <span class="latex-symbol">)</span>
+            </span>
+          </div>
+          <label class="reference-image-row">
+            <span data-i18n="reference_image_panel.width">幅（スケール）</span>
+            <input id="reference-image-width" class="domain-input" type="number" min="0" step="any">
+          </label>
+          <label class="reference-image-row">
+            <span data-i18n="reference_image_panel.rotation">回転（度）</span>
+            <input id="reference-image-rotation" class="domain-input" type="number" step="1">
+          </label>
+          <div class="settings-item">
+            <label class="settings-checkbox">
+              <input type="checkbox" id="reference-image-visible">
+              <span class="checkbox-custom"></span>
+              <i class="material-symbols-rounded">visibility</i>
+              <span data-i18n="reference_image_panel.visible">表示する</span>
+            </label>
+          </div>
+          <div class="settings-item">
+            <label class="settings-checkbox">
+              <input type="checkbox" id="reference-image-locked">
+              <span class="checkbox-custom"></span>
+              <i class="material-symbols-rounded">lock</i>
+              <span data-i18n="reference_image_panel.lock">ロック（ドラッグで動かさない）</span>
+            </label>
+          </div>
+          <div class="settings-item">
+            <label class="settings-checkbox">
+              <input type="checkbox" id="reference-image-export">
+              <span class="checkbox-custom"></span>
+              <i class="material-symbols-rounded">planner_banner_ad_pt</i>
+              <span data-i18n="reference_image_panel.include_in_export">画像の出力に含める</span>
+            </label>
+          </div>
+          <div class="settings-item">
+            <button id="reference-image-remove-btn" class="export-btn" type="button">
+              <i class="material-symbols-rounded">delete</i>
+              <span data-i18n="reference_image_panel.remove">下絵を削除</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+    }
+
+    /**
+     * イベントリスナーを設定
+     */
+    setupEventListeners() {
+        const toggleBtn = document.getElementById('reference-image');
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', () => {
+                this.togglePanel();
+            });
+        }
+
+        // 閉じるボタン
+        const closeBtn = document.getElementById('close-reference-image');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.hidePanel());
+        }
+
+        // ファイルから読み込む
+        const fileInput = document.getElementById('reference-image-file');
+        const loadBtn = document.getElementById('reference-image-load-btn');
+        if (loadBtn && fileInput) {
+            loadBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files && fileInput.files[0];
+                fileInput.value = '';
+                if (file) {
+                    this.loadFile(file);
+                }
+            });
+        }
+
+        // URLを参照して読み込む
+        const urlForm = document.getElementById('reference-image-url-form');
+        const urlInput = document.getElementById('reference-image-url');
+        if (urlForm && urlInput) {
+            urlForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const url = urlInput.value.trim();
+                if (url) {
+                    this.loadURL(url).then(result => {
+                        if (result.success) urlInput.value = '';
+                    });
+                }
+            });
+            urlInput.addEventListener('input', () => this.showError(''));
+            // 入力中のキーをキャンバスのショートカットに渡さない
+            urlInput.addEventListener('keydown', (e) => e.stopPropagation());
+        }
+
+        // 配置の入力（値が数値になったときだけ反映する）
+        const numberInputs = {
+            x: 'reference-image-x',
+            y: 'reference-image-y',
+            width: 'reference-image-width',
+            rotation: 'reference-image-rotation'
+        };
+        Object.entries(numberInputs).forEach(([key, id]) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            input.addEventListener('input', () => {
+                const value = parseFloat(input.value);
+                if (!Number.isFinite(value) || (key === 'width' && value <= 0)) return;
+                this.graphCalculator.updateReferenceImage({ [key]: value });
+            });
+            input.addEventListener('keydown', (e) => e.stopPropagation());
+        });
+
+        const opacityInput = document.getElementById('reference-image-opacity');
+        if (opacityInput) {
+            opacityInput.addEventListener('input', () => {
+                this.graphCalculator.updateReferenceImage({ opacity: Number(opacityInput.value) });
+            });
+        }
+
+        const checkboxes = {
+            visible: 'reference-image-visible',
+            locked: 'reference-image-locked',
+            includeInExport: 'reference-image-export'
+        };
+        Object.entries(checkboxes).forEach(([key, id]) => {
+            const checkbox = document.getElementById(id);
+            if (!checkbox) return;
+            checkbox.addEventListener('change', () => {
+                this.graphCalculator.updateReferenceImage({ [key]: checkbox.checked });
+            });
+        });
+
+        const removeBtn = document.getElementById('reference-image-remove-btn');
+        if (removeBtn) {
+            removeBtn.addEventListener('click', () => {
+                this.graphCalculator.setReferenceImage(null);
+            });
+        }
+
+        // 下絵の変更（ドラッグでの移動やJSONからの復元を含む）をパネルに反映
+        document.addEventListener('referenceImageChanged', (e) => {
+            this.updateControls(e.detail ? e.detail.image : null);
+        });
+
+        // パネル外をクリックした時に閉じる
+        document.addEventListener('click', (e) => {
+            // 下絵ボタンのクリックは無視する
+            if (e.target.id === 'reference-image' || e.target.closest('#reference-image')) {
+                return;
+            }
+
+            if (this.isOpen && !this.panel.contains(e.target)) {
+                this.hidePanel();
+            }
+        });
+
+        // escキーでパネルを閉じる
+        document.addEventListener('keydown', (e) => {
+            if (this.isOpen && e.key === 'Escape') {
+                this.hidePanel();
+            }
+        });
+
+        // ウィンドウリサイズ時にパネルを閉じる
+        window.addEventListener('resize', () => { if (this.isOpen) this.hidePanel(); });
+    }
+
+    /**
+     * 画像ファイルを読み込んで下絵にする（大きい画像は縮小してデータURLにする）
+     * @param {File} file - 画像ファイル
+     * @returns {Promise<Object>} { success, message }
+     */
+    async loadFile(file) {
+        if (!file.type.startsWith('image/')) {
+            return this.finishLoad({ success: false, message: '画像ファイルを選択してください' });
+        }
+
+        try {
+            const dataURL = await readAsDataURL(file);
+            const image = await loadImage(dataURL);
+            const src = downscaleImage(image, file.type) || dataURL;
+            this.graphCalculator.setReferenceImage({
+                src,
+                naturalWidth: image.naturalWidth,
+                naturalHeight: image.naturalHeight
+            });
+            return this.finishLoad({ success: true, message: '' });
+        } catch (e) {
+            return this.finishLoad({ success: false, message: '画像を読み込めませんでした' });
+        }
+    }
+
+    /**
+     * URLの画像を下絵にする
+     * 画像の出力や自動保存のサムネイルに含められるよう、取得できる画像はデータURLにする
+     * 取得できない画像（CORS で許可されていないなど）はURLのまま表示し、画像の出力には含めない
+     * @param {string} url - 画像のURL
+     * @returns {Promise<Object>} { success, message }
+     */
+    async loadURL(url) {
+        let fetched = null;
+        try {
+            fetched = await fetchImageAsDataURL(url);
+        } catch (e) {
+            fetched = null;
+        }
+
+        try {
+            const image = await loadImage(fetched ? fetched.dataURL : url);
+            const src = fetched ? (downscaleImage(image, fetched.type) || fetched.dataURL) : url;
+            this.graphCalculator.setReferenceImage({
+                src,
+                naturalWidth: image.naturalWidth,
+                naturalHeight: image.naturalHeight
+            });
+            return this.finishLoad({
+                success: true,
+                message: fetched ? '' : '画像を取得できないため、この下絵は画像の出力に含められません'
+            });
+        } catch (e) {
+            return this.finishLoad({ success: false, message: '画像を読み込めませんでした' });
+        }
+    }
+
+    // 読み込みの結果をパネルに表示する（読み込めた場合も注意があれば表示する）
+    finishLoad(result) {
+        this.showError(result.message || '');
+        return result;
+    }
+
+    /**
+     * パネルにエラーを表示する（空文字で消す）
+     * @param {string} message
+     */
+    showError(message) {
+        const error = document.getElementById('reference-image-error');
+        if (!error) return;
+        error.textContent = message;
+        error.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * 下絵の配置をパネルの入力欄に反映する
+     * @param {Object|null} image - 下絵の配置（null なら配置の入力欄を隠す）
+     */
+    updateControls(image) {
+        const controls = document.getElementById('reference-image-controls');
+        if (!controls) return;
+        controls.classList.toggle('hidden', !image);
+        if (!image) return;
+
+        const setValue = (id, value) => {
+            const input = document.getElementById(id);
+            // 入力中の欄は書き換えない
+            if (input && input !== document.activeElement) {
+                input.value = value;
+            }
+        };
+        setValue('reference-image-x', formatValue(image.x));
+        setValue('reference-image-y', formatValue(image.y));
+        setValue('reference-image-width', formatValue(image.width));
+        setValue('reference-image-rotation', formatValue(image.rotation));
+        setValue('reference-image-opacity', image.opacity);
+
+        const setChecked = (id, checked) => {
+            const checkbox = document.getElementById(id);
+            if (checkbox) checkbox.checked = checked;
+        };
+        setChecked('reference-image-visible', image.visible);
+        setChecked('reference-image-locked', image.locked);
+        setChecked('reference-image-export', image.includeInExport);
+
+        // URLのままの下絵は画像の出力に含められない
+        const exportCheckbox = document.getElementById('reference-image-export');
+        if (exportCheckbox) {
+            exportCheckbox.disabled = !this.graphCalculator.canExportReferenceImage();
+        }
+    }
+
+    /**
+     * 下絵パネルを表示
+     */
+    showPanel() {
+        if (!this.initialized) {
+            this.initialize();
+        }
+
+        // 下絵ボタンの位置を基準にパネルを配置
+        const toggleBtn = document.getElementById('reference-image');
+        if (toggleBtn) {
+            const rect = toggleBtn.getBoundingClientRect();
+            const viewportHeight = window.innerHeight;
+            const panelHeight = this.panel.offsetHeight || 300; // 推定値
+
+            // パネルの位置を計算
+            let top = rect.bottom + 5; // ボタンの下に5pxのスペース
+
+            // 画面下部に収まるかチェック
+            if (top + panelHeight > viewportHeight) {
+                // 収まらない場合はボタンの上に表示
+                top = rect.top - panelHeight - 5;
+            }
+
+            this.panel.style.top = `${top}px`;
+            this.panel.style.right = '20px'; // ヘッダーのpadding分を考慮
+        }
+
+        this.panel.classList.add('visible');
+        this.isOpen = true;
+    }
+
+    /**
+     * 下絵パネルを非表示
+     */
+    hidePanel() {
+        this.panel.classList.remove('visible');
+        this.isOpen = false;
+    }
+
+    /**
+     * パネルの表示状態を切り替え
+     */
+    togglePanel() {
+        if (this.isOpen) {
+            this.hidePanel();
+        } else {
+            this.showPanel();
+        }
+    }
+}
+
+// ファイル・Blob をデータURLとして読み込む
+function readAsDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// URLの画像を取得してデータURLにする（取得できない場合や画像でない場合は例外）
+async function fetchImageAsDataURL(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`画像を取得できませんでした (${response.status})`);
+    }
+    const blob = await response.blob();
+    if (!blob.type.startsWith('image/')) {
+        throw new Error('画像ではありません');
+    }
+    return { dataURL: await readAsDataURL(blob), type: blob.type };
+}
+
+// 画像を読み込み、読み込みが終わったら Image 要素を返す
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('画像を読み込めませんでした'));
+        image.src = src;
+    });
+}
+
+// 長辺が REFERENCE_IMAGE_MAX_SIZE を超える画像を縮小したデータURL（縮小しない場合は null）
+function downscaleImage(image, type) {
+    const longSide = Math.max(image.naturalWidth, image.naturalHeight);
+    if (longSide <= REFERENCE_IMAGE_MAX_SIZE) return null;
+
+    const ratio = REFERENCE_IMAGE_MAX_SIZE / longSide;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.naturalWidth * ratio);
+    canvas.height = Math.round(image.naturalHeight * ratio);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    // 透過のない JPEG は JPEG のまま、それ以外は透過を保つため PNG にする
+    return type === 'image/jpeg'
+        ? canvas.toDataURL('image/jpeg', REFERENCE_IMAGE_JPEG_QUALITY)
+        : canvas.toDataURL('image/png');
+}
+
+// 入力欄に表示する数値（小数第3位まで）
+function formatValue(value) {
+    return String(Number(Number(value).toFixed(3)));
+}
@@ -173,18 +173,20 @@ export class SaveGraphManager {
         // JSONデータ生成
         let json = '';
         if (this.graphCalculator) {
-            // CurveManagerの曲線情報を取得する（復元に必須）
-            let curveData = null;
+            // CurveManagerの曲線情報とフォルダを取得する（復元に必須）
+            let curveManager = null;
 
             // UIManagerから取得を試みる
             if (this.historyManager && this.historyManager.uiManager &&
                 this.historyManager.uiManager.curveManager) {
-                curveData = this.historyManager.uiManager.curveManager.curves;
+                curveManager = this.historyManager.uiManager.curveManager;
             }
             // windowグローバル変数から取得を試みる
             else if (window.curveManager) {
-                curveData = window.curveManager.curves;
+                curveManager = window.curveManager;
             }
+            const curveData = curveManager ? curveManager.curves : null;
+            const folders = curveManager ? curveManager.folders : null;
 
             // 設定情報も取得
             let settings = null;
@@ -194,7 +196,7 @@ export class SaveGraphManager {
             }
 
             // 完全な復元に必要なデータを含むJSONを生成
-            json = getJSONDataString(this.graphCalculator, settings, curveData);
+            json = getJSONDataString(this.graphCalculator, settings, curveData, folders);
         }
 
         const graphData = {
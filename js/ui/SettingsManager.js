@@ -2,7 +2,9 @@
  * Settings Manager Class
  * グラフ表示設定と環境設定を管理
  */
-import { importJSONFile, loadFromJSON } from '../graph/GraphSaveUtils.js';
+import { importJSONFile, importSVGFile, loadFromJSON, loadFromSVG } from '../graph/GraphSaveUtils.js';
+import { DesmosIO } from '../io/DesmosIO.js';
+import { ClipboardIO } from '../io/ClipboardIO.js';
 
 export class SettingsManager {
     constructor(graphCalculator, curveManager = null, historyManager = null, approximatorManager = null) {
@@ -25,6 +27,7 @@ export class SettingsManager {
 
         this.initialized = false;
         this.isOpen = false;
+        this.isPasteImportOpen = false;
 
         // 自動的に初期化を実行
         this.initialize();
@@ -41,6 +44,9 @@ export class SettingsManager {
             this.createSettingsPanel();
         }
 
+        // 貼り付けインポート用のモーダルを作成
+        this.createPasteImportModal();
+
         // 設定コントロールのイベントリスナーを設定
         this.setupEventListeners();
 
@@ -152,6 +158,24 @@ export class SettingsManager {
                     <span data-i18n="settings_panel.import_json">JSONをインポート</span>
                     </button>
                 </div>
+                <div class="settings-item">
+                    <button id="import-paste-btn" class="export-btn import-btn">
+                    <i class="material-symbols-rounded">content_paste</i>
+                    <span data-i18n="settings_panel.import_paste">JSONを貼り付けてインポート</span>
+                    </button>
+                </div>
+                <div class="settings-item">
+                    <button id="import-desmos-btn" class="export-btn import-btn">
+                    <i class="material-symbols-rounded">function</i>
+                    <span data-i18n="settings_panel.import_desmos">Desmos JSONをインポート</span>
+                    </button>
+                </div>
+                <div class="settings-item">
+                    <button id="import-svg-btn" class="export-btn import-btn">
+                    <i class="material-symbols-rounded">polyline</i>
+                    <span data-i18n="settings_panel.import_svg">SVGをインポート</span>
+                    </button>
+                </div>
             </div>
             `;
 
@@ -162,6 +186,52 @@ export class SettingsManager {
         this.addImportStyles();
     }
 
+    /**
+     * JSONを貼り付けてインポートするモーダルを作成
+     */
+    createPasteImportModal() {
+        if (document.getElementById('paste-import-modal')) return;
+
+        const modalHtml = `
+            <div class="modal-overlay" id="paste-import-overlay"></div>
+            <div class="modal-content paste-import-modal" id="paste-import-modal">
+                <div class="modal-header">
+                    <h3>
+                        <i class="material-symbols-rounded">content_paste</i>
+                        <span data-i18n="paste_import.title">JSONを貼り付けてインポート</span>
+                    </h3>
+                    <button class="close-modal-btn" type="button">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <textarea id="paste-import-input" class="paste-import-input" spellcheck="false"
+                              data-i18n-placeholder="paste_import.placeholder"
+                              placeholder="GraPen・Desmos のJSON、または latexEquations の配列を貼り付けてください"></textarea>
+                    <small class="paste-import-notice" data-i18n="paste_import.notice">「置き換え」は今の曲線をすべて削除し、履歴もリセットします。</small>
+                    <div class="modal-footer">
+                        <button class="modal-button paste-import-merge" type="button" data-i18n="paste_import.merge">追加</button>
+                        <button class="modal-button primary paste-import-replace" type="button" data-i18n="paste_import.replace">置き換え</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        this.pasteImportModal = document.getElementById('paste-import-modal');
+        this.pasteImportOverlay = document.getElementById('paste-import-overlay');
+        this.pasteImportInput = document.getElementById('paste-import-input');
+
+        const closeBtn = this.pasteImportModal.querySelector('.close-modal-btn');
+        closeBtn.addEventListener('click', () => this.hidePasteImportModal());
+        this.pasteImportOverlay.addEventListener('click', () => this.hidePasteImportModal());
+
+        this.pasteImportModal.querySelector('.paste-import-merge').addEventListener('click', () => {
+            this.importFromText(this.pasteImportInput.value, { merge: true });
+        });
+        this.pasteImportModal.querySelector('.paste-import-replace').addEventListener('click', () => {
+            this.importFromText(this.pasteImportInput.value, { merge: false });
+        });
+    }
+
     /**
      * インポートボタン用のスタイルを追加
      */
@@ -217,6 +287,75 @@ export class SettingsManager {
       .import-btn:hover {
         background-color: var(--active-background);
       }
+
+      .paste-import-modal {
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        margin: auto;
+        background: var(--modal-bg, white);
+        color: var(--text-color);
+        width: 90%;
+        max-width: 520px;
+        height: fit-content;
+        max-height: 90vh;
+        /* 読み込みエラーのアラート（z-index: 2000）より下に表示する */
+        z-index: 1999;
+        display: none;
+      }
+
+      .paste-import-modal.open {
+        display: block;
+      }
+
+      #paste-import-overlay.modal-overlay {
+        display: none;
+        z-index: 1998;
+      }
+
+      #paste-import-overlay.modal-overlay.open {
+        display: block;
+      }
+
+      .paste-import-modal .modal-header i {
+        color: #007bff;
+      }
+
+      .paste-import-input {
+        width: 100%;
+        min-height: 160px;
+        box-sizing: border-box;
+        padding: 8px;
+        border: 1px solid var(--input-border, #ddd);
+        border-radius: 4px;
+        background-color: var(--input-bg);
+        color: var(--text-color);
+        font-family: monospace;
+        font-size: 12px;
+        resize: vertical;
+      }
+
+      .paste-import-notice {
+        display: block;
+        margin-top: 6px;
+        opacity: 0.8;
+      }
+
+      .paste-import-modal .modal-footer {
+        padding: 15px 0 0 0;
+      }
+
+      .paste-import-modal .modal-button {
+        background-color: var(--hover-background);
+        color: var(--text-color);
+      }
+
+      .paste-import-modal .modal-button.primary {
+        background-color: #007bff;
+        color: white;
+      }
     `;
 
         document.head.appendChild(style);
@@ -350,6 +489,9 @@ export class SettingsManager {
             if (this.isOpen && e.key === 'Escape') {
                 this.hidePanel();
             }
+            if (this.isPasteImportOpen && e.key === 'Escape') {
+                this.hidePasteImportModal();
+            }
         });
 
         // ウィンドウリサイズ時にパネルを閉じる
@@ -371,6 +513,48 @@ export class SettingsManager {
             });
         }
 
+        // 貼り付けインポートボタン
+        const importPasteBtn = document.getElementById('import-paste-btn');
+        if (importPasteBtn) {
+            importPasteBtn.addEventListener('click', () => {
+                if (this.graphCalculator && this.curveManager) {
+                    this.showPasteImportModal();
+                } else {
+                    console.error('グラフ計算機が初期化されていません');
+                }
+                this.hidePanel();
+            });
+        }
+
+        // キャンバス上での Ctrl+V（貼り付け）によるインポート
+        document.addEventListener('paste', (e) => this.handlePaste(e));
+
+        // Desmos JSONインポートボタン
+        const importDesmosBtn = document.getElementById('import-desmos-btn');
+        if (importDesmosBtn) {
+            importDesmosBtn.addEventListener('click', () => {
+                if (this.graphCalculator && this.curveManager) {
+                    this.importDesmosJSON();
+                } else {
+                    console.error('グラフ計算機が初期化されていません');
+                }
+                this.hidePanel();
+            });
+        }
+
+        // SVGインポートボタン
+        const importSvgBtn = document.getElementById('import-svg-btn');
+        if (importSvgBtn) {
+            importSvgBtn.addEventListener('click', () => {
+                if (this.graphCalculator && this.curveManager) {
+                    this.importSVG();
+                } else {
+                    console.error('グラフ計算機が初期化されていません');
+                }
+                this.hidePanel();
+            });
+        }
+
         // ドメイン範囲入力のイベントリスナー
         const xMinInput = document.getElementById('x-min-input');
         const xMaxInput = document.getElementById('x-max-input');
@@ -540,7 +724,186 @@ export class SettingsManager {
             } catch (error) {
                 console.error('JSONデータの処理中にエラーが発生しました:', error);
                 console.log('エラーが発生したJSONデータ:', jsonData);
-                alert('グラフデータの読み込みに失敗しました。');
+                this.showImportAlert('グラフデータの読み込みに失敗しました。', 'error', { i18nKey: 'alert.import.load_failed' });
+            }
+        });
+    }
+
+    /**
+     * 貼り付けインポートのモーダルを表示
+     * @param {string} text - 入力欄に入れておくテキスト
+     */
+    showPasteImportModal(text = '') {
+        if (!this.pasteImportModal) {
+            this.createPasteImportModal();
+        }
+        this.pasteImportInput.value = text;
+        this.pasteImportModal.classList.add('open');
+        this.pasteImportOverlay.classList.add('open');
+        this.pasteImportInput.focus();
+        this.isPasteImportOpen = true;
+    }
+
+    /**
+     * 貼り付けインポートのモーダルを非表示
+     */
+    hidePasteImportModal() {
+        if (!this.pasteImportModal) return;
+        this.pasteImportModal.classList.remove('open');
+        this.pasteImportOverlay.classList.remove('open');
+        this.isPasteImportOpen = false;
+    }
+
+    /**
+     * キャンバス上での貼り付けを処理する
+     * JSONらしいデータのときだけ取り込み、それ以外の貼り付けには干渉しない
+     * @param {ClipboardEvent} e
+     */
+    handlePaste(e) {
+        if (!this.graphCalculator || !this.curveManager || !e.clipboardData) return;
+
+        // 入力欄への貼り付けはそのまま
+        const target = e.target;
+        const tag = target && target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || (target && target.isContentEditable)) return;
+        if (target !== document.body && !this.graphCalculator.container.contains(target)) return;
+
+        // Desmos でコピーした式は専用の形式で入っている
+        let text = e.clipboardData.getData('text/plain');
+        if (!ClipboardIO.looksLikeImportText(text)) {
+            text = e.clipboardData.getData('dcg-copy-expression');
+        }
+        if (!ClipboardIO.looksLikeImportText(text)) return;
+
+        e.preventDefault();
+
+        // 曲線がなければ追加と置き換えの区別がないので、そのまま読み込む
+        const hasCurves = this.curveManager.curves.some(curve => curve);
+        if (!hasCurves) {
+            this.importFromText(text, { merge: true });
+            return;
+        }
+        this.showPasteImportModal(text);
+    }
+
+    /**
+     * 貼り付けられたテキストからグラフを読み込む
+     * @param {string} text - GraPen・Desmos のJSON、または latexEquations の配列
+     * @param {Object} options - { merge: 既存の曲線を残して追加するか（false なら置き換え） }
+     * @returns {Promise<Object>} 結果 {success: boolean, message: string}
+     */
+    async importFromText(text, options = {}) {
+        const merge = !!options.merge;
+        const domain = this.graphCalculator.getDomain();
+        const parsed = ClipboardIO.parseImportText(text, {
+            viewport: { xmin: domain.xMin, xmax: domain.xMax, ymin: domain.yMin, ymax: domain.yMax }
+        });
+
+        if (parsed.unsupported.length > 0) {
+            console.warn('読み込めなかったDesmosの式:', parsed.unsupported);
+        }
+        if (!parsed.success) {
+            this.showImportAlert(parsed.message, 'error', parsed);
+            return { success: false, message: parsed.message };
+        }
+
+        const countCurves = () => this.curveManager.curves.filter(curve => curve).length;
+        const before = merge ? countCurves() : 0;
+        // 置き換えも元に戻せるように、履歴を残して読み込む
+        const loaded = await this.loadGraphFromJSON(parsed.data, false, { merge });
+        if (!loaded) {
+            const message = 'グラフデータの読み込みに失敗しました。';
+            this.showImportAlert(message, 'error', { i18nKey: 'alert.import.load_failed' });
+            return { success: false, message };
+        }
+
+        this.hidePasteImportModal();
+
+        const count = countCurves() - before;
+        let message = `${count}本の曲線を読み込みました`;
+        const i18nKey = ['alert.import.loaded'];
+        if (parsed.unsupported.length > 0) {
+            message += `（未対応の式: ${parsed.unsupported.length}件）`;
+            i18nKey.push('alert.import.unsupported');
+        }
+        this.showImportAlert(message, parsed.unsupported.length > 0 ? 'warning' : 'info', {
+            i18nKey,
+            i18nParams: { count, unsupported: parsed.unsupported.length }
+        });
+        return { success: true, message };
+    }
+
+    /**
+     * インポートの結果をアラートで表示する
+     * @param {string} message - 表示するメッセージ
+     * @param {string} type - アラートタイプ ('info', 'warning', 'error')
+     * @param {Object} i18n - { i18nKey: 翻訳キー（配列ならつなげて表示）, i18nParams: 翻訳文に埋め込む値 }
+     */
+    showImportAlert(message, type = 'info', i18n = {}) {
+        const uiManager = this.curveManager ? this.curveManager.uiManager : null;
+        if (uiManager && uiManager.alertModal) {
+            uiManager.alertModal.show(message, {
+                type,
+                position: 'center-top',
+                i18nKey: i18n.i18nKey || null,
+                i18nParams: i18n.i18nParams || {}
+            });
+            uiManager.updateHistoryButtons();
+        } else if (type === 'error') {
+            console.error(message);
+        }
+    }
+
+    /**
+     * Desmos の State Object (JSON) をインポートし、既存の曲線に追加する
+     * 未対応の式は読み飛ばさずに件数を通知し、詳細をコンソールに出力する
+     */
+    importDesmosJSON() {
+        importJSONFile((jsonData) => {
+            const result = DesmosIO.importFromDesmosJSON(jsonData, this.curveManager);
+            const uiManager = this.curveManager.uiManager;
+
+            if (result.unsupported.length > 0) {
+                console.warn('読み込めなかったDesmosの式:', result.unsupported);
+            }
+
+            if (uiManager && uiManager.alertModal) {
+                const type = !result.success ? 'error' : (result.unsupported.length > 0 ? 'warning' : 'info');
+                uiManager.alertModal.show(result.message, {
+                    type,
+                    position: 'center-top',
+                    i18nKey: result.i18nKey,
+                    i18nParams: result.i18nParams
+                });
+                uiManager.updateHistoryButtons();
+            } else if (!result.success || result.unsupported.length > 0) {
+                alert(result.message);
+            }
+        });
+    }
+
+    /**
+     * SVGファイルを選択し、パスを数式化して曲線として追加する
+     */
+    importSVG() {
+        importSVGFile(async (svgText) => {
+            const result = await loadFromSVG(this.curveManager, svgText, {
+                useAdvancedMode: !!this.settings.advancedMode,
+                approximatorSettings: this.curveManager.approximatorSettings
+            });
+            const uiManager = this.curveManager.uiManager;
+
+            if (uiManager && uiManager.alertModal) {
+                const type = !result.success ? 'error' : (result.failedCount > 0 ? 'warning' : 'info');
+                uiManager.alertModal.show(result.message, {
+                    type,
+                    position: 'center-top',
+                    i18nKey: result.i18nKey,
+                    i18nParams: result.i18nParams
+                });
+                uiManager.updateHistoryButtons();
+            } else if (!result.success || result.failedCount > 0) {
+                alert(result.message);
             }
         });
     }
@@ -550,37 +913,73 @@ export class SettingsManager {
      * URLハッシュパラメータや外部ファイルからの読み込みで利用可能
      * @param {Object} jsonData - JSONデータオブジェクト
      * @param {boolean} resetHistory - 履歴をリセットするかどうか
+     *   リセットしない場合と追加読み込みでは、置き換える曲線の削除と読み込んだ曲線の追加を1つの操作として履歴に記録する
+     * @param {Object} options - { merge: 既存の曲線を残して末尾に追加するか, preserveDomain: 今の表示範囲を保つか（デフォルト true） }
      * @returns {Promise<boolean>} 復元に成功したかどうか
      */
-    async loadGraphFromJSON(jsonData, resetHistory = true) {
+    async loadGraphFromJSON(jsonData, resetHistory = true, options = {}) {
         if (!jsonData) {
             console.error('JSONデータが空です');
             return false;
         }
 
+        const merge = !!options.merge;
+        const recordHistory = merge || !resetHistory;
+
         try {
-            // GraphCalculatorのステートを復元
+            // 追加読み込みでは既存の曲線の後ろからIDを振る
+            let firstCurveId = 0;
+            if (merge && this.curveManager) {
+                firstCurveId = this.curveManager.uiManager ?
+                    this.curveManager.uiManager.settings.nextCurveId :
+                    this.curveManager.curves.length;
+            }
+
+            // 置き換える曲線（後ろから削除した順）とフォルダの状態を、元に戻せるように記録しておく
+            let replacedActions = [];
+            let previousFolderState = null;
+            if (recordHistory && this.curveManager) {
+                const nextCurveId = this.curveManager.uiManager ?
+                    this.curveManager.uiManager.settings.nextCurveId :
+                    this.curveManager.curves.length;
+                if (!merge) {
+                    replacedActions = this.curveManager.curves
+                        .map((curve, index) => (curve ? { type: 'delete', curve, index, nextCurveId } : null))
+                        .filter(Boolean)
+                        .reverse();
+                }
+                previousFolderState = this.curveManager.getFolderState();
+            }
+
+            // GraphCalculatorのステートを復元（追加読み込みでは今の設定を保つ）
             const result = loadFromJSON(this.graphCalculator, jsonData,
                 // 設定復元コールバック
-                (settingsData) => {
+                merge ? null : (settingsData) => {
                     if (settingsData) {
                         this.settings = { ...this.settings, ...settingsData };
                         this.applySettings(settingsData);
                     }
-                }
+                },
+                { preserveDomain: options.preserveDomain !== false, merge, firstCurveId }
             );
 
             // 復元に成功した場合、CurveManagerのUIを復元
             if (result && result.success && this.curveManager) {
-                // 曲線リストをクリア
-                this.curveManager.curves = [];
+                if (!merge) {
+                    // 曲線リストをクリア
+                    this.curveManager.curves = [];
 
-                // UIManagerがアクセス可能な場合は設定も更新
-                if (this.curveManager.uiManager) {
-                    this.curveManager.uiManager.settings.nextCurveId = 0;
+                    // UIManagerがアクセス可能な場合は設定も更新
+                    if (this.curveManager.uiManager) {
+                        this.curveManager.uiManager.settings.nextCurveId = 0;
+                    }
                 }
 
+                // フォルダを復元（追加読み込みではIDが重なるフォルダを別のIDに振り直す）
+                const folderIdMap = this.curveManager.loadFolders(result.folders, { merge });
+
                 // 復元された曲線データを処理
+                const addedCurves = new Set();
                 result.curves.forEach((curveData) => {
                     // 強調表示曲線はスキップ
                     if (curveData.id && curveData.id.toString().startsWith('emphasis-')) {
@@ -621,8 +1020,24 @@ export class SettingsManager {
                         preKnots: preKnots,
                         minKnots: minKnots,
                         maxKnots: maxKnots,
-                        originalPoints: originalPoints
+                        originalPoints: originalPoints,
+                        pointShape: curveData.pointShape,
+                        approximationType: curveData.approximationType,
+                        approximationData: curveData.approximationData,
+                        approximationDiagnostics: curveData.approximationDiagnostics,
+                        selectedApproximator: curveData.selectedApproximator,
+                        approximatorPriority: curveData.approximatorPriority,
+                        approximationDomain: curveData.approximationDomain,
+                        closed: curveData.closed,
+                        symmetryKey: curveData.symmetryKey,
+                        symmetrySource: curveData.symmetrySource,
+                        locked: !!curveData.locked,
+                        folderId: curveData.folderId ? folderIdMap[curveData.folderId] || null : null,
+                        // 塗りつぶしは GraphCalculator の曲線データ（fill, fillOpacity）に保存されている
+                        fill: curveData.fill ? { color: curveData.fill, opacity: curveData.fillOpacity } : null,
+                        recordHistory: false
                     });
+                    addedCurves.add(this.curveManager.curves[curveId]);
 
                     // 節点データを保存
                     if (knotPoints && Array.isArray(knotPoints)) {
@@ -636,14 +1051,23 @@ export class SettingsManager {
                     this.curveManager.setCurveDetailState(curveId, isDetailShown);
                 });
 
-                // 曲線リストのUIを更新
+                // 同じフォルダの曲線を連続させてから曲線リストのUIを更新
+                this.curveManager.normalizeFolderOrder();
                 this.curveManager.updateCurveList();
 
-                // 履歴をリセットするオプションが有効な場合
-                if (resetHistory && this.historyManager && this.curveManager.uiManager) {
+                if (recordHistory) {
+                    // 削除・フォルダの変更・追加を1回で元に戻せるようにまとめて記録する
+                    const folderState = this.curveManager.getFolderState();
+                    const folderActions = JSON.stringify(folderState.folders) !== JSON.stringify(previousFolderState.folders)
+                        ? [{ type: 'folder', oldState: previousFolderState, newState: folderState }]
+                        : [];
+                    const addedActions = this.curveManager.curves
+                        .filter(curve => addedCurves.has(curve))
+                        .map(curve => ({ type: 'add', curve }));
+                    this.curveManager.recordBatchAction([...replacedActions, ...folderActions, ...addedActions]);
+                } else if (this.historyManager && this.curveManager.uiManager) {
                     // 履歴をリセット（復元されたグラフは初期状態として扱う）
-                    this.historyManager.undoStack = [];
-                    this.historyManager.redoStack = [];
+                    this.historyManager.clearHistory();
 
                     // UIManagerに状態更新を通知
                     this.curveManager.uiManager.updateHistoryButtons();
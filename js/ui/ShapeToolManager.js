@@ -0,0 +1,377 @@
+import { EquationBuilder } from '../util/EquationBuilder.js';
+import { toRPN } from '../util/NumberUtil.js';
+
+// 図形の種類
+export const SHAPE_TYPES = ['line', 'rectangle', 'circle', 'ellipse', 'polygon'];
+
+const DEFAULT_POLYGON_SIDES = 5;
+const MIN_POLYGON_SIDES = 3;
+const MAX_POLYGON_SIDES = 12;
+// これより短いドラッグは図形を作らない（スクリーン座標, px）
+const MIN_DRAG_PX = 4;
+// 円・楕円のプレビューと元の点の分割数
+const ELLIPSE_SAMPLE_COUNT = 64;
+// 寸法表示をポインタからずらす量（px）
+const LABEL_OFFSET_PX = 14;
+
+/**
+ * 図形ツール管理クラス
+ * ドラッグで線分・長方形・円・楕円・正多角形を描き、近似を通さずに数式から曲線を作る
+ * 座標はグリッド（補助目盛り）に吸着する（Alt キーを押している間は吸着しない）
+ */
+export class ShapeToolManager {
+    /**
+     * @param {Object} settings - アプリ設定
+     * @param {GraphCalculator} graphCalculator
+     * @param {CurveManager} curveManager
+     */
+    constructor(settings, graphCalculator, curveManager) {
+        this.settings = settings;
+        this.graphCalculator = graphCalculator;
+        this.curveManager = curveManager;
+
+        if (!SHAPE_TYPES.includes(this.settings.currentShape)) {
+            this.settings.currentShape = 'line';
+        }
+        if (!Number.isInteger(this.settings.polygonSides)) {
+            this.settings.polygonSides = DEFAULT_POLYGON_SIDES;
+        }
+
+        // ドラッグ中の状態
+        this.isDragging = false;
+        this.startScreen = null;
+        this.endScreen = null;
+        this.snapToGrid = true;
+        this.previewPath = null;
+        this.dimensionLabel = null;
+
+        this.initialize();
+    }
+
+    /**
+     * 図形選択ツールバーのイベントを設定
+     */
+    initialize() {
+        d3.selectAll('#shape-toolbar .shape-option').on('click', (event) => {
+            this.setShape(event.currentTarget.dataset.shape);
+        });
+
+        const sidesInput = document.getElementById('polygon-sides');
+        if (sidesInput) {
+            sidesInput.value = this.settings.polygonSides;
+            sidesInput.addEventListener('change', () => {
+                this.setPolygonSides(sidesInput.value);
+                sidesInput.value = this.settings.polygonSides;
+            });
+        }
+
+        this.setShape(this.settings.currentShape);
+        this.setVisible(false);
+    }
+
+    /**
+     * 描く図形を切り替える
+     * @param {string} shape - SHAPE_TYPES のいずれか
+     */
+    setShape(shape) {
+        if (!SHAPE_TYPES.includes(shape)) return;
+        this.settings.currentShape = shape;
+        d3.selectAll('#shape-toolbar .shape-option')
+            .classed('active', function () { return this.dataset.shape === shape; });
+        d3.select('#polygon-sides-container').classed('sides-hidden', shape !== 'polygon');
+    }
+
+    /**
+     * 正多角形の角数を設定する
+     * @param {number|string} sides
+     */
+    setPolygonSides(sides) {
+        const value = Math.round(Number(sides));
+        if (!Number.isFinite(value)) return;
+        this.settings.polygonSides = Math.min(MAX_POLYGON_SIDES, Math.max(MIN_POLYGON_SIDES, value));
+    }
+
+    /**
+     * 図形選択ツールバーの表示を切り替える
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        d3.select('#shape-toolbar').classed('shapes-hidden', !visible);
+        if (!visible) this.cancel();
+    }
+
+    /**
+     * ドラッグ開始
+     * @param {Event} event - マウスまたはタッチのイベント
+     */
+    start(event) {
+        if (!this.graphCalculator) return;
+        this.cancel();
+
+        const point = this._getPointer(event);
+        if (!point) return;
+
+        this.isDragging = true;
+        this.snapToGrid = !event.altKey;
+        this.startScreen = point;
+        this.endScreen = point;
+
+        const svg = d3.select(this.graphCalculator.container).select('svg');
+        this.previewPath = svg.append('path')
+            .attr('class', 'shape-preview')
+            .attr('fill', 'none')
+            .attr('stroke', this.settings.currentColor)
+            .attr('stroke-width', this.settings.currentSize)
+            .attr('stroke-linecap', 'round')
+            .attr('stroke-linejoin', 'round');
+        this.dimensionLabel = svg.append('text')
+            .attr('class', 'shape-dimension-label');
+        this._updatePreview();
+        if (event.cancelable) event.preventDefault();
+    }
+
+    /**
+     * ドラッグ中の更新
+     * @param {Event} event - マウスまたはタッチのイベント
+     */
+    move(event) {
+        if (!this.isDragging) return;
+        const point = this._getPointer(event);
+        if (!point) return;
+
+        this.endScreen = point;
+        if (event.altKey !== undefined) this.snapToGrid = !event.altKey;
+        this._updatePreview();
+    }
+
+    /**
+     * ドラッグ終了。図形を曲線として追加する
+     * @returns {Object|null} 追加結果 {success, message, curve, id}（図形を作らなかった場合は null）
+     */
+    end() {
+        if (!this.isDragging) return null;
+
+        const shape = this._buildShape();
+        const dragLength = Math.hypot(this.endScreen[0] - this.startScreen[0], this.endScreen[1] - this.startScreen[1]);
+        this.cancel();
+        if (!shape || dragLength < MIN_DRAG_PX) return null;
+
+        const descriptor = this._buildCurveDescriptor(shape);
+        if (!descriptor) return null;
+        return this.curveManager.addEquationCurve(descriptor);
+    }
+
+    /**
+     * ドラッグを中止してプレビューを消す
+     */
+    cancel() {
+        this.isDragging = false;
+        if (this.previewPath) this.previewPath.remove();
+        if (this.dimensionLabel) this.dimensionLabel.remove();
+        this.previewPath = null;
+        this.dimensionLabel = null;
+    }
+
+    _getPointer(event) {
+        const svg = d3.select(this.graphCalculator.container).select('svg');
+        if (event.touches && event.touches.length > 0) {
+            return d3.pointer(event.touches[0], svg.node());
+        }
+        if (event instanceof MouseEvent) {
+            return d3.pointer(event, svg.node());
+        }
+        return null;
+    }
+
+    // グリッド間隔（補助目盛り）と、その間隔を表せる小数点以下の桁数
+    _getGrid() {
+        const step = this.graphCalculator.getGridStep();
+        const micro = { x: step.x.micro, y: step.y.micro };
+        const smallest = Math.min(micro.x, micro.y);
+        const decimals = Math.max(3, Math.ceil(-Math.log10(smallest)) + 1);
+        return { micro, decimals };
+    }
+
+    // スクリーン座標をドメイン座標にし、必要ならグリッドに吸着させる
+    _toDomain(screenPoint, grid) {
+        const point = this.graphCalculator.screenToDomain(screenPoint[0], screenPoint[1]);
+        if (!this.snapToGrid) return [point.x, point.y];
+        return [this._round(point.x, grid.micro.x), this._round(point.y, grid.micro.y)];
+    }
+
+    _round(value, step) {
+        if (!(step > 0)) return value;
+        // 0.1 * 3 のような誤差が残らないよう、間隔の桁数で丸め直す
+        const digits = Math.max(0, Math.ceil(-Math.log10(step)) + 2);
+        return Number((Math.round(value / step) * step).toFixed(digits));
+    }
+
+    // ドラッグの始点・終点から図形を作る（ドメイン座標）
+    _buildShape() {
+        if (!this.startScreen || !this.endScreen) return null;
+
+        const grid = this._getGrid();
+        const start = this._toDomain(this.startScreen, grid);
+        const end = this._toDomain(this.endScreen, grid);
+        const dx = end[0] - start[0];
+        const dy = end[1] - start[1];
+        const shape = this.settings.currentShape;
+
+        if (shape === 'line') {
+            return { shape, decimals: grid.decimals, start, end, length: Math.hypot(dx, dy) };
+        }
+        if (shape === 'rectangle') {
+            const vertices = [start, [end[0], start[1]], end, [start[0], end[1]]];
+            return { shape, decimals: grid.decimals, vertices, width: Math.abs(dx), height: Math.abs(dy) };
+        }
+        if (shape === 'circle') {
+            // 中心から引いた長さを半径にする（半径もグリッド間隔に合わせる）
+            const distance = Math.hypot(dx, dy);
+            const radius = this.snapToGrid ? this._round(distance, Math.min(grid.micro.x, grid.micro.y)) : distance;
+            return { shape, decimals: grid.decimals, center: start, radius };
+        }
+        if (shape === 'ellipse') {
+            return { shape, decimals: grid.decimals, center: start, radiusX: Math.abs(dx), radiusY: Math.abs(dy) };
+        }
+        if (shape === 'polygon') {
+            // 中心から引いた点を1つ目の頂点にする
+            const sides = this.settings.polygonSides;
+            const radius = Math.hypot(dx, dy);
+            const startAngle = Math.atan2(dy, dx);
+            const vertices = [];
+            for (let i = 0; i < sides; i++) {
+                const angle = startAngle + (Math.PI * 2 * i) / sides;
+                vertices.push(i === 0 ? end : [start[0] + radius * Math.cos(angle), start[1] + radius * Math.sin(angle)]);
+            }
+            return { shape, decimals: grid.decimals, center: start, vertices, radius, sides };
+        }
+        return null;
+    }
+
+    // 図形のドメイン座標の点列（円・楕円は分割した点、多角形は閉じた頂点列）
+    _getShapePoints(shape) {
+        if (shape.shape === 'line') return [shape.start, shape.end];
+        if (shape.vertices) return [...shape.vertices, shape.vertices[0]];
+
+        const radiusX = shape.shape === 'circle' ? shape.radius : shape.radiusX;
+        const radiusY = shape.shape === 'circle' ? shape.radius : shape.radiusY;
+        const points = [];
+        for (let i = 0; i <= ELLIPSE_SAMPLE_COUNT; i++) {
+            const t = (Math.PI * 2 * i) / ELLIPSE_SAMPLE_COUNT;
+            points.push([shape.center[0] + radiusX * Math.cos(t), shape.center[1] + radiusY * Math.sin(t)]);
+        }
+        return points;
+    }
+
+    _updatePreview() {
+        const shape = this._buildShape();
+        if (!shape || !this.previewPath) return;
+
+        const screenPoints = this._getShapePoints(shape)
+            .map(([x, y]) => this.graphCalculator.domainToScreen(x, y));
+        const pathData = screenPoints
+            .map((point, i) => `${i === 0 ? 'M' : 'L'} ${point.x} ${point.y}`)
+            .join(' ');
+        this.previewPath.attr('d', pathData);
+
+        this.dimensionLabel
+            .attr('x', this.endScreen[0] + LABEL_OFFSET_PX)
+            .attr('y', this.endScreen[1] - LABEL_OFFSET_PX)
+            .text(this._formatDimensions(shape));
+    }
+
+    // 寸法表示の文字列
+    _formatDimensions(shape) {
+        const format = (value) => String(Number(value.toFixed(shape.decimals)));
+        const formatPoint = (point) => `(${format(point[0])}, ${format(point[1])})`;
+
+        switch (shape.shape) {
+            case 'line':
+                return `${formatPoint(shape.start)} → ${formatPoint(shape.end)}  L = ${format(shape.length)}`;
+            case 'rectangle':
+                return `${format(shape.width)} × ${format(shape.height)}`;
+            case 'circle':
+                return `${formatPoint(shape.center)}  r = ${format(shape.radius)}`;
+            case 'ellipse':
+                return `${formatPoint(shape.center)}  rx = ${format(shape.radiusX)}, ry = ${format(shape.radiusY)}`;
+            case 'polygon':
+                return `n = ${shape.sides}  r = ${format(shape.radius)}`;
+            default:
+                return '';
+        }
+    }
+
+    // 図形から CurveManager.addEquationCurve の記述子を作る
+    _buildCurveDescriptor(shape) {
+        const decimals = shape.decimals;
+        const color = this.settings.currentColor;
+        const size = this.settings.currentSize;
+        const withRPN = (equation) => {
+            try {
+                equation.rpn = toRPN(equation.formula);
+            } catch (e) {
+                equation.rpn = null;
+            }
+            return equation;
+        };
+
+        if (shape.shape === 'line') {
+            if (shape.length <= 0) return null;
+            const equation = withRPN(EquationBuilder.linearThroughPoints(shape.start, shape.end, { decimals }));
+            return {
+                type: equation.type,
+                latexEquations: [equation],
+                color,
+                size,
+                originalPoints: [shape.start, shape.end],
+                knotPoints: [shape.start, shape.end].map(([x, y]) => ({ x, y }))
+            };
+        }
+
+        if (shape.shape === 'rectangle' || shape.shape === 'polygon') {
+            if (shape.shape === 'rectangle' && (shape.width <= 0 || shape.height <= 0)) return null;
+            if (shape.shape === 'polygon' && shape.radius <= 0) return null;
+            const vertices = [...shape.vertices, shape.vertices[0]];
+            const latexEquations = [];
+            for (let i = 0; i < shape.vertices.length; i++) {
+                latexEquations.push(withRPN(EquationBuilder.linearThroughPoints(vertices[i], vertices[i + 1], { decimals })));
+            }
+            return {
+                type: 'piecewiseLinear',
+                latexEquations,
+                color,
+                size,
+                originalPoints: vertices.map(([x, y]) => [x, y]),
+                knotPoints: vertices.map(([x, y]) => ({ x, y })),
+                closed: true
+            };
+        }
+
+        if (shape.shape === 'circle') {
+            if (!(shape.radius > 0)) return null;
+            return {
+                type: 'circle',
+                latexEquations: [withRPN(EquationBuilder.circle({ center: shape.center, radius: shape.radius }, { decimals }))],
+                color,
+                size,
+                originalPoints: this._getShapePoints(shape)
+            };
+        }
+
+        if (shape.shape === 'ellipse') {
+            if (!(shape.radiusX > 0) || !(shape.radiusY > 0)) return null;
+            return {
+                type: 'ellipse',
+                latexEquations: [withRPN(EquationBuilder.ellipse({
+                    center: shape.center,
+                    radiusX: shape.radiusX,
+                    radiusY: shape.radiusY
+                }, { decimals }))],
+                color,
+                size,
+                originalPoints: this._getShapePoints(shape)
+            };
+        }
+        return null;
+    }
+}
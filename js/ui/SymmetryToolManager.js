@@ -0,0 +1,342 @@
+import { applyMatrixToPoint, createSymmetryMatrices } from '../util/AffineTransform.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// 対称描画の種類（none: 対称描画なし）
+export const SYMMETRY_MODES = ['none', 'vertical', 'horizontal', 'rotation'];
+
+const DEFAULT_ROTATION_ORDER = 6;
+const MIN_ROTATION_ORDER = 2;
+const MAX_ROTATION_ORDER = 12;
+// 中心のハンドルの半径（スクリーン座標, px）
+const HANDLE_RADIUS = 7;
+
+/**
+ * 対称描画ツール管理クラス
+ * ペンツールで描いた曲線を、縦・横の対称軸で鏡映した写しや、回転の中心の周りに n 回対称に回した写しにする
+ * 対称軸・回転の中心はキャンバス上のガイドのハンドルをドラッグして置く（グリッドに吸着し、Alt キーを押している間は吸着しない）
+ * 写しの作成と元の曲線への追従は CurveManager が行う
+ */
+export class SymmetryToolManager {
+    /**
+     * @param {Object} settings - アプリ設定
+     * @param {GraphCalculator} graphCalculator
+     */
+    constructor(settings, graphCalculator) {
+        this.settings = settings;
+        this.graphCalculator = graphCalculator;
+
+        if (!SYMMETRY_MODES.includes(this.settings.symmetryMode)) {
+            this.settings.symmetryMode = 'none';
+        }
+        if (!Number.isInteger(this.settings.symmetryOrder)) {
+            this.settings.symmetryOrder = DEFAULT_ROTATION_ORDER;
+        }
+        if (!Array.isArray(this.settings.symmetryCenter)) {
+            this.settings.symmetryCenter = [0, 0];
+        }
+
+        this.visible = false;
+        // ガイドを描画するSVGグループ
+        this.overlay = null;
+        // ガイド表示の更新予約（requestAnimationFrame のID）
+        this.updateFrame = null;
+        // 描画中のストロークの写しのプレビュー
+        this.previewPaths = [];
+        this.isDragging = false;
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handleCompatEvent = this.handleCompatEvent.bind(this);
+        this.scheduleUpdate = this.scheduleUpdate.bind(this);
+
+        this.initialize();
+    }
+
+    /**
+     * 対称描画ツールバーとガイドのイベントを設定
+     */
+    initialize() {
+        d3.selectAll('#symmetry-toolbar .symmetry-option').on('click', (event) => {
+            this.setMode(event.currentTarget.dataset.symmetry);
+        });
+
+        const orderInput = document.getElementById('symmetry-order');
+        if (orderInput) {
+            orderInput.value = this.settings.symmetryOrder;
+            orderInput.addEventListener('change', () => {
+                this.setOrder(orderInput.value);
+                orderInput.value = this.settings.symmetryOrder;
+            });
+        }
+
+        if (this.graphCalculator) {
+            // ガイド上の操作をペンの描画より先に処理するためキャプチャフェーズで登録する
+            const svg = this.graphCalculator.getSvg();
+            svg.addEventListener('pointerdown', this.handlePointerDown, true);
+            svg.addEventListener('mousedown', this.handleCompatEvent, true);
+            svg.addEventListener('touchstart', this.handleCompatEvent, true);
+            d3.select(document).on('pointermove.symmetryGuide', (event) => this.handlePointerMove(event));
+            d3.select(document).on('pointerup.symmetryGuide pointercancel.symmetryGuide', () => this.endDrag());
+
+            // ズーム・パンでスクリーン上の位置が変わるため、グラフの再描画に合わせて描き直す
+            const events = this.graphCalculator.options && this.graphCalculator.options.events;
+            if (events) {
+                const prev = events.onDraw;
+                events.onDraw = (...args) => {
+                    if (typeof prev === 'function') prev(...args);
+                    this.scheduleUpdate();
+                };
+            }
+        }
+
+        this.setMode(this.settings.symmetryMode);
+        this.setVisible(false);
+    }
+
+    /**
+     * 対称描画の種類を切り替える
+     * @param {string} mode - SYMMETRY_MODES のいずれか
+     */
+    setMode(mode) {
+        if (!SYMMETRY_MODES.includes(mode)) return;
+        this.settings.symmetryMode = mode;
+        d3.selectAll('#symmetry-toolbar .symmetry-option')
+            .classed('active', function () { return this.dataset.symmetry === mode; });
+        d3.select('#symmetry-order-container').classed('order-hidden', mode !== 'rotation');
+        this.scheduleUpdate();
+    }
+
+    /**
+     * 回転対称の数（元の曲線を含めた本数）を設定する
+     * @param {number|string} order
+     */
+    setOrder(order) {
+        const value = Math.round(Number(order));
+        if (!Number.isFinite(value)) return;
+        this.settings.symmetryOrder = Math.min(MAX_ROTATION_ORDER, Math.max(MIN_ROTATION_ORDER, value));
+        this.scheduleUpdate();
+    }
+
+    /**
+     * CurveManager.addHandDrawnCurve に渡す対称描画の設定
+     * @returns {Object|null} { mode, center, order }（対称描画をしない場合は null）
+     */
+    getSymmetry() {
+        if (this.settings.symmetryMode === 'none') return null;
+        return {
+            mode: this.settings.symmetryMode,
+            center: [...this.settings.symmetryCenter],
+            order: this.settings.symmetryOrder
+        };
+    }
+
+    /**
+     * 対称描画ツールバーとガイドの表示を切り替える（ペンツールを選んでいる間だけ表示）
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        d3.select('#symmetry-toolbar').classed('symmetry-hidden', !visible);
+        if (!visible) {
+            this.endDrag();
+            this.clearStrokePreview();
+        }
+        this.scheduleUpdate();
+    }
+
+    /**
+     * 次のフレームでガイド表示を更新する
+     */
+    scheduleUpdate() {
+        if (this.updateFrame) return;
+        this.updateFrame = requestAnimationFrame(() => {
+            this.updateFrame = null;
+            this.render();
+        });
+    }
+
+    /**
+     * 対称軸（縦・横の直線）または回転の中心と回転の向きを示す放射線を描画する
+     */
+    render() {
+        const symmetry = this.getSymmetry();
+        if (!this.graphCalculator || !this.visible || !symmetry) {
+            this.removeOverlay();
+            return;
+        }
+
+        const svg = this.graphCalculator.getSvg();
+        if (!this.overlay || !this.overlay.isConnected) {
+            this.overlay = document.createElementNS(SVG_NS, 'g');
+            this.overlay.setAttribute('class', 'symmetry-guide');
+        }
+        svg.appendChild(this.overlay);
+        this.overlay.innerHTML = '';
+
+        const create = (tag, attrs) => {
+            const el = document.createElementNS(SVG_NS, tag);
+            Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+            this.overlay.appendChild(el);
+            return el;
+        };
+
+        const rect = svg.getBoundingClientRect();
+        const center = this.graphCalculator.domainToScreen(symmetry.center[0], symmetry.center[1]);
+        // 対称軸のハンドルは、軸に沿った位置を画面内に収めて置く（軸上ならどこでも同じ対称になるため）
+        const clamp = (value, max) => Math.min(max - HANDLE_RADIUS * 2, Math.max(HANDLE_RADIUS * 2, value));
+        const handle = { x: center.x, y: center.y };
+        if (symmetry.mode === 'vertical') {
+            create('line', { class: 'symmetry-guide-line', x1: center.x, y1: 0, x2: center.x, y2: rect.height });
+            handle.y = clamp(center.y, rect.height);
+        } else if (symmetry.mode === 'horizontal') {
+            create('line', { class: 'symmetry-guide-line', x1: 0, y1: center.y, x2: rect.width, y2: center.y });
+            handle.x = clamp(center.x, rect.width);
+        } else {
+            const length = Math.hypot(rect.width, rect.height);
+            for (let i = 0; i < symmetry.order; i++) {
+                const angle = (2 * Math.PI * i) / symmetry.order;
+                create('line', {
+                    class: 'symmetry-guide-line',
+                    x1: center.x,
+                    y1: center.y,
+                    x2: center.x + length * Math.cos(angle),
+                    y2: center.y - length * Math.sin(angle)
+                });
+            }
+        }
+
+        create('circle', {
+            class: 'symmetry-guide-handle',
+            'data-handle': 'center',
+            cx: handle.x,
+            cy: handle.y,
+            r: HANDLE_RADIUS
+        });
+    }
+
+    /**
+     * ガイドを削除
+     */
+    removeOverlay() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+
+    /**
+     * 描画中のストロークの写しをプレビューする
+     * @param {Array<Array<number>>} screenPoints - ストロークのSVG座標の点列
+     */
+    updateStrokePreview(screenPoints) {
+        const matrices = createSymmetryMatrices(this.getSymmetry());
+        if (!this.graphCalculator || matrices.length === 0 || !Array.isArray(screenPoints)) {
+            this.clearStrokePreview();
+            return;
+        }
+
+        const domainPoints = screenPoints.map(([x, y]) => {
+            const point = this.graphCalculator.screenToDomain(x, y);
+            return [point.x, point.y];
+        });
+        const svg = d3.select(this.graphCalculator.container).select('svg');
+        matrices.forEach((matrix, index) => {
+            if (!this.previewPaths[index]) {
+                this.previewPaths[index] = svg.append('path')
+                    .attr('class', 'drawing-preview symmetry-preview')
+                    .attr('fill', 'none')
+                    .attr('stroke-linecap', 'round')
+                    .attr('stroke-linejoin', 'round');
+            }
+            const pathData = domainPoints
+                .map(point => {
+                    const [x, y] = applyMatrixToPoint(matrix, point);
+                    const screen = this.graphCalculator.domainToScreen(x, y);
+                    return `${screen.x},${screen.y}`;
+                })
+                .join(' L ');
+            this.previewPaths[index]
+                .attr('stroke', this.settings.currentColor)
+                .attr('stroke-width', this.settings.currentSize)
+                .attr('d', `M ${pathData}`);
+        });
+        this.previewPaths.splice(matrices.length).forEach(path => path.remove());
+    }
+
+    /**
+     * ストロークの写しのプレビューを消す
+     */
+    clearStrokePreview() {
+        this.previewPaths.forEach(path => path.remove());
+        this.previewPaths = [];
+    }
+
+    /**
+     * ポインターダウンイベントハンドラ（キャプチャフェーズ）
+     * ハンドルをつかんだ場合は、ペンの描画に渡さずに対称軸・中心の移動を始める
+     * @param {PointerEvent} event
+     */
+    handlePointerDown(event) {
+        const target = event.target && event.target.closest ? event.target.closest('.symmetry-guide [data-handle]') : null;
+        if (!target || this.isDragging) return;
+
+        event.stopPropagation();
+        if (event.cancelable) event.preventDefault();
+
+        this.isDragging = true;
+        this.graphCalculator.enableZoom(false);
+        this.handlePointerMove(event);
+    }
+
+    /**
+     * ガイドの操作に続く mousedown / touchstart をペンの描画に渡さない
+     * @param {Event} event
+     */
+    handleCompatEvent(event) {
+        const target = event.target && event.target.closest ? event.target.closest('.symmetry-guide') : null;
+        if (this.isDragging || target) {
+            event.stopPropagation();
+        }
+    }
+
+    /**
+     * ポインター移動イベントハンドラ
+     * @param {PointerEvent} event
+     */
+    handlePointerMove(event) {
+        if (!this.isDragging) return;
+        if (event.cancelable) event.preventDefault();
+
+        const svgRect = this.graphCalculator.getSvg().getBoundingClientRect();
+        const point = this.graphCalculator.screenToDomain(event.clientX - svgRect.left, event.clientY - svgRect.top);
+        const [x, y] = event.altKey ? [point.x, point.y] : this._snapToGrid([point.x, point.y]);
+        // 縦の対称軸は左右、横の対称軸は上下にだけ動かす
+        const [currentX, currentY] = this.settings.symmetryCenter;
+        const mode = this.settings.symmetryMode;
+        this.settings.symmetryCenter = [mode === 'horizontal' ? currentX : x, mode === 'vertical' ? currentY : y];
+        this.render();
+    }
+
+    /**
+     * 対称軸・中心の移動を終える
+     */
+    endDrag() {
+        if (!this.isDragging) return;
+        this.isDragging = false;
+        if (this.graphCalculator) {
+            this.graphCalculator.enableZoom(true);
+        }
+    }
+
+    // グリッド（補助目盛り）に吸着させる
+    _snapToGrid(point) {
+        const step = this.graphCalculator.getGridStep();
+        const round = (value, interval) => {
+            if (!(interval > 0)) return value;
+            // 0.1 * 3 のような誤差が残らないよう、間隔の桁数で丸め直す
+            const digits = Math.max(0, Math.ceil(-Math.log10(interval)) + 2);
+            return Number((Math.round(value / interval) * interval).toFixed(digits));
+        };
+        return [round(point[0], step.x.micro), round(point[1], step.y.micro)];
+    }
+}
@@ -5,12 +5,16 @@
 import { GraphCalculatorUtils } from '../graph/GraphCalculatorUtils.js';
 import { SettingsManager } from './SettingsManager.js';
 import { PenToolManager } from './PenToolManager.js';
+import { ShapeToolManager } from './ShapeToolManager.js';
+import { SymmetryToolManager } from './SymmetryToolManager.js';
 import { ExportManager } from './ExportManager.js';
+import { ReferenceImageManager } from './ReferenceImageManager.js';
 import { ApproximatorManager } from '../approximator/ApproximatorManager.js';
 import { AdvancedModeManager } from './AdvancedModeManager.js';
 import { AlertModal } from '../modal/AlertModal.js';
 import { HamburgerMenu } from './HamburgerMenu.js';
 import { SaveGraphManager } from './SaveGraphManager.js';
+import { HistoryPanel } from './HistoryPanel.js';
 
 export class UIManager {
     // curveMovementHandlerを引数に追加
@@ -24,6 +28,7 @@ export class UIManager {
         this.graphStorageManager = graphStorageManager;
         this.hamburgerMenu = new HamburgerMenu(this.graphStorageManager);
         this.saveGraphManager = new SaveGraphManager(graphCalculator, graphStorageManager, this.languageManager);
+        this.historyPanel = new HistoryPanel(historyManager, this, this.languageManager);
 
         // CurveManagerにGraphCalculatorを渡す
         this.curveManager.graphCalculator = this.graphCalculator;
@@ -31,6 +36,12 @@ export class UIManager {
         // PenToolManagerの初期化
         this.penToolManager = new PenToolManager(settings, this.curveManager, this.languageManager);
 
+        // ShapeToolManagerの初期化
+        this.shapeToolManager = new ShapeToolManager(settings, graphCalculator, this.curveManager);
+
+        // SymmetryToolManagerの初期化（ペンの対称描画）
+        this.symmetryToolManager = new SymmetryToolManager(settings, graphCalculator);
+
         // GraphCalculatorUtilsの初期化
         this.graphUtils = new GraphCalculatorUtils(graphCalculator);
 
@@ -43,6 +54,9 @@ export class UIManager {
         // ExportManagerの初期化
         this.exportManager = new ExportManager(graphCalculator, this.settingsManager);
 
+        // ReferenceImageManagerの初期化（下絵）
+        this.referenceImageManager = new ReferenceImageManager(graphCalculator);
+
         // グラフ計算機があれば、曲線管理クラスにグラフ要素を設定
         if (this.graphCalculator) {
             // SVGのg要素を取得または作成
@@ -72,6 +86,7 @@ export class UIManager {
 
         this.isErasing = false;
         this._erasedDuringGesture = new Set();
+        this.snapIndicator = null; // ペンのスナップ先の印
 
         this.advancedModeManager = new AdvancedModeManager();
 
@@ -477,6 +492,7 @@ export class UIManager {
 
         this.setupDrawingEvents();
         this.setupToolbarEvents();
+        this.setupExpressionInput();
         this.setupResizeEvents();
 
         // Undo/Redoボタンの初期状態を確認
@@ -504,6 +520,15 @@ export class UIManager {
                     this.updateHistoryButtons();
                 }
             }
+            // Delete / Backspace (選択中の曲線をまとめて削除)
+            if (!event.ctrlKey && !event.metaKey && (event.key === 'Delete' || event.key === 'Backspace')) {
+                const selectedIds = this.curveManager.getSelectedCurveIds();
+                if (selectedIds.length > 0) {
+                    event.preventDefault();
+                    this.curveManager.deleteCurves(selectedIds);
+                    this.updateHistoryButtons();
+                }
+            }
             // Ctrl+S (save graph)
             if ((event.ctrlKey || event.metaKey) && !event.shiftKey && event.key.toLowerCase() === 's') {
                 event.preventDefault();
@@ -584,6 +609,12 @@ export class UIManager {
                 return;
             }
 
+            if (this.settings.currentTool === 'shape' && !isDragging) {
+                this.curveManager.cancelPendingApproximation();
+                this.shapeToolManager.start(event);
+                return;
+            }
+
             if (this.settings.currentTool === 'eraser' && !isDragging) {
                 this.isErasing = true;
                 this._erasedDuringGesture.clear();
@@ -602,6 +633,15 @@ export class UIManager {
                 return;
             }
 
+            // ペンを下ろす前もスナップ先を表示する
+            if (this.settings.currentTool === 'pen' && !isDragging) {
+                this.updateSnapIndicator(event);
+            }
+
+            if (this.settings.currentTool === 'shape' && this.shapeToolManager.isDragging) {
+                this.shapeToolManager.move(event);
+            }
+
             if (this.settings.currentTool === 'eraser' && this.isErasing) {
                 this._handleEraseAtEvent(event);
             }
@@ -615,6 +655,10 @@ export class UIManager {
                 this.endDrawing();
             }
 
+            if (this.settings.currentTool === 'shape' && this.shapeToolManager.isDragging) {
+                this.endShape();
+            }
+
             if (this.settings.currentTool === 'eraser' && this.isErasing) {
                 this.isErasing = false;
                 this._erasedDuringGesture.clear();
@@ -688,7 +732,10 @@ export class UIManager {
                         target.classList.contains('graph')
                     ));
 
-                if (isBackground && this.settings.selectCurveId !== null) {
+                // Shift / Ctrl (Cmd) + ドラッグは範囲選択のため選択を維持する
+                const isMultiSelect = event.shiftKey || event.ctrlKey || event.metaKey;
+
+                if (isBackground && !isMultiSelect && this.settings.selectCurveId !== null) {
                     // 選択解除の処理
                     this.curveManager.delEmphasisCurve();
                     this.curveManager.deselectCurve();
@@ -707,6 +754,9 @@ export class UIManager {
     startDrawing(event) {
         if (!this.graphCalculator) return;
 
+        // 前の曲線の近似が終わっていなければ中止する
+        this.curveManager.cancelPendingApproximation();
+
         this.isDrawing = true;
         const svg = d3.select(this.graphCalculator.container).select('svg');
 
@@ -723,6 +773,7 @@ export class UIManager {
         // 現在のパスを初期化
         this.currentPath = [];
         this.currentPath.push(coords);
+        this.updateSnapIndicator(event);
 
         // 描画プレビュー用の一時的なパスをグラフ計算機のSVGに直接作成
         this.previewPath = svg.append('path')
@@ -773,22 +824,92 @@ export class UIManager {
 
         // 非表示のCurveManagerパスも更新
         this.drawingPath.attr('d', pathData);
+
+        // 対称描画の写しもプレビューする
+        this.symmetryToolManager.updateStrokePreview(this.currentPath);
+
+        // 終点のスナップ先を表示
+        this.updateSnapIndicator(event);
+    }
+
+    /**
+     * ペンのスナップ表示を更新する
+     * 端点スナップが有効なとき、ポインタの近くにあるスナップ先（端点・節点・交点）に印を表示する
+     * @param {Event} event - マウスまたはタッチのイベント
+     */
+    updateSnapIndicator(event) {
+        if (!this.graphCalculator) return;
+
+        const svg = d3.select(this.graphCalculator.container).select('svg');
+        const source = event.touches && event.touches.length > 0 ? event.touches[0] : event;
+        const [x, y] = d3.pointer(source, svg.node());
+        const rect = svg.node().getBoundingClientRect();
+        const isInside = x >= 0 && y >= 0 && x <= rect.width && y <= rect.height;
+
+        const target = (this.isDrawing || isInside) ? this.curveManager.findEndpointSnapTarget(x, y) : null;
+        if (!target) {
+            this.hideSnapIndicator();
+            return;
+        }
+
+        // グラフの再描画で SVG の中身が作り直されたら印も作り直す
+        if (!this.snapIndicator || !this.snapIndicator.node().isConnected) {
+            this.snapIndicator = svg.append('circle')
+                .attr('class', 'snap-indicator')
+                .attr('r', 7);
+        }
+        this.snapIndicator
+            .attr('cx', target.screenX)
+            .attr('cy', target.screenY)
+            .attr('data-kind', target.kind);
+    }
+
+    /**
+     * ペンのスナップ表示を消す
+     */
+    hideSnapIndicator() {
+        if (!this.snapIndicator) return;
+        this.snapIndicator.remove();
+        this.snapIndicator = null;
     }
 
     /**
      * 描画終了処理
+     * 近似はワーカーで実行されるため、完了するまで描画したプレビューパスを残しておく
      */
-    endDrawing() {
+    async endDrawing() {
         if (!this.isDrawing) return;
 
-        // プレビューパスを削除
-        if (this.previewPath) {
-            this.previewPath.remove();
-            this.previewPath = null;
+        const previewPath = this.previewPath;
+        this.previewPath = null;
+        this.hideSnapIndicator();
+        this.symmetryToolManager.clearStrokePreview();
+
+        // ほとんど動かさずに離した場合（タップ）は点オブジェクトを置く
+        if (this._isTapStroke(this.currentPath)) {
+            if (previewPath) previewPath.remove();
+            const [screenX, screenY] = this.currentPath[0];
+            const point = this.graphCalculator.screenToDomain(screenX, screenY);
+            const pointResult = this.curveManager.addPointCurve({
+                x: point.x,
+                y: point.y,
+                color: this.settings.currentColor,
+                size: this.settings.currentSize
+            });
+            if (!pointResult.success) {
+                this.alertModal.show(pointResult.message, { type: 'error', position: 'center-top' });
+            }
+
+            // 描画状態をリセット
+            this.isDrawing = false;
+            this.currentPath = null;
+            this.currentDomainPath = [];
+            return;
         }
 
         // 点が少なすぎる場合は描画をキャンセル
         if (this.currentDomainPath === undefined || this.currentDomainPath.length < 2) {
+            if (previewPath) previewPath.remove();
             // 描画状態をリセット
             this.isDrawing = false;
             this.currentPath = null;
@@ -799,16 +920,38 @@ export class UIManager {
         // 高度な近似モードの状態を取得
         const useAdvancedMode = this.advancedModeManager.isAdvancedModeEnabled();
 
+        const domainPath = this.currentDomainPath;
+
+        // 近似の完了を待つ間に次の描画を始められるよう、先に描画状態をリセット
+        this.isDrawing = false;
+        this.currentPath = null;
+        this.currentDomainPath = [];
+        if (previewPath) previewPath.classed('pending', true);
+
         // 曲線の追加処理をCurveManagerに委譲
         const curveId = this.settings.nextCurveId;
-        const curveResult = this.curveManager.addHandDrawnCurve({
+        const pendingResult = this.curveManager.addHandDrawnCurve({
             id: curveId,
-            domainPath: this.currentDomainPath,
+            domainPath,
             color: this.settings.currentColor,
             size: this.settings.currentSize,
             useAdvancedMode,
-            approximatorSettings: this.ApproximatorManager.getSettings()
+            approximatorSettings: this.ApproximatorManager.getSettings(),
+            snapEndpoints: true,
+            symmetry: this.symmetryToolManager.getSymmetry(),
+            // 近似中に次の描画を始めたら、この曲線の近似は中止する
+            cancellable: true
         });
+        this.updateHistoryButtons();
+        const curveResult = await pendingResult;
+
+        if (previewPath) previewPath.remove();
+        this.updateHistoryButtons();
+
+        if (curveResult.cancelled) {
+            // 次の描画や元に戻す操作で中止された場合は何も表示しない
+            return;
+        }
 
         if (curveResult.success) {
             // IDをインクリメント（ここではUIManagerが管理）
@@ -840,11 +983,32 @@ export class UIManager {
                 });
             }
         }
+    }
 
-        // 描画状態をリセット
-        this.isDrawing = false;
-        this.currentPath = null;
-        this.currentDomainPath = [];
+    /**
+     * 図形ツールのドラッグ終了処理
+     * 図形は数式から直接作るため、近似は行わない
+     */
+    endShape() {
+        const result = this.shapeToolManager.end();
+        if (!result) return;
+
+        if (!result.success) {
+            this.alertModal.show(result.message, { type: 'error', position: 'center-top' });
+        }
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * ストロークがタップ（すべての点が始点の近く）かどうか
+     * @param {Array<Array<number>>} points - SVG座標の点列
+     * @returns {boolean}
+     */
+    _isTapStroke(points) {
+        const TAP_TOLERANCE = 4; // px
+        if (!Array.isArray(points) || points.length === 0) return false;
+        const [x0, y0] = points[0];
+        return points.every(([x, y]) => Math.hypot(x - x0, y - y0) <= TAP_TOLERANCE);
     }
 
     /**
@@ -966,6 +1130,38 @@ export class UIManager {
         }
     }
 
+    /**
+     * 式の入力欄の設定
+     * Enter または追加ボタンで式の曲線を追加し、追加できない場合は入力欄の下に理由を表示する
+     */
+    setupExpressionInput() {
+        const form = document.getElementById('expression-form');
+        const input = document.getElementById('expression-input');
+        const error = document.getElementById('expression-error');
+        if (!form || !input || !error) return;
+
+        const showError = (message) => {
+            error.textContent = message || '';
+            error.classList.toggle('hidden', !message);
+            input.classList.toggle('invalid', !!message);
+        };
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const result = this.curveManager.addExpressionCurve(input.value);
+            if (!result.success) {
+                showError(result.message);
+                return;
+            }
+            showError('');
+            input.value = '';
+            this.updateHistoryButtons();
+        });
+        input.addEventListener('input', () => showError(''));
+        // 入力中のキー操作をキャンバスのショートカットに渡さない
+        input.addEventListener('keydown', (event) => event.stopPropagation());
+    }
+
     /**
      * ツールバーイベントの設定
      */
@@ -974,6 +1170,7 @@ export class UIManager {
         d3.select('#cursor-tool').on('click', () => this.setActiveTool('cursor'));
         d3.select('#home-button').on('click', () => this.graphUtils.resetView());
         d3.select('#eraser-tool').on('click', () => this.setActiveTool('eraser'));
+        d3.select('#shape-tool').on('click', () => this.setActiveTool('shape'));
 
         // 拡大縮小ボタンのイベントリスナーを追加
         d3.select('#zoom-in-button').on('click', () => this.zoomIn());
@@ -995,6 +1192,12 @@ export class UIManager {
             }
         });
 
+        // 選択中の曲線を入れたフォルダを作成（何も選択していなければ空のフォルダ）
+        d3.select('#new-folder-btn').on('click', () => {
+            if (this.penToolManager.isOpen) return;
+            this.curveManager.createFolder(this.curveManager.getSelectedCurveIds());
+        });
+
         // アクション実行後の状態更新用にHistoryManagerを拡張
         const originalAddAction = this.historyManager.addAction.bind(this.historyManager);
         this.historyManager.addAction = (...args) => {
@@ -1010,8 +1213,8 @@ export class UIManager {
         const undoBtn = d3.select('#undo');
         const redoBtn = d3.select('#redo');
 
-        // 履歴の状態に応じてdisabledクラスを切り替え
-        if (this.historyManager.isUndoStackEmpty()) {
+        // 履歴の状態に応じてdisabledクラスを切り替え（近似中は元に戻すで近似を中止できる）
+        if (this.historyManager.isUndoStackEmpty() && !this.curveManager.isApproximationPending()) {
             undoBtn.classed('disabled', true);
         } else {
             undoBtn.classed('disabled', false);
@@ -1085,6 +1288,9 @@ export class UIManager {
      */
     setActiveTool(tool) {
         this.settings.currentTool = tool;
+        if (tool !== 'pen') this.hideSnapIndicator();
+        this.shapeToolManager.setVisible(tool === 'shape');
+        this.symmetryToolManager.setVisible(tool === 'pen');
         this.curveMovementHandler.setPenToolState(tool);
         document.querySelectorAll('.tool-button').forEach(button => button.classList.remove('active'));
         document.getElementById(`${tool}-tool`).classList.add('active');
@@ -1098,6 +1304,11 @@ export class UIManager {
                 this.graphCalculator.enableZoom(true);
                 this.graphCalculator.enableCanvas(false);
                 svg.style('cursor', 'crosshair');
+            } else if (tool === 'shape') {
+                // 図形ツールもドラッグで図形を描くためキャンバス移動を無効化
+                this.graphCalculator.enableZoom(true);
+                this.graphCalculator.enableCanvas(false);
+                svg.style('cursor', 'crosshair');
             } else if (tool === 'eraser') {
                 // 消しゴムはペンと同様にキャンバス移動を無効化し、消去挙動を優先する
                 this.graphCalculator.enableZoom(true);
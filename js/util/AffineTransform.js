@@ -0,0 +1,154 @@
+/*
+ * AffineTransform.js
+ *
+ * 曲線の変形（拡大縮小・回転・反転）に使う2次元アフィン変換行列
+ * 行列は SVG の matrix(a, b, c, d, e, f) と同じ並びの配列 [a, b, c, d, e, f] で表し、
+ * 点 (x, y) を (a x + c y + e, b x + d y + f) に写す
+ */
+
+const TOLERANCE = 1e-9;
+
+export const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+// 行列の積 m * n（n を適用してから m を適用する）
+export function multiplyMatrices(m, n) {
+    return [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+}
+
+// 点 [x, y] に行列を適用する
+export function applyMatrixToPoint(m, point) {
+    return [
+        m[0] * point[0] + m[2] * point[1] + m[4],
+        m[1] * point[0] + m[3] * point[1] + m[5]
+    ];
+}
+
+// 平行移動を除いた線形部分だけをベクトルに適用する
+export function applyMatrixToVector(m, vector) {
+    return [
+        m[0] * vector[0] + m[2] * vector[1],
+        m[1] * vector[0] + m[3] * vector[1]
+    ];
+}
+
+export function getDeterminant(m) {
+    return m[0] * m[3] - m[1] * m[2];
+}
+
+// 逆行列（特異な行列の場合は null）
+export function invertMatrix(m) {
+    const det = getDeterminant(m);
+    if (Math.abs(det) <= TOLERANCE) return null;
+    return [
+        m[3] / det,
+        -m[1] / det,
+        -m[2] / det,
+        m[0] / det,
+        (m[2] * m[5] - m[3] * m[4]) / det,
+        (m[1] * m[4] - m[0] * m[5]) / det
+    ];
+}
+
+// 回転・一様な拡大・反転のみ（円が円のまま写る）の行列か
+export function isSimilarityMatrix(m) {
+    const scaleX = m[0] * m[0] + m[1] * m[1];
+    const scaleY = m[2] * m[2] + m[3] * m[3];
+    const dot = m[0] * m[2] + m[1] * m[3];
+    const tolerance = TOLERANCE * Math.max(scaleX, scaleY, 1);
+    return Math.abs(scaleX - scaleY) <= tolerance && Math.abs(dot) <= tolerance;
+}
+
+// 単位行列かどうか
+export function isIdentityMatrix(m) {
+    return m.every((value, index) => Math.abs(value - IDENTITY_MATRIX[index]) <= TOLERANCE);
+}
+
+// 基準点 pivot を中心に変換するよう、線形部分 [a, b, c, d] に平行移動成分を加える
+function aroundPivot(a, b, c, d, pivot) {
+    const [px, py] = Array.isArray(pivot) ? pivot : [0, 0];
+    return [a, b, c, d, px - (a * px + c * py), py - (b * px + d * py)];
+}
+
+/**
+ * 拡大縮小の行列を作成
+ * @param {number} scaleX - x方向の倍率
+ * @param {number} scaleY - y方向の倍率（省略時は scaleX と同じ一様な拡大縮小）
+ * @param {Array<number>} pivot - 基準点 [x, y]
+ */
+export function createScaleMatrix(scaleX, scaleY = scaleX, pivot = [0, 0]) {
+    return aroundPivot(scaleX, 0, 0, scaleY, pivot);
+}
+
+/**
+ * 回転の行列を作成（反時計回りが正）
+ * @param {number} angle - 回転角（ラジアン）
+ * @param {Array<number>} pivot - 回転の中心 [x, y]
+ */
+export function createRotationMatrix(angle, pivot = [0, 0]) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return aroundPivot(cos, sin, -sin, cos, pivot);
+}
+
+/**
+ * 反転（鏡映）の行列を作成
+ * @param {string|number} axis - 'x'（上下反転）, 'y'（左右反転）, または対称軸の傾き角（ラジアン）
+ * @param {Array<number>} pivot - 対称軸が通る点 [x, y]
+ */
+export function createReflectionMatrix(axis, pivot = [0, 0]) {
+    let angle;
+    if (axis === 'x' || axis === 'horizontal') {
+        angle = 0;
+    } else if (axis === 'y' || axis === 'vertical') {
+        angle = Math.PI / 2;
+    } else {
+        angle = Number(axis);
+    }
+    if (!Number.isFinite(angle)) return null;
+    const cos2 = Math.cos(2 * angle);
+    const sin2 = Math.sin(2 * angle);
+    return aroundPivot(cos2, sin2, sin2, -cos2, pivot);
+}
+
+/**
+ * 対称描画で元の曲線を写す行列の一覧を作成
+ * 90° や 180° の回転で sin・cos に残る誤差は 0 にそろえる（二次関数のまま写せるように）
+ * @param {Object} symmetry - { mode: 'vertical'（縦の対称軸）| 'horizontal'（横の対称軸）| 'rotation'（n回対称）, center: [x, y], order: n }
+ * @returns {Array<Array<number>>} 鏡映は1つ、n回対称は 360°/n ずつ回す n−1 個（対称描画でなければ空）
+ */
+export function createSymmetryMatrices(symmetry) {
+    if (!symmetry || !Array.isArray(symmetry.center)) return [];
+    const center = symmetry.center;
+    const clean = (m) => m.map(value => (Math.abs(value) < TOLERANCE ? 0 : value));
+
+    if (symmetry.mode === 'vertical' || symmetry.mode === 'horizontal') {
+        return [clean(createReflectionMatrix(symmetry.mode, center))];
+    }
+    if (symmetry.mode === 'rotation') {
+        const order = Math.round(Number(symmetry.order));
+        if (!Number.isFinite(order) || order < 2) return [];
+        return Array.from({ length: order - 1 }, (_, i) =>
+            clean(createRotationMatrix((2 * Math.PI * (i + 1)) / order, center)));
+    }
+    return [];
+}
+
+/**
+ * 対称描画の元の曲線と写しを結ぶキーを作成（曲線IDは削除や並べ替えで振り直されるため使わない）
+ * @returns {string}
+ */
+export function createSymmetryKey() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// SVG の transform 属性の文字列に変換する
+export function toSVGTransform(m) {
+    return `matrix(${m.join(',')})`;
+}
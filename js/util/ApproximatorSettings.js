@@ -1,109 +1,26 @@
+import { approximatorRegistry } from '../approximator/ApproximatorRegistry.js';
+
 const STORAGE_KEY = 'grapen.curveApprox.settings.v1';
 
-const PANEL_KEYS = ['showKnotsDefault', 'snap', 'errorThreshold', 'maxKnots', 'samplingRate'];
-const CATEGORY_KEYS = [
-    'linear',
-    'piecewiseLinear',
-    'quadraticBSpline',
-    'singleQuadratic',
-    'singleCircle',
-    'quadraticChain',
-    'selective'
-];
-
-const DEFAULT_MODEL = {
-    panel: {
-        showKnotsDefault: true,
-        snap: false,
-        errorThreshold: 30,
-        maxKnots: 5,
-        samplingRate: 1
-    },
-    linear: {
-        linearityThreshold: 0.95,
-        percentTolerance: 0.1,
-        verticalSlopeThreshold: 10,
-        horizontalSlopeThreshold: 0.1,
-        quantizeControlAxis: false
-    },
-    piecewiseLinear: {
-        linearityThreshold: 0.98,
-        segmentLinearityThreshold: 0.95,
-        percentTolerance: 0.1,
-        verticalSlopeThreshold: 10,
-        horizontalSlopeThreshold: 0.1,
-        quantizeControlAxis: false
-    },
-    quadraticBSpline: {
-        minKnots: 2,
-        maxKnots: 10,
-        minKnotDistance: 0.05
-    },
-    singleQuadratic: {
-        quantization: 'auto',
-        allowSelfIntersection: false,
-        smoothWindow: 5,
-        resampleCount: 96,
-        pruneTolerance: 0,
-        closed: false,
-        extremaProminenceRatio: 0.04,
-        extremaPersistence: 3,
-        curvatureThreshold: 0.21,
-        curvaturePersistence: 2,
-        monotonicToleranceRatio: 0.05,
-        errorToleranceRatio: 0.075,
-        allowedExtrema: 2,
-        allowedCurvatureFlips: 1,
-        minStrokeLength: 0.5,
-        minDiagonal: 0.25,
-        closureRatio: 0.04
-    },
-    singleCircle: {
-        enableEllipse: true,
-        preferEllipse: false,
-        quantizationEnabled: false,
-        quantizeCenter: true,
-        quantizeAxes: true,
-        maxEccentricity: 0.8,
-        circleSnapRatio: 0.08,
-        smoothWindow: 5,
-        resampleCount: 128,
-        pruneTolerance: 0,
-        closed: true,
-        circleRmsTolerance: 0.015,
-        ellipseRmsTolerance: 0.02,
-        maxEndpointGapRatio: 0.4,
-        minCoverageRatio: 0.6
-    },
-    quadraticChain: {
-        maxSegments: 8,
-        enforceC1: true,
-        smoothWindow: 5,
-        resampleCount: 128,
-        pruneTolerance: 0,
-        closed: false
-    },
-    selective: {
-        smoothingWindow: 0,
-        resampleCount: 160,
-        tolerance: 0.05,
-        maxSpan: 48,
-        autoSegments: true,
-        segmentCount: 6,
-        simplicityGain: 0.3,
-        smoothBias: 0.4,
-        enableLinear: true,
-        enableQuadratic: true,
-        enableCubic: true,
-        enableArc: true,
-        quantizationEnabled: true,
-        quantLevelOffset: 0,
-        angleThresholdDegrees: 35,
-        dedupeTolerance: 1e-4,
-        closed: false
-    }
+const PANEL_KEYS = ['showKnotsDefault', 'snap', 'endpointSnap', 'snapRadius', 'prettyCoefficients', 'errorThreshold', 'maxKnots', 'samplingRate'];
+
+// パネル全体の設定の初期値（近似手法ごとの設定の初期値は各近似手法の定義にある）
+const PANEL_DEFAULTS = {
+    showKnotsDefault: true,
+    snap: false,
+    endpointSnap: false,
+    snapRadius: 12,
+    prettyCoefficients: false,
+    errorThreshold: 30,
+    maxKnots: 5,
+    samplingRate: 1
 };
 
+// 近似手法ごとの設定のキー（レジストリに登録された順）
+function getCategoryKeys() {
+    return approximatorRegistry.getSettingsKeys();
+}
+
 function deepClone(value) {
     return JSON.parse(JSON.stringify(value));
 }
@@ -147,6 +64,26 @@ function applyPanelOverrides(basePanel, overrides, errors, applied) {
         trackApplied(applied, 'panel:snap');
     }
 
+    if (Object.prototype.hasOwnProperty.call(overrides, 'endpointSnap')) {
+        panel.endpointSnap = !!overrides.endpointSnap;
+        trackApplied(applied, 'panel:endpointSnap');
+    }
+
+    if (Object.prototype.hasOwnProperty.call(overrides, 'snapRadius')) {
+        const num = Number(overrides.snapRadius);
+        if (Number.isFinite(num)) {
+            panel.snapRadius = Math.round(clamp(num, 4, 40));
+            trackApplied(applied, 'panel:snapRadius');
+        } else {
+            recordError(errors, 'panel.snapRadius');
+        }
+    }
+
+    if (Object.prototype.hasOwnProperty.call(overrides, 'prettyCoefficients')) {
+        panel.prettyCoefficients = !!overrides.prettyCoefficients;
+        trackApplied(applied, 'panel:prettyCoefficients');
+    }
+
     if (Object.prototype.hasOwnProperty.call(overrides, 'errorThreshold')) {
         const num = Number(overrides.errorThreshold);
         if (Number.isFinite(num)) {
@@ -190,7 +127,7 @@ function wrapPartial(partial) {
         normalized.panel = partial.panel;
     }
 
-    CATEGORY_KEYS.forEach((key) => {
+    getCategoryKeys().forEach((key) => {
         if (isPlainObject(partial[key])) {
             normalized[key] = partial[key];
         }
@@ -222,7 +159,7 @@ function normalizeModel(modelInput) {
         base.panel = applyPanelOverrides(base.panel, wrapped.panel);
     }
 
-    CATEGORY_KEYS.forEach((key) => {
+    getCategoryKeys().forEach((key) => {
         if (isPlainObject(wrapped[key])) {
             base[key] = { ...base[key], ...wrapped[key] };
         }
@@ -232,7 +169,10 @@ function normalizeModel(modelInput) {
 }
 
 function createDefaultModel() {
-    return deepClone(DEFAULT_MODEL);
+    return {
+        panel: deepClone(PANEL_DEFAULTS),
+        ...approximatorRegistry.getDefaultSettings()
+    };
 }
 
 function mergeModel(baseModelInput, partial, options = {}) {
@@ -251,7 +191,7 @@ function mergeModel(baseModelInput, partial, options = {}) {
         next.panel = applyPanelOverrides(next.panel, normalizedPartial.panel, errors, applied);
     }
 
-    CATEGORY_KEYS.forEach((key) => {
+    getCategoryKeys().forEach((key) => {
         if (isPlainObject(normalizedPartial[key])) {
             next[key] = { ...next[key], ...normalizedPartial[key] };
             trackApplied(applied, `category:${key}`);
@@ -282,11 +222,14 @@ function resolveSettings(modelInput) {
 
     resolved.showKnotsDefault = normalized.panel.showKnotsDefault;
     resolved.snap = normalized.panel.snap;
+    resolved.endpointSnap = normalized.panel.endpointSnap;
+    resolved.snapRadius = normalized.panel.snapRadius;
+    resolved.prettyCoefficients = normalized.panel.prettyCoefficients;
     resolved.errorThreshold = normalized.panel.errorThreshold;
     resolved.maxKnots = normalized.panel.maxKnots;
     resolved.samplingRate = normalized.panel.samplingRate;
 
-    CATEGORY_KEYS.forEach((key) => {
+    getCategoryKeys().forEach((key) => {
         const clone = deepClone(normalized[key]);
         resolved.categories[key] = clone;
         resolved[key] = clone;
@@ -351,7 +294,7 @@ function clearStoredSettings() {
 
 export {
     STORAGE_KEY,
-    CATEGORY_KEYS,
+    getCategoryKeys,
     PANEL_KEYS,
     createDefaultModel,
     mergeModel,
@@ -1,3 +1,14 @@
+import {
+    IDENTITY_MATRIX,
+    applyMatrixToPoint,
+    applyMatrixToVector,
+    getDeterminant,
+    isSimilarityMatrix,
+    multiplyMatrices
+} from "./AffineTransform.js";
+import { toExactLatex } from "./NumberUtil.js";
+import { substituteLatexVariable } from "./LatexExpression.js";
+
 const DEFAULT_DECIMALS = 3;
 const EPSILON = 1e-9;
 
@@ -35,6 +46,55 @@ function formatSigned(value, decimals = DEFAULT_DECIMALS) {
     return value >= 0 ? `+${text}` : `-${text}`;
 }
 
+// 係数を分数・平方根・πの倍数で表示するか（近似設定の「係数を厳密表示」を options.pretty で受け取る）
+function isPrettyEnabled(options) {
+    return options.pretty === true;
+}
+
+// LaTeX 用の数値表記（厳密表示が有効なら 0.333 を \\frac{1}{3} のように書く）
+function formatLatexFixed(value, decimals = DEFAULT_DECIMALS, pretty = false) {
+    if (pretty && Number.isFinite(value)) {
+        const exact = toExactLatex(Number(value), decimals);
+        if (exact) {
+            return exact;
+        }
+    }
+    return formatFixed(value, decimals);
+}
+
+function formatLatexSigned(value, decimals = DEFAULT_DECIMALS, pretty = false) {
+    if (!Number.isFinite(value)) {
+        return formatSigned(value, decimals);
+    }
+    const text = formatLatexFixed(Math.abs(value), decimals, pretty);
+    return value >= 0 ? `+${text}` : `-${text}`;
+}
+
+// 係数と変数の積（\\pi x のように命令の直後に変数が続く場合は空白を入れる）
+function formatLatexTerm(coefficientText, variable) {
+    if (coefficientText === "1") {
+        return variable;
+    }
+    if (coefficientText === "-1") {
+        return `-${variable}`;
+    }
+    return /\\[a-zA-Z]+$/.test(coefficientText)
+        ? `${coefficientText} ${variable}`
+        : `${coefficientText}${variable}`;
+}
+
+// 2乗する値（分数や平方根は括弧でくくる）
+function formatLatexBase(text) {
+    return /^[0-9.]+$/.test(text) ? text : `\\left(${text}\\right)`;
+}
+
+function formatLatexPoint(point, decimals = DEFAULT_DECIMALS, pretty = false) {
+    if (!Array.isArray(point) || point.length < 2) {
+        return "(0, 0)";
+    }
+    return `(${formatLatexFixed(point[0], decimals, pretty)}, ${formatLatexFixed(point[1], decimals, pretty)})`;
+}
+
 function stringifyBound(bound, decimals = DEFAULT_DECIMALS) {
     if (bound == null) {
         return undefined;
@@ -74,6 +134,7 @@ function finalizeEquation({
     params,
     meta,
     precision = DEFAULT_DECIMALS,
+    pretty = false,
     parameterRange
 }) {
     const equation = {
@@ -93,6 +154,9 @@ function finalizeEquation({
     if (parameterRange) {
         equation.parameterRange = parameterRange;
     }
+    if (pretty) {
+        equation.pretty = true;
+    }
     if (meta && Object.keys(meta).length > 0) {
         equation.meta = meta;
     }
@@ -173,15 +237,153 @@ function mergeEquation(original, updated) {
     if (!updated) {
         return null;
     }
-    return {
+    const merged = {
         ...original,
         ...updated
     };
+    // 作り直した式の表示モードに合わせる（元の式の厳密表示を引き継がない）
+    if (!updated.pretty) {
+        delete merged.pretty;
+    }
+    return merged;
+}
+
+function readPoint(point) {
+    if (!Array.isArray(point) || point.length < 2) {
+        return null;
+    }
+    const px = Number(point[0]);
+    const py = Number(point[1]);
+    return Number.isFinite(px) && Number.isFinite(py) ? [px, py] : null;
+}
+
+function readFiniteRange(domain) {
+    const range = parseDomainRange(domain);
+    if (!range || !Number.isFinite(range[0]) || !Number.isFinite(range[1])) {
+        return null;
+    }
+    return range;
+}
+
+// x' が y に依存しない（y = f(x) の形のまま写せる）変換かどうか
+function preservesFunctionForm(matrix) {
+    return Math.abs(matrix[2]) <= EPSILON && Math.abs(matrix[0]) > EPSILON;
+}
+
+// 円弧を90°以下に分割し、それぞれを3次ベジェ曲線の制御点で近似する
+function arcToCubicControlPoints(center, radius, startAngle, endAngle) {
+    const sweep = endAngle - startAngle;
+    const count = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2) - EPSILON));
+    const step = sweep / count;
+    const handle = (4 / 3) * Math.tan(step / 4) * radius;
+    const pointAt = (angle) => [
+        center[0] + radius * Math.cos(angle),
+        center[1] + radius * Math.sin(angle)
+    ];
+    const pieces = [];
+    for (let i = 0; i < count; i++) {
+        const a0 = startAngle + step * i;
+        const a1 = a0 + step;
+        const p0 = pointAt(a0);
+        const p3 = pointAt(a1);
+        pieces.push([
+            p0,
+            [p0[0] - handle * Math.sin(a0), p0[1] + handle * Math.cos(a0)],
+            [p3[0] + handle * Math.sin(a1), p3[1] - handle * Math.cos(a1)],
+            p3
+        ]);
+    }
+    return pieces;
+}
+
+// 変数 name に (name - offset) / scale を代入する式（恒等な代入は name のまま）
+function formatInverseSubstitution(name, scale, offset, decimals = DEFAULT_DECIMALS) {
+    const numerator = formatFixed(offset, decimals) === "0" ? name : `${name} ${formatSigned(-offset, decimals)}`;
+    return formatFixed(scale, decimals) === "1" ? numerator : `\\frac{${numerator}}{${formatFixed(scale, decimals)}}`;
+}
+
+// 係数付きの項と定数の和 c1 (t1) + c2 (t2) + ... + constant（係数が 0 の項は省く）
+function formatLinearCombination(terms, constant, decimals = DEFAULT_DECIMALS) {
+    const parts = [];
+    terms.forEach(({ coefficient, text }) => {
+        const magnitude = formatFixed(Math.abs(coefficient), decimals);
+        if (magnitude === "0") {
+            return;
+        }
+        const sign = coefficient < 0 ? "-" : "+";
+        let body;
+        if (/^[a-zA-Z]$/.test(text)) {
+            body = formatLatexTerm(magnitude, text);
+        } else if (magnitude === "1" && sign === "+" && (parts.length === 0 || !text.startsWith("-"))) {
+            // 係数 1 で加える項は括弧でくくらなくても意味が変わらない
+            body = text;
+        } else {
+            body = `${magnitude === "1" ? "" : magnitude}\\left(${text}\\right)`;
+        }
+        parts.push({ sign, body });
+    });
+    const constantText = formatFixed(Math.abs(constant), decimals);
+    if (constantText !== "0") {
+        parts.push({ sign: constant < 0 ? "-" : "+", body: constantText });
+    }
+    if (parts.length === 0) {
+        return "0";
+    }
+    return parts.map((part, index) => {
+        if (index === 0) {
+            return part.sign === "-" ? `-${part.body}` : part.body;
+        }
+        return ` ${part.sign} ${part.body}`;
+    }).join("");
+}
+
+// 変数の制限 \{min \le axis \le max\}（scale 倍して offset 足した値の範囲にする）
+function formatRestriction(axis, bound, scale, offset, decimals = DEFAULT_DECIMALS) {
+    const map = (value) => (value == null ? null : scale * value + offset);
+    let min = map(bound.min);
+    let max = map(bound.max);
+    if (scale < 0) {
+        [min, max] = [max, min];
+    }
+    const lower = min == null ? "" : `${formatFixed(min, decimals)} \\le `;
+    const upper = max == null ? "" : ` \\le ${formatFixed(max, decimals)}`;
+    return `\\left\\{${lower}${axis}${upper}\\right\\}`;
+}
+
+// 点の式 (X, Y) を成分に分ける（外側の括弧が1組の点でなければ null）
+function splitPointComponents(source) {
+    const text = String(source).trim();
+    if (!text.startsWith("(") || !text.endsWith(")")) {
+        return null;
+    }
+    let depth = 0;
+    let comma = -1;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === "(" || ch === "{") {
+            depth++;
+        } else if (ch === ")" || ch === "}") {
+            depth--;
+            if (depth === 0 && i < text.length - 1) {
+                return null;
+            }
+        } else if (ch === "," && depth === 1) {
+            if (comma >= 0) {
+                return null;
+            }
+            comma = i;
+        }
+    }
+    if (comma < 0) {
+        return null;
+    }
+    return [text.slice(1, comma).trim(), text.slice(comma + 1, -1).trim()];
 }
 
 export const EquationBuilder = {
     linearThroughPoints(start, end, options = {}) {
         const decimals = options.decimals ?? DEFAULT_DECIMALS;
+        const pretty = isPrettyEnabled(options);
         if (!Array.isArray(start) || !Array.isArray(end)) {
             return EquationBuilder.label({ text: "Invalid segment", type: "linear" }, options);
         }
@@ -192,14 +394,14 @@ export const EquationBuilder = {
                 x: (start[0] + end[0]) / 2,
                 yRange: [Math.min(start[1], end[1]), Math.max(start[1], end[1])],
                 meta: options.meta
-            }, { decimals });
+            }, { decimals, pretty });
         }
         if (Math.abs(dy) <= (options.horizontalTolerance ?? EPSILON)) {
             return EquationBuilder.horizontal({
                 y: (start[1] + end[1]) / 2,
                 xRange: [Math.min(start[0], end[0]), Math.max(start[0], end[0])],
                 meta: options.meta
-            }, { decimals });
+            }, { decimals, pretty });
         }
         const slope = dy / dx;
         return EquationBuilder.linear({
@@ -207,7 +409,7 @@ export const EquationBuilder = {
             point: start,
             domain: [Math.min(start[0], end[0]), Math.max(start[0], end[0])],
             meta: options.meta
-        }, { decimals });
+        }, { decimals, pretty });
     },
 
     linear({ slope, point, domain, meta, intercept }, options = {}) {
@@ -233,96 +435,100 @@ export const EquationBuilder = {
             ? anchorCandidate
             : [0, interceptValue];
 
-        const slopeText = formatFixed(slopeValue, decimals);
-        const interceptText = formatFixed(interceptValue, decimals);
-        let latex;
-
-        if (slopeText === "0") {
-            latex = `y = ${interceptText}`;
-        } else {
-            let slopeTerm;
-            if (slopeText === "1") {
-                slopeTerm = "x";
-            } else if (slopeText === "-1") {
-                slopeTerm = "-x";
-            } else {
-                slopeTerm = `${slopeText}x`;
+        const compose = (format) => {
+            const slopeText = format(slopeValue);
+            if (slopeText === "0") {
+                return `y = ${format(interceptValue)}`;
             }
 
-            const interceptMagnitude = formatFixed(Math.abs(interceptValue), decimals);
+            const slopeTerm = formatLatexTerm(slopeText, "x");
+            const interceptMagnitude = format(Math.abs(interceptValue));
             if (interceptMagnitude === "0") {
-                latex = `y = ${slopeTerm}`;
-            } else if (interceptValue >= 0) {
-                latex = `y = ${slopeTerm} + ${interceptMagnitude}`;
-            } else {
-                latex = `y = ${slopeTerm} - ${interceptMagnitude}`;
+                return `y = ${slopeTerm}`;
             }
-        }
+            if (interceptValue >= 0) {
+                return `y = ${slopeTerm} + ${interceptMagnitude}`;
+            }
+            return `y = ${slopeTerm} - ${interceptMagnitude}`;
+        };
+
+        const pretty = isPrettyEnabled(options);
+        const formula = compose((value) => formatFixed(value, decimals));
+        const latex = pretty
+            ? compose((value) => formatLatexFixed(value, decimals, true))
+            : formula;
 
         const domainObj = createDomain(domain?.[0], domain?.[1], decimals);
         return finalizeEquation({
             type: "linear",
             latex,
-            formula: latex,
+            formula,
             domain: domainObj,
             domainAxis: "x",
             params: { slope: slopeValue, point: anchor, intercept: interceptValue },
             meta,
-            precision: decimals
+            precision: decimals,
+            pretty
         });
     },
 
     horizontal({ y, xRange, meta }, options = {}) {
         const decimals = options.decimals ?? DEFAULT_DECIMALS;
-        const valueText = formatFixed(y, decimals);
         const domainObj = createDomain(xRange?.[0], xRange?.[1], decimals);
-        const latex = `y = ${valueText}`;
+        const formula = `y = ${formatFixed(y, decimals)}`;
+        const pretty = isPrettyEnabled(options);
+        const latex = `y = ${formatLatexFixed(y, decimals, pretty)}`;
         return finalizeEquation({
             type: "constant",
             latex,
-            formula: latex,
+            formula,
             domain: domainObj,
             domainAxis: "x",
             params: { y },
             meta,
-            precision: decimals
+            precision: decimals,
+            pretty
         });
     },
 
     vertical({ x, yRange, meta }, options = {}) {
         const decimals = options.decimals ?? DEFAULT_DECIMALS;
-        const valueText = formatFixed(x, decimals);
         const domainObj = createDomain(yRange?.[0], yRange?.[1], decimals);
-        const latex = `x = ${valueText}`;
+        const formula = `x = ${formatFixed(x, decimals)}`;
+        const pretty = isPrettyEnabled(options);
+        const latex = `x = ${formatLatexFixed(x, decimals, pretty)}`;
         return finalizeEquation({
             type: "vertical",
             latex,
-            formula: latex,
+            formula,
             domain: domainObj,
             domainAxis: "y",
             params: { x },
             meta,
-            precision: decimals
+            precision: decimals,
+            pretty
         });
     },
 
     quadraticVertex({ a, vertex, domain, meta }, options = {}) {
         const decimals = options.decimals ?? DEFAULT_DECIMALS;
         const [px, py] = Array.isArray(vertex) ? vertex : [0, 0];
-        const aText = formatFixed(a, decimals);
-        const xShift = formatSigned(-px, decimals);
-        const yShift = formatSigned(py, decimals);
-        const latex = `y = ${aText}(x ${xShift})^2 ${yShift}`;
+        const formula = `y = ${formatFixed(a, decimals)}(x ${formatSigned(-px, decimals)})^2 ${formatSigned(py, decimals)}`;
+        const pretty = isPrettyEnabled(options);
+        const latex = pretty
+            ? `y = ${formatLatexFixed(a, decimals, true)}(x ${formatLatexSigned(-px, decimals, true)})^2 ${formatLatexSigned(py, decimals, true)}`
+            : formula;
         const domainObj = createDomain(domain?.[0], domain?.[1], decimals);
         return finalizeEquation({
             type: "quadratic",
             latex,
-            formula: latex,
+            formula,
             domain: domainObj,
             domainAxis: "x",
             params: { a, vertex: [px, py] },
             meta,
-            precision: decimals
+            precision: decimals,
+            pretty
         });
     },
 
@@ -332,17 +538,22 @@ export const EquationBuilder = {
         const xShift = formatSigned(-cx, decimals);
         const yShift = formatSigned(-cy, decimals);
         const radiusText = formatFixed(radius, decimals);
-        const latex = `(x ${xShift})^2 + (y ${yShift})^2 = ${radiusText}^2`;
+        const formula = `(x ${xShift})^2 + (y ${yShift})^2 = ${radiusText}^2`;
+        const pretty = isPrettyEnabled(options);
+        const latex = pretty
+            ? `(x ${formatLatexSigned(-cx, decimals, true)})^2 + (y ${formatLatexSigned(-cy, decimals, true)})^2 = ${formatLatexBase(formatLatexFixed(radius, decimals, true))}^2`
+            : formula;
         const parameterRange = { symbol: "t", start: "0", end: "2\\pi" };
         return finalizeEquation({
             type: "circle",
             latex,
-            formula: `(x ${xShift})^2 + (y ${yShift})^2 = ${radiusText}^2`,
+            formula,
             domain: createDomain(0, Math.PI * 2, decimals),
             domainAxis: parameterRange.symbol,
             params: { center: [cx, cy], radius },
             meta,
             precision: decimals,
+            pretty,
             parameterRange
         });
     },
@@ -355,6 +566,7 @@ export const EquationBuilder = {
 
         const cxText = formatFixed(cx, decimals);
         const cyText = formatFixed(cy, decimals);
+        const pretty = isPrettyEnabled(options);
         const parameterRange = { symbol: "t", start: "0", end: "2\\pi" };
 
         const xTerms = [];
@@ -370,7 +582,7 @@ export const EquationBuilder = {
                 return;
             }
             const sign = coeff >= 0 ? "+" : "-";
-            const magnitude = formatFixed(Math.abs(coeff), decimals);
+            const magnitude = formatLatexFixed(Math.abs(coeff), decimals, pretty);
             if (magnitude === "0") {
                 return;
             }
@@ -382,8 +594,8 @@ export const EquationBuilder = {
         appendLatexTerm(yTerms, coeffYCos, "\\cos t");
         appendLatexTerm(yTerms, coeffYSin, "\\sin t");
 
-        const latexX = `${cxText}${xTerms.map((term) => ` ${term}`).join("")}`;
-        const latexY = `${cyText}${yTerms.map((term) => ` ${term}`).join("")}`;
+        const latexX = `${formatLatexFixed(cx, decimals, pretty)}${xTerms.map((term) => ` ${term}`).join("")}`;
+        const latexY = `${formatLatexFixed(cy, decimals, pretty)}${yTerms.map((term) => ` ${term}`).join("")}`;
 
         const latex = `\\left(${latexX}, ${latexY}\\right)`;
 
@@ -433,18 +645,42 @@ export const EquationBuilder = {
             },
             meta,
             precision: decimals,
+            pretty,
             parameterRange
         });
     },
 
+    // 中心と2本の共役半径ベクトルから楕円を作る（アフィン変換後の楕円など）
+    ellipseFromConjugateAxes({ center, u, v, meta }, options = {}) {
+        const sxx = u[0] * u[0] + v[0] * v[0];
+        const syy = u[1] * u[1] + v[1] * v[1];
+        const sxy = u[0] * u[1] + v[0] * v[1];
+        const rotation = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const major = sxx * cos * cos + 2 * sxy * sin * cos + syy * sin * sin;
+        const minor = sxx + syy - major;
+        return EquationBuilder.ellipse({
+            center,
+            radiusX: Math.sqrt(major),
+            radiusY: Math.sqrt(Math.max(minor, 0)),
+            rotation,
+            meta
+        }, options);
+    },
+
     quadraticBezier({ p0, p1, p2, parameterRange, meta }, options = {}) {
         const decimals = options.decimals ?? DEFAULT_DECIMALS;
         const range = parameterRange || { symbol: "t", start: "0", end: "1" };
-        const p0Text = formatPoint(p0, decimals);
-        const p1Text = formatPoint(p1, decimals);
-        const p2Text = formatPoint(p2, decimals);
-        const latex = `${p0Text} (1 - t)^2 + 2 ${p1Text} (1 - t) t + ${p2Text} t^2`;
-        const formula = `${p0Text} (1 - t)^2 + 2 ${p1Text} (1 - t) t + ${p2Text} t^2`;
+        const compose = (format) => {
+            const p0Text = format(p0);
+            const p1Text = format(p1);
+            const p2Text = format(p2);
+            return `${p0Text} (1 - t)^2 + 2 ${p1Text} (1 - t) t + ${p2Text} t^2`;
+        };
+        const pretty = isPrettyEnabled(options);
+        const formula = compose((point) => formatPoint(point, decimals));
+        const latex = pretty ? compose((point) => formatLatexPoint(point, decimals, true)) : formula;
         return finalizeEquation({
             type: "quadraticBezier",
             latex,
@@ -454,6 +690,7 @@ export const EquationBuilder = {
             params: { controlPoints: [p0, p1, p2] },
             meta,
             precision: decimals,
+            pretty,
             parameterRange: range
         });
     },
@@ -461,12 +698,16 @@ export const EquationBuilder = {
     cubicBezier({ p0, p1, p2, p3, parameterRange, meta }, options = {}) {
         const decimals = options.decimals ?? DEFAULT_DECIMALS;
         const range = parameterRange || { symbol: "t", start: "0", end: "1" };
-        const p0Text = formatPoint(p0, decimals);
-        const p1Text = formatPoint(p1, decimals);
-        const p2Text = formatPoint(p2, decimals);
-        const p3Text = formatPoint(p3, decimals);
-        const latex = `${p0Text} (1 - t)^3 + 3 ${p1Text} (1 - t)^2 t + 3 ${p2Text} (1 - t) t^2 + ${p3Text} t^3`;
-        const formula = `${p0Text} (1 - t)^3 + 3 ${p1Text} (1 - t)^2 t + 3 ${p2Text} (1 - t) t^2 + ${p3Text} t^3`;
+        const compose = (format) => {
+            const p0Text = format(p0);
+            const p1Text = format(p1);
+            const p2Text = format(p2);
+            const p3Text = format(p3);
+            return `${p0Text} (1 - t)^3 + 3 ${p1Text} (1 - t)^2 t + 3 ${p2Text} (1 - t) t^2 + ${p3Text} t^3`;
+        };
+        const pretty = isPrettyEnabled(options);
+        const formula = compose((point) => formatPoint(point, decimals));
+        const latex = pretty ? compose((point) => formatLatexPoint(point, decimals, true)) : formula;
         return finalizeEquation({
             type: "cubicBezier",
             latex,
@@ -476,6 +717,7 @@ export const EquationBuilder = {
             params: { controlPoints: [p0, p1, p2, p3] },
             meta,
             precision: decimals,
+            pretty,
             parameterRange: range
         });
     },
@@ -497,7 +739,11 @@ export const EquationBuilder = {
             decimals
         );
         const asciiParameter = parameterRange.symbol.replace(/\\/g, "") || "t";
-        const latex = `\\left(${radiusText}\\cos ${parameterRange.symbol} + ${cxText}, ${radiusText}\\sin ${parameterRange.symbol} + ${cyText}\\right)`;
+        const pretty = isPrettyEnabled(options);
+        const radiusLatex = formatLatexFixed(radius, decimals, pretty);
+        const cxLatex = formatLatexFixed(cx, decimals, pretty);
+        const cyLatex = formatLatexFixed(cy, decimals, pretty);
+        const latex = `\\left(${radiusLatex}\\cos ${parameterRange.symbol} + ${cxLatex}, ${radiusLatex}\\sin ${parameterRange.symbol} + ${cyLatex}\\right)`;
         const formula = `(${radiusText} * cos(${asciiParameter}) + ${cxText}, ${radiusText} * sin(${asciiParameter}) + ${cyText})`;
         return finalizeEquation({
             type: "arc",
@@ -514,6 +760,148 @@ export const EquationBuilder = {
             },
             meta,
             precision: decimals,
+            pretty,
+            parameterRange
+        });
+    },
+
+    // 点 (x, y)（定義域を持たない）
+    point({ point, meta }, options = {}) {
+        const decimals = options.decimals ?? DEFAULT_DECIMALS;
+        const [x, y] = Array.isArray(point) ? point : [0, 0];
+        const formula = formatPoint([x, y], decimals);
+        const pretty = isPrettyEnabled(options);
+        const latex = pretty ? formatLatexPoint([x, y], decimals, true) : formula;
+        return finalizeEquation({
+            type: "point",
+            latex,
+            formula,
+            params: { point: [x, y] },
+            meta,
+            precision: decimals,
+            pretty
+        });
+    },
+
+    /**
+     * 入力された LaTeX の式（y = f(x)、x = g(y)、媒介変数表示 (f(t), g(t))）
+     * 元の式と、移動・変形を表す行列を params に持ち、変形後の式を LaTeX で表す
+     * 行列で y = f(x) の形を保てない場合は媒介変数表示の式にする
+     * y = f(x)・x = g(y) の範囲の片側だけに制限がある場合は制限を LaTeX に含め、定義域は持たない
+     * @param {Object} expression - { source: 式の本体, kind: 'explicit' | 'vertical' | 'parametric',
+     *   range: 変数（x, y, t）の範囲 [min, max]（制限のない側は null）, clip: もう一方の軸の制限 { x|y: { min, max } }, matrix: 変形の行列 }
+     * @param {Object} options - { decimals }
+     * @returns {Object|null} 式（変形後の式や制限を LaTeX で表せない場合は null）
+     */
+    expression({ source, kind, range, clip, matrix = IDENTITY_MATRIX, meta }, options = {}) {
+        const decimals = options.decimals ?? DEFAULT_DECIMALS;
+        const [a, b, c, d, e, f] = matrix;
+        const [start, end] = range;
+        const restrictions = clip || {};
+        const isZero = (value) => Math.abs(value) <= EPSILON;
+        const isBounded = start != null && end != null;
+        // 変数（範囲 [start, end]）を scale 倍して offset 足した値の範囲
+        const mapRange = (scale, offset) => [scale * start + offset, scale * end + offset].sort((p, q) => p - q);
+        // 片側だけの制限は定義域ではなく \{a \le x\} の形で式に付ける
+        const formatHalfRange = (axis, scale, offset) => (start == null && end == null)
+            ? ""
+            : formatRestriction(axis, { min: start, max: end }, scale, offset, decimals);
+
+        let latex;
+        let domainRange = isBounded ? [start, end] : null;
+        let domainAxis = "t";
+        if (kind === "explicit" && isZero(c)) {
+            // x' = a x + e, y' = b x + d y + f より y' = d f(u) + b u + f（u = (x' - e) / a）
+            if (restrictions.y && !isZero(b)) {
+                return null;
+            }
+            const u = formatInverseSubstitution("x", a, e, decimals);
+            const body = u === "x" ? source : substituteLatexVariable(source, "x", u);
+            latex = `y = ${formatLinearCombination([{ coefficient: d, text: body }, { coefficient: b, text: u }], f, decimals)}`;
+            if (restrictions.y) {
+                latex += formatRestriction("y", restrictions.y, d, f, decimals);
+            }
+            if (isBounded) {
+                domainRange = mapRange(a, e);
+            } else {
+                latex += formatHalfRange("x", a, e);
+                domainRange = null;
+            }
+            domainAxis = "x";
+        } else if (kind === "vertical" && isZero(b)) {
+            // y' = d y + f, x' = a x + c y + e より x' = a g(v) + c v + e（v = (y' - f) / d）
+            if (restrictions.x && !isZero(c)) {
+                return null;
+            }
+            const v = formatInverseSubstitution("y", d, f, decimals);
+            const body = v === "y" ? source : substituteLatexVariable(source, "y", v);
+            latex = `x = ${formatLinearCombination([{ coefficient: a, text: body }, { coefficient: c, text: v }], e, decimals)}`;
+            if (restrictions.x) {
+                latex += formatRestriction("x", restrictions.x, a, e, decimals);
+            }
+            if (isBounded) {
+                domainRange = mapRange(d, f);
+            } else {
+                latex += formatHalfRange("y", d, f);
+                domainRange = null;
+            }
+            domainAxis = "y";
+        } else {
+            // 媒介変数表示 (X(t), Y(t)) を (a X + c Y + e, b X + d Y + f) に写す
+            if (restrictions.x || restrictions.y) {
+                return null;
+            }
+            let components;
+            if (kind === "explicit") {
+                components = ["t", substituteLatexVariable(source, "x", "t")];
+            } else if (kind === "vertical") {
+                components = [substituteLatexVariable(source, "y", "t"), "t"];
+            } else {
+                components = splitPointComponents(source);
+            }
+            const isTranslation = [a - 1, b, c, d - 1].every(isZero);
+            if (!components) {
+                // 成分に分けられない点の式は平行移動だけ表せる
+                if (!isTranslation) {
+                    return null;
+                }
+                const offset = formatFixed(e, decimals) === "0" && formatFixed(f, decimals) === "0"
+                    ? ""
+                    : ` + \\left(${formatFixed(e, decimals)}, ${formatFixed(f, decimals)}\\right)`;
+                latex = `${source}${offset}`;
+            } else if (kind === "parametric" && isTranslation && formatFixed(e, decimals) === "0" && formatFixed(f, decimals) === "0") {
+                latex = source;
+            } else {
+                const [x, y] = components;
+                const xText = formatLinearCombination([{ coefficient: a, text: x }, { coefficient: c, text: y }], e, decimals);
+                const yText = formatLinearCombination([{ coefficient: b, text: x }, { coefficient: d, text: y }], f, decimals);
+                latex = `\\left(${xText}, ${yText}\\right)`;
+            }
+        }
+
+        // y = f(x) を媒介変数表示にした式は、制限のない側を ±∞ とする
+        const parameterRange = domainAxis === "t"
+            ? {
+                symbol: "t",
+                start: start == null ? "-\\infty" : formatFixed(start, decimals),
+                end: end == null ? "\\infty" : formatFixed(end, decimals)
+            }
+            : undefined;
+        return finalizeEquation({
+            type: "expression",
+            latex,
+            formula: latex,
+            domain: domainRange ? createDomain(domainRange[0], domainRange[1], decimals) : undefined,
+            domainAxis,
+            params: {
+                source,
+                kind,
+                range: [start, end],
+                ...(clip ? { clip } : {}),
+                matrix: matrix.slice(0, 6)
+            },
+            meta,
+            precision: decimals,
             parameterRange
         });
     },
@@ -530,6 +918,26 @@ export const EquationBuilder = {
         });
     },
 
+    /**
+     * 式の LaTeX を作り直す（params を持たない式はそのまま返す）
+     * @param {Object} equation - 式
+     * @param {Object} options - { pretty: 係数を厳密表示（1/3, √2, π/4 など）にするか。formula は常に小数のまま }
+     * @returns {Object} LaTeX を更新した式
+     */
+    refreshLatex(equation, options = {}) {
+        const rebuilt = EquationBuilder.translateEquation(equation, 0, 0, options);
+        if (!rebuilt || typeof rebuilt.latex !== "string") {
+            return equation;
+        }
+        const refreshed = { ...equation, latex: rebuilt.latex };
+        if (rebuilt.pretty) {
+            refreshed.pretty = true;
+        } else {
+            delete refreshed.pretty;
+        }
+        return refreshed;
+    },
+
     translateEquation(equation, deltaX = 0, deltaY = 0, options = {}) {
         if (!equation || typeof equation !== "object") {
             return null;
@@ -541,6 +949,7 @@ export const EquationBuilder = {
         }
 
         const decimals = options.decimals ?? equation.precision ?? DEFAULT_DECIMALS;
+        const pretty = (options.pretty ?? equation.pretty) === true;
         const meta = equation.meta;
 
         const wrap = (rebuilt) => mergeEquation(equation, rebuilt);
@@ -557,7 +966,7 @@ export const EquationBuilder = {
                     y: baseY + deltaY,
                     xRange: shiftedRange,
                     meta
-                }, { decimals });
+                }, { decimals, pretty });
                 return wrap(rebuilt);
             }
             case "vertical": {
@@ -571,7 +980,7 @@ export const EquationBuilder = {
                     x: baseX + deltaX,
                     yRange: shiftedRange,
                     meta
-                }, { decimals });
+                }, { decimals, pretty });
                 return wrap(rebuilt);
             }
             case "linear": {
@@ -592,7 +1001,7 @@ export const EquationBuilder = {
                     point: newPoint,
                     domain: shiftedRange,
                     meta
-                }, { decimals });
+                }, { decimals, pretty });
                 return wrap(rebuilt);
             }
             case "quadratic": {
@@ -613,7 +1022,7 @@ export const EquationBuilder = {
                     vertex: newVertex,
                     domain: shiftedRange,
                     meta
-                }, { decimals });
+                }, { decimals, pretty });
                 return wrap(rebuilt);
             }
             case "circle": {
@@ -630,7 +1039,7 @@ export const EquationBuilder = {
                     center: translatePoint(center, deltaX, deltaY),
                     radius,
                     meta
-                }, { decimals });
+                }, { decimals, pretty });
                 // Preserve explicit parameter range if provided
                 if (equation.parameterRange) {
                     rebuilt.parameterRange = cloneParameterRange(equation.parameterRange);
@@ -659,7 +1068,7 @@ export const EquationBuilder = {
                     radiusY,
                     rotation,
                     meta
-                }, { decimals });
+                }, { decimals, pretty });
                 if (equation.parameterRange) {
                     rebuilt.parameterRange = cloneParameterRange(equation.parameterRange);
                 }
@@ -679,7 +1088,7 @@ export const EquationBuilder = {
                     p2: translated[2],
                     parameterRange: cloneParameterRange(equation.parameterRange),
                     meta
-                }, { decimals });
+                }, { decimals, pretty });
                 return wrap(rebuilt);
             }
             case "cubicBezier": {
@@ -697,7 +1106,7 @@ export const EquationBuilder = {
                     p3: translated[3],
                     parameterRange: cloneParameterRange(equation.parameterRange),
                     meta
-                }, { decimals });
+                }, { decimals, pretty });
                 return wrap(rebuilt);
             }
             case "arc": {
@@ -717,12 +1126,39 @@ export const EquationBuilder = {
                     endAngle: equation.params.endAngle,
                     direction: equation.params.direction,
                     meta
-                }, { decimals });
+                }, { decimals, pretty });
                 if (equation.parameterRange) {
                     rebuilt.parameterRange = cloneParameterRange(equation.parameterRange);
                 }
                 return wrap(rebuilt);
             }
+            case "point": {
+                const point = readPoint(equation.params && equation.params.point);
+                if (!point) {
+                    return null;
+                }
+                return wrap(EquationBuilder.point({
+                    point: translatePoint(point, deltaX, deltaY),
+                    meta
+                }, { decimals, pretty }));
+            }
+            case "expression": {
+                const params = equation.params || {};
+                if (!Array.isArray(params.matrix)) {
+                    return null;
+                }
+                const rebuilt = EquationBuilder.expression({
+                    ...params,
+                    matrix: multiplyMatrices([1, 0, 0, 1, deltaX, deltaY], params.matrix),
+                    meta
+                }, { decimals, pretty });
+                const merged = wrap(rebuilt);
+                // y = f(x) の形に戻った場合は媒介変数の範囲を残さない
+                if (merged && !rebuilt.parameterRange) {
+                    delete merged.parameterRange;
+                }
+                return merged;
+            }
             default:
                 return null;
         }
@@ -736,5 +1172,360 @@ export const EquationBuilder = {
             const translated = EquationBuilder.translateEquation(eq, deltaX, deltaY, options);
             return translated || eq;
         });
+    },
+
+    /**
+     * 式にアフィン変換（拡大縮小・回転・反転）を適用する
+     * 形を保てる場合は同じ種類の式に書き換え、保てない場合は媒介変数表示の式にする
+     *  - y = f(x) の式を回転したとき: 2次ベジェ曲線（直線は直線のまま）
+     *  - 円を一様でない倍率で拡大縮小したとき: 楕円
+     *  - 円弧を一様でない倍率で拡大縮小したとき: 3次ベジェ曲線の列（配列で返す）
+     * @param {Object} equation - 変換する式
+     * @param {Array<number>} matrix - 変換行列 [a, b, c, d, e, f]
+     * @param {Object} options - { decimals, pretty, parametric: true の場合は直線・二次関数も2次ベジェ曲線にする }
+     * @returns {Object|Array<Object>|null} 変換後の式（変換できない場合は null）
+     */
+    transformEquation(equation, matrix, options = {}) {
+        if (!equation || typeof equation !== "object" || !Array.isArray(matrix) || matrix.length < 6) {
+            return null;
+        }
+        if (!matrix.every(Number.isFinite) || Math.abs(getDeterminant(matrix)) <= EPSILON) {
+            return null;
+        }
+
+        const type = equation.type;
+        if (!type) {
+            return null;
+        }
+
+        const decimals = options.decimals ?? equation.precision ?? DEFAULT_DECIMALS;
+        const pretty = (options.pretty ?? equation.pretty) === true;
+        const meta = equation.meta;
+        const params = equation.params || {};
+        const parametric = options.parametric === true;
+        const mapPoint = (point) => applyMatrixToPoint(matrix, point);
+
+        // 式が変わるため、古いRPNは引き継がない
+        const wrap = (rebuilt) => {
+            const merged = mergeEquation(equation, rebuilt);
+            if (merged) {
+                delete merged.rpn;
+            }
+            return merged;
+        };
+
+        // 線分の式は両端点を写して作り直す
+        const transformSegment = (start, end) => {
+            const p0 = mapPoint(start);
+            const p2 = mapPoint(end);
+            if (parametric) {
+                return wrap(EquationBuilder.quadraticBezier({
+                    p0,
+                    p1: [(p0[0] + p2[0]) / 2, (p0[1] + p2[1]) / 2],
+                    p2,
+                    meta
+                }, { decimals, pretty }));
+            }
+            return wrap(EquationBuilder.linearThroughPoints(p0, p2, { decimals, pretty, meta }));
+        };
+
+        switch (type) {
+            case "constant": {
+                const y = parseNumeric(params.y);
+                const range = readFiniteRange(equation.domain);
+                if (!Number.isFinite(y) || !range) {
+                    return null;
+                }
+                return transformSegment([range[0], y], [range[1], y]);
+            }
+            case "vertical": {
+                const x = parseNumeric(params.x);
+                const range = readFiniteRange(equation.domain);
+                if (!Number.isFinite(x) || !range) {
+                    return null;
+                }
+                return transformSegment([x, range[0]], [x, range[1]]);
+            }
+            case "linear": {
+                const slope = Number.isFinite(params.slope) ? params.slope : null;
+                const anchor = readPoint(params.point);
+                const range = readFiniteRange(equation.domain);
+                if (!Number.isFinite(slope) || !anchor || !range) {
+                    return null;
+                }
+                const valueAt = (x) => anchor[1] + slope * (x - anchor[0]);
+                return transformSegment([range[0], valueAt(range[0])], [range[1], valueAt(range[1])]);
+            }
+            case "quadratic": {
+                const a = Number.isFinite(params.a) ? params.a : null;
+                const vertex = readPoint(params.vertex);
+                const range = readFiniteRange(equation.domain);
+                if (!Number.isFinite(a) || !vertex || !range) {
+                    return null;
+                }
+                const [h, k] = vertex;
+                const [x0, x1] = range;
+                const valueAt = (x) => a * (x - h) * (x - h) + k;
+
+                if (!parametric && preservesFunctionForm(matrix)) {
+                    // u = (x' - e) / a とおくと y' = d f(u) + b u + f となり、二次関数のまま書き換えられる
+                    const [ma, mb, , md, me, mf] = matrix;
+                    const alpha = md * a;
+                    const beta = mb - 2 * md * a * h;
+                    const gamma = md * (a * h * h + k) + mf;
+                    const domain = [ma * x0 + me, ma * x1 + me].sort((p, q) => p - q);
+                    if (Math.abs(alpha) <= EPSILON) {
+                        return transformSegment([x0, valueAt(x0)], [x1, valueAt(x1)]);
+                    }
+                    const u0 = -beta / (2 * alpha);
+                    return wrap(EquationBuilder.quadraticVertex({
+                        a: alpha / (ma * ma),
+                        vertex: [ma * u0 + me, gamma - (beta * beta) / (4 * alpha)],
+                        domain,
+                        meta
+                    }, { decimals, pretty }));
+                }
+
+                // 回転などで y = f(x) の形を保てない場合は、同じ放物線の弧を2次ベジェ曲線で表す
+                const control = [(x0 + x1) / 2, valueAt(x0) + a * (x0 - h) * (x1 - x0)];
+                return wrap(EquationBuilder.quadraticBezier({
+                    p0: mapPoint([x0, valueAt(x0)]),
+                    p1: mapPoint(control),
+                    p2: mapPoint([x1, valueAt(x1)]),
+                    meta
+                }, { decimals, pretty }));
+            }
+            case "circle": {
+                const center = readPoint(params.center);
+                const radius = Number.isFinite(params.radius) ? params.radius : null;
+                if (!center || !Number.isFinite(radius)) {
+                    return null;
+                }
+                if (isSimilarityMatrix(matrix)) {
+                    const rebuilt = EquationBuilder.circle({
+                        center: mapPoint(center),
+                        radius: radius * Math.sqrt(Math.abs(getDeterminant(matrix))),
+                        meta
+                    }, { decimals, pretty });
+                    if (equation.parameterRange) {
+                        rebuilt.parameterRange = cloneParameterRange(equation.parameterRange);
+                    }
+                    return wrap(rebuilt);
+                }
+                return wrap(EquationBuilder.ellipseFromConjugateAxes({
+                    center: mapPoint(center),
+                    u: applyMatrixToVector(matrix, [radius, 0]),
+                    v: applyMatrixToVector(matrix, [0, radius]),
+                    meta
+                }, { decimals, pretty }));
+            }
+            case "ellipse": {
+                const center = readPoint(params.center);
+                const radiusX = Number.isFinite(params.radiusX) ? params.radiusX : null;
+                const radiusY = Number.isFinite(params.radiusY) ? params.radiusY : null;
+                const rotation = Number.isFinite(params.rotation) ? params.rotation : 0;
+                if (!center || !Number.isFinite(radiusX) || !Number.isFinite(radiusY)) {
+                    return null;
+                }
+                const cos = Math.cos(rotation);
+                const sin = Math.sin(rotation);
+                return wrap(EquationBuilder.ellipseFromConjugateAxes({
+                    center: mapPoint(center),
+                    u: applyMatrixToVector(matrix, [radiusX * cos, radiusX * sin]),
+                    v: applyMatrixToVector(matrix, [-radiusY * sin, radiusY * cos]),
+                    meta
+                }, { decimals, pretty }));
+            }
+            case "quadraticBezier":
+            case "cubicBezier": {
+                const cps = Array.isArray(params.controlPoints) ? params.controlPoints.map(readPoint) : [];
+                const required = type === "quadraticBezier" ? 3 : 4;
+                if (cps.length < required || cps.some((pt) => !pt)) {
+                    return null;
+                }
+                const mapped = cps.map(mapPoint);
+                const build = type === "quadraticBezier" ? EquationBuilder.quadraticBezier : EquationBuilder.cubicBezier;
+                return wrap(build({
+                    p0: mapped[0],
+                    p1: mapped[1],
+                    p2: mapped[2],
+                    p3: mapped[3],
+                    parameterRange: cloneParameterRange(equation.parameterRange),
+                    meta
+                }, { decimals, pretty }));
+            }
+            case "arc": {
+                const center = readPoint(params.center);
+                const radius = Number.isFinite(params.radius) ? params.radius : null;
+                const startAngle = parseNumeric(params.startAngle);
+                const endAngle = parseNumeric(params.endAngle);
+                if (!center || !Number.isFinite(radius) || !Number.isFinite(startAngle) || !Number.isFinite(endAngle)) {
+                    return null;
+                }
+                if (isSimilarityMatrix(matrix)) {
+                    const determinant = getDeterminant(matrix);
+                    const theta = Math.atan2(matrix[1], matrix[0]);
+                    // 反転を含む場合は角度 t の点が角度 θ - t に写る（向きが逆になる）
+                    const [start, end] = determinant > 0
+                        ? [startAngle + theta, endAngle + theta]
+                        : [theta - endAngle, theta - startAngle];
+                    return wrap(EquationBuilder.arc({
+                        center: mapPoint(center),
+                        radius: radius * Math.sqrt(Math.abs(determinant)),
+                        startAngle: start,
+                        endAngle: end,
+                        direction: params.direction,
+                        meta
+                    }, { decimals, pretty }));
+                }
+                // 一様でない拡大縮小では楕円弧になるため、3次ベジェ曲線の列で表す
+                return arcToCubicControlPoints(center, radius, startAngle, endAngle).map((cps) => {
+                    const [p0, p1, p2, p3] = cps.map(mapPoint);
+                    return EquationBuilder.cubicBezier({ p0, p1, p2, p3, meta }, { decimals, pretty });
+                });
+            }
+            case "point": {
+                const point = readPoint(params.point);
+                if (!point) {
+                    return null;
+                }
+                return wrap(EquationBuilder.point({ point: mapPoint(point), meta }, { decimals, pretty }));
+            }
+            case "expression": {
+                if (!Array.isArray(params.matrix)) {
+                    return null;
+                }
+                const rebuilt = EquationBuilder.expression({
+                    ...params,
+                    matrix: multiplyMatrices(matrix, params.matrix),
+                    meta
+                }, { decimals, pretty });
+                const merged = wrap(rebuilt);
+                // y = f(x) の形に戻った場合は媒介変数の範囲を残さない
+                if (merged && !rebuilt.parameterRange) {
+                    delete merged.parameterRange;
+                }
+                return merged;
+            }
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * 式の列にアフィン変換を適用する
+     * 1つでも変換できない式があれば null を返す（一部だけ変形された曲線を作らない）
+     * @param {Array<Object>} equations
+     * @param {Array<number>} matrix - 変換行列 [a, b, c, d, e, f]
+     * @param {Object} options - transformEquation と同じ
+     * @returns {Array<Object>|null}
+     */
+    transformEquations(equations, matrix, options = {}) {
+        if (!Array.isArray(equations) || !Array.isArray(matrix)) {
+            return null;
+        }
+        const transformed = [];
+        for (const eq of equations) {
+            const result = EquationBuilder.transformEquation(eq, matrix, options);
+            if (!result) {
+                return null;
+            }
+            transformed.push(...(Array.isArray(result) ? result : [result]));
+        }
+
+        // 左右が入れ替わる変換では y = f(x) の区間の並び、反転を含む変換では円弧の並びが逆順になるため、
+        // つながりを保つように並びを逆にする
+        const reversesFunctions = matrix[0] < 0 && transformed.every((eq) => eq.domainAxis === "x");
+        const reversesArcs = getDeterminant(matrix) < 0 && transformed.every((eq) => eq.type === "arc");
+        if (transformed.length > 1 && (reversesFunctions || reversesArcs)) {
+            transformed.reverse();
+        }
+        return transformed;
+    },
+
+    /**
+     * y = f(x) の式（二次関数・直線）を、同じ弧を描く2次ベジェ曲線の式に書き換える
+     * @param {Object} equation
+     * @param {Object} options - { decimals, pretty }
+     * @returns {Object|null} 2次ベジェ曲線の式（書き換えられない場合は null）
+     */
+    toQuadraticBezier(equation, options = {}) {
+        const converted = EquationBuilder.transformEquation(equation, IDENTITY_MATRIX, { ...options, parametric: true });
+        if (!converted || Array.isArray(converted) || converted.type !== "quadraticBezier") {
+            return null;
+        }
+        return converted;
+    },
+
+    /**
+     * 2次ベジェ曲線の式を y = f(x)（頂点形式の二次関数・直線）に書き換える
+     * x(t) が t の一次式（中間の制御点の x が両端の中点）の場合のみ同じ曲線として書き換えられる
+     * @param {Object} equation
+     * @param {Object} options - { decimals, pretty }
+     * @returns {Object|null} 書き換えた式（書き換えられない場合は null）
+     */
+    toFunctionForm(equation, options = {}) {
+        if (!equation || typeof equation !== "object") {
+            return null;
+        }
+        if (["quadratic", "linear", "constant", "vertical"].includes(equation.type)) {
+            return { ...equation };
+        }
+        if (equation.type !== "quadraticBezier") {
+            return null;
+        }
+
+        const cps = equation.params && Array.isArray(equation.params.controlPoints)
+            ? equation.params.controlPoints.map(readPoint)
+            : [];
+        if (cps.length < 3 || cps.some((point) => !point)) {
+            return null;
+        }
+
+        const decimals = options.decimals ?? equation.precision ?? DEFAULT_DECIMALS;
+        const pretty = (options.pretty ?? equation.pretty) === true;
+        const meta = equation.meta;
+        const [p0, p1, p2] = cps;
+        const dx = p2[0] - p0[0];
+        const scale = Math.max(Math.abs(dx), Math.abs(p2[1] - p0[1]), 1);
+        const tolerance = 1e-6 * scale;
+        const wrap = (rebuilt) => {
+            const merged = mergeEquation(equation, rebuilt);
+            delete merged.parameterRange;
+            delete merged.rpn;
+            return merged;
+        };
+
+        // x が一定の場合は、y が単調（制御点が両端の間）なら垂直な線分
+        if (Math.abs(dx) <= tolerance) {
+            const isVerticalSegment = Math.abs(p1[0] - p0[0]) <= tolerance &&
+                (p1[1] - p0[1]) * (p2[1] - p1[1]) >= 0;
+            if (!isVerticalSegment) {
+                return null;
+            }
+            return wrap(EquationBuilder.vertical({
+                x: p0[0],
+                yRange: [Math.min(p0[1], p2[1]), Math.max(p0[1], p2[1])],
+                meta
+            }, { decimals, pretty }));
+        }
+        if (Math.abs(p1[0] - (p0[0] + p2[0]) / 2) > tolerance) {
+            return null;
+        }
+
+        // t = (x - x0) / dx として y = A t^2 + B t + C
+        const A = p0[1] - 2 * p1[1] + p2[1];
+        const B = 2 * (p1[1] - p0[1]);
+        const C = p0[1];
+        if (Math.abs(A) <= tolerance) {
+            return wrap(EquationBuilder.linearThroughPoints(p0, p2, { decimals, pretty, meta }));
+        }
+        const tVertex = -B / (2 * A);
+        return wrap(EquationBuilder.quadraticVertex({
+            a: A / (dx * dx),
+            vertex: [p0[0] + tVertex * dx, C - (B * B) / (4 * A)],
+            domain: [Math.min(p0[0], p2[0]), Math.max(p0[0], p2[0])],
+            meta
+        }, { decimals, pretty }));
     }
 };
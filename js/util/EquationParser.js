@@ -0,0 +1,269 @@
+import { EquationBuilder } from './EquationBuilder.js';
+import { detectFormulaType, evaluateFormula, toRPN } from './NumberUtil.js';
+
+// y = f(x) の形で編集する数式の種類（一次・二次関数は相互に書き換えられる）
+const FUNCTION_TYPES = ['linear', 'constant', 'quadratic'];
+// ベジェ曲線の式の形（制御点を P に置き換えたもの）
+const BEZIER_TEMPLATES = {
+    quadraticBezier: 'P(1-t)^2+2P(1-t)t+Pt^2',
+    cubicBezier: 'P(1-t)^3+3P(1-t)^2t+3P(1-t)t^2+Pt^3'
+};
+// 定義域（媒介変数の範囲）を編集できる数式の種類
+const DOMAIN_EQUATION_TYPES = [...FUNCTION_TYPES, 'vertical', 'arc'];
+// 数式カードで編集できる数式の種類
+export const EDITABLE_EQUATION_TYPES = [...DOMAIN_EQUATION_TYPES, 'circle', 'ellipse', ...Object.keys(BEZIER_TEMPLATES), 'point'];
+
+const DEFAULT_DECIMALS = 3;
+const TOLERANCE = 1e-9;
+// 一次・二次関数であることを確かめる x の値
+const VERIFY_XS = [2, -3, 0.5, 7.25, -1.75];
+// 符号なしの数値
+const NUMBER = '(?:\\d+\\.?\\d*|\\.\\d+)';
+// y = f(x) の右辺に使える文字（evaluateFormula に渡す前に確かめる）
+const FUNCTION_CHARS = /^[0-9x.+\-*/^()]+$/i;
+
+function approxEqual(a, b) {
+    return Math.abs(a - b) <= TOLERANCE * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+function parseNumber(value) {
+    const text = String(value ?? '').trim();
+    if (!new RegExp(`^[+-]?${NUMBER}$`).test(text)) return NaN;
+    return Number(text);
+}
+
+// 失敗の結果（i18nKey は数式カードで表示するときの翻訳キー）
+function failure(message, key) {
+    return { success: false, message, i18nKey: `curve.equation_edit.${key}`, equation: null };
+}
+
+/**
+ * 数式カードで編集できる数式か
+ * @param {Object} equation
+ * @returns {boolean}
+ */
+export function isEditableEquation(equation) {
+    if (!equation || typeof equation !== 'object' || !EDITABLE_EQUATION_TYPES.includes(equation.type)) return false;
+    if (BEZIER_TEMPLATES[equation.type]) return !!equation.params && Array.isArray(equation.params.controlPoints);
+    if (!hasEditableDomain(equation)) return !!equation.params;
+    return !!(equation.domain && Number.isFinite(parseNumber(equation.domain.start)) && Number.isFinite(parseNumber(equation.domain.end)));
+}
+
+/**
+ * 数式カードで定義域（媒介変数の範囲）も編集する数式か
+ * 円・楕円・ベジェ曲線は範囲が決まっているため、係数だけを編集する
+ * @param {Object} equation
+ * @returns {boolean}
+ */
+export function hasEditableDomain(equation) {
+    return !!equation && DOMAIN_EQUATION_TYPES.includes(equation.type);
+}
+
+/**
+ * 数式の端点（定義域の両端での点）
+ * @param {Object} equation
+ * @returns {Array<Array<number>>|null} [[x, y], [x, y]]（端点を持たない数式は null）
+ */
+export function getEquationEndpoints(equation) {
+    if (!isEditableEquation(equation) || !equation.domain) return null;
+    const start = parseNumber(equation.domain.start);
+    const end = parseNumber(equation.domain.end);
+    if (BEZIER_TEMPLATES[equation.type]) {
+        const controlPoints = equation.params.controlPoints;
+        return [[...controlPoints[0]], [...controlPoints[controlPoints.length - 1]]];
+    }
+    if (equation.type === 'arc') {
+        const [cx, cy] = equation.params.center;
+        const radius = Number(equation.params.radius);
+        return [start, end].map(t => [cx + radius * Math.cos(t), cy + radius * Math.sin(t)]);
+    }
+    if (equation.type === 'vertical') {
+        const x = Number(equation.params && equation.params.x);
+        return Number.isFinite(x) ? [[x, start], [x, end]] : null;
+    }
+    const yStart = evaluateFormula(equation.formula || '', start);
+    const yEnd = evaluateFormula(equation.formula || '', end);
+    if (!Number.isFinite(yStart) || !Number.isFinite(yEnd)) return null;
+    return [[start, yStart], [end, yEnd]];
+}
+
+/**
+ * 媒介変数表示の成分 p + q cos(t) + r sin(t) を解釈する
+ * @param {string} text - 空白を除いた成分の式
+ * @returns {Object|null} { constant: p, cos: q, sin: r }（解釈できない場合は null）
+ */
+function parseTrigComponent(text) {
+    const term = new RegExp(`([+-]?)(${NUMBER})?(?:\\*?(cos|sin)\\(t\\))?`, 'gy');
+    const result = { constant: 0, cos: 0, sin: 0 };
+    // 表示の式に現れる「+ -1」のような符号の重なりをまとめる
+    const source = text.replace(/\+-|-\+/g, '-').replace(/--/g, '+');
+    let index = 0;
+    while (index < source.length) {
+        term.lastIndex = index;
+        const match = term.exec(source);
+        // 2項目以降は符号が必要
+        if (!match || match[0] === '' || (index > 0 && !match[1]) || (!match[2] && !match[3])) return null;
+        const value = (match[1] === '-' ? -1 : 1) * (match[2] ? Number(match[2]) : 1);
+        result[match[3] || 'constant'] += value;
+        index = term.lastIndex;
+    }
+    return index > 0 ? result : null;
+}
+
+/**
+ * 媒介変数表示 (x(t), y(t)) を成分ごとに解釈する
+ * @param {string} compact - 空白を除いた式
+ * @returns {Array<Object>|null} [x成分, y成分]
+ */
+function parseTrigPoint(compact) {
+    const match = compact.match(/^\((.+),(.+)\)$/);
+    if (!match) return null;
+    const x = parseTrigComponent(match[1]);
+    const y = parseTrigComponent(match[2]);
+    return x && y ? [x, y] : null;
+}
+
+/**
+ * 編集された数式のテキストを解釈し、元の数式と同じ種類の数式オブジェクトを作る
+ * y = f(x) は一次・二次関数、x = c は垂直線、円は (x - a)^2 + (y - b)^2 = r^2、点は (x, y) の形を受け付ける
+ * 楕円は (a + b cos(t) + c sin(t), d + e cos(t) + f sin(t))、円弧は (r cos(t) + a, r sin(t) + b)、
+ * ベジェ曲線は表示と同じ制御点の並びの形を受け付ける
+ * @param {string} text - 入力された数式
+ * @param {Object} original - 編集前の数式オブジェクト
+ * @param {Object} options - { domain: { start, end } }（定義域を持つ数式の新しい定義域）
+ * @returns {Object} { success, message, i18nKey, equation }
+ */
+export function parseEquationText(text, original, options = {}) {
+    if (!isEditableEquation(original)) {
+        return failure('この種類の数式は編集できません', 'not_editable');
+    }
+    const source = String(text ?? '').trim();
+    if (!source) {
+        return failure('数式を入力してください', 'empty');
+    }
+    const decimals = Number.isInteger(original.precision) ? original.precision : DEFAULT_DECIMALS;
+    const pretty = original.pretty === true;
+    const compact = source.replace(/\s+/g, '');
+
+    if (original.type === 'point') {
+        const match = compact.match(new RegExp(`^\\(([+-]?${NUMBER}),([+-]?${NUMBER})\\)$`));
+        if (!match) return failure('「(x, y)」の形で入力してください', 'point_format');
+        const equation = EquationBuilder.point({ point: [Number(match[1]), Number(match[2])] }, { decimals, pretty });
+        equation.rpn = [];
+        return { success: true, message: '', equation };
+    }
+
+    if (original.type === 'circle') {
+        const axis = (name) => `(?:\\(${name}([+-]${NUMBER})?\\)|${name})\\^2`;
+        const match = compact.match(new RegExp(`^${axis('x')}\\+${axis('y')}=(${NUMBER})(\\^2)?$`));
+        if (!match) return failure('「(x - a)^2 + (y - b)^2 = r^2」の形で入力してください', 'circle_format');
+        const center = [match[1] ? -Number(match[1]) : 0, match[2] ? -Number(match[2]) : 0];
+        const radius = match[4] ? Number(match[3]) : Math.sqrt(Number(match[3]));
+        if (!(radius > 0)) return failure('半径は正の数にしてください', 'radius_positive');
+        return withRPN(EquationBuilder.circle({ center, radius }, { decimals, pretty }));
+    }
+
+    if (original.type === 'ellipse') {
+        const components = parseTrigPoint(compact);
+        if (!components) return failure('「(a + b cos(t) + c sin(t), d + e cos(t) + f sin(t))」の形で入力してください', 'ellipse_format');
+        const [x, y] = components;
+        const u = [x.cos, y.cos];
+        const v = [x.sin, y.sin];
+        if (Math.abs(u[0] * v[1] - u[1] * v[0]) <= TOLERANCE) return failure('つぶれた楕円は描けません', 'degenerate_ellipse');
+        // 編集していない場合は、軸の取り直しで式の見た目が変わらないよう元の数式を使う
+        if (compact === String(original.formula || '').replace(/\s+/g, '')) {
+            return { success: true, message: '', equation: original };
+        }
+        return withRPN(EquationBuilder.ellipseFromConjugateAxes({ center: [x.constant, y.constant], u, v, meta: original.meta }, { decimals, pretty }));
+    }
+
+    if (BEZIER_TEMPLATES[original.type]) {
+        const pointPattern = new RegExp(`\\(([+-]?${NUMBER}),([+-]?${NUMBER})\\)`, 'g');
+        const controlPoints = [...compact.matchAll(pointPattern)].map(match => [Number(match[1]), Number(match[2])]);
+        if (compact.replace(pointPattern, 'P') !== BEZIER_TEMPLATES[original.type]) {
+            return failure('制御点の座標 (x, y) だけを書き換えてください', 'bezier_format');
+        }
+        const [p0, p1, p2, p3] = controlPoints;
+        const builder = original.type === 'quadraticBezier' ? EquationBuilder.quadraticBezier : EquationBuilder.cubicBezier;
+        return withRPN(builder({ p0, p1, p2, p3, parameterRange: original.parameterRange, meta: original.meta }, { decimals, pretty }));
+    }
+
+    // 定義域を持つ数式
+    const domain = options.domain || original.domain;
+    const start = parseNumber(domain && domain.start);
+    const end = parseNumber(domain && domain.end);
+    if (!Number.isFinite(start) || !Number.isFinite(end)) {
+        return failure('定義域の始まりと終わりには数値を入力してください', 'domain_numbers');
+    }
+
+    if (original.type === 'arc') {
+        const components = parseTrigPoint(compact);
+        const [x, y] = components || [];
+        if (!components || Math.abs(x.sin) > TOLERANCE || Math.abs(y.cos) > TOLERANCE || !approxEqual(x.cos, y.sin)) {
+            return failure('「(r cos(t) + a, r sin(t) + b)」の形で入力してください', 'arc_format');
+        }
+        if (!(x.cos > 0)) return failure('半径は正の数にしてください', 'radius_positive');
+        if (start === end || Math.abs(end - start) > Math.PI * 2 + TOLERANCE) {
+            return failure('t の範囲は 0 より大きく 2π 以下の幅にしてください', 'arc_range');
+        }
+        return withRPN(EquationBuilder.arc({
+            center: [x.constant, y.constant],
+            radius: x.cos,
+            startAngle: start,
+            endAngle: end,
+            direction: original.params.direction,
+            meta: original.meta
+        }, { decimals, pretty }));
+    }
+
+    if (start >= end) {
+        return failure('定義域の始まりは終わりより小さくしてください', 'domain_order');
+    }
+
+    if (original.type === 'vertical') {
+        const match = compact.match(new RegExp(`^x=([+-]?${NUMBER})$`, 'i'));
+        if (!match) return failure('「x = 数値」の形で入力してください', 'vertical_format');
+        return withRPN(EquationBuilder.vertical({ x: Number(match[1]), yRange: [start, end] }, { decimals, pretty }));
+    }
+
+    // y = f(x)
+    const body = compact.replace(/^y=/i, '');
+    if (!FUNCTION_CHARS.test(body)) {
+        return failure('y = f(x) の右辺には数値・x・演算子（+ - * / ^）・括弧だけを使えます', 'function_chars');
+    }
+    if (!FUNCTION_TYPES.includes(detectFormulaType(`y = ${body}`))) {
+        return failure('一次関数または二次関数の式を入力してください', 'function_type');
+    }
+    // 先頭や括弧の直後の負号（-x^2 など）は -1 倍、括弧の並び (x-1)(x+2) は積として計算する
+    const expression = `y = ${body.replace(/(^|\()-(?=[x(])/gi, '$1-1*').replace(/\)\(/g, ')*(')}`;
+    const evaluate = (x) => evaluateFormula(expression, x);
+    const c = evaluate(0);
+    const plus = evaluate(1);
+    const minus = evaluate(-1);
+    const a = (plus + minus) / 2 - c;
+    const b = (plus - minus) / 2;
+    const polynomial = (x) => a * x * x + b * x + c;
+    if (![a, b, c].every(Number.isFinite) || !VERIFY_XS.every(x => approxEqual(evaluate(x), polynomial(x)))) {
+        return failure('一次関数または二次関数の式を入力してください', 'function_type');
+    }
+
+    let equation;
+    if (Math.abs(a) <= TOLERANCE) {
+        equation = Math.abs(b) <= TOLERANCE
+            ? EquationBuilder.horizontal({ y: c, xRange: [start, end] }, { decimals, pretty })
+            : EquationBuilder.linear({ slope: b, intercept: c, point: [start, polynomial(start)], domain: [start, end] }, { decimals, pretty });
+    } else {
+        const vertexX = -b / (2 * a);
+        equation = EquationBuilder.quadraticVertex({ a, vertex: [vertexX, polynomial(vertexX)], domain: [start, end] }, { decimals, pretty });
+    }
+    return withRPN(equation);
+}
+
+function withRPN(equation) {
+    try {
+        equation.rpn = toRPN(equation.formula);
+    } catch (e) {
+        equation.rpn = null;
+    }
+    return { success: true, message: '', equation };
+}
@@ -0,0 +1,223 @@
+/*
+ * ExpressionCurve.js
+ *
+ * 入力欄から追加する式の曲線（type: 'expression'）の解釈と評価
+ * Desmos 形式の LaTeX で y = f(x)、x = g(y)、媒介変数表示 (f(t), g(t)) と、制限 \{a \le x \le b\} を受け付ける
+ */
+
+import { EquationBuilder } from './EquationBuilder.js';
+import { IDENTITY_MATRIX, applyMatrixToPoint, invertMatrix } from './AffineTransform.js';
+import {
+    compileLatexExpression,
+    inferDecimals,
+    normalizeLatex,
+    requireScalar,
+    splitRestrictions
+} from './LatexExpression.js';
+
+// 式の種類ごとの変数と、範囲を決める制限の軸・もう一方の軸
+const EXPRESSION_KINDS = {
+    explicit: { variable: 'x', clipAxis: 'y' },
+    vertical: { variable: 'y', clipAxis: 'x' },
+    parametric: { variable: 't', clipAxis: null }
+};
+// 媒介変数の範囲の既定値（Desmos と同じ 0 ≤ t ≤ 1）
+const DEFAULT_PARAMETER_RANGE = [0, 1];
+// 表示範囲を渡されない場合に標本化する範囲
+const DEFAULT_VIEWPORT = { xMin: -10, xMax: 10, yMin: -10, yMax: 10 };
+// 制限のない y = f(x) などを標本化する範囲（表示範囲の幅をこの倍率で左右（上下）に広げる）
+const VIEWPORT_MARGIN_RATIO = 0.5;
+// 式が範囲内で値を持つかを確かめる点の数
+const PROBE_COUNT = 64;
+
+function failure(message) {
+    return { success: false, message, equation: null };
+}
+
+// 制限の片側がなければ null（制限なし）のままにする
+function resolveRange(restriction) {
+    const min = restriction && restriction.min != null ? restriction.min : null;
+    const max = restriction && restriction.max != null ? restriction.max : null;
+    return [min, max];
+}
+
+// 表示範囲（余白を含む）に入る変数の値の範囲（変形を戻した元の式での x または y）
+function viewportVariableRange(kind, matrix, viewport) {
+    const inverse = invertMatrix(matrix);
+    if (!inverse) return null;
+    const marginX = (viewport.xMax - viewport.xMin) * VIEWPORT_MARGIN_RATIO;
+    const marginY = (viewport.yMax - viewport.yMin) * VIEWPORT_MARGIN_RATIO;
+    const xs = [viewport.xMin - marginX, viewport.xMax + marginX];
+    const ys = [viewport.yMin - marginY, viewport.yMax + marginY];
+    const index = kind === 'vertical' ? 1 : 0;
+    const values = xs.flatMap(x => ys.map(y => applyMatrixToPoint(inverse, [x, y])[index]));
+    return [Math.min(...values), Math.max(...values)];
+}
+
+// 標本化する変数の範囲（制限のない側は表示範囲で補う）
+function resolveSamplingRange(params, matrix, viewport) {
+    const [start, end] = params.range.map(value => (value == null ? null : Number(value)));
+    if (start !== null && end !== null) return [start, end];
+    if (params.kind === 'parametric') {
+        return [start ?? DEFAULT_PARAMETER_RANGE[0], end ?? DEFAULT_PARAMETER_RANGE[1]];
+    }
+    const visible = viewportVariableRange(params.kind, matrix, viewport || DEFAULT_VIEWPORT) ||
+        viewportVariableRange(params.kind, IDENTITY_MATRIX, viewport || DEFAULT_VIEWPORT);
+    const min = start === null ? visible[0] : start;
+    const max = end === null ? visible[1] : end;
+    // 表示範囲に入らない場合は空の範囲にする
+    return min < max ? [min, max] : [min, min];
+}
+
+// 式本体から種類と変数の式を決める
+function classifyBody(body) {
+    const sides = body.split('=');
+    if (sides.length > 2) {
+        throw new Error('等号が複数あります');
+    }
+    if (sides.length === 2) {
+        const [lhs, rhs] = sides.map(side => side.trim());
+        if (lhs === 'y' && rhs) return { kind: 'explicit', source: rhs };
+        if (lhs === 'x' && rhs) return { kind: 'vertical', source: rhs };
+        if (rhs === 'y' && lhs) return { kind: 'explicit', source: lhs };
+        if (rhs === 'x' && lhs) return { kind: 'vertical', source: lhs };
+        throw new Error('「y = f(x)」「x = g(y)」「(f(t), g(t))」のいずれかの形で入力してください');
+    }
+    // 等号のない式は、点を返せば媒介変数表示、そうでなければ y = f(x) とみなす
+    const fn = compileLatexExpression(body);
+    let probe = null;
+    try {
+        probe = fn({ t: 0.5, x: 0.5 });
+    } catch (e) {
+        probe = null;
+    }
+    return { kind: Array.isArray(probe) ? 'parametric' : 'explicit', source: body };
+}
+
+/**
+ * 入力された LaTeX の式を式の曲線の数式オブジェクトにする
+ * y = f(x)・x = g(y) の制限のない側は制限なしのまま（描くときに表示範囲で補う）、媒介変数は 0 ≤ t ≤ 1 で描く
+ * @param {string} text - 入力された LaTeX
+ * @param {Object} options - { viewport: 値を持つかを確かめる表示範囲 { xMin, xMax, yMin, yMax } }
+ * @returns {Object} { success, message, equation }
+ */
+export function parseExpressionLatex(text, options = {}) {
+    // 入力しやすいように \ を付けない制限 {0 < x < 1} も受け付ける
+    const latex = normalizeLatex(text ?? '')
+        .replace(/(^|[^\\])\{([^{}]*(?:<|>|\\le|\\ge|≤|≥)[^{}]*)\}/g, '$1\\{$2\\}');
+    if (!latex) {
+        return failure('式を入力してください');
+    }
+    const decimals = inferDecimals(latex);
+
+    let kind;
+    let source;
+    let restrictions;
+    try {
+        const split = splitRestrictions(latex);
+        restrictions = split.restrictions;
+        if (/<|>|\\le|\\ge|≤|≥/.test(split.body)) {
+            return failure('不等式は入力できません');
+        }
+        ({ kind, source } = classifyBody(split.body));
+        compileLatexExpression(source);
+    } catch (e) {
+        return failure(e.message);
+    }
+
+    const { variable, clipAxis } = EXPRESSION_KINDS[kind];
+    const invalidAxis = Object.keys(restrictions).find(axis => axis !== variable && axis !== clipAxis);
+    if (invalidAxis) {
+        return failure(kind === 'parametric'
+            ? '媒介変数表示に指定できる制限は t だけです'
+            : `この式には ${invalidAxis} の制限を指定できません`);
+    }
+
+    const range = kind === 'parametric'
+        ? resolveRange(restrictions[variable]).map((value, i) => value ?? DEFAULT_PARAMETER_RANGE[i])
+        : resolveRange(restrictions[variable]);
+    if (range.some(value => value !== null && !Number.isFinite(value)) ||
+        (range[0] !== null && range[1] !== null && range[1] <= range[0])) {
+        return failure('範囲が空です');
+    }
+    const clip = clipAxis && restrictions[clipAxis] ? { [clipAxis]: restrictions[clipAxis] } : undefined;
+
+    const equation = EquationBuilder.expression({ source, kind, range, clip }, { decimals });
+    equation.rpn = [];
+
+    // 値を確かめる範囲（表示範囲の外だけに制限された式は、制限の端から表示範囲の幅だけ確かめる）
+    const evaluator = createExpressionEvaluator(equation, { viewport: options.viewport });
+    let [start, end] = evaluator.range;
+    if (start >= end) {
+        const viewport = options.viewport || DEFAULT_VIEWPORT;
+        const width = variable === 'y' ? viewport.yMax - viewport.yMin : viewport.xMax - viewport.xMin;
+        [start, end] = range[0] !== null ? [range[0], range[0] + width] : [range[1] - width, range[1]];
+    }
+
+    // 範囲内で値を持たない式（変数の誤りや定義域の外など）は追加しない
+    try {
+        const fn = compileLatexExpression(source);
+        const valueAt = (s) => {
+            const value = fn({ [variable]: s });
+            if (kind === 'parametric' ? !Array.isArray(value) : Array.isArray(value)) {
+                throw new Error(kind === 'parametric' ? '(f(t), g(t)) の形で入力してください' : '数値になる式を入力してください');
+            }
+            return value;
+        };
+        valueAt(start);
+    } catch (e) {
+        return failure(e.message);
+    }
+    const hasValue = Array.from({ length: PROBE_COUNT + 1 }, (_, i) => start + (end - start) * (i / PROBE_COUNT))
+        .some(s => evaluator.evaluate(s) !== null);
+    if (!hasValue) {
+        return failure('範囲内で値が定まりません');
+    }
+
+    return { success: true, message: '', equation };
+}
+
+/**
+ * 式の曲線の数式から、変数の値に対する点を求める関数を作る
+ * 制限の外や値が定まらない点は null を返す
+ * 変数の制限のない側は、表示範囲（と少しの余白）に入る値までを範囲にする
+ * @param {Object} equation - type: 'expression' の数式オブジェクト
+ * @param {Object} options - { viewport: 現在の表示範囲 { xMin, xMax, yMin, yMax } }
+ * @returns {{evaluate: Function, range: Array<number>}|null} evaluate(s) → [x, y] | null と標本化する変数の範囲
+ */
+export function createExpressionEvaluator(equation, options = {}) {
+    const params = equation && equation.params;
+    if (!params || !EXPRESSION_KINDS[params.kind] || !Array.isArray(params.range)) {
+        return null;
+    }
+    let fn;
+    try {
+        fn = compileLatexExpression(params.source);
+    } catch (e) {
+        return null;
+    }
+    const matrix = Array.isArray(params.matrix) && params.matrix.length >= 6 ? params.matrix : IDENTITY_MATRIX;
+    const clip = params.clip || {};
+    const within = (value, bound) => !bound ||
+        ((bound.min == null || value >= bound.min) && (bound.max == null || value <= bound.max));
+
+    const toPoint = {
+        explicit: (s) => [s, requireScalar(fn({ x: s }))],
+        vertical: (s) => [requireScalar(fn({ y: s })), s],
+        parametric: (s) => fn({ t: s })
+    }[params.kind];
+
+    const evaluate = (s) => {
+        let point;
+        try {
+            point = toPoint(s);
+        } catch (e) {
+            return null;
+        }
+        if (!Array.isArray(point) || !Number.isFinite(point[0]) || !Number.isFinite(point[1])) return null;
+        if (!within(point[0], clip.x) || !within(point[1], clip.y)) return null;
+        return applyMatrixToPoint(matrix, point);
+    };
+
+    return { evaluate, range: resolveSamplingRange(params, matrix, options.viewport) };
+}
@@ -0,0 +1,367 @@
+/*
+ * LatexExpression.js
+ *
+ * Desmos 形式の LaTeX の式を評価するための字句解析・構文解析
+ * Desmos の読み込みと、入力欄から追加する式の曲線で共有する
+ */
+
+/**
+ * Desmos の LaTeX を字句解析する
+ * @param {string} source - \left / \right を除去済みの LaTeX
+ * @returns {Array<Object>} トークン配列
+ */
+function tokenizeLatex(source) {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+        const ch = source[i];
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+        if (/[0-9.]/.test(ch)) {
+            const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)/);
+            if (!match) throw new Error(`数値を解釈できません: ${source.slice(i, i + 4)}`);
+            tokens.push({ type: 'num', value: Number(match[1]) });
+            i += match[1].length;
+            continue;
+        }
+        if (ch === '\\') {
+            const match = source.slice(i + 1).match(/^[a-zA-Z]+/);
+            if (!match) throw new Error(`未対応の記号です: ${source.slice(i, i + 2)}`);
+            const name = match[0];
+            if (name === 'cdot' || name === 'times') {
+                tokens.push({ type: 'op', value: '*' });
+            } else {
+                tokens.push({ type: 'cmd', value: name });
+            }
+            i += name.length + 1;
+            continue;
+        }
+        if (/[a-zA-Z]/.test(ch)) {
+            tokens.push({ type: 'id', value: ch });
+            i++;
+            continue;
+        }
+        if (ch === 'π') {
+            tokens.push({ type: 'cmd', value: 'pi' });
+            i++;
+            continue;
+        }
+        if ('+-*/^(){},|'.includes(ch)) {
+            tokens.push({ type: 'op', value: ch });
+            i++;
+            continue;
+        }
+        throw new Error(`未対応の記号です: ${ch}`);
+    }
+    return tokens;
+}
+
+// 数値または点 [x, y] 同士の演算
+export function combineValues(op, a, b) {
+    const aIsPoint = Array.isArray(a);
+    const bIsPoint = Array.isArray(b);
+    switch (op) {
+        case '+':
+        case '-': {
+            if (aIsPoint !== bIsPoint) throw new Error('点と数値は加減算できません');
+            const sign = op === '+' ? 1 : -1;
+            if (aIsPoint) return [a[0] + sign * b[0], a[1] + sign * b[1]];
+            return a + sign * b;
+        }
+        case '*':
+            if (aIsPoint && bIsPoint) throw new Error('点同士の積は未対応です');
+            if (aIsPoint) return [a[0] * b, a[1] * b];
+            if (bIsPoint) return [a * b[0], a * b[1]];
+            return a * b;
+        case '/':
+            if (bIsPoint) throw new Error('点で割ることはできません');
+            if (aIsPoint) return [a[0] / b, a[1] / b];
+            return a / b;
+        case '^':
+            if (aIsPoint || bIsPoint) throw new Error('点のべき乗は未対応です');
+            return Math.pow(a, b);
+        default:
+            throw new Error(`未対応の演算子です: ${op}`);
+    }
+}
+
+export function requireScalar(value) {
+    if (Array.isArray(value)) throw new Error('数値が必要な位置に点があります');
+    return value;
+}
+
+const LATEX_FUNCTIONS = {
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    sec: (v) => 1 / Math.cos(v),
+    csc: (v) => 1 / Math.sin(v),
+    cot: (v) => 1 / Math.tan(v),
+    arcsin: Math.asin,
+    arccos: Math.acos,
+    arctan: Math.atan,
+    sinh: Math.sinh,
+    cosh: Math.cosh,
+    tanh: Math.tanh,
+    exp: Math.exp,
+    ln: Math.log,
+    log: Math.log10,
+    sqrt: Math.sqrt
+};
+
+/**
+ * LaTeX の式を評価関数にコンパイルする
+ * 四則演算・暗黙の積・べき乗・\frac・\sqrt・絶対値 |a|・三角関数などの関数・点 (a, b) に対応
+ * @param {string} source - LaTeX 文字列
+ * @returns {Function} env（変数名→値）を受け取り数値または点を返す関数
+ */
+export function compileLatexExpression(source) {
+    const tokens = tokenizeLatex(source);
+    let index = 0;
+    // 絶対値 |...| の入れ子の深さ（内側の | は閉じ記号として扱う）
+    let absDepth = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const expect = (value) => {
+        const token = next();
+        if (!token || token.value !== value) throw new Error(`'${value}' が必要です`);
+        return token;
+    };
+    const startsFactor = (token) => !!token && (
+        token.type === 'num' || token.type === 'id' || token.type === 'cmd' ||
+        token.value === '(' || token.value === '{' || (token.value === '|' && absDepth === 0)
+    );
+
+    const parseExpression = () => {
+        let node = parseTerm();
+        while (peek() && (peek().value === '+' || peek().value === '-')) {
+            const op = next().value;
+            const left = node;
+            const right = parseTerm();
+            node = (env) => combineValues(op, left(env), right(env));
+        }
+        return node;
+    };
+
+    const parseTerm = () => {
+        let node = parseUnary();
+        for (;;) {
+            const token = peek();
+            if (token && (token.value === '*' || token.value === '/')) {
+                next();
+                const left = node;
+                const right = parseUnary();
+                node = (env) => combineValues(token.value, left(env), right(env));
+            } else if (startsFactor(token)) {
+                // 暗黙の積（2x, 2(x-1), r\cos t など）
+                const left = node;
+                const right = parsePower();
+                node = (env) => combineValues('*', left(env), right(env));
+            } else {
+                return node;
+            }
+        }
+    };
+
+    const parseUnary = () => {
+        const token = peek();
+        if (token && (token.value === '-' || token.value === '+')) {
+            next();
+            const operand = parseUnary();
+            return token.value === '-' ? (env) => combineValues('*', -1, operand(env)) : operand;
+        }
+        return parsePower();
+    };
+
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (peek() && peek().value === '^') {
+            next();
+            const exponent = parseUnary();
+            return (env) => combineValues('^', base(env), exponent(env));
+        }
+        return base;
+    };
+
+    const parseGroup = () => {
+        expect('{');
+        const node = parseExpression();
+        expect('}');
+        return node;
+    };
+
+    // \cos t や \sin 2t のように括弧なしで書かれた関数の引数
+    const parseFunctionArgument = () => {
+        if (peek() && peek().value === '(') {
+            return parsePrimary();
+        }
+        let node = parsePower();
+        while (peek() && (peek().type === 'num' || peek().type === 'id')) {
+            const left = node;
+            const right = parsePower();
+            node = (env) => combineValues('*', left(env), right(env));
+        }
+        return node;
+    };
+
+    const parsePrimary = () => {
+        const token = next();
+        if (!token) throw new Error('式が途中で終わっています');
+
+        if (token.type === 'num') {
+            return () => token.value;
+        }
+        if (token.type === 'id') {
+            const name = token.value;
+            if (name === 'e') return () => Math.E;
+            return (env) => {
+                if (!Object.prototype.hasOwnProperty.call(env, name)) {
+                    throw new Error(`未定義の変数です: ${name}`);
+                }
+                return env[name];
+            };
+        }
+        if (token.value === '(' || token.value === '{') {
+            const closing = token.value === '(' ? ')' : '}';
+            const first = parseExpression();
+            if (closing === ')' && peek() && peek().value === ',') {
+                next();
+                const second = parseExpression();
+                expect(')');
+                return (env) => [requireScalar(first(env)), requireScalar(second(env))];
+            }
+            expect(closing);
+            return first;
+        }
+        if (token.value === '|') {
+            absDepth++;
+            const operand = parseExpression();
+            absDepth--;
+            expect('|');
+            return (env) => Math.abs(requireScalar(operand(env)));
+        }
+        if (token.type === 'cmd') {
+            const name = token.value;
+            if (name === 'pi') {
+                return () => Math.PI;
+            }
+            if (name === 'frac') {
+                const numerator = parseGroup();
+                const denominator = parseGroup();
+                return (env) => combineValues('/', numerator(env), denominator(env));
+            }
+            if (name === 'sqrt') {
+                const radicand = parseGroup();
+                return (env) => Math.sqrt(requireScalar(radicand(env)));
+            }
+            if (LATEX_FUNCTIONS[name]) {
+                const fn = LATEX_FUNCTIONS[name];
+                const argument = parseFunctionArgument();
+                return (env) => fn(requireScalar(argument(env)));
+            }
+            throw new Error(`未対応のコマンドです: \\${name}`);
+        }
+        throw new Error(`予期しない記号です: ${token.value}`);
+    };
+
+    const root = parseExpression();
+    if (index < tokens.length) {
+        throw new Error(`予期しない記号です: ${tokens[index].value}`);
+    }
+    return root;
+}
+
+/**
+ * 式中の変数（1文字）を別の式に置き換える（\sin などのコマンド名の文字は置き換えない）
+ * @param {string} source - LaTeX 文字列
+ * @param {string} name - 置き換える変数名
+ * @param {string} replacement - 代入する式（すでに括弧の中にある変数以外は括弧で囲んで代入する）
+ * @returns {string}
+ */
+export function substituteLatexVariable(source, name, replacement) {
+    const text = String(source);
+    return text.replace(/\\[a-zA-Z]+|[a-zA-Z]/g, (token, offset) => {
+        if (token !== name) return token;
+        const enclosed = /[({]/.test(text[offset - 1] || '') && /[)}]/.test(text[offset + 1] || '');
+        return enclosed ? replacement : `(${replacement})`;
+    });
+}
+
+// 変数を含まない LaTeX（定義域の端点など）を数値に評価する
+export function evaluateLatexConstant(source) {
+    const value = compileLatexExpression(String(source))({});
+    if (!Number.isFinite(value)) throw new Error(`数値に評価できません: ${source}`);
+    return value;
+}
+
+// \left, \right や空白コマンドを取り除く
+export function normalizeLatex(latex) {
+    return String(latex)
+        .replace(/\\left|\\right/g, '')
+        .replace(/\\[ ,;:!]/g, ' ')
+        .trim();
+}
+
+// 式中の小数桁数から出力時の桁数を決める（GraPen の既定 3 桁〜10 桁）
+export function inferDecimals(latex) {
+    let decimals = 3;
+    const matches = String(latex).match(/\.\d+/g) || [];
+    matches.forEach(match => {
+        decimals = Math.max(decimals, match.length - 1);
+    });
+    return Math.min(decimals, 10);
+}
+
+/**
+ * 制限 \{a<x<b\} を解釈する
+ * @returns {{axis: string, min: number|null, max: number|null}}
+ */
+function parseRestriction(text) {
+    const parts = text.split(/(\\leq?|\\geq?|<=|>=|≤|≥|<|>)/).map(part => part.trim());
+    const operands = parts.filter((_, i) => i % 2 === 0);
+    const operators = parts.filter((_, i) => i % 2 === 1);
+    const isLess = (op) => /^(\\le|<|≤)/.test(op);
+    const isVariable = (operand) => /^[xyt]$/.test(operand);
+
+    if (operands.length === 3 && isVariable(operands[1]) && operators.length === 2 &&
+        isLess(operators[0]) === isLess(operators[1])) {
+        const first = evaluateLatexConstant(operands[0]);
+        const last = evaluateLatexConstant(operands[2]);
+        return isLess(operators[0])
+            ? { axis: operands[1], min: first, max: last }
+            : { axis: operands[1], min: last, max: first };
+    }
+    if (operands.length === 2 && operators.length === 1) {
+        if (isVariable(operands[0])) {
+            const bound = evaluateLatexConstant(operands[1]);
+            return isLess(operators[0])
+                ? { axis: operands[0], min: null, max: bound }
+                : { axis: operands[0], min: bound, max: null };
+        }
+        if (isVariable(operands[1])) {
+            const bound = evaluateLatexConstant(operands[0]);
+            return isLess(operators[0])
+                ? { axis: operands[1], min: bound, max: null }
+                : { axis: operands[1], min: null, max: bound };
+        }
+    }
+    throw new Error(`解釈できない制限です: ${text}`);
+}
+
+// 式本体と末尾の制限 \{...\} を分離する（同じ軸の制限は共通部分を取る）
+export function splitRestrictions(source) {
+    const restrictions = {};
+    const body = source.replace(/\\\{(.*?)\\\}/g, (_, inner) => {
+        const { axis, min, max } = parseRestriction(inner);
+        const current = restrictions[axis] || { min: null, max: null };
+        restrictions[axis] = {
+            min: min == null ? current.min : (current.min == null ? min : Math.max(current.min, min)),
+            max: max == null ? current.max : (current.max == null ? max : Math.min(current.max, max))
+        };
+        return '';
+    }).trim();
+    return { body, restrictions };
+}
@@ -40,6 +40,79 @@ function roundDecimals(number, decimals) {
     return Math.round(number * factor) / factor;
 }
 
+// ----------------------
+// 係数の厳密表示（1/3, √2/2, π/4 など）
+// ----------------------
+
+const EXACT_MAX_DENOMINATOR = 12;
+const EXACT_MAX_NUMERATOR = 12;
+const EXACT_RADICANDS = [2, 3, 5, 6, 7];
+
+// 分母が 2 と 5 の積だけなら有限小数で正確に書ける
+function isTerminatingDenominator(q) {
+    let n = q;
+    while (n % 2 === 0) n /= 2;
+    while (n % 5 === 0) n /= 5;
+    return n === 1;
+}
+
+// 係数 p/q と記号（\sqrt{2} や \pi）を LaTeX の分数にする
+function formatExactFraction(p, q, symbol = '') {
+    const numerator = symbol
+        ? (p === 1 ? symbol : `${p}${symbol}`)
+        : String(p);
+    return q === 1 ? numerator : `\\frac{${numerator}}{${q}}`;
+}
+
+// 値を p/q * unit (q <= 12) の形で近似できれば [p, q] を返す
+function findSmallFraction(value, unit, tolerance) {
+    for (let q = 1; q <= EXACT_MAX_DENOMINATOR; q++) {
+        const p = Math.round(value * q / unit);
+        if (p !== 0 && Math.abs(value - p * unit / q) <= tolerance) {
+            return [p, q];
+        }
+    }
+    return null;
+}
+
+/**
+ * 小数で表すと近似になる値を、分母の小さい分数・簡単な平方根・πの倍数として LaTeX で返す
+ * 整数や有限小数で正確に書ける値、認識できない値は null（通常の小数表示を使う）
+ * @param {number} value - 値
+ * @param {number} decimals - 通常表示の小数点以下の桁数（この桁での丸め誤差以内を同じ値とみなす）
+ * @returns {string|null} LaTeX 文字列
+ */
+export function toExactLatex(value, decimals = 3) {
+    if (!Number.isFinite(value)) return null;
+    const tolerance = 0.5 * Math.pow(10, -decimals);
+    const sign = value < 0 ? '-' : '';
+    const magnitude = Math.abs(value);
+    if (magnitude <= tolerance) return null;
+
+    // 有理数・平方根の倍数・π の倍数のうち、分母が最も小さい表し方を選ぶ
+    const candidates = [
+        { unit: 1, symbol: '' },
+        ...EXACT_RADICANDS.map(n => ({ unit: Math.sqrt(n), symbol: `\\sqrt{${n}}` })),
+        { unit: Math.PI, symbol: '\\pi' }
+    ];
+    let best = null;
+    candidates.forEach(({ unit, symbol }) => {
+        const fraction = findSmallFraction(magnitude, unit, tolerance);
+        if (!fraction) return;
+        if (symbol && fraction[0] > EXACT_MAX_NUMERATOR) return;
+        if (!best || fraction[1] < best.q) {
+            best = { p: fraction[0], q: fraction[1], symbol };
+        }
+    });
+    if (!best) return null;
+
+    // 分母の小さい順に探すので p/q は既約分数になっている
+    // 有限小数で正確に書ける有理数は小数表示のまま
+    if (!best.symbol && isTerminatingDenominator(best.q)) return null;
+    return sign + formatExactFraction(best.p, best.q, best.symbol);
+    return null;
+}
+
 // 二次関数の係数を指定して、平方完成の形に変換した後指定した桁数で丸めて、一般式に直して返す
 // a, b, cはそれぞれ二次項、一次項、定数項の係数
 // decimalsは小数点以下の桁数
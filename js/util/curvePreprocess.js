@@ -3,6 +3,9 @@ const EPSILON = 1e-9;
 // デフォルトの平滑化ウィンドウ幅（移動平均の窓幅）
 const DEFAULT_SMOOTH_WINDOW = 5;
 
+// 閉じたストロークとみなす始点と終点の距離（バウンディングボックスの対角線長に対する比率）
+const DEFAULT_CLOSURE_RATIO = 0.08;
+
 /**
  * 軸に平行なバウンディングボックス（AABB）を計算する。
  * @param {Array<[number, number]>} points
@@ -213,11 +216,38 @@ export function pruneCollinear(points = [], tolerance = 1e-6) {
 	return result;
 }
 
+/**
+ * 始点と終点が十分に近い（閉じた）ストロークかどうかを判定する。
+ * 始点と終点の距離がバウンディングボックスの対角線長の closureRatio 倍以下なら閉じているとみなす。
+ * @param {Array<[number, number]>} points
+ * @param {{ closureRatio?: number, minPoints?: number }} [options]
+ * @returns {boolean}
+ */
+export function isClosedStroke(points = [], options = {}) {
+	const closureRatio = options.closureRatio ?? DEFAULT_CLOSURE_RATIO;
+	const minPoints = options.minPoints ?? 4;
+	if (!Array.isArray(points) || points.length < minPoints) {
+		return false;
+	}
+
+	const { width, height } = computeBoundingBox(points);
+	const diagonal = Math.hypot(width, height);
+	if (diagonal < EPSILON) {
+		return false;
+	}
+
+	const first = points[0];
+	const last = points[points.length - 1];
+	const gap = Math.hypot(last[0] - first[0], last[1] - first[1]);
+	return gap <= diagonal * closureRatio;
+}
+
 /**
  * よく使われる前処理ステップをまとめたラッパー関数。
  * オプションで平滑化、リサンプリング、共線削除などを順に実行する。
+ * pinEndpoints を指定すると、平滑化したあとも始点と終点を元の位置に保つ（端点スナップした点列用）。
  * @param {Array<[number, number]>} points
- * @param {{ smoothWindow?: number, resampleCount?: number, pruneTolerance?: number, closed?: boolean }} [options]
+ * @param {{ smoothWindow?: number, resampleCount?: number, pruneTolerance?: number, closed?: boolean, pinEndpoints?: boolean }} [options]
  * @returns {{ points: Array<[number, number]>, normalized: Array<[number, number]>, domain: { xMin: number, xMax: number, yMin: number, yMax: number } }}
  */
 export function preprocessCurve(points = [], options = {}) {
@@ -225,11 +255,16 @@ export function preprocessCurve(points = [], options = {}) {
 	const resampleCount = options.resampleCount ?? null;
 	const pruneTolerance = options.pruneTolerance ?? 0;
 	const closed = Boolean(options.closed);
+	const pinEndpoints = Boolean(options.pinEndpoints);
 	const domainOverride = options.domain;
 
 	let work = points.slice();
 	if (smoothWindow > 1) {
 		work = smoothPoints(work, smoothWindow);
+		if (pinEndpoints && work.length >= 2) {
+			work[0] = points[0].slice();
+			work[work.length - 1] = points[points.length - 1].slice();
+		}
 	}
 	if (resampleCount && resampleCount > 1) {
 		work = resamplePoints(work, resampleCount, { closed });
@@ -249,5 +284,6 @@ export default {
 	smoothPoints,
 	resamplePoints,
 	pruneCollinear,
+	isClosedStroke,
 	preprocessCurve
 };